@@ -3,55 +3,125 @@ const path = require('path');
 const fs = require('fs');
 const os = require('os');
 const { exec } = require('child_process');
-const { sync, loadAllData, getMachineId, getCloudDir, saveCloudDir, DATA_DIR } = require('./src/sync');
-const { syncWithCloud } = require('./src/cloudSync');
+const { sync, loadAllData, loadMachineData, getBudgetStatus, updateAnomalyStatus, recalculateCosts, syncCloudDir, withSyncLock, queryMachineData, listMachineVersions, restoreMachineVersion, getUndecryptableMachines, getIncompatibleMachines, getMachineId, getCloudDir, saveCloudDir, getEncryptionSettings, saveEncryptionSettings, getAuthSettings, DATA_DIR } = require('./src/sync');
+const { resolvePassphrase } = require('./src/encryption');
+const { parseServerArgs, resolveAuth, createAccessControl } = require('./src/auth');
+const { parseCloudTarget, createCloudBackend, describeCloudTarget, redactCloudTarget } = require('./src/cloudBackends');
+const { loadConfig, saveConfig } = require('./src/config');
+const { migrateConfig, validateConfig } = require('./src/schema');
+const { parseLimits } = require('./src/budgets');
+const { parseUsageQuery, queryUsage, getKnownProjects } = require('./src/query');
+const { parseHeatmapQuery, buildHeatmap } = require('./src/heatmap');
+const { parseModelsQuery, buildModelReport, parseWhatIfQuery, buildWhatIf } = require('./src/models');
+const { parseCacheQuery, buildCacheReport } = require('./src/cache');
+const { STATUSES } = require('./src/anomalies');
+const { parseRule, ruleMatches } = require('./src/groups');
+const { parseBillingQuery, parseBillingTerms, buildBillingReport, formatBillingCsv, renderInvoiceHtml, createInvoiceStore } = require('./src/billing');
+const { MODEL_PRICES, parseRates, getRates } = require('./src/pricing');
+const { loadSources } = require('./src/sources');
+const { getBrowseRoots, findSyncFolders, browseDirectory, isBrowsable } = require('./src/fsBrowse');
+const { readSessionTimeline } = require('./src/timeline');
+const { getSyncSettings, createSyncScheduler } = require('./src/scheduler');
+const { publish, subscribe, formatEvent } = require('./src/events');
+
+let serverOptions;
+try {
+  serverOptions = parseServerArgs(process.argv.slice(2), process.env);
+} catch (err) {
+  console.error(`looptrack: ${err.message}`);
+  process.exit(1);
+}
+const auth = resolveAuth(getAuthSettings(), process.env);
+// Anyone who can reach a shared dashboard could rewrite settings and config, so it needs a login
+if (serverOptions.public && !auth) {
+  console.error(`Refusing to listen on ${serverOptions.host} without a login. Set a password with ` +
+    '`looptrack auth password` or a token with `looptrack auth token` (or LOOPTRACK_TOKEN) first.');
+  process.exit(1);
+}
+const access = createAccessControl({ auth, public: serverOptions.public });
 
 const app = express();
-const PORT = process.env.PORT || 3456;
-const CONFIG_FILE = path.join(__dirname, 'config.json');
 const CLAUDE_SETTINGS_FILE = path.join(os.homedir(), '.claude', 'settings.json');
+const invoices = createInvoiceStore(DATA_DIR);
 
-app.use(express.json());
-app.use(express.static('public'));
+const syncSettings = getSyncSettings(loadConfig());
+const scheduler = createSyncScheduler({
+  run: async ({ trigger, sources }) => {
+    // Only a sync someone asked for may prompt for the machine ID on first run
+    if (trigger !== 'manual' && !getMachineId()) {
+      throw new Error('Machine ID not set. Sync once from the dashboard or with npm run sync.');
+    }
+    publish('sync-started', { trigger, sources: sources || null });
+    try {
+      const result = await sync(undefined, { sources });
+      publish('sync-finished', { trigger, ok: true });
+      publish('data-changed', { reason: 'sync' });
+      return result;
+    } catch (err) {
+      publish('sync-finished', { trigger, ok: false, error: err.message });
+      throw err;
+    }
+  },
+  intervalMinutes: syncSettings.intervalMinutes,
+  debounceSeconds: syncSettings.debounceSeconds
+});
 
-// Load config
-function loadConfig() {
-  try {
-    if (fs.existsSync(CONFIG_FILE)) {
-      return JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+// Directories to watch for new usage, from sources that report them
+async function getWatchTargets(config) {
+  const targets = [];
+  for (const adapter of loadSources(config)) {
+    if (adapter.loadError || typeof adapter.watchPaths !== 'function') continue;
+    try {
+      for (const dir of (await adapter.watchPaths()) || []) {
+        targets.push({ dir, source: adapter.id });
+      }
+    } catch (err) {
+      console.error(`Source ${adapter.id} watch paths failed:`, err.message);
     }
-  } catch (err) {
-    console.error('Error loading config:', err.message);
   }
-  return { projectGroups: {} };
+  return targets;
 }
 
-// Save config
-function saveConfig(config) {
-  fs.writeFileSync(CONFIG_FILE, JSON.stringify(config, null, 2));
-}
+app.use(express.json());
+// A body that isn't JSON gets a JSON error like any other bad input
+app.use((err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') return res.status(400).json({ error: `Request body is not valid JSON: ${err.message}` });
+  next(err);
+});
+app.use(access.middleware);
+app.use(express.static('public'));
 
-// Get group for a project path
-function getProjectGroup(projectPath, groups) {
-  for (const [groupName, paths] of Object.entries(groups)) {
-    if (paths.some(p => projectPath && projectPath.startsWith(p))) {
-      return groupName;
-    }
-  }
-  return null;
+// API: Log in with the password or access token (sets a session cookie)
+app.post('/api/login', access.login);
+app.post('/api/logout', access.logout);
+
+// API: Whether the dashboard requires a login
+app.get('/api/auth', (req, res) => {
+  res.json({ enabled: access.isEnabled() });
+});
+
+// The group rule engine is shared with the dashboard
+app.get('/lib/groups.js', (req, res) => {
+  res.sendFile(path.join(__dirname, 'src', 'groups.js'));
+});
+
+// Aggregated data from all machines, shaped for the dashboard
+function getDashboardData() {
+  const data = loadAllData();
+  const config = loadConfig();
+  const currentMachine = getMachineId();
+  const { statuses, events } = getBudgetStatus(data, config);
+  // Convert daily object to sorted array for frontend
+  const dailyArray = Object.entries(data.daily || {})
+    .map(([date, day]) => ({ date, ...day }))
+    .sort((a, b) => b.date.localeCompare(a.date));
+  return { ...data, daily: dailyArray, config, currentMachine, budgets: statuses, budgetEvents: events, undecryptable: getUndecryptableMachines(), incompatible: getIncompatibleMachines() };
 }
 
 // API: Get usage data with config (aggregates all machines)
 app.get('/api/data', (req, res) => {
   try {
-    const data = loadAllData();
-    const config = loadConfig();
-    const currentMachine = getMachineId();
-    // Convert daily object to sorted array for frontend
-    const dailyArray = Object.entries(data.daily || {})
-      .map(([date, day]) => ({ date, ...day }))
-      .sort((a, b) => b.date.localeCompare(a.date));
-    res.json({ ...data, daily: dailyArray, config, currentMachine });
+    res.json(getDashboardData());
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -68,6 +138,36 @@ app.get('/api/machines', (req, res) => {
   }
 });
 
+// API: A session's turn-by-turn timeline, read from its transcript. Only the
+// machine that ran the session has the transcript.
+app.get('/api/sessions/:id', async (req, res) => {
+  try {
+    const { sessions } = loadAllData();
+    const session = Object.hasOwn(sessions, req.params.id) ? sessions[req.params.id] : null;
+    if (!session) return res.status(404).json({ error: `Session ${req.params.id} not found` });
+
+    const currentMachine = getMachineId();
+    if (session.machineId && session.machineId !== currentMachine) {
+      return res.status(404).json({
+        error: `This session ran on ${session.machineId}. Its transcript is only on that machine; open LoopTrack there to see the timeline.`,
+        session
+      });
+    }
+
+    const config = loadConfig();
+    const timeline = await readSessionTimeline(req.params.id, session, { rates: getRates(config), timeZone: config.timezone });
+    if (!timeline) {
+      return res.status(404).json({
+        error: 'The transcript for this session is no longer on this machine. Claude Code deletes transcripts after cleanupPeriodDays (30 days by default).',
+        session
+      });
+    }
+    res.json({ session, timeline });
+  } catch (err) {
+    res.status(err.code === 'ENOTIMELINE' ? 400 : 500).json({ error: err.message });
+  }
+});
+
 // API: Get config
 app.get('/api/config', (req, res) => {
   try {
@@ -79,29 +179,256 @@ app.get('/api/config', (req, res) => {
 
 // API: Save config
 app.post('/api/config', (req, res) => {
+  let config;
   try {
-    const config = req.body;
-    saveConfig(config);
+    // A dashboard tab opened before an update may still send an older version
+    config = migrateConfig(req.body, 'The config sent');
+    validateConfig(config);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  try {
+    config = saveConfig(config);
+    publish('data-changed', { reason: 'config' });
     res.json({ success: true, config });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
+// API: Preview which known projects a group rule would match
+app.post('/api/groups/test-rule', (req, res) => {
+  const { rule } = req.body || {};
+  let parsed;
+  try {
+    parsed = parseRule(rule);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  try {
+    const config = loadConfig();
+    const projects = getKnownProjects(loadMachineData(), config.projectGroups || {});
+    const matches = projects.filter(p => ruleMatches(rule, p.path, p.gitRemote));
+    res.json({
+      rule: { type: parsed.type, pattern: parsed.pattern, exclude: parsed.exclude, priority: parsed.priority },
+      matches,
+      totalProjects: projects.length
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// API: Get budgets with current spend and recorded breaches
+app.get('/api/budgets', (req, res) => {
+  try {
+    const config = loadConfig();
+    const { statuses, events } = getBudgetStatus(loadAllData(), config);
+    res.json({ budgets: config.budgets || {}, statuses, events });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// API: Recorded spend anomalies, newest first - ?status=open|acknowledged|dismissed
+app.get('/api/anomalies', (req, res) => {
+  const status = req.query.status;
+  if (status !== undefined && !STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${STATUSES.join(', ')}` });
+  }
+  try {
+    const anomalies = loadAllData().anomalies;
+    const counts = Object.fromEntries(STATUSES.map(s => [s, anomalies.filter(a => a.status === s).length]));
+    res.json({ anomalies: status ? anomalies.filter(a => a.status === status) : anomalies, counts });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// API: Acknowledge (seen, keep on record) or dismiss (not a problem) an anomaly
+const ANOMALY_ACTIONS = { acknowledge: 'acknowledged', dismiss: 'dismissed', reopen: 'open' };
+
+app.post('/api/anomalies/:id/:action', (req, res) => {
+  const status = Object.hasOwn(ANOMALY_ACTIONS, req.params.action) && ANOMALY_ACTIONS[req.params.action];
+  if (!status) {
+    return res.status(404).json({ error: `Unknown action ${req.params.action}; use acknowledge, dismiss or reopen` });
+  }
+  const machineId = getMachineId();
+  if (!machineId) {
+    return res.status(400).json({ error: 'Sync once on this machine before acknowledging anomalies' });
+  }
+  try {
+    const anomaly = updateAnomalyStatus(machineId, req.params.id, status);
+    if (!anomaly) {
+      return res.status(404).json({ error: `No anomaly ${req.params.id}` });
+    }
+    publish('data-changed', { reason: 'anomalies' });
+    res.json({ anomaly });
+  } catch (err) {
+    res.status(err.code === 'ESYNCLOCKED' ? 409 : 500).json({ error: err.message });
+  }
+});
+
+// Update one part of config.budgets and return the saved budgets
+function updateBudgets(res, update) {
+  const config = loadConfig();
+  config.budgets = config.budgets || {};
+  update(config.budgets, config);
+  saveConfig(config);
+  publish('data-changed', { reason: 'budgets' });
+  res.json({ success: true, budgets: config.budgets });
+}
+
+// API: Set warning thresholds (percentages, e.g. [50, 80, 100])
+app.put('/api/budgets/thresholds', (req, res) => {
+  try {
+    const { thresholds } = req.body;
+    if (!Array.isArray(thresholds) || thresholds.length === 0 ||
+        thresholds.some(t => typeof t !== 'number' || !Number.isFinite(t) || t <= 0)) {
+      return res.status(400).json({ error: 'thresholds must be a non-empty array of positive percentages' });
+    }
+    updateBudgets(res, budgets => { budgets.thresholds = [...new Set(thresholds)].sort((a, b) => a - b); });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// API: Set global budget { daily, weekly, monthly }
+app.put('/api/budgets/global', (req, res) => {
+  let limits;
+  try {
+    limits = parseLimits(req.body);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  try {
+    updateBudgets(res, budgets => { budgets.global = limits; });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// API: Remove global budget
+app.delete('/api/budgets/global', (req, res) => {
+  try {
+    updateBudgets(res, budgets => { delete budgets.global; });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// API: Set a group's budget { daily, weekly, monthly }
+app.put('/api/budgets/groups/:name', (req, res) => {
+  const { name } = req.params;
+  let limits;
+  try {
+    limits = parseLimits(req.body);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  try {
+    const groups = loadConfig().projectGroups || {};
+    if (!groups[name]) {
+      return res.status(404).json({ error: `Group "${name}" not found` });
+    }
+    updateBudgets(res, budgets => {
+      budgets.groups = budgets.groups || {};
+      budgets.groups[name] = limits;
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// API: Remove a group's budget
+app.delete('/api/budgets/groups/:name', (req, res) => {
+  try {
+    updateBudgets(res, budgets => {
+      if (budgets.groups) delete budgets.groups[req.params.name];
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // API: Trigger sync
 app.post('/api/sync', async (req, res) => {
   try {
-    await sync();
+    await scheduler.runNow('manual');
     // Return aggregated data from all machines
-    const data = loadAllData();
+    res.json(getDashboardData());
+  } catch (err) {
+    res.status(err.code === 'ESYNCLOCKED' ? 409 : 500).json({ error: err.message });
+  }
+});
+
+// API: Get pricing - configured rates plus the built-in list prices they override
+app.get('/api/pricing', (req, res) => {
+  try {
+    res.json({
+      rates: getRates(loadConfig()),
+      listPrices: MODEL_PRICES.map(({ pattern, ...price }) => ({ pattern: pattern.source, ...price }))
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// API: Replace configured rates (costs change on the next sync or recalculate)
+app.put('/api/pricing', (req, res) => {
+  let rates;
+  try {
+    rates = parseRates(req.body && req.body.rates);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  try {
     const config = loadConfig();
-    const currentMachine = getMachineId();
-    res.json({ ...data, config, currentMachine });
+    config.pricing = { ...(config.pricing || {}), rates };
+    saveConfig(config);
+    publish('data-changed', { reason: 'pricing' });
+    res.json({ rates });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
+// API: Recompute this machine's costs from stored tokens with the current pricing
+app.post('/api/recalculate', async (req, res) => {
+  try {
+    const result = await recalculateCosts(loadConfig());
+    publish('data-changed', { reason: 'recalculate' });
+    res.json(result);
+  } catch (err) {
+    res.status(err.code === 'ESYNCLOCKED' ? 409 : 500).json({ error: err.message });
+  }
+});
+
+// API: Background sync status
+app.get('/api/sync/status', (req, res) => {
+  res.json(scheduler.getStatus());
+});
+
+// API: Live updates as Server-Sent Events (sync-started, sync-finished, data-changed, cloud-pulled)
+app.get('/api/events', (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const unsubscribe = subscribe(event => res.write(formatEvent(event)));
+  // Comment lines keep idle connections from being dropped by proxies
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
 // API: Daily breakdown - uses accurate daily data from ccusage
 app.get('/api/daily', (req, res) => {
   try {
@@ -122,6 +449,7 @@ app.get('/api/daily', (req, res) => {
       totalTokens: day.totalTokens || 0,
       modelsUsed: day.modelsUsed || [],
       modelBreakdowns: day.modelBreakdowns || [],
+      machines: day.machines || {},
       // Sessions count not available in daily data - can add later if needed
       sessions: 0,
       projects: {},
@@ -137,19 +465,261 @@ app.get('/api/daily', (req, res) => {
   }
 });
 
-// API: Get summary stats
+// API: Query usage - filter by from/to/group/machine/model/project/tool, aggregate by groupBy
+app.get('/api/usage', (req, res) => {
+  let params;
+  try {
+    params = parseUsageQuery(req.query);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  try {
+    res.json(queryUsage(queryMachineData(params), loadConfig(), params));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// API: Usage by weekday and local hour - filter by from/to/group/machine/project/tool
+app.get('/api/heatmap', (req, res) => {
+  let params;
+  try {
+    params = parseHeatmapQuery(req.query);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  try {
+    res.json(buildHeatmap(queryMachineData(params), loadConfig(), params));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// API: Cost and tokens per model over time and per group - filter by from/to/group/machine/model/project/tool
+app.get('/api/models', (req, res) => {
+  let params;
+  try {
+    params = parseModelsQuery(req.query);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  try {
+    res.json(buildModelReport(queryMachineData(params), loadConfig(), params));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// API: Reprice a period as if share% of fromModel's traffic had used toModel
+app.get('/api/models/what-if', (req, res) => {
+  const config = loadConfig();
+  let params;
+  try {
+    params = parseWhatIfQuery(req.query, getRates(config));
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  try {
+    // Sessions aren't indexed by date, so this reads whole machine files
+    res.json(buildWhatIf(loadMachineData(), config, params));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// API: Prompt cache hit ratio, savings and write spend - filter by from/to/group/machine/model/project/tool
+app.get('/api/cache', (req, res) => {
+  let params;
+  try {
+    params = parseCacheQuery(req.query);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  try {
+    // Sessions aren't indexed by date, so this reads whole machine files
+    res.json(buildCacheReport(loadMachineData(), loadConfig(), params));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// API: Download a machine's usage data as usage-<machine>.json (the cloud exchange format)
+app.get('/api/export/:machineId', (req, res) => {
+  try {
+    const data = loadMachineData()[req.params.machineId];
+    if (!data) {
+      return res.status(404).json({ error: `No data for machine ${req.params.machineId}` });
+    }
+    res.attachment(`usage-${req.params.machineId}.json`);
+    res.type('json').send(JSON.stringify(data, null, 2));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Send a billing report or invoice as JSON, CSV (download) or printable HTML
+function sendBillingReport(res, report, format = 'json') {
+  const name = report.number || `${report.group}-${report.from}-${report.to}`;
+  if (format === 'csv') {
+    res.attachment(`invoice-${name.replace(/[^\w.-]+/g, '_')}.csv`);
+    return res.type('csv').send(formatBillingCsv(report));
+  }
+  if (format === 'html') return res.type('html').send(renderInvoiceHtml(report));
+  res.json(report);
+}
+
+function parseReportFormat(query) {
+  const format = query.format || 'json';
+  if (!['json', 'csv', 'html'].includes(format)) {
+    throw new Error('format must be one of: json, csv, html');
+  }
+  return format;
+}
+
+// API: Billing report for a group and period (?group=&month=YYYY-MM or &from=&to=, &format=json|csv|html).
+// A period that has been issued returns the locked invoice instead of live numbers.
+app.get('/api/reports/billing', (req, res) => {
+  let params, format;
+  try {
+    params = parseBillingQuery(req.query);
+    format = parseReportFormat(req.query);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  try {
+    const issued = invoices.find(params.group, params.from, params.to);
+    if (issued) return sendBillingReport(res, issued, format);
+
+    const report = buildBillingReport(queryMachineData(params), loadConfig(), params);
+    report.overlappingInvoices = invoices.overlapping(params.group, params.from, params.to).map(i => i.number);
+    sendBillingReport(res, report, format);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// API: List issued invoices
+app.get('/api/reports/billing/invoices', (req, res) => {
+  try {
+    res.json({ invoices: invoices.list() });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// API: Issue an invoice { group, month } or { group, from, to }, locking its numbers
+app.post('/api/reports/billing/invoices', (req, res) => {
+  let params;
+  try {
+    params = parseBillingQuery(req.body);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  try {
+    const config = loadConfig();
+    if (!(config.projectGroups || {})[params.group]) {
+      return res.status(404).json({ error: `Group "${params.group}" not found` });
+    }
+    const overlapping = invoices.overlapping(params.group, params.from, params.to);
+    if (overlapping.length > 0) {
+      const [clash] = overlapping;
+      return res.status(400).json({ error: `${params.group} is already invoiced for ${clash.from} to ${clash.to} (${clash.number})` });
+    }
+    const invoice = invoices.issue(buildBillingReport(queryMachineData(params), config, params));
+    publish('data-changed', { reason: 'invoice' });
+    res.json({ success: true, invoice });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// API: One issued invoice (?format=json|csv|html)
+app.get('/api/reports/billing/invoices/:number', (req, res) => {
+  let format;
+  try {
+    format = parseReportFormat(req.query);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  try {
+    const invoice = invoices.get(req.params.number);
+    if (!invoice) {
+      return res.status(404).json({ error: `Invoice ${req.params.number} not found` });
+    }
+    sendBillingReport(res, invoice, format);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// API: Void an issued invoice, unlocking its period
+app.delete('/api/reports/billing/invoices/:number', (req, res) => {
+  try {
+    if (!invoices.remove(req.params.number)) {
+      return res.status(404).json({ error: `Invoice ${req.params.number} not found` });
+    }
+    publish('data-changed', { reason: 'invoice' });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// API: Set a group's billing terms { client, markup } or { client, rate }
+app.put('/api/reports/billing/terms/:name', (req, res) => {
+  const { name } = req.params;
+  let terms;
+  try {
+    terms = parseBillingTerms(req.body);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  try {
+    const config = loadConfig();
+    if (!(config.projectGroups || {})[name]) {
+      return res.status(404).json({ error: `Group "${name}" not found` });
+    }
+    config.billing = config.billing || {};
+    config.billing.groups = { ...config.billing.groups, [name]: terms };
+    saveConfig(config);
+    publish('data-changed', { reason: 'billing' });
+    res.json({ success: true, billing: config.billing });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// API: Remove a group's billing terms (bill at cost)
+app.delete('/api/reports/billing/terms/:name', (req, res) => {
+  try {
+    const config = loadConfig();
+    if (config.billing && config.billing.groups) {
+      delete config.billing.groups[req.params.name];
+      saveConfig(config);
+      publish('data-changed', { reason: 'billing' });
+    }
+    res.json({ success: true, billing: config.billing || {} });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// API: Get summary stats (optionally for one machine)
 app.get('/api/summary', (req, res) => {
   try {
     const data = loadAllData();
     const config = loadConfig();
-    const sessions = Object.values(data.sessions || {});
+    const { machine } = req.query;
+    const sessions = Object.values(data.sessions || {})
+      .filter(s => !machine || s.machineId === machine);
 
     const summary = {
       totalSessions: sessions.length,
-      totalCost: sessions.reduce((sum, s) => sum + (s.totalCost || s.cost || 0), 0),
-      totalInputTokens: sessions.reduce((sum, s) => sum + (s.inputTokens || s.input_tokens || 0), 0),
-      totalOutputTokens: sessions.reduce((sum, s) => sum + (s.outputTokens || s.output_tokens || 0), 0),
-      projects: [...new Set(sessions.map(s => s.projectPath || s.project))].filter(Boolean),
+      totalCost: sessions.reduce((sum, s) => sum + (s.totalCost || 0), 0),
+      apiCost: sessions.reduce((sum, s) => sum + (s.apiCost ?? s.totalCost ?? 0), 0),
+      totalInputTokens: sessions.reduce((sum, s) => sum + (s.inputTokens || 0), 0),
+      totalOutputTokens: sessions.reduce((sum, s) => sum + (s.outputTokens || 0), 0),
+      projects: [...new Set(sessions.map(s => s.projectPath))].filter(Boolean),
       lastSync: data.lastSync
     };
 
@@ -177,14 +747,18 @@ app.get('/api/claude-settings', (req, res) => {
 
 // API: Update Claude settings
 app.post('/api/claude-settings', (req, res) => {
+  const { cleanupPeriodDays } = req.body || {};
+  if (cleanupPeriodDays !== undefined && !(Number.isInteger(Number(cleanupPeriodDays)) && Number(cleanupPeriodDays) > 0)) {
+    return res.status(400).json({ error: 'cleanupPeriodDays must be a whole number of days greater than 0' });
+  }
   try {
     let settings = {};
     if (fs.existsSync(CLAUDE_SETTINGS_FILE)) {
       settings = JSON.parse(fs.readFileSync(CLAUDE_SETTINGS_FILE, 'utf8'));
     }
 
-    if (req.body.cleanupPeriodDays !== undefined) {
-      settings.cleanupPeriodDays = parseInt(req.body.cleanupPeriodDays, 10);
+    if (cleanupPeriodDays !== undefined) {
+      settings.cleanupPeriodDays = Number(cleanupPeriodDays);
     }
 
     // Ensure directory exists
@@ -200,12 +774,16 @@ app.post('/api/claude-settings', (req, res) => {
   }
 });
 
-// API: Get cloud sync folder
+// API: Get cloud sync target (credentials are never returned)
 app.get('/api/cloud-dir', (req, res) => {
   try {
     const cloudDir = getCloudDir();
+    const remote = cloudDir && typeof cloudDir === 'object';
     res.json({
-      cloudDir: cloudDir || null,
+      cloudDir: remote ? null : cloudDir || null,
+      backend: remote ? redactCloudTarget(cloudDir) : null,
+      type: cloudDir ? (remote ? cloudDir.type : 'folder') : null,
+      location: describeCloudTarget(cloudDir),
       isConfigured: !!cloudDir
     });
   } catch (err) {
@@ -213,42 +791,85 @@ app.get('/api/cloud-dir', (req, res) => {
   }
 });
 
-// API: Set cloud sync folder directly
-app.post('/api/cloud-dir', (req, res) => {
-  try {
-    const { cloudDir } = req.body;
+// API: Set cloud sync target: { cloudDir } for a folder, or
+// { backend: { type: 's3' | 'webdav', ... } } for remote storage
+app.post('/api/cloud-dir', async (req, res) => {
+  const { cloudDir, backend } = req.body || {};
+  let target;
+
+  if (backend) {
+    // Leaving a secret blank keeps the one already saved for the same backend
+    const saved = getCloudDir();
+    const input = { ...backend };
+    if (saved && typeof saved === 'object' && saved.type === input.type) {
+      if (!input.secretAccessKey && saved.secretAccessKey) input.secretAccessKey = saved.secretAccessKey;
+      if (!input.password && saved.password) input.password = saved.password;
+    }
+    try {
+      target = parseCloudTarget(input);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+  } else {
     if (!cloudDir) {
-      return res.status(400).json({ error: 'cloudDir required' });
+      return res.status(400).json({ error: 'cloudDir or backend required' });
+    }
+    if (typeof cloudDir !== 'string') {
+      return res.status(400).json({ error: 'cloudDir must be a folder path' });
     }
+    target = cloudDir;
+  }
 
+  if (typeof target === 'string') {
     // Validate the path exists and is a directory
-    if (!fs.existsSync(cloudDir)) {
+    if (!fs.existsSync(target)) {
       return res.status(400).json({ error: 'Directory does not exist' });
     }
-    const stat = fs.statSync(cloudDir);
+    const stat = fs.statSync(target);
     if (!stat.isDirectory()) {
       return res.status(400).json({ error: 'Path is not a directory' });
     }
+  } else {
+    // Check the credentials and location before saving them
+    try {
+      const store = createCloudBackend(target);
+      await store.ensure();
+      await store.list();
+    } catch (err) {
+      return res.status(400).json({ error: `Cannot reach ${describeCloudTarget(target)}: ${err.message}` });
+    }
+  }
 
-    saveCloudDir(cloudDir);
+  try {
+    await withSyncLock(async () => {
+      saveCloudDir(target);
 
-    // Immediately sync with the new cloud folder
-    const machineId = getMachineId();
-    if (machineId) {
-      syncWithCloud(DATA_DIR, cloudDir, machineId);
-    }
+      // Immediately sync with the new cloud target
+      const machineId = getMachineId();
+      if (machineId) {
+        await syncCloudDir(target, machineId);
+      }
+    });
 
-    res.json({ cloudDir, success: true });
+    res.json({
+      cloudDir: typeof target === 'string' ? target : null,
+      type: typeof target === 'string' ? 'folder' : target.type,
+      location: describeCloudTarget(target),
+      success: true
+    });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(err.code === 'ESYNCLOCKED' ? 409 : 500).json({ error: err.message });
   }
 });
 
-// API: Open native folder picker (macOS)
+// API: Open native folder picker (macOS only; the dashboard's own picker uses /api/fs/browse)
 app.post('/api/cloud-dir/pick', (req, res) => {
+  if (process.platform !== 'darwin') {
+    return res.status(400).json({ error: 'The native folder picker is only available on macOS' });
+  }
   const script = `osascript -e 'POSIX path of (choose folder with prompt "Choose cloud sync folder for LoopTrack")'`;
 
-  exec(script, (err, stdout, stderr) => {
+  exec(script, async (err, stdout, stderr) => {
     if (err) {
       // User cancelled or error
       return res.json({ cancelled: true });
@@ -260,22 +881,143 @@ app.post('/api/cloud-dir/pick', (req, res) => {
     }
 
     try {
-      saveCloudDir(folder);
+      await withSyncLock(async () => {
+        saveCloudDir(folder);
 
-      // Immediately sync with the new cloud folder
-      const machineId = getMachineId();
-      if (machineId) {
-        syncWithCloud(DATA_DIR, folder, machineId);
-      }
+        // Immediately sync with the new cloud folder
+        const machineId = getMachineId();
+        if (machineId) {
+          await syncCloudDir(folder, machineId);
+        }
+      });
 
-      res.json({ cloudDir: folder, success: true });
+      res.json({ cloudDir: folder, type: 'folder', location: folder, success: true });
     } catch (err) {
-      res.status(500).json({ error: err.message });
+      res.status(err.code === 'ESYNCLOCKED' ? 409 : 500).json({ error: err.message });
     }
   });
 });
 
-// API: Clear cloud sync folder
+// Status codes for errors from browseDirectory()
+const BROWSE_ERROR_STATUS = { EOUTSIDEROOTS: 403, EACCES: 403, EPERM: 403, ENOENT: 404, ENOTDIR: 400 };
+
+// API: Folders for the dashboard's folder picker: ?path=<dir>&hidden=1. Limited to the
+// home directory and config.folderPicker.roots; detected sync folders are listed as shortcuts.
+app.get('/api/fs/browse', (req, res) => {
+  const { path: dir, hidden } = req.query;
+  if (dir !== undefined && typeof dir !== 'string') {
+    return res.status(400).json({ error: 'path must be a single folder path' });
+  }
+  try {
+    const roots = getBrowseRoots(loadConfig());
+    const listing = browseDirectory(dir, roots, { hidden: hidden === '1' || hidden === 'true' });
+    res.json({
+      ...listing,
+      roots,
+      syncFolders: findSyncFolders().filter(folder => isBrowsable(folder.path, roots)),
+      nativePicker: process.platform === 'darwin'
+    });
+  } catch (err) {
+    res.status(BROWSE_ERROR_STATUS[err.code] || 500).json({ error: err.message });
+  }
+});
+
+// API: Saved versions of each machine's usage file, newest first
+app.get('/api/cloud/versions', (req, res) => {
+  try {
+    res.json({ currentMachine: getMachineId(), versions: listMachineVersions() });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// API: Roll a machine's usage file back to a saved version { machineId, version }
+app.post('/api/cloud/versions/restore', async (req, res) => {
+  const { machineId, version } = req.body || {};
+  if (typeof machineId !== 'string' || typeof version !== 'string' || !machineId || !version) {
+    return res.status(400).json({ error: 'machineId and version required' });
+  }
+  try {
+    const versions = listMachineVersions()[machineId] || [];
+    if (!versions.some(v => v.id === version)) {
+      return res.status(404).json({ error: `Version ${version} of ${machineId} not found` });
+    }
+    const restored = await restoreMachineVersion(machineId, version);
+    publish('data-changed', { reason: 'restore' });
+    res.json({ success: true, restored });
+  } catch (err) {
+    res.status(err.code === 'ESYNCLOCKED' ? 409 : 500).json({ error: err.message });
+  }
+});
+
+// API: Cloud encryption status (never returns the passphrase)
+app.get('/api/cloud/encryption', (req, res) => {
+  try {
+    const settings = getEncryptionSettings();
+    res.json({
+      enabled: Boolean(settings && (settings.passphrase || settings.keychain)),
+      source: settings ? (settings.passphrase ? 'passphrase' : settings.keychain ? 'keychain' : null) : null,
+      keychain: (settings && settings.keychain) || null,
+      undecryptable: getUndecryptableMachines()
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// API: Turn on cloud encryption { passphrase } or { keychain: { service, account } }
+app.put('/api/cloud/encryption', async (req, res) => {
+  const { passphrase, keychain } = req.body || {};
+  let settings;
+  if (passphrase !== undefined) {
+    if (typeof passphrase !== 'string' || passphrase.length < 8) {
+      return res.status(400).json({ error: 'passphrase must be at least 8 characters' });
+    }
+    settings = { passphrase };
+  } else if (keychain && keychain.service && keychain.account) {
+    settings = { keychain: { service: String(keychain.service), account: String(keychain.account) } };
+    try {
+      if (!resolvePassphrase(settings)) throw new Error('The keychain entry is empty');
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+  } else {
+    return res.status(400).json({ error: 'passphrase or keychain { service, account } required' });
+  }
+
+  try {
+    // Changed under the lock, so a running sync can't push a file with the old settings
+    await withSyncLock(async () => {
+      saveEncryptionSettings(settings);
+      // Re-push this machine's file encrypted and retry files that couldn't be decrypted
+      const cloudDir = getCloudDir();
+      const machineId = getMachineId();
+      if (cloudDir && machineId) await syncCloudDir(cloudDir, machineId);
+    });
+    publish('data-changed', { reason: 'encryption' });
+    res.json({ success: true, source: settings.passphrase ? 'passphrase' : 'keychain', undecryptable: getUndecryptableMachines() });
+  } catch (err) {
+    res.status(err.code === 'ESYNCLOCKED' ? 409 : 500).json({ error: err.message });
+  }
+});
+
+// API: Turn off cloud encryption (this machine's file is pushed unencrypted)
+app.delete('/api/cloud/encryption', async (req, res) => {
+  try {
+    await withSyncLock(async () => {
+      saveEncryptionSettings(null);
+      const cloudDir = getCloudDir();
+      const machineId = getMachineId();
+      if (cloudDir && machineId) await syncCloudDir(cloudDir, machineId);
+    });
+    publish('data-changed', { reason: 'encryption' });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(err.code === 'ESYNCLOCKED' ? 409 : 500).json({ error: err.message });
+  }
+});
+
+// API: Clear cloud sync target
 app.delete('/api/cloud-dir', (req, res) => {
   try {
     saveCloudDir(null);
@@ -285,6 +1027,18 @@ app.delete('/api/cloud-dir', (req, res) => {
   }
 });
 
-app.listen(PORT, () => {
-  console.log(`LoopTrack running at http://localhost:${PORT}`);
+app.listen(serverOptions.port, serverOptions.host, async () => {
+  const { host, port } = serverOptions;
+  const shown = serverOptions.public ? (host === '0.0.0.0' || host === '::' ? os.hostname() : host) : 'localhost';
+  console.log(`LoopTrack running at http://${shown.includes(':') ? `[${shown}]` : shown}:${port}`);
+  if (auth) console.log(`Login required (${[auth.password && 'password', auth.token && 'token'].filter(Boolean).join(' or ')})`);
+
+  const watch = syncSettings.watch ? await getWatchTargets(loadConfig()) : [];
+  scheduler.start(watch);
+  if (syncSettings.intervalMinutes) {
+    console.log(`Syncing every ${syncSettings.intervalMinutes} minutes`);
+  }
+  for (const { dir } of watch) {
+    console.log(`Watching ${dir}`);
+  }
 });
@@ -0,0 +1,239 @@
+const { getUsageRows, getSessionRows } = require('./query');
+const { toLocalDate } = require('./collectorUtils');
+
+// Spend anomalies found by comparing recent usage with a rolling baseline:
+//   project-spike   a project spends projectMultiplier x its median day
+//   session-outlier a session costs more than sessionPercentile of all sessions
+//   off-hours       a machine is used in quiet hours after a baseline without any
+// Findings are stored in the usage file of the machine that found them, so they
+// sync like budget events; acknowledging or dismissing one stores an updated copy.
+
+const TYPES = ['project-spike', 'session-outlier', 'off-hours'];
+const SEVERITIES = ['low', 'medium', 'high'];
+const STATUSES = ['open', 'acknowledged', 'dismissed'];
+
+const DEFAULT_SETTINGS = {
+  enabled: true,
+  // Days before each checked day that make up the baseline
+  baselineDays: 14,
+  // Days up to today that are checked, so usage synced late is still looked at
+  recentDays: 3,
+  projectMultiplier: 5,
+  sessionPercentile: 99,
+  // Local hours [from, to); from > to wraps past midnight
+  quietHours: { from: 0, to: 6 },
+  // Below this, spikes and outliers are ignored and off-hours use is low severity
+  minCost: 1
+};
+// A baseline needs this many active days, and a percentile this many sessions
+const MIN_BASELINE_DAYS = 3;
+const MIN_SESSIONS = 20;
+
+/**
+ * Anomaly settings from config.anomalies, with defaults for anything not set.
+ * @param {object} config - Parsed config.json
+ * @returns {object}
+ */
+function getAnomalySettings(config) {
+  const settings = (config && config.anomalies) || {};
+  return {
+    ...DEFAULT_SETTINGS,
+    ...settings,
+    quietHours: { ...DEFAULT_SETTINGS.quietHours, ...(settings.quietHours || {}) }
+  };
+}
+
+function addDays(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+// The `count` days before a date, most recent first
+function daysBefore(date, count) {
+  return Array.from({ length: count }, (_, i) => addDays(date, -(i + 1)));
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Nearest-rank percentile
+function percentile(values, p) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+function isQuietHour(hour, { from, to }) {
+  return from <= to ? hour >= from && hour < to : hour >= from || hour < to;
+}
+
+function formatUsd(amount) {
+  return `$${amount.toFixed(2)}`;
+}
+
+function formatHour(hour) {
+  return `${String(hour).padStart(2, '0')}:00`;
+}
+
+function projectName(projectPath) {
+  return projectPath.split('/').filter(Boolean).pop() || projectPath;
+}
+
+function findProjectSpikes(rows, settings, dates) {
+  const costs = {};
+  for (const row of rows) {
+    if (!costs[row.projectPath]) costs[row.projectPath] = {};
+    costs[row.projectPath][row.date] = (costs[row.projectPath][row.date] || 0) + row.totalCost;
+  }
+
+  const findings = [];
+  for (const [projectPath, byDate] of Object.entries(costs)) {
+    for (const date of dates) {
+      const cost = byDate[date] || 0;
+      if (cost < settings.minCost) continue;
+      const baseline = daysBefore(date, settings.baselineDays).map(d => byDate[d] || 0).filter(c => c > 0);
+      if (baseline.length < MIN_BASELINE_DAYS) continue;
+      const typical = median(baseline);
+      const ratio = cost / typical;
+      if (ratio < settings.projectMultiplier) continue;
+      findings.push({
+        id: `project-spike:${projectPath}:${date}`,
+        type: 'project-spike',
+        severity: ratio >= settings.projectMultiplier * 2 ? 'high' : 'medium',
+        date,
+        projectPath,
+        value: cost,
+        baseline: typical,
+        explanation: `${projectName(projectPath)} spent ${formatUsd(cost)} on ${date}, ${ratio.toFixed(1)}× its median of ${formatUsd(typical)} over the ${baseline.length} active days in the previous ${settings.baselineDays}.`
+      });
+    }
+  }
+  return findings;
+}
+
+// The percentile is taken over sessions before the checked days, so a burst of
+// expensive sessions doesn't raise its own bar
+function findSessionOutliers(sessions, settings, dates) {
+  const recent = new Set(dates);
+  const earliest = dates[dates.length - 1];
+  const earlier = sessions.filter(s => s.date < earliest);
+  if (earlier.length < MIN_SESSIONS) return [];
+  const threshold = percentile(earlier.map(s => s.totalCost), settings.sessionPercentile);
+
+  return sessions
+    .filter(s => recent.has(s.date) && s.totalCost > threshold && s.totalCost >= settings.minCost)
+    .map(s => ({
+      id: `session-outlier:${s.id}`,
+      type: 'session-outlier',
+      severity: s.totalCost >= threshold * 2 ? 'high' : 'medium',
+      date: s.date,
+      machineId: s.machineId,
+      projectPath: s.projectPath,
+      sessionId: s.id,
+      value: s.totalCost,
+      baseline: threshold,
+      explanation: `A session in ${projectName(s.projectPath) || 'an unknown project'} on ${s.machineId} cost ${formatUsd(s.totalCost)}, above the ${settings.sessionPercentile}th percentile of ${formatUsd(threshold)} across ${earlier.length} earlier sessions.`
+    }));
+}
+
+function findOffHoursUse(rows, settings, dates) {
+  // Per machine and date: whether it was used at all, and its quiet-hour usage by hour
+  const machines = {};
+  for (const row of rows) {
+    if (!machines[row.machineId]) machines[row.machineId] = {};
+    const day = machines[row.machineId][row.date] = machines[row.machineId][row.date] || { active: false, bucketed: false, quiet: {} };
+    if (row.totalTokens > 0 || row.totalCost > 0) day.active = true;
+    if (row.hours) day.bucketed = true;
+    for (const [hour, bucket] of Object.entries(row.hours || {})) {
+      const h = Number(hour);
+      if (!isQuietHour(h, settings.quietHours) || !(bucket.totalTokens > 0)) continue;
+      day.quiet[h] = (day.quiet[h] || 0) + (bucket.totalCost || 0);
+    }
+  }
+
+  const { from, to } = settings.quietHours;
+  const findings = [];
+  for (const [machineId, byDate] of Object.entries(machines)) {
+    for (const date of dates) {
+      const hours = Object.keys((byDate[date] || {}).quiet || {}).map(Number).sort((a, b) => a - b);
+      if (hours.length === 0) continue;
+      // Days synced without hourly buckets can't show quiet-hour use, so they don't count
+      const baseline = daysBefore(date, settings.baselineDays).map(d => byDate[d]).filter(d => d && d.active && d.bucketed);
+      // A machine without history isn't "suddenly" active
+      if (baseline.length === 0 || baseline.some(d => Object.keys(d.quiet).length > 0)) continue;
+      const cost = hours.reduce((sum, h) => sum + byDate[date].quiet[h], 0);
+      findings.push({
+        id: `off-hours:${machineId}:${date}`,
+        type: 'off-hours',
+        severity: cost >= settings.minCost ? 'medium' : 'low',
+        date,
+        machineId,
+        value: cost,
+        baseline: 0,
+        explanation: `${machineId} was used at ${hours.map(formatHour).join(', ')} on ${date} (${formatUsd(cost)}), with no use between ${formatHour(from)} and ${formatHour(to)} in the previous ${settings.baselineDays} days.`
+      });
+    }
+  }
+  return findings;
+}
+
+/**
+ * Look for anomalies in the last few days of usage across machines.
+ * @param {object} machineData - Per-machine data files, with sessions (from loadMachineData)
+ * @param {object} config - Parsed config.json (anomalies settings and project groups)
+ * @param {Date} [now] - Evaluation time
+ * @returns {Array<object>} Findings: { id, type, severity, date, projectPath, machineId, sessionId,
+ *   value, baseline, explanation }, most severe first. Ids are stable, so a finding is only
+ *   recorded once.
+ */
+function detectAnomalies(machineData, config, now = new Date()) {
+  const settings = getAnomalySettings(config);
+  if (!settings.enabled) return [];
+  const groups = (config && config.projectGroups) || {};
+  const today = toLocalDate(now, config && config.timezone);
+  const dates = [today, ...daysBefore(today, settings.recentDays - 1)];
+  const rows = getUsageRows(machineData, groups);
+
+  const findings = [
+    ...findProjectSpikes(rows, settings, dates),
+    ...findSessionOutliers(getSessionRows(machineData, groups), settings, dates),
+    ...findOffHoursUse(rows, settings, dates)
+  ];
+  return findings.sort((a, b) => SEVERITIES.indexOf(b.severity) - SEVERITIES.indexOf(a.severity) || b.value - a.value);
+}
+
+/**
+ * Findings that aren't recorded yet, stamped to be stored as open.
+ * @param {Array<object>} findings - From detectAnomalies()
+ * @param {Array<object>} existing - Recorded anomalies (any status)
+ * @param {string} machineId - Machine recording them
+ * @returns {Array<object>}
+ */
+function findNewAnomalies(findings, existing = [], machineId) {
+  const recorded = new Set(existing.map(a => a.id));
+  const detectedAt = new Date().toISOString();
+  return findings
+    .filter(f => !recorded.has(f.id))
+    .map(f => ({ ...f, status: 'open', detectedAt, detectedBy: machineId }));
+}
+
+/**
+ * Merge recorded anomalies from several machines: one per id, the most
+ * recently updated copy winning.
+ * @param {...Array<object>} lists - Anomalies from each usage file
+ * @returns {Array<object>} Newest first
+ */
+function mergeAnomalies(...lists) {
+  const byId = {};
+  const updated = a => a.updatedAt || a.detectedAt || '';
+  for (const anomaly of lists.flat()) {
+    if (!anomaly || !anomaly.id) continue;
+    if (!byId[anomaly.id] || updated(anomaly) > updated(byId[anomaly.id])) byId[anomaly.id] = anomaly;
+  }
+  return Object.values(byId).sort((a, b) => (b.detectedAt || '').localeCompare(a.detectedAt || ''));
+}
+
+module.exports = { TYPES, SEVERITIES, STATUSES, DEFAULT_SETTINGS, getAnomalySettings, detectAnomalies, findNewAnomalies, mergeAnomalies };
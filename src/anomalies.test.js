@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'bun:test';
+
+import { detectAnomalies, findNewAnomalies, mergeAnomalies } from './anomalies';
+
+// Test fixtures
+const now = new Date(2025, 0, 20, 12);
+const today = '2025-01-20';
+
+function date(daysAgo) {
+  const d = new Date(2025, 0, 20 - daysAgo);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+function projectDay(totalCost, hours = { '14': totalCost }) {
+  return {
+    totalCost,
+    totalTokens: totalCost * 1000,
+    hours: Object.fromEntries(Object.entries(hours).map(([hour, cost]) => [hour, { totalCost: cost, totalTokens: cost * 1000 }]))
+  };
+}
+
+// Two weeks of steady use, then today's numbers
+function machine(history, todayProjects, sessions = {}) {
+  const daily = {};
+  for (let i = 1; i <= 14; i++) daily[date(i)] = { projects: history(i) };
+  daily[today] = { projects: todayProjects };
+  return { daily, sessions };
+}
+
+function sessions(count, cost, lastActivity = date(5)) {
+  return Object.fromEntries(Array.from({ length: count }, (_, i) => [`s${i}`, { projectPath: '/work/app', lastActivity, totalCost: cost }]));
+}
+
+describe('detectAnomalies', () => {
+  it('flags a project spending several times its median day', () => {
+    const machineData = {
+      laptop: machine(i => ({ '/work/app': projectDay(i % 2 ? 4 : 6) }), { '/work/app': projectDay(60) }),
+      desktop: machine(() => ({ '/home/blog': projectDay(2) }), { '/home/blog': projectDay(2), '/work/app': projectDay(5) })
+    };
+
+    const findings = detectAnomalies(machineData, {}, now);
+    expect(findings).toHaveLength(1);
+    expect(findings[0]).toMatchObject({
+      id: `project-spike:/work/app:${today}`,
+      type: 'project-spike',
+      severity: 'high',
+      value: 65,
+      baseline: 5
+    });
+    expect(findings[0].explanation).toBe(`app spent $65.00 on ${today}, 13.0× its median of $5.00 over the 14 active days in the previous 14.`);
+
+    expect(detectAnomalies(machineData, { anomalies: { projectMultiplier: 20 } }, now)).toEqual([]);
+    expect(detectAnomalies(machineData, { anomalies: { enabled: false } }, now)).toEqual([]);
+  });
+
+  it('flags costly sessions and a machine suddenly used in quiet hours', () => {
+    const history = () => ({ '/work/app': projectDay(5) });
+    const machineData = {
+      laptop: machine(history, { '/work/app': projectDay(5, { '03': 2, '14': 3 }) }, {
+        ...sessions(30, 2),
+        runaway: { projectPath: '/work/app', lastActivity: today, totalCost: 40 },
+        busy: { projectPath: '/work/app', lastActivity: date(1), totalCost: 2 }
+      })
+    };
+
+    const findings = detectAnomalies(machineData, {}, now);
+    expect(findings.map(f => [f.type, f.severity])).toEqual([['session-outlier', 'high'], ['off-hours', 'medium']]);
+    expect(findings[0]).toMatchObject({ sessionId: 'runaway', machineId: 'laptop', value: 40, baseline: 2 });
+    expect(findings[0].explanation).toContain('across 30 earlier sessions');
+    expect(findings[1]).toMatchObject({ id: `off-hours:laptop:${today}`, value: 2 });
+    expect(findings[1].explanation).toContain('laptop was used at 03:00');
+
+    // Quiet hours that wrap past midnight, and a machine already used at night
+    const night = { anomalies: { quietHours: { from: 22, to: 4 } } };
+    const nightOwl = { laptop: machine(() => ({ '/work/app': projectDay(5, { '23': 5 }) }), { '/work/app': projectDay(5, { '03': 5 }) }) };
+    expect(detectAnomalies(nightOwl, night, now)).toEqual([]);
+  });
+});
+
+describe('recording anomalies', () => {
+  it('records each finding once and keeps the latest status across machines', () => {
+    const finding = { id: 'off-hours:laptop:2025-01-20', type: 'off-hours', severity: 'low', value: 0.5 };
+    const [recorded] = findNewAnomalies([finding], [], 'laptop');
+    expect(recorded).toMatchObject({ status: 'open', detectedBy: 'laptop' });
+    expect(findNewAnomalies([finding], [recorded], 'desktop')).toEqual([]);
+
+    const dismissed = { ...recorded, status: 'dismissed', updatedAt: '2099-01-01T00:00:00.000Z', updatedBy: 'desktop' };
+    expect(mergeAnomalies([recorded], [dismissed])).toEqual([dismissed]);
+    expect(mergeAnomalies([dismissed], [recorded])).toEqual([dismissed]);
+  });
+});
@@ -0,0 +1,249 @@
+const crypto = require('crypto');
+const { parseArgs } = require('util');
+
+const DEFAULT_PORT = 3456;
+const DEFAULT_HOST = '127.0.0.1';
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '::1'];
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+// Reachable without logging in, so there is somewhere to log in from
+const OPEN_PATHS = ['/login.html', '/api/login'];
+const SESSION_COOKIE = 'looptrack_session';
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const SCRYPT = { N: 16384, r: 8, p: 1 };
+const MIN_PASSWORD_LENGTH = 8;
+// Failed logins allowed per address before it has to wait
+const MAX_FAILED_LOGINS = 10;
+const LOGIN_LOCKOUT_MS = 60 * 1000;
+
+/**
+ * Server command-line options. The dashboard listens on localhost unless asked otherwise.
+ * @param {Array<string>} argv - e.g. process.argv.slice(2)
+ * @param {object} [env] - Environment (PORT, LOOPTRACK_HOST)
+ * @returns {object} { host, port, public }
+ */
+function parseServerArgs(argv, env = {}) {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      args: argv,
+      options: {
+        host: { type: 'string' },
+        port: { type: 'string' },
+        public: { type: 'boolean' }
+      }
+    }));
+  } catch (err) {
+    throw new Error(err.message.replace(/\. To specify a positional argument.*$/, ''));
+  }
+
+  if (values.public && values.host) throw new Error('Use either --host or --public, not both');
+  const host = values.public ? '0.0.0.0' : (values.host || env.LOOPTRACK_HOST || DEFAULT_HOST);
+  const port = Number(values.port || env.PORT || DEFAULT_PORT);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) throw new Error('--port must be a port number');
+  return { host, port, public: !isLoopbackHost(host) };
+}
+
+function isLoopbackHost(host) {
+  const name = String(host || '').replace(/^\[|\]$/g, '').toLowerCase();
+  return LOOPBACK_HOSTS.includes(name) || name.startsWith('127.');
+}
+
+// Hostname from a Host header ("localhost:3456", "[::1]:3456")
+function hostName(header) {
+  const match = /^(\[[^\]]*\]|[^:]*)(?::\d+)?$/.exec(header || '');
+  return match ? match[1] : '';
+}
+
+/**
+ * Hash a dashboard password for identity.json.
+ * @param {string} password
+ * @returns {object} { kdf, N, r, p, salt, hash }
+ */
+function hashPassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, 32, SCRYPT);
+  return { kdf: 'scrypt', ...SCRYPT, salt: salt.toString('base64'), hash: hash.toString('base64') };
+}
+
+function verifyPassword(password, stored) {
+  if (!stored || stored.kdf !== 'scrypt' || typeof password !== 'string') return false;
+  const expected = Buffer.from(stored.hash, 'base64');
+  const { N, r, p } = stored;
+  const actual = crypto.scryptSync(password, Buffer.from(stored.salt, 'base64'), expected.length, { N, r, p });
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function createToken() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+// Compare secrets without leaking how much of them matched
+function safeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string') return false;
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+/**
+ * Login settings in effect: identity.json's auth section, plus LOOPTRACK_TOKEN and
+ * LOOPTRACK_PASSWORD from the environment.
+ * @param {object|null} settings - From getAuthSettings(): { token, password }
+ * @param {object} [env] - Environment
+ * @returns {object|null} { token, password } or null when login is off
+ */
+function resolveAuth(settings, env = {}) {
+  const auth = {};
+  if (settings && settings.token) auth.token = settings.token;
+  if (settings && settings.password) auth.password = settings.password;
+  if (env.LOOPTRACK_TOKEN) auth.token = env.LOOPTRACK_TOKEN;
+  if (env.LOOPTRACK_PASSWORD) auth.password = hashPassword(env.LOOPTRACK_PASSWORD);
+  return auth.token || auth.password ? auth : null;
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of (header || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index <= 0) continue;
+    try {
+      cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+    } catch (err) {
+      // A malformed cookie from some other site on this host; skip it
+    }
+  }
+  return cookies;
+}
+
+// Origin of a browser request, from Origin or (older browsers) Referer
+function requestOrigin(req) {
+  const origin = req.headers.origin || req.headers.referer;
+  if (!origin) return null;
+  try {
+    return new URL(origin).host;
+  } catch (err) {
+    return 'invalid';
+  }
+}
+
+function reject(req, res, status, error) {
+  if (req.path.startsWith('/api/')) return res.status(status).json({ error });
+  res.status(status).type('text').send(error);
+}
+
+/**
+ * Guards for the dashboard: Host checks against DNS rebinding on a localhost
+ * server, same-origin checks on every mutating request, and login when a
+ * password or token is set.
+ * @param {object} options
+ * @param {object|null} options.auth - From resolveAuth()
+ * @param {boolean} options.public - Listening beyond localhost (any Host is accepted)
+ * @returns {object} { middleware, login, logout, isEnabled }
+ */
+function createAccessControl({ auth, public: isPublic }) {
+  // Session id -> expiry time. Sessions end when the server restarts.
+  const sessions = new Map();
+  // Client address -> { count, lockedUntil, lastFailure }
+  const failedLogins = new Map();
+
+  // Forget addresses whose lockout is over and that haven't failed for as long
+  function pruneFailedLogins(now) {
+    for (const [ip, failures] of failedLogins) {
+      if (failures.lockedUntil <= now && failures.lastFailure + LOGIN_LOCKOUT_MS <= now) failedLogins.delete(ip);
+    }
+  }
+
+  function hasSession(req) {
+    const id = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    const expires = id && sessions.get(id);
+    if (!expires) return false;
+    if (expires < Date.now()) {
+      sessions.delete(id);
+      return false;
+    }
+    return true;
+  }
+
+  function startSession(res) {
+    const id = crypto.randomBytes(32).toString('base64url');
+    sessions.set(id, Date.now() + SESSION_TTL_MS);
+    res.setHeader('Set-Cookie', `${SESSION_COOKIE}=${id}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${SESSION_TTL_MS / 1000}`);
+  }
+
+  function isAuthenticated(req) {
+    const header = req.headers.authorization || '';
+    if (auth.token && header.startsWith('Bearer ') && safeEqual(header.slice(7), auth.token)) return true;
+    return hasSession(req);
+  }
+
+  function middleware(req, res, next) {
+    // A page on another site can point its own hostname at 127.0.0.1; only answer to localhost names
+    if (!isPublic && !isLoopbackHost(hostName(req.headers.host))) {
+      return reject(req, res, 403, `Host ${req.headers.host} is not allowed. Use http://localhost, or start with --host/--public.`);
+    }
+    if (MUTATING_METHODS.includes(req.method)) {
+      const origin = requestOrigin(req);
+      if (origin && origin !== req.headers.host) {
+        return reject(req, res, 403, 'Cross-site request blocked');
+      }
+    }
+
+    if (!auth || OPEN_PATHS.includes(req.path)) return next();
+    if (isAuthenticated(req)) return next();
+
+    // Opening a link with ?token=... logs the browser in and drops the token from the address bar
+    if (auth.token && req.method === 'GET' && safeEqual(req.query.token, auth.token)) {
+      startSession(res);
+      const params = new URLSearchParams(req.query);
+      params.delete('token');
+      const query = params.toString();
+      // A single leading slash, so a path like //evil.example can't redirect off-site
+      const target = '/' + req.path.replace(/^[/\\]+/, '');
+      return res.redirect(target + (query ? `?${query}` : ''));
+    }
+
+    if (req.path.startsWith('/api/') || req.method !== 'GET') {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    res.redirect('/login.html');
+  }
+
+  // POST /api/login { password } - the password, or the access token
+  function login(req, res) {
+    if (!auth) return res.json({ success: true });
+    const now = Date.now();
+    pruneFailedLogins(now);
+    const failures = failedLogins.get(req.ip) || { count: 0, lockedUntil: 0, lastFailure: 0 };
+    if (failures.lockedUntil > now) {
+      return res.status(429).json({ error: 'Too many failed logins. Try again in a minute.' });
+    }
+
+    const secret = req.body && req.body.password;
+    const valid = (auth.password && verifyPassword(secret, auth.password)) || (auth.token && safeEqual(secret, auth.token));
+    if (!valid) {
+      failures.count += 1;
+      failures.lastFailure = now;
+      if (failures.count >= MAX_FAILED_LOGINS) {
+        failures.count = 0;
+        failures.lockedUntil = now + LOGIN_LOCKOUT_MS;
+      }
+      failedLogins.set(req.ip, failures);
+      return res.status(401).json({ error: 'Wrong password or token' });
+    }
+    failedLogins.delete(req.ip);
+    startSession(res);
+    res.json({ success: true });
+  }
+
+  function logout(req, res) {
+    sessions.delete(parseCookies(req.headers.cookie)[SESSION_COOKIE]);
+    res.setHeader('Set-Cookie', `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Strict; Max-Age=0`);
+    res.json({ success: true });
+  }
+
+  return { middleware, login, logout, isEnabled: () => Boolean(auth) };
+}
+
+module.exports = { MIN_PASSWORD_LENGTH, parseServerArgs, isLoopbackHost, hashPassword, verifyPassword, createToken, resolveAuth, createAccessControl };
@@ -0,0 +1,141 @@
+import { describe, it, expect } from 'bun:test';
+
+import { parseServerArgs, hashPassword, verifyPassword, resolveAuth, createAccessControl } from './auth';
+
+// Minimal stand-ins for Express requests and responses
+function request({ method = 'GET', path = '/', host = 'localhost:3456', headers = {}, query = {}, body } = {}) {
+  return { method, path, query, body, ip: '127.0.0.1', headers: { host, ...headers } };
+}
+
+function response() {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    status(code) { res.statusCode = code; return res; },
+    json(body) { res.body = body; return res; },
+    type() { return res; },
+    send(body) { res.body = body; return res; },
+    redirect(location) { res.statusCode = 302; res.location = location; return res; },
+    setHeader(name, value) { res.headers[name] = value; }
+  };
+  return res;
+}
+
+function run(access, req) {
+  const res = response();
+  let passed = false;
+  access.middleware(req, res, () => { passed = true; });
+  return { res, passed };
+}
+
+function sessionCookie(res) {
+  return res.headers['Set-Cookie'].split(';')[0];
+}
+
+describe('parseServerArgs', () => {
+  it('listens on localhost unless told otherwise', () => {
+    expect(parseServerArgs([], {})).toEqual({ host: '127.0.0.1', port: 3456, public: false });
+    expect(parseServerArgs(['--port', '8080'], { PORT: '9000' })).toMatchObject({ port: 8080 });
+    expect(parseServerArgs(['--public'])).toEqual({ host: '0.0.0.0', port: 3456, public: true });
+    expect(parseServerArgs(['--host', '192.168.1.20'])).toMatchObject({ host: '192.168.1.20', public: true });
+    expect(parseServerArgs(['--host', '::1'])).toMatchObject({ public: false });
+  });
+
+  it('rejects conflicting or unknown options', () => {
+    expect(() => parseServerArgs(['--public', '--host', '0.0.0.0'])).toThrow('either --host or --public');
+    expect(() => parseServerArgs(['--port', 'http'])).toThrow('--port must be a port number');
+    expect(() => parseServerArgs(['--open'])).toThrow("Unknown option '--open'");
+  });
+});
+
+describe('passwords', () => {
+  it('verifies against a salted hash', () => {
+    const stored = hashPassword('correct horse');
+    expect(stored.hash).not.toContain('correct');
+    expect(verifyPassword('correct horse', stored)).toBe(true);
+    expect(verifyPassword('wrong horse', stored)).toBe(false);
+    expect(() => hashPassword('short')).toThrow('at least 8 characters');
+  });
+
+  it('takes settings from identity.json and the environment', () => {
+    expect(resolveAuth(null, {})).toBeNull();
+    expect(resolveAuth({ token: 'saved' }, { LOOPTRACK_TOKEN: 'from-env' })).toEqual({ token: 'from-env' });
+    expect(verifyPassword('from the env', resolveAuth(null, { LOOPTRACK_PASSWORD: 'from the env' }).password)).toBe(true);
+  });
+});
+
+describe('createAccessControl', () => {
+  it('only answers to localhost names when not public', () => {
+    const access = createAccessControl({ auth: null, public: false });
+
+    expect(run(access, request({ host: '127.0.0.1:3456' })).passed).toBe(true);
+    expect(run(access, request({ host: '[::1]:3456' })).passed).toBe(true);
+    const { res, passed } = run(access, request({ path: '/api/data', host: 'attacker.example:3456' }));
+    expect(passed).toBe(false);
+    expect(res.statusCode).toBe(403);
+
+    expect(run(createAccessControl({ auth: { token: 't' }, public: true }), request({ host: '192.168.1.20:3456', headers: { authorization: 'Bearer t' } })).passed).toBe(true);
+  });
+
+  it('blocks cross-site writes but allows same-origin and non-browser clients', () => {
+    const access = createAccessControl({ auth: null, public: false });
+    const post = headers => run(access, request({ method: 'POST', path: '/api/config', headers }));
+
+    expect(post({ origin: 'http://localhost:3456' }).passed).toBe(true);
+    expect(post({}).passed).toBe(true);
+    expect(post({ origin: 'https://evil.example' }).res.body).toEqual({ error: 'Cross-site request blocked' });
+    expect(post({ referer: 'https://evil.example/page' }).passed).toBe(false);
+    expect(post({ origin: 'null' }).passed).toBe(false);
+    expect(run(access, request({ headers: { origin: 'https://evil.example' } })).passed).toBe(true);
+  });
+
+  it('requires a login when a password or token is set', () => {
+    const access = createAccessControl({ auth: { password: hashPassword('correct horse'), token: 'tok' }, public: false });
+
+    expect(run(access, request({ path: '/api/data' })).res).toMatchObject({ statusCode: 401, body: { error: 'Authentication required' } });
+    expect(run(access, request({ path: '/' })).res.location).toBe('/login.html');
+    expect(run(access, request({ path: '/login.html' })).passed).toBe(true);
+    expect(run(access, request({ path: '/api/data', headers: { authorization: 'Bearer tok' } })).passed).toBe(true);
+    expect(run(access, request({ path: '/api/data', headers: { authorization: 'Bearer nope' } })).passed).toBe(false);
+
+    const wrong = response();
+    access.login(request({ method: 'POST', path: '/api/login', body: { password: 'nope' } }), wrong);
+    expect(wrong.statusCode).toBe(401);
+
+    const ok = response();
+    access.login(request({ method: 'POST', path: '/api/login', body: { password: 'correct horse' } }), ok);
+    expect(ok.headers['Set-Cookie']).toContain('HttpOnly; SameSite=Strict');
+    const cookie = sessionCookie(ok);
+    expect(run(access, request({ path: '/api/data', headers: { cookie } })).passed).toBe(true);
+
+    // A malformed cookie from another app on the same host doesn't break the session
+    expect(run(access, request({ path: '/api/data', headers: { cookie: `other=%E0%A4%A; ${cookie}` } })).passed).toBe(true);
+
+    access.logout(request({ method: 'POST', path: '/api/logout', headers: { cookie } }), response());
+    expect(run(access, request({ path: '/api/data', headers: { cookie } })).passed).toBe(false);
+  });
+
+  it('logs a browser in from a ?token= link and drops the token from the address', () => {
+    const access = createAccessControl({ auth: { token: 'tok' }, public: false });
+    const { res } = run(access, request({ path: '/', query: { token: 'tok', tab: 'daily' } }));
+
+    expect(res.location).toBe('/?tab=daily');
+    expect(run(access, request({ path: '/api/data', headers: { cookie: sessionCookie(res) } })).passed).toBe(true);
+
+    const offsite = run(access, request({ path: '//evil.example/', query: { token: 'tok' } }));
+    expect(offsite.res.location).toBe('/evil.example/');
+    expect(run(access, request({ path: '/\\evil.example', query: { token: 'tok' } })).res.location).toBe('/evil.example');
+  });
+
+  it('slows down password guessing', () => {
+    const access = createAccessControl({ auth: { token: 'tok' }, public: false });
+    const attempt = password => {
+      const res = response();
+      access.login(request({ method: 'POST', path: '/api/login', body: { password } }), res);
+      return res.statusCode;
+    };
+
+    for (let i = 0; i < 10; i++) attempt('guess');
+    expect(attempt('tok')).toBe(429);
+  });
+});
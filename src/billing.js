@@ -0,0 +1,330 @@
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic } = require('./cloudBackends');
+const { getUsageRows, splitByModel } = require('./query');
+const { formatCsv } = require('./csv');
+
+// Issued invoices are kept in data/invoices.json as frozen copies of their report,
+// so later syncs, repricing or new terms never change an invoice that was sent.
+const INVOICES_FILE = 'invoices.json';
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MONTH_PATTERN = /^\d{4}-\d{2}$/;
+
+const CSV_COLUMNS = ['date', 'project', 'projectPath', 'model', 'inputTokens', 'outputTokens', 'cacheCreationTokens', 'cacheReadTokens', 'totalTokens', 'cost', 'amount']
+  .map(key => ({ key }));
+
+function roundCents(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Validate a billing report request.
+ * @param {object} query - { group, month } or { group, from, to }
+ * @returns {object} { group, from, to }
+ */
+function parseBillingQuery(query = {}) {
+  const value = field => (typeof query[field] === 'string' ? query[field].trim() : '');
+  const group = value('group');
+  if (!group) throw new Error('group is required');
+
+  const month = value('month');
+  if (month) {
+    if (!MONTH_PATTERN.test(month)) throw new Error('month must be in YYYY-MM format');
+    const [year, monthIndex] = month.split('-').map(Number);
+    const lastDay = new Date(year, monthIndex, 0).getDate();
+    return { group, from: `${month}-01`, to: `${month}-${String(lastDay).padStart(2, '0')}` };
+  }
+
+  const from = value('from');
+  const to = value('to');
+  if (!from || !to) throw new Error('A month or both from and to are required');
+  for (const [field, date] of [['from', from], ['to', to]]) {
+    if (!DATE_PATTERN.test(date)) throw new Error(`${field} must be a date in YYYY-MM-DD format`);
+  }
+  if (from > to) throw new Error('from must not be after to');
+  return { group, from, to };
+}
+
+/**
+ * Validate a group's billing terms from an API request.
+ * @param {object} body - { client, markup } (percent on top of cost) or { client, rate } (USD per million tokens)
+ * @returns {object} Terms to save in config.billing.groups
+ */
+function parseBillingTerms(body = {}) {
+  const terms = {};
+  if (typeof body.client === 'string' && body.client.trim()) terms.client = body.client.trim();
+
+  const given = field => body[field] !== undefined && body[field] !== null && body[field] !== '';
+  if (given('markup') && given('rate')) throw new Error('Set either markup or rate, not both');
+  if (given('markup')) {
+    const markup = Number(body.markup);
+    if (!Number.isFinite(markup) || markup < 0) throw new Error('markup must be a percentage of 0 or more');
+    terms.markup = markup;
+  }
+  if (given('rate')) {
+    const rate = Number(body.rate);
+    if (!Number.isFinite(rate) || rate <= 0) throw new Error('rate must be a positive number (USD per million tokens)');
+    terms.rate = rate;
+  }
+  return terms;
+}
+
+function getBillingTerms(config, group) {
+  return (config && config.billing && config.billing.groups && config.billing.groups[group]) || {};
+}
+
+// What the client pays for a line: a fixed rate per million tokens, or cost plus markup
+function priceLine(line, terms) {
+  if (terms.rate) return roundCents((line.totalTokens / 1e6) * terms.rate);
+  return roundCents(line.cost * (1 + (terms.markup || 0) / 100));
+}
+
+function describeTerms(terms) {
+  if (terms.rate) return `$${terms.rate} per million tokens`;
+  if (terms.markup) return `Cost + ${terms.markup}%`;
+  return 'At cost';
+}
+
+function subtotals(lines, keyOf, extra = () => ({})) {
+  const buckets = {};
+  for (const line of lines) {
+    const key = keyOf(line);
+    if (!buckets[key]) buckets[key] = { key, ...extra(line), totalTokens: 0, cost: 0, amount: 0 };
+    buckets[key].totalTokens += line.totalTokens;
+    buckets[key].cost += line.cost;
+    buckets[key].amount = roundCents(buckets[key].amount + line.amount);
+  }
+  return Object.values(buckets);
+}
+
+/**
+ * Line items for one group's usage in a billing period, priced with the group's terms.
+ * Lines are one per day, project and model, summed across machines and tools.
+ * @param {object} machineData - Per-machine data files (from loadMachineData or queryMachineData)
+ * @param {object} config - Parsed config.json (projectGroups and billing)
+ * @param {object} params - From parseBillingQuery()
+ * @param {Date} [now] - Generation time
+ * @returns {object} { group, client, issuer, from, to, terms, termsLabel, lines, projects, models, days, totals, generatedAt }
+ */
+function buildBillingReport(machineData, config, params, now = new Date()) {
+  const { group, from, to } = params;
+  const terms = getBillingTerms(config, group);
+  const rows = getUsageRows(machineData, (config && config.projectGroups) || {})
+    .filter(r => r.group === group && r.date >= from && r.date <= to)
+    .flatMap(splitByModel);
+
+  const byKey = {};
+  for (const row of rows) {
+    const key = [row.date, row.projectPath, row.model].join('\n');
+    if (!byKey[key]) {
+      byKey[key] = {
+        date: row.date,
+        project: row.projectName,
+        projectPath: row.projectPath,
+        model: row.model,
+        inputTokens: 0,
+        outputTokens: 0,
+        cacheCreationTokens: 0,
+        cacheReadTokens: 0,
+        totalTokens: 0,
+        cost: 0
+      };
+    }
+    const line = byKey[key];
+    line.inputTokens += row.inputTokens;
+    line.outputTokens += row.outputTokens;
+    line.cacheCreationTokens += row.cacheCreationTokens;
+    line.cacheReadTokens += row.cacheReadTokens;
+    line.totalTokens += row.totalTokens;
+    line.cost += row.totalCost;
+  }
+
+  const lines = Object.values(byKey)
+    .map(line => ({ ...line, amount: priceLine(line, terms) }))
+    .sort((a, b) => a.date.localeCompare(b.date) || a.project.localeCompare(b.project) || a.model.localeCompare(b.model));
+  const bySpend = (a, b) => b.amount - a.amount;
+
+  return {
+    group,
+    client: terms.client || group,
+    issuer: (config && config.billing && config.billing.issuer) || null,
+    from,
+    to,
+    terms: { ...(terms.markup !== undefined && { markup: terms.markup }), ...(terms.rate !== undefined && { rate: terms.rate }) },
+    termsLabel: describeTerms(terms),
+    lines,
+    projects: subtotals(lines, l => l.projectPath, l => ({ name: l.project })).sort(bySpend),
+    models: subtotals(lines, l => l.model).sort(bySpend),
+    days: subtotals(lines, l => l.date),
+    totals: subtotals(lines, () => 'total')[0] || { key: 'total', totalTokens: 0, cost: 0, amount: 0 },
+    generatedAt: now.toISOString()
+  };
+}
+
+/**
+ * Line items as CSV, with both the underlying cost and the billed amount. Text
+ * cells that a spreadsheet would run as a formula are escaped.
+ * @param {object} report - From buildBillingReport() or an issued invoice
+ * @returns {string}
+ */
+function formatBillingCsv(report) {
+  return formatCsv(CSV_COLUMNS, report.lines, { escapeFormulas: true });
+}
+
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function formatMoney(amount) {
+  return amount.toLocaleString('en-US', { style: 'currency', currency: 'USD' });
+}
+
+function formatTokens(tokens) {
+  return tokens.toLocaleString('en-US');
+}
+
+/**
+ * A self-contained, printable HTML invoice.
+ * @param {object} report - From buildBillingReport() or an issued invoice (which has number and issuedAt)
+ * @returns {string}
+ */
+function renderInvoiceHtml(report) {
+  const title = report.number ? `Invoice ${report.number}` : 'Draft invoice';
+  const table = (headers, rows) => `
+    <table>
+      <thead><tr>${headers.map(([label, numeric]) => `<th${numeric ? ' class="num"' : ''}>${label}</th>`).join('')}</tr></thead>
+      <tbody>${rows.map(cells => `<tr>${cells.map(([value, numeric]) => `<td${numeric ? ' class="num"' : ''}>${escapeHtml(value)}</td>`).join('')}</tr>`).join('')}</tbody>
+    </table>`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeHtml(title)} - ${escapeHtml(report.client)}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; color: #1a202c; max-width: 800px; margin: 2rem auto; padding: 0 1rem; font-size: 14px; }
+    h1 { font-size: 1.5rem; margin-bottom: 0.25rem; }
+    h2 { font-size: 1rem; margin: 2rem 0 0.5rem; }
+    .meta { display: flex; justify-content: space-between; gap: 2rem; margin: 1.5rem 0; }
+    .label { color: #64748b; font-size: 0.75rem; text-transform: uppercase; letter-spacing: 0.05em; }
+    .draft { color: #b45309; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { text-align: left; padding: 0.4rem 0.5rem; border-bottom: 1px solid #e2e8f0; }
+    th { color: #64748b; font-size: 0.7rem; text-transform: uppercase; font-weight: 500; }
+    .num { text-align: right; font-variant-numeric: tabular-nums; }
+    .total { font-size: 1.25rem; font-weight: 600; text-align: right; margin-top: 1rem; }
+    @media print { body { margin: 0; } h2 { break-after: avoid; } tr { break-inside: avoid; } }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+  ${report.number
+    ? `<div>Issued ${escapeHtml(report.issuedAt.slice(0, 10))}</div>`
+    : '<div class="draft">Not issued yet. Numbers can still change until the period is locked.</div>'}
+  <div class="meta">
+    <div><div class="label">Bill to</div>${escapeHtml(report.client)}</div>
+    ${report.issuer ? `<div><div class="label">From</div>${escapeHtml(report.issuer)}</div>` : ''}
+    <div><div class="label">Period</div>${escapeHtml(report.from)} to ${escapeHtml(report.to)}</div>
+    <div><div class="label">Terms</div>${escapeHtml(report.termsLabel)}</div>
+  </div>
+
+  <h2>By project</h2>
+  ${table([['Project'], ['Tokens', true], ['Amount', true]],
+    report.projects.map(p => [[p.name], [formatTokens(p.totalTokens), true], [formatMoney(p.amount), true]]))}
+
+  <h2>By model</h2>
+  ${table([['Model'], ['Tokens', true], ['Amount', true]],
+    report.models.map(m => [[m.key], [formatTokens(m.totalTokens), true], [formatMoney(m.amount), true]]))}
+
+  <h2>Line items</h2>
+  ${table([['Date'], ['Project'], ['Model'], ['Tokens', true], ['Amount', true]],
+    report.lines.map(l => [[l.date], [l.project], [l.model], [formatTokens(l.totalTokens), true], [formatMoney(l.amount), true]]))}
+
+  <div class="total">Total ${formatMoney(report.totals.amount)}</div>
+</body>
+</html>
+`;
+}
+
+function overlaps(invoice, group, from, to) {
+  return invoice.group === group && invoice.from <= to && invoice.to >= from;
+}
+
+/**
+ * Issued (locked) invoices, kept in <dataDir>/invoices.json.
+ * @param {string} dataDir - Directory holding usage data
+ * @returns {object} { list, get, find, overlapping, issue, remove }
+ */
+function createInvoiceStore(dataDir) {
+  const file = path.join(dataDir, INVOICES_FILE);
+
+  // A file we can't read must not be overwritten: it holds invoices already sent
+  function read() {
+    if (!fs.existsSync(file)) return { nextNumber: 1, invoices: [] };
+    try {
+      const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+      return { nextNumber: saved.nextNumber || 1, invoices: saved.invoices || [] };
+    } catch (err) {
+      throw new Error(`Cannot read ${file}: ${err.message}`);
+    }
+  }
+
+  function write(state) {
+    fs.mkdirSync(dataDir, { recursive: true });
+    writeFileAtomic(file, JSON.stringify(state, null, 2));
+  }
+
+  return {
+    // Newest first, without line items
+    list() {
+      return read().invoices
+        .map(({ number, group, client, from, to, termsLabel, totals, issuedAt }) => ({ number, group, client, from, to, termsLabel, totals, issuedAt }))
+        .sort((a, b) => b.issuedAt.localeCompare(a.issuedAt));
+    },
+
+    get(number) {
+      return read().invoices.find(i => i.number === number) || null;
+    },
+
+    // The invoice issued for exactly this group and period
+    find(group, from, to) {
+      return read().invoices.find(i => i.group === group && i.from === from && i.to === to) || null;
+    },
+
+    overlapping(group, from, to) {
+      return read().invoices.filter(i => overlaps(i, group, from, to));
+    },
+
+    /**
+     * Lock a report as an invoice with the next invoice number.
+     * @param {object} report - From buildBillingReport()
+     * @param {Date} [now] - Issue time
+     * @returns {object} The invoice
+     */
+    issue(report, now = new Date()) {
+      const state = read();
+      const clash = state.invoices.find(i => overlaps(i, report.group, report.from, report.to));
+      if (clash) {
+        throw new Error(`${report.group} is already invoiced for ${clash.from} to ${clash.to} (${clash.number})`);
+      }
+      const invoice = { ...report, number: `INV-${String(state.nextNumber).padStart(4, '0')}`, issuedAt: now.toISOString() };
+      write({ nextNumber: state.nextNumber + 1, invoices: [...state.invoices, invoice] });
+      return invoice;
+    },
+
+    // Unlock a period. Numbers are never reused.
+    remove(number) {
+      const state = read();
+      const invoices = state.invoices.filter(i => i.number !== number);
+      if (invoices.length === state.invoices.length) return false;
+      write({ ...state, invoices });
+      return true;
+    }
+  };
+}
+
+module.exports = { parseBillingQuery, parseBillingTerms, getBillingTerms, buildBillingReport, formatBillingCsv, renderInvoiceHtml, createInvoiceStore };
@@ -0,0 +1,172 @@
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+import { parseBillingQuery, parseBillingTerms, buildBillingReport, formatBillingCsv, renderInvoiceHtml, createInvoiceStore } from './billing';
+
+function createTempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'looptrack-test-'));
+}
+
+// Test fixtures
+const now = new Date('2025-04-02T09:00:00Z');
+
+const machineData = {
+  laptop: {
+    daily: {
+      '2025-03-03': {
+        projects: {
+          '/work/acme/api': {
+            projectPath: '/work/acme/api',
+            totalCost: 3,
+            totalTokens: 3000000,
+            modelBreakdowns: [
+              { modelName: 'claude-opus-4', cost: 2, inputTokens: 1000000 },
+              { modelName: 'claude-sonnet-4', cost: 1, inputTokens: 2000000 }
+            ]
+          },
+          '/home/blog': { projectPath: '/home/blog', totalCost: 9, totalTokens: 10 }
+        }
+      },
+      '2025-04-01': {
+        projects: { '/work/acme/api': { projectPath: '/work/acme/api', totalCost: 50, totalTokens: 10, modelsUsed: ['claude-opus-4'] } }
+      }
+    }
+  },
+  desktop: {
+    daily: {
+      '2025-03-03': {
+        projects: { '/work/acme/api': { projectPath: '/work/acme/api', totalCost: 0.5, totalTokens: 500000, modelsUsed: ['claude-opus-4'], outputTokens: 500000 } }
+      },
+      '2025-03-20': {
+        projects: { '/work/acme/web': { projectPath: '/work/acme/web', totalCost: 1.006, totalTokens: 1000, modelsUsed: ['claude-sonnet-4'] } }
+      }
+    }
+  }
+};
+
+const config = { projectGroups: { Acme: ['path:/work/acme'] } };
+const params = { group: 'Acme', from: '2025-03-01', to: '2025-03-31' };
+
+describe('parseBillingQuery', () => {
+  it('turns a month into its first and last day', () => {
+    expect(parseBillingQuery({ group: 'Acme', month: '2024-02' })).toEqual({ group: 'Acme', from: '2024-02-01', to: '2024-02-29' });
+    expect(parseBillingQuery({ group: ' Acme ', from: '2025-03-01', to: '2025-03-15' })).toEqual({ group: 'Acme', from: '2025-03-01', to: '2025-03-15' });
+  });
+
+  it('requires a group and a complete period', () => {
+    expect(() => parseBillingQuery({ month: '2025-03' })).toThrow('group is required');
+    expect(() => parseBillingQuery({ group: 'Acme', month: '2025-3' })).toThrow('month must be in YYYY-MM format');
+    expect(() => parseBillingQuery({ group: 'Acme', from: '2025-03-01' })).toThrow('A month or both from and to are required');
+    expect(() => parseBillingQuery({ group: 'Acme', from: '2025-03-31', to: '2025-03-01' })).toThrow('from must not be after to');
+  });
+});
+
+describe('parseBillingTerms', () => {
+  it('accepts a markup or a rate, not both', () => {
+    expect(parseBillingTerms({ client: ' Acme Corp ', markup: '15' })).toEqual({ client: 'Acme Corp', markup: 15 });
+    expect(parseBillingTerms({ rate: 12.5, markup: '' })).toEqual({ rate: 12.5 });
+    expect(() => parseBillingTerms({ markup: 10, rate: 5 })).toThrow('either markup or rate');
+    expect(() => parseBillingTerms({ markup: -5 })).toThrow('markup must be');
+    expect(() => parseBillingTerms({ rate: 0 })).toThrow('rate must be a positive number');
+  });
+});
+
+describe('buildBillingReport', () => {
+  it('itemizes the group by day, project and model across machines', () => {
+    const report = buildBillingReport(machineData, config, params, now);
+
+    expect(report.lines.map(l => [l.date, l.project, l.model, l.cost])).toEqual([
+      ['2025-03-03', 'api', 'claude-opus-4', 2.5],
+      ['2025-03-03', 'api', 'claude-sonnet-4', 1],
+      ['2025-03-20', 'web', 'claude-sonnet-4', 1.006]
+    ]);
+    expect(report.lines[0]).toMatchObject({ inputTokens: 1000000, outputTokens: 500000, totalTokens: 1500000, amount: 2.5 });
+    expect(report.models.map(m => [m.key, m.amount])).toEqual([['claude-opus-4', 2.5], ['claude-sonnet-4', 2.01]]);
+    expect(report.projects.map(p => p.name)).toEqual(['api', 'web']);
+    expect(report.days.map(d => d.key)).toEqual(['2025-03-03', '2025-03-20']);
+    expect(report.totals).toMatchObject({ totalTokens: 3501000, amount: 4.51 });
+    expect(report).toMatchObject({ client: 'Acme', termsLabel: 'At cost', generatedAt: now.toISOString() });
+  });
+
+  it('applies the group markup or fixed rate', () => {
+    const marked = buildBillingReport(machineData, { ...config, billing: { groups: { Acme: { client: 'Acme Corp', markup: 20 } } } }, params, now);
+    expect(marked.lines.map(l => l.amount)).toEqual([3, 1.2, 1.21]);
+    expect(marked).toMatchObject({ client: 'Acme Corp', terms: { markup: 20 }, termsLabel: 'Cost + 20%' });
+    expect(marked.totals.amount).toBe(5.41);
+
+    const rated = buildBillingReport(machineData, { ...config, billing: { groups: { Acme: { rate: 2 } } } }, params, now);
+    expect(rated.lines.map(l => l.amount)).toEqual([3, 4, 0]);
+    expect(rated.termsLabel).toBe('$2 per million tokens');
+  });
+});
+
+describe('invoice output', () => {
+  const report = buildBillingReport(machineData, { ...config, billing: { issuer: 'Me & Co', groups: { Acme: { client: '<Acme>' } } } }, params, now);
+
+  it('exports line items as CSV', () => {
+    const [header, first] = formatBillingCsv(report).split('\n');
+    expect(header).toBe('date,project,projectPath,model,inputTokens,outputTokens,cacheCreationTokens,cacheReadTokens,totalTokens,cost,amount');
+    expect(first).toBe('2025-03-03,api,/work/acme/api,claude-opus-4,1000000,500000,0,0,1500000,2.5,2.5');
+
+    // Cells a spreadsheet would run as formulas are escaped; negative amounts aren't
+    const line = { ...report.lines[0], project: '=HYPERLINK("x")', projectPath: '@cmd', amount: -1 };
+    const [, escaped] = formatBillingCsv({ ...report, lines: [line] }).split('\n');
+    expect(escaped).toBe(`2025-03-03,"'=HYPERLINK(""x"")",'@cmd,claude-opus-4,1000000,500000,0,0,1500000,2.5,-1`);
+
+    const whitespace = { ...report.lines[0], project: '\t=1+1', projectPath: '\r=1+1' };
+    const csv = formatBillingCsv({ ...report, lines: [whitespace] });
+    expect(csv.split('\n')[1]).toBe(`2025-03-03,'\t=1+1,"'\r=1+1",claude-opus-4,1000000,500000,0,0,1500000,2.5,2.5`);
+  });
+
+  it('renders escaped, printable HTML marked as a draft until issued', () => {
+    const html = renderInvoiceHtml(report);
+    expect(html).toContain('<title>Draft invoice - &lt;Acme&gt;</title>');
+    expect(html).toContain('Me &amp; Co');
+    expect(html).toContain('Total $4.51');
+    expect(renderInvoiceHtml({ ...report, number: 'INV-0007', issuedAt: now.toISOString() })).toContain('Issued 2025-04-02');
+  });
+});
+
+describe('createInvoiceStore', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = createTempDir();
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('keeps issued reports frozen and refuses overlapping periods', () => {
+    const invoices = createInvoiceStore(dir);
+    const issued = invoices.issue(buildBillingReport(machineData, config, params, now), now);
+    expect(issued).toMatchObject({ number: 'INV-0001', issuedAt: now.toISOString() });
+
+    const reopened = createInvoiceStore(dir);
+    expect(reopened.find('Acme', '2025-03-01', '2025-03-31').totals.amount).toBe(4.51);
+    expect(reopened.list()).toEqual([expect.objectContaining({ number: 'INV-0001', client: 'Acme' })]);
+    expect(reopened.overlapping('Acme', '2025-03-31', '2025-04-30').map(i => i.number)).toEqual(['INV-0001']);
+    expect(reopened.overlapping('Other', '2025-03-01', '2025-03-31')).toEqual([]);
+    expect(() => reopened.issue({ ...issued, from: '2025-03-15', to: '2025-04-15' })).toThrow('already invoiced for 2025-03-01 to 2025-03-31 (INV-0001)');
+  });
+
+  it('voids invoices without reusing their numbers', () => {
+    const invoices = createInvoiceStore(dir);
+    invoices.issue(buildBillingReport(machineData, config, params, now), now);
+
+    expect(invoices.remove('INV-0001')).toBe(true);
+    expect(invoices.remove('INV-0001')).toBe(false);
+    expect(invoices.issue(buildBillingReport(machineData, config, params, now), now).number).toBe('INV-0002');
+  });
+
+  it('refuses to overwrite an unreadable invoices file', () => {
+    fs.writeFileSync(path.join(dir, 'invoices.json'), '{not json');
+    const invoices = createInvoiceStore(dir);
+
+    expect(() => invoices.issue(buildBillingReport(machineData, config, params, now), now)).toThrow('Cannot read');
+    expect(fs.readFileSync(path.join(dir, 'invoices.json'), 'utf8')).toBe('{not json');
+  });
+});
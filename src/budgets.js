@@ -0,0 +1,150 @@
+const { compileGroups, getProjectGroup, getDailyProjectPath } = require('./groups');
+const { toLocalDate } = require('./collectorUtils');
+
+const PERIODS = ['daily', 'weekly', 'monthly'];
+const DEFAULT_THRESHOLDS = [50, 80, 100];
+
+// Period keys a local date falls into: the day, the Monday starting its week, and its month
+function getPeriodKeys(date) {
+  const [year, month, day] = date.split('-').map(Number);
+  const d = new Date(year, month - 1, day);
+  d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  return {
+    daily: date,
+    weekly: toLocalDate(d),
+    monthly: date.slice(0, 7)
+  };
+}
+
+function getThresholds(budgets) {
+  const thresholds = (budgets && budgets.thresholds) || DEFAULT_THRESHOLDS;
+  return [...thresholds].sort((a, b) => a - b);
+}
+
+// Sum spend for the periods containing `today`, globally and per group
+function computeSpend(daily, groups, today) {
+  const compiled = compileGroups(groups);
+  const current = getPeriodKeys(today);
+  const emptySpend = () => ({ daily: 0, weekly: 0, monthly: 0 });
+  const spend = { global: emptySpend(), groups: {} };
+
+  for (const [date, day] of Object.entries(daily || {})) {
+    const keys = getPeriodKeys(date);
+    const periods = PERIODS.filter(p => keys[p] === current[p]);
+    if (periods.length === 0) continue;
+
+    for (const period of periods) {
+      spend.global[period] += day.totalCost || 0;
+    }
+    for (const [key, project] of Object.entries(day.projects || {})) {
+      const group = getProjectGroup(getDailyProjectPath(key, project), compiled, project.gitRemote);
+      if (!group) continue;
+      if (!spend.groups[group]) spend.groups[group] = emptySpend();
+      for (const period of periods) {
+        spend.groups[group][period] += project.totalCost || 0;
+      }
+    }
+  }
+
+  return spend;
+}
+
+/**
+ * Evaluate configured budgets against usage data.
+ * @param {object} daily - Daily data keyed by date (as returned by loadAllData)
+ * @param {object} config - Parsed config.json ({ projectGroups, budgets, timezone })
+ * @param {Date} [now] - Evaluation time; periods follow config.timezone like synced dates
+ * @returns {Array<object>} One status per configured limit: { scope, group, period, periodKey, limit, spent, percent, threshold }
+ */
+function evaluateBudgets(daily, config, now = new Date()) {
+  const budgets = (config && config.budgets) || {};
+  const thresholds = getThresholds(budgets);
+  const today = toLocalDate(now, config && config.timezone);
+  const current = getPeriodKeys(today);
+  const spend = computeSpend(daily, (config && config.projectGroups) || {}, today);
+
+  const scopes = [];
+  if (budgets.global) scopes.push({ scope: 'global', group: null, limits: budgets.global, spent: spend.global });
+  for (const [group, limits] of Object.entries(budgets.groups || {})) {
+    scopes.push({ scope: 'group', group, limits, spent: spend.groups[group] || { daily: 0, weekly: 0, monthly: 0 } });
+  }
+
+  const statuses = [];
+  for (const { scope, group, limits, spent } of scopes) {
+    for (const period of PERIODS) {
+      const limit = limits[period];
+      if (!limit || limit <= 0) continue;
+      const percent = (spent[period] / limit) * 100;
+      const crossed = thresholds.filter(t => percent >= t);
+      statuses.push({
+        scope,
+        group,
+        period,
+        periodKey: current[period],
+        limit,
+        spent: spent[period],
+        percent,
+        threshold: crossed.length > 0 ? crossed[crossed.length - 1] : null
+      });
+    }
+  }
+  return statuses;
+}
+
+// Stable id for a threshold crossing, so each one is recorded once per period
+function getBreachId(status, threshold) {
+  return [status.scope, status.group || '', status.period, status.periodKey, threshold].join(':');
+}
+
+/**
+ * Breach events for thresholds crossed that aren't recorded yet.
+ * @param {Array<object>} statuses - From evaluateBudgets()
+ * @param {object} config - Parsed config.json
+ * @param {Array<object>} existingEvents - Already recorded budget events
+ * @returns {Array<object>} New events to record
+ */
+function findNewBreaches(statuses, config, existingEvents = []) {
+  const thresholds = getThresholds(config && config.budgets);
+  const recorded = new Set(existingEvents.map(e => e.id));
+  const events = [];
+
+  for (const status of statuses) {
+    for (const threshold of thresholds.filter(t => status.percent >= t)) {
+      const id = getBreachId(status, threshold);
+      if (recorded.has(id)) continue;
+      events.push({
+        id,
+        type: 'budget-breach',
+        scope: status.scope,
+        group: status.group,
+        period: status.period,
+        periodKey: status.periodKey,
+        threshold,
+        limit: status.limit,
+        spent: status.spent,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+  return events;
+}
+
+// Validate a { daily, weekly, monthly } limits object from an API request
+function parseLimits(body) {
+  const limits = {};
+  for (const period of PERIODS) {
+    const value = body && body[period];
+    if (value === undefined || value === null || value === '') continue;
+    const amount = Number(value);
+    if (!Number.isFinite(amount) || amount <= 0) {
+      throw new Error(`${period} budget must be a positive number`);
+    }
+    limits[period] = amount;
+  }
+  if (Object.keys(limits).length === 0) {
+    throw new Error('At least one of daily, weekly or monthly is required');
+  }
+  return limits;
+}
+
+module.exports = { PERIODS, DEFAULT_THRESHOLDS, getPeriodKeys, evaluateBudgets, findNewBreaches, parseLimits };
@@ -0,0 +1,113 @@
+import { describe, it, expect } from 'bun:test';
+
+import { getPeriodKeys, evaluateBudgets, findNewBreaches, parseLimits } from './budgets';
+
+// Test fixtures
+const now = new Date(2025, 0, 15, 12, 0, 0); // Wednesday, local time
+
+const daily = {
+  '2025-01-15': {
+    totalCost: 30,
+    projects: {
+      '-Users-taylor-Development-client-app': { totalCost: 20 },
+      '-Users-taylor-Development-dotfiles': { totalCost: 10 }
+    }
+  },
+  '2025-01-13': {
+    totalCost: 40,
+    projects: { '-Users-taylor-Development-client-app': { totalCost: 40 } }
+  },
+  '2025-01-02': {
+    totalCost: 100,
+    projects: { '-Users-taylor-Development-client-app': { totalCost: 100 } }
+  },
+  '2024-12-31': {
+    totalCost: 500,
+    projects: { '-Users-taylor-Development-client-app': { totalCost: 500 } }
+  }
+};
+
+const projectGroups = { Client: ['/Users/taylor/Development/client/app'] };
+
+describe('getPeriodKeys', () => {
+  it('starts weeks on Monday', () => {
+    expect(getPeriodKeys('2025-01-15')).toEqual({ daily: '2025-01-15', weekly: '2025-01-13', monthly: '2025-01' });
+    expect(getPeriodKeys('2025-01-19')).toEqual({ daily: '2025-01-19', weekly: '2025-01-13', monthly: '2025-01' });
+    expect(getPeriodKeys('2025-01-01').weekly).toBe('2024-12-30');
+  });
+});
+
+describe('evaluateBudgets', () => {
+  it('sums spend per period for the global budget', () => {
+    const config = { projectGroups, budgets: { global: { daily: 60, weekly: 100, monthly: 200 } } };
+
+    const statuses = evaluateBudgets(daily, config, now);
+
+    expect(statuses.map(s => [s.period, s.spent, s.threshold])).toEqual([
+      ['daily', 30, 50],
+      ['weekly', 70, 50],
+      ['monthly', 170, 80]
+    ]);
+  });
+
+  it('only counts projects that belong to the group', () => {
+    const config = { projectGroups, budgets: { groups: { Client: { daily: 10 } } } };
+
+    const [status] = evaluateBudgets(daily, config, now);
+
+    expect(status).toMatchObject({ scope: 'group', group: 'Client', period: 'daily', periodKey: '2025-01-15', spent: 20, threshold: 100 });
+    expect(status.percent).toBe(200);
+  });
+
+  it('uses configured thresholds', () => {
+    const config = { projectGroups, budgets: { thresholds: [90], global: { daily: 60 } } };
+
+    const [status] = evaluateBudgets(daily, config, now);
+
+    expect(status.threshold).toBeNull();
+  });
+
+  it('follows the configured time zone for the current period', () => {
+    const config = { projectGroups, timezone: 'Pacific/Kiritimati', budgets: { global: { daily: 60 } } };
+
+    // 11:00 UTC on the 12th is already the 13th at UTC+14
+    const [status] = evaluateBudgets(daily, config, new Date(Date.UTC(2025, 0, 12, 11)));
+
+    expect(status).toMatchObject({ periodKey: '2025-01-13', spent: 40 });
+  });
+
+  it('returns nothing when no budgets are configured', () => {
+    expect(evaluateBudgets(daily, { projectGroups }, now)).toEqual([]);
+  });
+});
+
+describe('findNewBreaches', () => {
+  const config = { projectGroups, budgets: { groups: { Client: { daily: 25 } } } };
+
+  it('creates one event per crossed threshold', () => {
+    const statuses = evaluateBudgets(daily, config, now);
+
+    const events = findNewBreaches(statuses, config, []);
+
+    expect(events.map(e => e.threshold)).toEqual([50, 80]);
+    expect(events[0]).toMatchObject({ type: 'budget-breach', group: 'Client', period: 'daily', periodKey: '2025-01-15' });
+  });
+
+  it('does not record the same breach twice', () => {
+    const statuses = evaluateBudgets(daily, config, now);
+    const recorded = findNewBreaches(statuses, config, []);
+
+    expect(findNewBreaches(statuses, config, recorded)).toEqual([]);
+  });
+});
+
+describe('parseLimits', () => {
+  it('accepts numeric strings and drops empty periods', () => {
+    expect(parseLimits({ daily: '10', weekly: '', monthly: 200 })).toEqual({ daily: 10, monthly: 200 });
+  });
+
+  it('rejects invalid amounts', () => {
+    expect(() => parseLimits({ daily: -5 })).toThrow('daily budget must be a positive number');
+    expect(() => parseLimits({})).toThrow();
+  });
+});
@@ -0,0 +1,134 @@
+const { parseUsageQuery, getUsageRows, getSessionRows, filterUsageRows, splitByModel } = require('./query');
+const { getModelPrice, getRates } = require('./pricing');
+
+// Prompt cache efficiency from the cache token counts stored per model in
+// daily rows and sessions. Caches are per model, so every figure is worked out
+// per model and then summed.
+
+// Sessions that read back less than this many tokens per cached token written
+// get listed as poor reuse
+const POOR_REUSE = 1;
+// Sessions listed, by cache write spend and among the poor reusers
+const TOP_SESSIONS = 20;
+
+function emptyCacheTotals() {
+  return {
+    inputTokens: 0,
+    cacheCreationTokens: 0,
+    cacheReadTokens: 0,
+    unreadWriteTokens: 0,
+    totalCost: 0,
+    writeCost: 0,
+    unreadWriteCost: 0,
+    savedCost: 0
+  };
+}
+
+/**
+ * Cache figures for one model's usage. A cache read is billed instead of
+ * uncached input, so the saving is the price difference. Written tokens beyond
+ * what was read back are counted as never read; that's an estimate, since the
+ * stored totals don't say which writes the reads hit.
+ * @param {object} row - Usage row for a single model (from splitByModel())
+ * @param {Array<object>} rates - config.pricing.rates
+ * @returns {object} Token counts and costs, all 0 for models without a known price
+ */
+function getCacheFigures(row, rates) {
+  const price = getModelPrice(row.model, row.date, rates);
+  const unreadWriteTokens = Math.max(0, row.cacheCreationTokens - row.cacheReadTokens);
+  return {
+    inputTokens: row.inputTokens,
+    cacheCreationTokens: row.cacheCreationTokens,
+    cacheReadTokens: row.cacheReadTokens,
+    unreadWriteTokens,
+    totalCost: row.totalCost,
+    writeCost: price ? row.cacheCreationTokens * price.cacheWrite / 1e6 : 0,
+    unreadWriteCost: price ? unreadWriteTokens * price.cacheWrite / 1e6 : 0,
+    savedCost: price ? row.cacheReadTokens * Math.max(0, price.input - price.cacheRead) / 1e6 : 0
+  };
+}
+
+function addFigures(totals, figures) {
+  for (const field of Object.keys(totals)) {
+    if (typeof figures[field] === 'number') totals[field] += figures[field];
+  }
+}
+
+// Hit ratio is the share of prompt tokens served from cache; reuse is the
+// tokens read back per token written (null if nothing was written)
+function withRatios(totals) {
+  const promptTokens = totals.inputTokens + totals.cacheCreationTokens + totals.cacheReadTokens;
+  return {
+    ...totals,
+    hitRatio: promptTokens > 0 ? totals.cacheReadTokens / promptTokens : 0,
+    reuse: totals.cacheCreationTokens > 0 ? totals.cacheReadTokens / totals.cacheCreationTokens : null
+  };
+}
+
+function addToBucket(buckets, key, fields, figures) {
+  if (!buckets[key]) buckets[key] = { ...fields, ...emptyCacheTotals() };
+  addFigures(buckets[key], figures);
+}
+
+/**
+ * Validate query-string parameters for the cache report: the usage query
+ * filters (from, to, group, machine, model, project, tool) without groupBy.
+ * @param {object} query - Raw query parameters
+ * @returns {object}
+ */
+function parseCacheQuery(query = {}) {
+  const { groupBy, ...params } = parseUsageQuery({ ...query, groupBy: undefined });
+  return params;
+}
+
+/**
+ * Cache hit ratio, savings and write spend per day, project and session.
+ * @param {object} machineData - Per-machine data files, with sessions (from loadMachineData)
+ * @param {object} config - Parsed config.json (for project groups and pricing rates)
+ * @param {object} params - From parseCacheQuery()
+ * @returns {object} { query, totals, days, projects, sessions, poorSessions }. Each entry has
+ *   token counts, totalCost, writeCost, unreadWriteCost, savedCost, hitRatio and reuse. Days
+ *   and projects come from daily rows; sessions are the top spenders on cache writes and
+ *   poorSessions those that read back less than they wrote, costliest unread writes first.
+ */
+function buildCacheReport(machineData, config, params) {
+  const groups = (config && config.projectGroups) || {};
+  const rates = getRates(config);
+  const matchesModel = row => !params.model || row.model.toLowerCase().includes(params.model.toLowerCase());
+
+  const totals = emptyCacheTotals();
+  const days = {};
+  const projects = {};
+  for (const row of filterUsageRows(getUsageRows(machineData, groups), params).flatMap(splitByModel)) {
+    if (!matchesModel(row)) continue;
+    const figures = getCacheFigures(row, rates);
+    addFigures(totals, figures);
+    addToBucket(days, row.date, { date: row.date }, figures);
+    addToBucket(projects, row.projectPath, { projectPath: row.projectPath, projectName: row.projectName, group: row.group }, figures);
+  }
+
+  // Sessions are dated by their last activity
+  const sessions = {};
+  for (const row of filterUsageRows(getSessionRows(machineData, groups), params).flatMap(splitByModel)) {
+    if (!matchesModel(row)) continue;
+    const fields = { id: row.id, machineId: row.machineId, tool: row.tool, projectPath: row.projectPath, lastActivity: row.date };
+    addToBucket(sessions, row.id, fields, getCacheFigures(row, rates));
+  }
+
+  const sessionList = Object.values(sessions).map(withRatios);
+  const poorSessions = sessionList
+    .filter(s => s.reuse !== null && s.reuse < POOR_REUSE)
+    .sort((a, b) => b.unreadWriteCost - a.unreadWriteCost || b.writeCost - a.writeCost)
+    .slice(0, TOP_SESSIONS);
+
+  return {
+    query: params,
+    totals: withRatios(totals),
+    days: Object.values(days).map(withRatios).sort((a, b) => a.date.localeCompare(b.date)),
+    projects: Object.values(projects).map(withRatios).sort((a, b) => b.writeCost - a.writeCost),
+    sessions: [...sessionList].sort((a, b) => b.writeCost - a.writeCost).slice(0, TOP_SESSIONS),
+    poorSessions
+  };
+}
+
+module.exports = { POOR_REUSE, parseCacheQuery, getCacheFigures, buildCacheReport };
@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'bun:test';
+
+import { parseCacheQuery, buildCacheReport } from './cache';
+
+// Test fixtures
+const sonnet = 'claude-sonnet-4-20250514';
+
+function usage(inputTokens, cacheCreationTokens, cacheReadTokens, model = sonnet) {
+  return {
+    inputTokens,
+    outputTokens: 0,
+    cacheCreationTokens,
+    cacheReadTokens,
+    totalTokens: inputTokens + cacheCreationTokens + cacheReadTokens,
+    totalCost: 0,
+    modelBreakdowns: [{ modelName: model, inputTokens, outputTokens: 0, cacheCreationTokens, cacheReadTokens, cost: 0 }]
+  };
+}
+
+const machineData = {
+  laptop: {
+    daily: {
+      '2025-01-06': {
+        projects: {
+          // Long session that keeps reading its cache
+          '/work/steady': usage(1e5, 1e6, 8.9e6),
+          // Cache rewritten over and over
+          '/work/churn': usage(1e5, 2e6, 5e5)
+        }
+      },
+      '2025-01-07': { projects: { '/work/churn': usage(1e6, 0, 0) } }
+    },
+    sessions: {
+      steady: { projectPath: '/work/steady', lastActivity: '2025-01-06', ...usage(1e5, 1e6, 8.9e6) },
+      churn: { projectPath: '/work/churn', lastActivity: '2025-01-06', ...usage(1e5, 2e6, 5e5) },
+      uncached: { projectPath: '/work/churn', lastActivity: '2025-01-07', ...usage(1e6, 0, 0) }
+    }
+  }
+};
+
+const config = { projectGroups: { Work: ['path:/work'] } };
+
+describe('buildCacheReport', () => {
+  it('reports hit ratio, savings and unread cache writes per day, project and session', () => {
+    const report = buildCacheReport(machineData, config, parseCacheQuery({}));
+
+    // Sonnet: $3 input, $3.75 cache write, $0.30 cache read per million tokens
+    const steady = report.projects.find(p => p.projectPath === '/work/steady');
+    expect(steady.hitRatio).toBeCloseTo(0.89);
+    expect(steady.reuse).toBeCloseTo(8.9);
+    expect(steady.savedCost).toBeCloseTo(8.9 * 2.7);
+    expect(steady.unreadWriteCost).toBe(0);
+
+    const churn = report.projects.find(p => p.projectPath === '/work/churn');
+    expect(churn.writeCost).toBeCloseTo(7.5);
+    expect(churn.unreadWriteTokens).toBe(1.5e6);
+    expect(churn.unreadWriteCost).toBeCloseTo(1.5 * 3.75);
+    expect(report.projects[0].projectPath).toBe('/work/churn');
+
+    expect(report.days.map(d => d.date)).toEqual(['2025-01-06', '2025-01-07']);
+    expect(report.days[1]).toMatchObject({ hitRatio: 0, reuse: null });
+    expect(report.totals.savedCost).toBeCloseTo(9.4 * 2.7);
+
+    // Sessions without cache writes aren't poor reusers
+    expect(report.poorSessions.map(s => s.id)).toEqual(['churn']);
+    expect(report.sessions.map(s => s.id)).toEqual(['churn', 'steady', 'uncached']);
+  });
+
+  it('filters by date and project and leaves unpriced models at zero cost', () => {
+    const ranged = buildCacheReport(machineData, config, parseCacheQuery({ from: '2025-01-07', project: 'churn' }));
+    expect(ranged.days).toHaveLength(1);
+    expect(ranged.sessions.map(s => s.id)).toEqual(['uncached']);
+
+    const unknown = { laptop: { daily: { '2025-01-06': { projects: { '/x': usage(0, 1e6, 0, 'mystery-model') } } } } };
+    const report = buildCacheReport(unknown, {}, parseCacheQuery({}));
+    expect(report.totals).toMatchObject({ cacheCreationTokens: 1e6, unreadWriteTokens: 1e6, writeCost: 0, unreadWriteCost: 0 });
+
+    expect(() => parseCacheQuery({ from: 'yesterday' })).toThrow('from must be a date');
+  });
+});
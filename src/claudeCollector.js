@@ -0,0 +1,108 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { calculateCost } = require('./pricing');
+const { toLocalTime, toLocalDate, findJsonlFiles, readJsonLines, createTotals, addUsage, addHourlyUsage, toRecord, toDailyReport } = require('./collectorUtils');
+
+// Claude Code writes transcripts to <config dir>/projects. Honour CLAUDE_CONFIG_DIR
+// (comma-separated) like Claude Code does, otherwise check both default locations.
+function getClaudeProjectDirs() {
+  const configDirs = process.env.CLAUDE_CONFIG_DIR
+    ? process.env.CLAUDE_CONFIG_DIR.split(',').map(d => d.trim()).filter(Boolean)
+    : [path.join(os.homedir(), '.config', 'claude'), path.join(os.homedir(), '.claude')];
+
+  return configDirs
+    .map(dir => path.join(dir, 'projects'))
+    .filter(dir => fs.existsSync(dir));
+}
+
+// Pull token usage out of a transcript line (only assistant messages carry usage)
+function toUsageEntry(entry) {
+  const message = entry && entry.message;
+  if (!message || !message.usage || !entry.timestamp) return null;
+  if (message.model === '<synthetic>') return null;
+
+  const usage = {
+    timestamp: entry.timestamp,
+    model: message.model || 'unknown',
+    inputTokens: message.usage.input_tokens || 0,
+    outputTokens: message.usage.output_tokens || 0,
+    cacheCreationTokens: message.usage.cache_creation_input_tokens || 0,
+    cacheReadTokens: message.usage.cache_read_input_tokens || 0
+  };
+  // Older Claude Code versions recorded the cost themselves
+  usage.cost = typeof entry.costUSD === 'number' ? entry.costUSD : calculateCost(usage.model, usage);
+  return usage;
+}
+
+/**
+ * Read Claude Code transcripts and build the same reports ccusage produces:
+ * `session --json` ({ sessions: [...] }) and `daily --instances --json` ({ projects: {...} }).
+ * Sessions are keyed by transcript folder exactly like ccusage, so history synced
+ * through ccusage keeps merging into the same records. Each session also carries the
+ * `cwd` recorded in its transcript, so the real project path can be recovered.
+ * Daily rows also carry `hours`, the same totals bucketed by local hour.
+ * @param {string[]} [projectsDirs] - Claude projects directories to scan
+ * @param {object} [options]
+ * @param {string} [options.timeZone] - IANA time zone for dates and hours (default: the system's)
+ * @returns {Promise<{sessionReport: object, dailyReport: object}>}
+ */
+async function readClaudeUsage(projectsDirs = getClaudeProjectDirs(), { timeZone } = {}) {
+  const sessions = {};
+  const projects = {};
+  const seen = new Set();
+
+  for (const projectsDir of projectsDirs) {
+    for (const file of await findJsonlFiles(projectsDir)) {
+      // <project>/<session>.jsonl or <project>/<uuid>/subagents/<agent>.jsonl
+      const parts = path.relative(projectsDir, file).split(path.sep);
+      if (parts.length < 2) continue;
+      const project = parts[0];
+      const sessionId = parts[parts.length - 2];
+      const projectPath = parts.slice(0, -2).join('/') || 'Unknown Project';
+      const sessionKey = `${projectPath}/${sessionId}`;
+      // The folder name is a lossy encoding of this; see projects.js
+      let cwd = null;
+
+      await readJsonLines(file, entry => {
+        if (!cwd && entry && typeof entry.cwd === 'string') cwd = entry.cwd;
+        const usage = toUsageEntry(entry);
+        if (!usage) return;
+
+        // Resumed conversations repeat earlier messages; count each request once
+        if (entry.message.id && entry.requestId) {
+          const dedupeKey = `${entry.message.id}:${entry.requestId}`;
+          if (seen.has(dedupeKey)) return;
+          seen.add(dedupeKey);
+        }
+
+        if (!sessions[sessionKey]) {
+          sessions[sessionKey] = { sessionId, projectPath, lastTimestamp: usage.timestamp, totals: createTotals() };
+        }
+        const session = sessions[sessionKey];
+        if (!session.cwd && cwd) session.cwd = cwd;
+        addUsage(session.totals, usage);
+        if (usage.timestamp > session.lastTimestamp) session.lastTimestamp = usage.timestamp;
+
+        const { date, hour } = toLocalTime(usage.timestamp, timeZone);
+        if (!projects[project]) projects[project] = {};
+        if (!projects[project][date]) projects[project][date] = createTotals();
+        addHourlyUsage(projects[project][date], hour, usage);
+      });
+    }
+  }
+
+  const sessionReport = {
+    sessions: Object.values(sessions).map(s => ({
+      sessionId: s.sessionId,
+      projectPath: s.projectPath,
+      ...(s.cwd && { cwd: s.cwd }),
+      ...toRecord(s.totals),
+      lastActivity: toLocalDate(s.lastTimestamp, timeZone)
+    }))
+  };
+
+  return { sessionReport, dailyReport: toDailyReport(projects) };
+}
+
+module.exports = { getClaudeProjectDirs, readClaudeUsage };
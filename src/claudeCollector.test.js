@@ -0,0 +1,188 @@
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+import { readClaudeUsage } from './claudeCollector';
+import { toLocalDate } from './collectorUtils';
+import { calculateCost } from './pricing';
+
+// Test helpers
+function createTempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'looptrack-test-'));
+}
+
+function writeTranscript(projectsDir, relativePath, entries) {
+  const file = path.join(projectsDir, relativePath);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, entries.map(e => typeof e === 'string' ? e : JSON.stringify(e)).join('\n'));
+  return file;
+}
+
+function assistantEntry({ id, requestId, model = 'claude-sonnet-4-20250514', timestamp, input = 0, output = 0, cacheWrite = 0, cacheRead = 0 }) {
+  return {
+    type: 'assistant',
+    timestamp,
+    requestId,
+    message: {
+      id,
+      model,
+      usage: {
+        input_tokens: input,
+        output_tokens: output,
+        cache_creation_input_tokens: cacheWrite,
+        cache_read_input_tokens: cacheRead
+      }
+    }
+  };
+}
+
+const project = '-Users-taylor-Development-myapp';
+
+describe('readClaudeUsage', () => {
+  let projectsDir;
+
+  beforeEach(() => {
+    projectsDir = createTempDir();
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectsDir, { recursive: true, force: true });
+  });
+
+  it('builds a ccusage-style session per project folder', async () => {
+    writeTranscript(projectsDir, `${project}/aaa.jsonl`, [
+      { type: 'user', timestamp: '2025-01-10T10:00:00Z', message: { role: 'user', content: 'hi' } },
+      assistantEntry({ id: 'm1', requestId: 'r1', timestamp: '2025-01-10T10:00:01Z', input: 100, output: 50 })
+    ]);
+    writeTranscript(projectsDir, `${project}/bbb.jsonl`, [
+      assistantEntry({ id: 'm2', requestId: 'r2', timestamp: '2025-01-11T10:00:00Z', input: 200, output: 20, cacheRead: 1000 })
+    ]);
+
+    const { sessionReport } = await readClaudeUsage([projectsDir]);
+
+    expect(sessionReport.sessions).toHaveLength(1);
+    const session = sessionReport.sessions[0];
+    expect(session.sessionId).toBe(project);
+    expect(session.projectPath).toBe('Unknown Project');
+    expect(session.inputTokens).toBe(300);
+    expect(session.outputTokens).toBe(70);
+    expect(session.cacheReadTokens).toBe(1000);
+    expect(session.totalTokens).toBe(1370);
+    expect(session.lastActivity).toBe(toLocalDate('2025-01-11T10:00:00Z'));
+    expect(session.modelsUsed).toEqual(['claude-sonnet-4-20250514']);
+  });
+
+  it('keys subagent transcripts like ccusage', async () => {
+    const uuid = '272cd730-d6f2-490d-9a3a-02733e824f45';
+    writeTranscript(projectsDir, `${project}/${uuid}/subagents/agent-1.jsonl`, [
+      assistantEntry({ id: 'm1', requestId: 'r1', timestamp: '2025-01-10T10:00:00Z', input: 10, output: 5 })
+    ]);
+
+    const { sessionReport, dailyReport } = await readClaudeUsage([projectsDir]);
+
+    expect(sessionReport.sessions[0].sessionId).toBe('subagents');
+    expect(sessionReport.sessions[0].projectPath).toBe(`${project}/${uuid}`);
+    // Daily rows roll subagents up into their parent project
+    expect(Object.keys(dailyReport.projects)).toEqual([project]);
+  });
+
+  it('counts repeated messages from resumed conversations once', async () => {
+    const entry = assistantEntry({ id: 'm1', requestId: 'r1', timestamp: '2025-01-10T10:00:00Z', input: 100, output: 50 });
+    writeTranscript(projectsDir, `${project}/aaa.jsonl`, [entry]);
+    writeTranscript(projectsDir, `${project}/bbb.jsonl`, [entry]);
+
+    const { sessionReport } = await readClaudeUsage([projectsDir]);
+
+    expect(sessionReport.sessions[0].inputTokens).toBe(100);
+  });
+
+  it('splits daily rows by date with per-model breakdowns', async () => {
+    writeTranscript(projectsDir, `${project}/aaa.jsonl`, [
+      assistantEntry({ id: 'm1', requestId: 'r1', timestamp: '2025-01-10T12:00:00Z', input: 100, output: 50 }),
+      assistantEntry({ id: 'm2', requestId: 'r2', model: 'claude-opus-4-1-20250805', timestamp: '2025-01-10T12:30:00Z', input: 10, output: 5 }),
+      assistantEntry({ id: 'm3', requestId: 'r3', timestamp: '2025-01-12T12:00:00Z', input: 1, output: 1 })
+    ]);
+
+    const { dailyReport } = await readClaudeUsage([projectsDir]);
+    const days = dailyReport.projects[project];
+
+    expect(days.map(d => d.date)).toEqual([toLocalDate('2025-01-10T12:00:00Z'), toLocalDate('2025-01-12T12:00:00Z')]);
+    expect(days[0].modelBreakdowns).toHaveLength(2);
+    expect(days[0].totalCost).toBeCloseTo(
+      calculateCost('claude-sonnet-4-20250514', { inputTokens: 100, outputTokens: 50 }) +
+      calculateCost('claude-opus-4-1-20250805', { inputTokens: 10, outputTokens: 5 })
+    );
+  });
+
+  it('buckets daily rows by hour in the configured time zone', async () => {
+    writeTranscript(projectsDir, `${project}/aaa.jsonl`, [
+      assistantEntry({ id: 'm1', requestId: 'r1', timestamp: '2025-01-10T23:30:00Z', input: 100 }),
+      assistantEntry({ id: 'm2', requestId: 'r2', timestamp: '2025-01-10T23:45:00Z', input: 50 }),
+      assistantEntry({ id: 'm3', requestId: 'r3', timestamp: '2025-01-11T02:10:00Z', input: 10 })
+    ]);
+
+    const { sessionReport, dailyReport } = await readClaudeUsage([projectsDir], { timeZone: 'Asia/Tokyo' });
+    const [day] = dailyReport.projects[project];
+
+    // 23:30 UTC is 08:30 the next morning in Tokyo
+    expect(day.date).toBe('2025-01-11');
+    expect(Object.keys(day.hours).sort()).toEqual(['08', '11']);
+    expect(day.hours['08']).toMatchObject({ inputTokens: 150, modelsUsed: ['claude-sonnet-4-20250514'] });
+    expect(day.hours['11'].inputTokens).toBe(10);
+    expect(sessionReport.sessions[0].lastActivity).toBe('2025-01-11');
+  });
+
+  it('prefers costUSD recorded in the transcript', async () => {
+    writeTranscript(projectsDir, `${project}/aaa.jsonl`, [
+      { ...assistantEntry({ id: 'm1', requestId: 'r1', timestamp: '2025-01-10T10:00:00Z', input: 100 }), costUSD: 1.5 }
+    ]);
+
+    const { sessionReport } = await readClaudeUsage([projectsDir]);
+
+    expect(sessionReport.sessions[0].totalCost).toBe(1.5);
+  });
+
+  it('skips corrupt lines and synthetic messages', async () => {
+    writeTranscript(projectsDir, `${project}/aaa.jsonl`, [
+      'not valid json {{{',
+      assistantEntry({ id: 'm0', requestId: 'r0', model: '<synthetic>', timestamp: '2025-01-10T09:00:00Z' }),
+      assistantEntry({ id: 'm1', requestId: 'r1', timestamp: '2025-01-10T10:00:00Z', input: 100 })
+    ]);
+
+    const { sessionReport } = await readClaudeUsage([projectsDir]);
+
+    expect(sessionReport.sessions[0].inputTokens).toBe(100);
+    expect(sessionReport.sessions[0].modelsUsed).toEqual(['claude-sonnet-4-20250514']);
+  });
+
+  it('records the working directory from the transcript', async () => {
+    writeTranscript(projectsDir, '-Users-taylor-my-app/aaa.jsonl', [
+      { type: 'user', timestamp: '2025-01-10T10:00:00Z', cwd: '/Users/taylor/my-app', message: { role: 'user', content: 'hi' } },
+      { ...assistantEntry({ id: 'm1', requestId: 'r1', timestamp: '2025-01-10T10:00:01Z', input: 10 }), cwd: '/Users/taylor/my-app/src' }
+    ]);
+
+    const { sessionReport } = await readClaudeUsage([projectsDir]);
+
+    expect(sessionReport.sessions[0]).toMatchObject({ sessionId: '-Users-taylor-my-app', cwd: '/Users/taylor/my-app' });
+  });
+
+  it('returns empty reports for an empty projects folder', async () => {
+    const { sessionReport, dailyReport } = await readClaudeUsage([projectsDir]);
+
+    expect(sessionReport.sessions).toEqual([]);
+    expect(dailyReport.projects).toEqual({});
+  });
+});
+
+describe('calculateCost', () => {
+  it('prices known model families per million tokens', () => {
+    expect(calculateCost('claude-sonnet-4-20250514', { inputTokens: 1e6, outputTokens: 1e6 })).toBe(18);
+    expect(calculateCost('claude-opus-4-5-20251101', { inputTokens: 1e6 })).toBe(5);
+    expect(calculateCost('claude-opus-4-1-20250805', { inputTokens: 1e6 })).toBe(15);
+  });
+
+  it('returns 0 for unknown models', () => {
+    expect(calculateCost('some-future-model', { inputTokens: 1e6 })).toBe(0);
+  });
+});
@@ -0,0 +1,424 @@
+const { parseArgs } = require('util');
+const readline = require('readline');
+const { Writable } = require('stream');
+const { loadConfig, saveConfig } = require('./config');
+const { parseUsageQuery, queryUsage, getKnownProjects, matchesProjectPath } = require('./query');
+const { parseRule, ruleMatches, getGroupRules, compileGroups, getProjectGroup, getProjectName } = require('./groups');
+const { toLocalDate } = require('./collectorUtils');
+const { formatCsv } = require('./csv');
+const { hashPassword, createToken } = require('./auth');
+
+const FORMATS = ['table', 'json', 'csv'];
+const TOP_KINDS = ['projects', 'sessions'];
+
+const USAGE = `Usage: looptrack <command> [options]
+
+Commands:
+  report                 Usage by day (or --by), across all machines
+  today                  Today's usage by project (or --by)
+  top [projects|sessions]  Most expensive projects or sessions
+  groups                 List project groups
+  groups add <group> <rule...>     Add rules to a group (creating it)
+  groups remove <group> [rule...]  Remove rules, or the whole group
+  groups test <rule>     Projects a rule would match
+  sync                   Collect usage from all sources
+  auth                   Show whether the dashboard needs a login
+  auth password          Set the dashboard password (prompts for it)
+  auth token             Create an access token for scripts and links
+  auth off               Remove the password and token
+
+Filters (report, today, top):
+  --from YYYY-MM-DD      First day
+  --to YYYY-MM-DD        Last day
+  --days N               The last N days, including today
+  --group NAME           Project group
+  --project TEXT         Project name, or part of its path
+  --machine ID           Machine
+  --model TEXT           Model name contains TEXT
+  --tool ID              claude-code, codex...
+
+Output:
+  --by FIELD             day, week, month, project, group, model, machine, tool
+  --format FORMAT        table (default), json or csv
+  --limit N              Rows for top (default 10)
+
+Reads the same data files as the dashboard; no server needs to be running.`;
+
+const OPTIONS = {
+  from: { type: 'string' },
+  to: { type: 'string' },
+  days: { type: 'string' },
+  group: { type: 'string' },
+  project: { type: 'string' },
+  machine: { type: 'string' },
+  model: { type: 'string' },
+  tool: { type: 'string' },
+  by: { type: 'string' },
+  format: { type: 'string' },
+  limit: { type: 'string' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+function positiveInteger(value, name) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`--${name} must be a positive whole number`);
+  }
+  return number;
+}
+
+/**
+ * Split command-line arguments into a command, its arguments and options.
+ * @param {string[]} argv - Arguments after the program name
+ * @returns {object} { command, args, options }
+ * @throws {Error} On unknown options or invalid values
+ */
+function parseCliArgs(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (err) {
+    throw new Error(err.message.replace(/\. To specify a positional argument.*$/s, ''));
+  }
+  const [command, ...args] = parsed.positionals;
+  const options = { ...parsed.values };
+
+  options.format = options.format || 'table';
+  if (!FORMATS.includes(options.format)) {
+    throw new Error(`--format must be one of: ${FORMATS.join(', ')}`);
+  }
+  if (options.days !== undefined) options.days = positiveInteger(options.days, 'days');
+  options.limit = options.limit !== undefined ? positiveInteger(options.limit, 'limit') : 10;
+  return { command: command || null, args, options };
+}
+
+function addDays(date, days) {
+  const d = new Date(`${date}T12:00:00`);
+  d.setDate(d.getDate() + days);
+  return toLocalDate(d);
+}
+
+/**
+ * Usage query parameters for CLI options (see parseUsageQuery).
+ * @param {object} options - From parseCliArgs()
+ * @param {object} [defaults] - e.g. { groupBy: 'project' }
+ * @param {string} [today] - YYYY-MM-DD, for --days
+ * @returns {object} Query parameters
+ */
+function toUsageQuery(options, defaults = {}, today = toLocalDate(Date.now())) {
+  const query = {
+    from: options.from,
+    to: options.to,
+    group: options.group,
+    project: options.project,
+    machine: options.machine,
+    model: options.model,
+    tool: options.tool,
+    groupBy: options.by || defaults.groupBy
+  };
+  if (options.days) {
+    query.from = query.from || addDays(today, 1 - options.days);
+    query.to = query.to || today;
+  }
+  return parseUsageQuery({ ...defaults, ...Object.fromEntries(Object.entries(query).filter(([, v]) => v !== undefined)) });
+}
+
+const USAGE_COLUMNS = [
+  { key: 'inputTokens', label: 'Input', type: 'tokens' },
+  { key: 'outputTokens', label: 'Output', type: 'tokens' },
+  { key: 'cacheCreationTokens', label: 'Cache Write', type: 'tokens' },
+  { key: 'cacheReadTokens', label: 'Cache Read', type: 'tokens' },
+  { key: 'totalTokens', label: 'Total Tokens', type: 'tokens' },
+  { key: 'totalCost', label: 'Cost', type: 'cost' }
+];
+
+const BY_LABELS = { day: 'Date', week: 'Week', month: 'Month', project: 'Project', group: 'Group', model: 'Model', machine: 'Machine', tool: 'Tool' };
+
+function formatValue(value, type) {
+  if (type === 'cost') return `$${(value || 0).toFixed(2)}`;
+  if (type === 'tokens') return (value || 0).toLocaleString('en-US');
+  return value === null || value === undefined ? '' : String(value);
+}
+
+/**
+ * Plain-text table with right-aligned numbers.
+ * @param {Array<object>} columns - { key, label, type }
+ * @param {Array<object>} rows - Row objects
+ * @param {object} [totals] - Printed under a rule
+ * @returns {string}
+ */
+function formatTable(columns, rows, totals) {
+  const cells = row => columns.map(c => formatValue(row[c.key], c.type));
+  const body = rows.map(cells);
+  const footer = totals ? cells(totals) : null;
+  const widths = columns.map((c, i) => Math.max(c.label.length, ...[...body, ...(footer ? [footer] : [])].map(r => r[i].length)));
+  const line = values => values
+    .map((v, i) => (columns[i].type ? v.padStart(widths[i]) : v.padEnd(widths[i])))
+    .join('  ')
+    .trimEnd();
+
+  const out = [line(columns.map(c => c.label)), widths.map(w => '-'.repeat(w)).join('  ')];
+  out.push(...body.map(line));
+  if (footer) out.push(widths.map(w => '-'.repeat(w)).join('  '), line(footer));
+  return out.join('\n') + '\n';
+}
+
+function render(format, columns, rows, totals, json) {
+  if (format === 'json') return JSON.stringify(json, null, 2) + '\n';
+  if (format === 'csv') return formatCsv(columns, rows);
+  if (rows.length === 0) return 'No usage found.\n';
+  return formatTable(columns, rows, totals);
+}
+
+function usageReport(machineData, config, params, format) {
+  const result = queryUsage(machineData, config, params);
+  const columns = [{ key: 'key', label: BY_LABELS[params.groupBy] }, ...USAGE_COLUMNS];
+  return render(format, columns, result.rows, { ...result.totals, key: 'Total' }, result);
+}
+
+/**
+ * Most expensive sessions, filtered like a usage query (by last activity date).
+ * @param {object} sessions - loadAllData().sessions
+ * @param {object} config - Parsed config.json
+ * @param {object} params - From toUsageQuery()
+ * @param {number} limit - Rows to return
+ * @returns {Array<object>} Session rows
+ */
+function topSessions(sessions, config, params, limit) {
+  const groups = compileGroups(config && config.projectGroups);
+  return Object.entries(sessions || {})
+    .map(([id, s]) => ({
+      id,
+      sessionId: s.sessionId || id,
+      project: s.projectName || getProjectName(s.projectPath),
+      projectPath: s.projectPath || '',
+      group: getProjectGroup(s.projectPath, groups, s.gitRemote) || null,
+      machine: s.machineId || null,
+      tool: s.tool || 'claude-code',
+      lastActivity: s.lastActivity || null,
+      models: (s.modelsUsed || []).join(' '),
+      totalTokens: s.totalTokens || 0,
+      totalCost: s.totalCost || 0
+    }))
+    .filter(s => !params.from || (s.lastActivity && s.lastActivity.slice(0, 10) >= params.from))
+    .filter(s => !params.to || (s.lastActivity && s.lastActivity.slice(0, 10) <= params.to))
+    .filter(s => !params.machine || s.machine === params.machine)
+    .filter(s => !params.tool || s.tool === params.tool)
+    .filter(s => !params.group || s.group === params.group)
+    .filter(s => !params.project || matchesProjectPath(s.projectPath, params.project))
+    .filter(s => !params.model || s.models.toLowerCase().includes(params.model.toLowerCase()))
+    .sort((a, b) => b.totalCost - a.totalCost)
+    .slice(0, limit);
+}
+
+const SESSION_COLUMNS = [
+  { key: 'project', label: 'Project' },
+  { key: 'sessionId', label: 'Session' },
+  { key: 'machine', label: 'Machine' },
+  { key: 'lastActivity', label: 'Last Active' },
+  { key: 'totalTokens', label: 'Total Tokens', type: 'tokens' },
+  { key: 'totalCost', label: 'Cost', type: 'cost' }
+];
+
+/**
+ * Add rules to a group, creating it if needed.
+ * @param {object} groups - config.projectGroups
+ * @param {string} name - Group name
+ * @param {Array} rules - Rules to add (validated)
+ * @returns {object} New projectGroups
+ * @throws {Error} If a rule is invalid
+ */
+function addGroupRules(groups, name, rules) {
+  if (!name) throw new Error('Group name required');
+  if (rules.length === 0) throw new Error('At least one rule required');
+  rules.forEach(rule => parseRule(rule));
+
+  const existing = groups[name];
+  const current = getGroupRules(existing);
+  const added = [...current, ...rules.filter(rule => !current.includes(rule))];
+  return { ...groups, [name]: existing && !Array.isArray(existing) ? { ...existing, rules: added } : added };
+}
+
+/**
+ * Remove rules from a group, or the whole group when no rules are given.
+ * @param {object} groups - config.projectGroups
+ * @param {string} name - Group name
+ * @param {Array} [rules] - Rules to remove
+ * @returns {object} New projectGroups
+ * @throws {Error} If the group or a rule doesn't exist
+ */
+function removeGroupRules(groups, name, rules = []) {
+  if (!groups[name]) throw new Error(`Group "${name}" not found`);
+  const next = { ...groups };
+  if (rules.length === 0) {
+    delete next[name];
+    return next;
+  }
+  const current = getGroupRules(groups[name]);
+  const missing = rules.find(rule => !current.includes(rule));
+  if (missing !== undefined) throw new Error(`Group "${name}" has no rule "${missing}"`);
+  const remaining = current.filter(rule => !rules.includes(rule));
+  next[name] = Array.isArray(groups[name]) ? remaining : { ...groups[name], rules: remaining };
+  return next;
+}
+
+function groupsCommand(args, options, out) {
+  const [action = 'list', name, ...rules] = args;
+  const config = loadConfig();
+  const groups = config.projectGroups || {};
+
+  if (action === 'add' || action === 'remove') {
+    config.projectGroups = action === 'add' ? addGroupRules(groups, name, rules) : removeGroupRules(groups, name, rules);
+    saveConfig(config);
+    out.write(action === 'add' || rules.length ? `Updated group "${name}"\n` : `Removed group "${name}"\n`);
+    return;
+  }
+
+  const { loadMachineData } = require('./sync');
+  const projects = getKnownProjects(loadMachineData(), groups);
+
+  if (action === 'test') {
+    if (!name) throw new Error('Rule required');
+    parseRule(name);
+    const matches = projects.filter(p => ruleMatches(name, p.path, p.gitRemote));
+    const columns = [{ key: 'name', label: 'Project' }, { key: 'path', label: 'Path' }, { key: 'group', label: 'Current Group' }];
+    out.write(render(options.format, columns, matches, null, { rule: name, matches, totalProjects: projects.length }));
+    return;
+  }
+  if (action !== 'list') throw new Error(`Unknown groups action "${action}"`);
+
+  const rows = Object.entries(groups).map(([group, value]) => ({
+    group,
+    priority: Array.isArray(value) ? null : value.priority ?? null,
+    rules: getGroupRules(value).map(r => (typeof r === 'string' ? r : JSON.stringify(r))).join(', '),
+    projects: projects.filter(p => p.group === group).length
+  }));
+  const columns = [{ key: 'group', label: 'Group' }, { key: 'priority', label: 'Priority' }, { key: 'projects', label: 'Projects', type: 'count' }, { key: 'rules', label: 'Rules' }];
+  if (options.format === 'json') out.write(JSON.stringify(groups, null, 2) + '\n');
+  else if (rows.length === 0 && options.format === 'table') out.write('No groups. Add one with: looptrack groups add <group> <rule>\n');
+  else out.write(render(options.format, columns, rows, null, groups));
+}
+
+// Read answers from stdin without echoing them (passwords)
+async function promptSecrets(questions, { stdin, stdout }) {
+  const muted = new Writable({ write: (chunk, encoding, callback) => callback() });
+  const rl = readline.createInterface({ input: stdin, output: muted, terminal: Boolean(stdin.isTTY) });
+  const lines = rl[Symbol.asyncIterator]();
+  const answers = [];
+  try {
+    for (const question of questions) {
+      stdout.write(question);
+      const { value, done } = await lines.next();
+      if (stdin.isTTY) stdout.write('\n');
+      if (done) break;
+      answers.push(value);
+    }
+  } finally {
+    rl.close();
+  }
+  return answers;
+}
+
+async function authCommand(args, io) {
+  const { getAuthSettings, saveAuthSettings } = require('./sync');
+  const [action = 'status'] = args;
+  const current = getAuthSettings() || {};
+  const out = io.stdout;
+
+  switch (action) {
+    case 'status': {
+      const methods = [current.password && 'password', current.token && 'token'].filter(Boolean);
+      out.write(methods.length ? `Dashboard login: ${methods.join(' or ')}\n` : 'Dashboard login: off (the dashboard only listens on localhost)\n');
+      return;
+    }
+    case 'password': {
+      const [password, repeated] = await promptSecrets(['New password: ', 'Repeat password: '], io);
+      if (password !== repeated) throw new Error('Passwords do not match');
+      saveAuthSettings({ ...current, password: hashPassword(password) });
+      out.write('Password saved. Restart the server to apply.\n');
+      return;
+    }
+    case 'token': {
+      const token = createToken();
+      saveAuthSettings({ ...current, token });
+      out.write(`Access token: ${token}\n\n` +
+        'Send it as "Authorization: Bearer <token>", or open the dashboard once with ?token=<token>.\n' +
+        'Restart the server to apply.\n');
+      return;
+    }
+    case 'off':
+      saveAuthSettings(null);
+      out.write('Login turned off. Restart the server to apply.\n');
+      return;
+    default:
+      throw new Error(`Unknown auth action "${action}"`);
+  }
+}
+
+/**
+ * Run a looptrack command.
+ * @param {string[]} argv - Arguments after the program name
+ * @param {object} [io] - { stdin, stdout, stderr } streams
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv, { stdin = process.stdin, stdout = process.stdout, stderr = process.stderr } = {}) {
+  try {
+    const { command, args, options } = parseCliArgs(argv);
+    if (!command || options.help || command === 'help') {
+      stdout.write(USAGE + '\n');
+      return command || options.help ? 0 : 1;
+    }
+
+    // Loaded on demand so `looptrack --help` doesn't open the data store
+    const { loadMachineData, loadAllData, queryMachineData, sync } = require('./sync');
+    const config = loadConfig();
+    // Synced dates follow config.timezone, so "today" and --days do too
+    const today = toLocalDate(Date.now(), config.timezone);
+
+    switch (command) {
+      case 'report': {
+        const params = toUsageQuery(options, { groupBy: 'day' }, today);
+        stdout.write(usageReport(queryMachineData(params), config, params, options.format));
+        break;
+      }
+      case 'today': {
+        const params = toUsageQuery({ ...options, from: today, to: today, days: undefined }, { groupBy: 'project' });
+        if (options.format === 'table') stdout.write(`Today (${today})\n\n`);
+        stdout.write(usageReport(queryMachineData(params), config, params, options.format));
+        break;
+      }
+      case 'top': {
+        const kind = args[0] || 'projects';
+        if (!TOP_KINDS.includes(kind)) throw new Error(`top shows ${TOP_KINDS.join(' or ')}, not "${kind}"`);
+        const params = toUsageQuery(options, { groupBy: 'project' }, today);
+        if (kind === 'sessions') {
+          const rows = topSessions(loadAllData().sessions, config, params, options.limit);
+          stdout.write(render(options.format, SESSION_COLUMNS, rows, null, rows));
+        } else {
+          const result = queryUsage(queryMachineData(params), config, { ...params, groupBy: 'project' });
+          const rows = result.rows.slice(0, options.limit);
+          const columns = [{ key: 'key', label: 'Project' }, ...USAGE_COLUMNS];
+          stdout.write(render(options.format, columns, rows, null, { ...result, rows }));
+        }
+        break;
+      }
+      case 'groups':
+        groupsCommand(args, options, stdout);
+        break;
+      case 'sync':
+        await sync();
+        break;
+      case 'auth':
+        await authCommand(args, { stdin, stdout });
+        break;
+      default:
+        throw new Error(`Unknown command "${command}". Run looptrack --help for usage.`);
+    }
+    return 0;
+  } catch (err) {
+    stderr.write(`looptrack: ${err.message}\n`);
+    return 1;
+  }
+}
+
+module.exports = { parseCliArgs, toUsageQuery, formatTable, formatCsv, topSessions, addGroupRules, removeGroupRules, main };
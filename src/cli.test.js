@@ -0,0 +1,102 @@
+import { describe, it, expect } from 'bun:test';
+
+import { parseCliArgs, toUsageQuery, formatTable, formatCsv, topSessions, addGroupRules, removeGroupRules, main } from './cli';
+
+describe('parseCliArgs', () => {
+  it('splits the command, its arguments and options', () => {
+    const { command, args, options } = parseCliArgs(['top', 'sessions', '--limit', '5', '--format', 'csv']);
+    expect(command).toBe('top');
+    expect(args).toEqual(['sessions']);
+    expect(options).toMatchObject({ limit: 5, format: 'csv' });
+  });
+
+  it('rejects unknown options and bad values', () => {
+    expect(() => parseCliArgs(['report', '--colour'])).toThrow("Unknown option '--colour'");
+    expect(() => parseCliArgs(['report', '--format', 'xml'])).toThrow('--format must be one of');
+    expect(() => parseCliArgs(['report', '--days', '0'])).toThrow('--days must be a positive whole number');
+  });
+});
+
+describe('toUsageQuery', () => {
+  it('turns --days into a date range ending today', () => {
+    const params = toUsageQuery({ days: 7, group: 'Work' }, { groupBy: 'day' }, '2025-03-05');
+    expect(params).toEqual({ from: '2025-02-27', to: '2025-03-05', group: 'Work', groupBy: 'day' });
+  });
+
+  it('validates like the query API', () => {
+    expect(() => toUsageQuery({ by: 'weekday' })).toThrow('groupBy must be one of');
+    expect(() => toUsageQuery({ from: 'yesterday' })).toThrow('from must be a date');
+  });
+});
+
+describe('formatting', () => {
+  const columns = [{ key: 'key', label: 'Project' }, { key: 'totalTokens', label: 'Tokens', type: 'tokens' }, { key: 'totalCost', label: 'Cost', type: 'cost' }];
+  const rows = [{ key: 'api', totalTokens: 1234567, totalCost: 12.5 }, { key: 'web, "v2"', totalTokens: 10, totalCost: 0.004 }];
+
+  it('aligns a table and adds a totals line', () => {
+    expect(formatTable(columns, rows, { key: 'Total', totalTokens: 1234577, totalCost: 12.504 })).toBe([
+      'Project       Tokens    Cost',
+      '---------  ---------  ------',
+      'api        1,234,567  $12.50',
+      'web, "v2"         10   $0.00',
+      '---------  ---------  ------',
+      'Total      1,234,577  $12.50',
+      ''
+    ].join('\n'));
+  });
+
+  it('writes raw numbers to CSV, quoting where needed', () => {
+    expect(formatCsv(columns, rows)).toBe('key,totalTokens,totalCost\napi,1234567,12.5\n"web, ""v2""",10,0.004\n');
+  });
+});
+
+describe('topSessions', () => {
+  const sessions = {
+    a: { sessionId: 'a', projectPath: '/work/api', totalCost: 2, lastActivity: '2025-01-02', machineId: 'laptop' },
+    b: { sessionId: 'b', projectPath: '/work/web', totalCost: 5, lastActivity: '2025-01-03', machineId: 'desktop' },
+    c: { sessionId: 'c', projectPath: '/home/blog', totalCost: 9, lastActivity: '2024-12-30', machineId: 'laptop' }
+  };
+  const config = { projectGroups: { Work: ['path:/work'] } };
+
+  it('ranks sessions by cost within the filters', () => {
+    expect(topSessions(sessions, config, { from: '2025-01-01' }, 10).map(s => s.sessionId)).toEqual(['b', 'a']);
+    expect(topSessions(sessions, config, { group: 'Work', machine: 'laptop' }, 10).map(s => s.sessionId)).toEqual(['a']);
+    expect(topSessions(sessions, config, {}, 1)).toMatchObject([{ sessionId: 'c', project: 'blog', totalCost: 9 }]);
+  });
+});
+
+describe('group editing', () => {
+  it('adds rules, creating the group and keeping the object form', () => {
+    const groups = { Client: { priority: 10, rules: ['remote:github.com/acme/*'] } };
+
+    expect(addGroupRules(groups, 'Work', ['path:/work'])).toMatchObject({ Work: ['path:/work'] });
+    expect(addGroupRules(groups, 'Client', ['!name:sandbox']).Client).toEqual({ priority: 10, rules: ['remote:github.com/acme/*', '!name:sandbox'] });
+    expect(() => addGroupRules(groups, 'Work', [''])).toThrow('non-empty');
+  });
+
+  it('removes rules or the whole group', () => {
+    const groups = { Work: ['path:/work', 'api'] };
+
+    expect(removeGroupRules(groups, 'Work', ['api'])).toEqual({ Work: ['path:/work'] });
+    expect(removeGroupRules(groups, 'Work')).toEqual({});
+    expect(() => removeGroupRules(groups, 'Home')).toThrow('Group "Home" not found');
+    expect(() => removeGroupRules(groups, 'Work', ['web'])).toThrow('has no rule "web"');
+  });
+});
+
+describe('main', () => {
+  function capture() {
+    const stream = { text: '', write(chunk) { stream.text += chunk; } };
+    return stream;
+  }
+
+  it('prints usage with --help and reports errors with exit code 1', async () => {
+    const stdout = capture();
+    const stderr = capture();
+
+    expect(await main(['--help'], { stdout, stderr })).toBe(0);
+    expect(stdout.text).toContain('Usage: looptrack <command>');
+    expect(await main(['frobnicate'], { stdout, stderr })).toBe(1);
+    expect(stderr.text).toBe('looptrack: Unknown command "frobnicate". Run looptrack --help for usage.\n');
+  });
+});
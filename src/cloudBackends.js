@@ -0,0 +1,368 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Cloud sync stores files through a backend:
+//   {
+//     type,                   // 'folder', 's3' or 'webdav'
+//     list() -> [name],       // file names at the top level ([] if the location doesn't exist)
+//     read(name) -> string,   // null if the file doesn't exist
+//     write(name, content),   // replaces the file in one step
+//     remove(name),
+//     ensure()                // creates the location if needed
+//   }
+// Every method returns a promise. A backend is created from a cloud target: a folder
+// path, or an object with a "type" and that backend's settings (see parseCloudTarget).
+
+const BACKEND_TYPES = ['folder', 's3', 'webdav'];
+
+/**
+ * Write a file so that readers, and cloud sync clients, never see it half-written:
+ * the content goes to a temp file in the same folder that is then renamed over it.
+ * @param {string} file - Destination path
+ * @param {string} content - File content
+ */
+function writeFileAtomic(file, content) {
+  const tempFile = path.join(path.dirname(file), `.${path.basename(file)}.${process.pid}-${crypto.randomBytes(4).toString('hex')}.tmp`);
+  try {
+    fs.writeFileSync(tempFile, content);
+    fs.renameSync(tempFile, file);
+  } catch (err) {
+    fs.rmSync(tempFile, { force: true });
+    throw err;
+  }
+}
+
+// Locally mounted folder (iCloud Drive, Dropbox, a network share...)
+function createFolderBackend(dir) {
+  return {
+    type: 'folder',
+    async list() {
+      if (!fs.existsSync(dir)) return [];
+      return fs.readdirSync(dir, { withFileTypes: true }).filter(e => e.isFile()).map(e => e.name);
+    },
+    async read(name) {
+      const file = path.join(dir, name);
+      return fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+    },
+    async write(name, content) {
+      writeFileAtomic(path.join(dir, name), content);
+    },
+    async remove(name) {
+      fs.rmSync(path.join(dir, name), { force: true });
+    },
+    async ensure() {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+  };
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+// RFC 3986 encoding, as AWS Signature Version 4 expects
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, c => '%' + c.charCodeAt(0).toString(16).toUpperCase());
+}
+
+/**
+ * Sign a request with AWS Signature Version 4.
+ * @param {object} request
+ * @param {string} request.method - HTTP method
+ * @param {string} request.path - Already-encoded path, e.g. "/bucket/usage-a.json"
+ * @param {object} [request.query] - Query parameters (unencoded)
+ * @param {object} request.headers - Headers to sign; must include host and x-amz-date
+ * @param {string} request.payloadHash - Hex SHA-256 of the body
+ * @param {object} credentials - { accessKeyId, secretAccessKey, region, service }
+ * @returns {string} The Authorization header value
+ */
+function signV4({ method, path: requestPath, query = {}, headers, payloadHash }, { accessKeyId, secretAccessKey, region, service }) {
+  const lowerHeaders = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  const names = Object.keys(lowerHeaders).sort();
+  const amzDate = lowerHeaders['x-amz-date'];
+  const date = amzDate.slice(0, 8);
+  const scope = `${date}/${region}/${service}/aws4_request`;
+
+  const canonicalQuery = Object.keys(query).sort()
+    .map(key => `${encodeRfc3986(key)}=${encodeRfc3986(query[key])}`)
+    .join('&');
+  const canonicalHeaders = names.map(name => `${name}:${String(lowerHeaders[name]).trim().replace(/\s+/g, ' ')}\n`).join('');
+  const signedHeaders = names.join(';');
+
+  const canonicalRequest = [method, requestPath, canonicalQuery, canonicalHeaders, signedHeaders, payloadHash].join('\n');
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+
+  const signingKey = [date, region, service, 'aws4_request'].reduce((key, part) => hmac(key, part), `AWS4${secretAccessKey}`);
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+  return `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+}
+
+function decodeXml(value) {
+  return value
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+    .replace(/&amp;/g, '&');
+}
+
+function xmlValues(xml, tag) {
+  const pattern = new RegExp(`<(?:[\\w-]+:)?${tag}(?:\\s[^>]*)?>([^<]*)</(?:[\\w-]+:)?${tag}>`, 'g');
+  return [...xml.matchAll(pattern)].map(m => decodeXml(m[1]));
+}
+
+// fetch() reports every network failure as "fetch failed"; surface the reason
+async function send(url, init) {
+  try {
+    return await fetch(url, init);
+  } catch (err) {
+    const cause = err.cause && (err.cause.code || err.cause.message);
+    throw new Error(cause ? `${err.message} (${cause})` : err.message);
+  }
+}
+
+async function checkResponse(res, action) {
+  if (res.ok) return;
+  const body = await res.text().catch(() => '');
+  const code = xmlValues(body, 'Code')[0] || xmlValues(body, 'Message')[0];
+  throw new Error(`${action} failed: ${res.status} ${res.statusText}${code ? ` (${code})` : ''}`);
+}
+
+// S3 or an S3-compatible store (MinIO, R2, B2, Wasabi...). Path-style URLs by default,
+// which every S3-compatible server supports.
+function createS3Backend({ endpoint, region = 'us-east-1', bucket, prefix = '', accessKeyId, secretAccessKey, pathStyle = true }) {
+  const base = new URL(endpoint);
+  const keyPrefix = prefix ? prefix.replace(/^\/+|\/+$/g, '') + '/' : '';
+
+  async function request(method, key, { query = {}, body = '' } = {}) {
+    const url = new URL(base.href);
+    const encodedKey = key.split('/').map(encodeRfc3986).join('/');
+    if (pathStyle) {
+      url.pathname = `${base.pathname.replace(/\/$/, '')}/${bucket}${key ? '/' + encodedKey : ''}`;
+    } else {
+      url.hostname = `${bucket}.${base.hostname}`;
+      url.pathname = `${base.pathname.replace(/\/$/, '')}/${encodedKey}`;
+    }
+    url.search = Object.entries(query).map(([k, v]) => `${encodeRfc3986(k)}=${encodeRfc3986(v)}`).join('&');
+
+    const payloadHash = sha256Hex(body);
+    const headers = {
+      host: url.host,
+      'x-amz-date': new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, ''),
+      'x-amz-content-sha256': payloadHash
+    };
+    headers.authorization = signV4(
+      { method, path: url.pathname, query, headers, payloadHash },
+      { accessKeyId, secretAccessKey, region, service: 's3' }
+    );
+    delete headers.host; // fetch sets it from the URL
+
+    return send(url, { method, headers, body: method === 'PUT' ? body : undefined });
+  }
+
+  return {
+    type: 's3',
+    async list() {
+      const names = [];
+      let token = null;
+      do {
+        const query = { 'list-type': '2', prefix: keyPrefix, delimiter: '/' };
+        if (token) query['continuation-token'] = token;
+        const res = await request('GET', '', { query });
+        if (res.status === 404) return [];
+        await checkResponse(res, 'S3 list');
+        const xml = await res.text();
+        names.push(...xmlValues(xml, 'Key').map(key => key.slice(keyPrefix.length)).filter(name => name && !name.includes('/')));
+        token = xmlValues(xml, 'IsTruncated')[0] === 'true' ? xmlValues(xml, 'NextContinuationToken')[0] : null;
+      } while (token);
+      return names;
+    },
+    async read(name) {
+      const res = await request('GET', keyPrefix + name);
+      if (res.status === 404) return null;
+      await checkResponse(res, `S3 read of ${name}`);
+      return res.text();
+    },
+    // A PUT replaces the whole object at once, so no temp object is needed
+    async write(name, content) {
+      await checkResponse(await request('PUT', keyPrefix + name, { body: content }), `S3 write of ${name}`);
+    },
+    async remove(name) {
+      const res = await request('DELETE', keyPrefix + name);
+      if (res.status !== 404) await checkResponse(res, `S3 delete of ${name}`);
+    },
+    // The bucket must already exist; objects need no folders
+    async ensure() {
+      const res = await request('GET', '', { query: { 'list-type': '2', prefix: keyPrefix, 'max-keys': '1' } });
+      await checkResponse(res, `S3 bucket ${bucket}`);
+    }
+  };
+}
+
+// WebDAV server (Nextcloud, ownCloud, Apache mod_dav, rclone serve webdav...)
+function createWebDavBackend({ url, username, password }) {
+  const base = new URL(url.endsWith('/') ? url : url + '/');
+  const auth = username ? 'Basic ' + Buffer.from(`${username}:${password || ''}`).toString('base64') : null;
+
+  function request(method, target, headers = {}, body) {
+    return send(target, { method, headers: { ...(auth && { authorization: auth }), ...headers }, body });
+  }
+
+  function fileUrl(name) {
+    return new URL(encodeURIComponent(name), base).href;
+  }
+
+  return {
+    type: 'webdav',
+    async list() {
+      const res = await request('PROPFIND', base.href, { depth: '1', 'content-type': 'application/xml' },
+        '<?xml version="1.0"?><propfind xmlns="DAV:"><prop><resourcetype/></prop></propfind>');
+      if (res.status === 404) return [];
+      await checkResponse(res, 'WebDAV list');
+      return xmlValues(await res.text(), 'href')
+        .map(href => new URL(href, base).pathname)
+        .filter(pathname => pathname.startsWith(base.pathname) && pathname !== base.pathname && !pathname.endsWith('/'))
+        .map(pathname => decodeURIComponent(pathname.slice(base.pathname.length)))
+        .filter(name => !name.includes('/'));
+    },
+    async read(name) {
+      const res = await request('GET', fileUrl(name));
+      if (res.status === 404) return null;
+      await checkResponse(res, `WebDAV read of ${name}`);
+      return res.text();
+    },
+    // Upload to a temp name, then MOVE it over the file in one step
+    async write(name, content) {
+      const tempUrl = fileUrl(`.${name}.${process.pid}-${crypto.randomBytes(4).toString('hex')}.tmp`);
+      await checkResponse(await request('PUT', tempUrl, { 'content-type': 'application/json' }, content), `WebDAV write of ${name}`);
+      const res = await request('MOVE', tempUrl, { destination: fileUrl(name), overwrite: 'T' });
+      if (!res.ok) await request('DELETE', tempUrl).catch(() => {});
+      await checkResponse(res, `WebDAV write of ${name}`);
+    },
+    async remove(name) {
+      const res = await request('DELETE', fileUrl(name));
+      if (res.status !== 404) await checkResponse(res, `WebDAV delete of ${name}`);
+    },
+    // Create each missing collection down to the sync folder
+    async ensure() {
+      const res = await request('PROPFIND', base.href, { depth: '0' });
+      if (res.ok) return;
+      if (res.status !== 404) await checkResponse(res, 'WebDAV folder check');
+
+      const segments = base.pathname.split('/').filter(Boolean);
+      for (let i = 1; i <= segments.length; i++) {
+        const collection = new URL('/' + segments.slice(0, i).join('/') + '/', base).href;
+        const created = await request('MKCOL', collection);
+        // 405: it already exists
+        if (!created.ok && created.status !== 405) await checkResponse(created, `WebDAV create ${collection}`);
+      }
+    }
+  };
+}
+
+/**
+ * Validate a cloud target from the API or identity.json.
+ * @param {string|object} target - Folder path, or { type: 'folder', path },
+ *   { type: 's3', endpoint, bucket, region?, prefix?, accessKeyId, secretAccessKey, pathStyle? }
+ *   or { type: 'webdav', url, username?, password? }
+ * @returns {string|object} Normalized target
+ * @throws {Error} If a required setting is missing
+ */
+function parseCloudTarget(target) {
+  if (typeof target === 'string') {
+    if (!target) throw new Error('Folder path required');
+    return target;
+  }
+  if (!target || typeof target !== 'object') {
+    throw new Error('Cloud target must be a folder path or an object with a type');
+  }
+  if (!BACKEND_TYPES.includes(target.type)) {
+    throw new Error(`Unknown cloud backend "${target.type}" (expected ${BACKEND_TYPES.join(', ')})`);
+  }
+
+  const require = fields => {
+    for (const field of fields) {
+      if (!target[field] || typeof target[field] !== 'string') throw new Error(`${target.type}: ${field} is required`);
+    }
+  };
+  const checkUrl = field => {
+    let url;
+    try {
+      url = new URL(target[field]);
+    } catch (err) {
+      throw new Error(`${target.type}: ${field} must be a URL`);
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) throw new Error(`${target.type}: ${field} must be an http(s) URL`);
+  };
+
+  if (target.type === 'folder') {
+    require(['path']);
+    return target.path;
+  }
+  if (target.type === 's3') {
+    require(['endpoint', 'bucket', 'accessKeyId', 'secretAccessKey']);
+    checkUrl('endpoint');
+    return {
+      type: 's3',
+      endpoint: target.endpoint,
+      region: target.region || 'us-east-1',
+      bucket: target.bucket,
+      prefix: target.prefix || '',
+      accessKeyId: target.accessKeyId,
+      secretAccessKey: target.secretAccessKey,
+      pathStyle: target.pathStyle !== false
+    };
+  }
+  require(['url']);
+  checkUrl('url');
+  return { type: 'webdav', url: target.url, username: target.username || '', password: target.password || '' };
+}
+
+/**
+ * Create the backend for a cloud target (see parseCloudTarget).
+ * @param {string|object} target - Folder path or backend settings
+ * @returns {object} Backend
+ */
+function createCloudBackend(target) {
+  const parsed = parseCloudTarget(target);
+  if (typeof parsed === 'string') return createFolderBackend(parsed);
+  if (parsed.type === 's3') return createS3Backend(parsed);
+  return createWebDavBackend(parsed);
+}
+
+// Human-readable location without credentials, e.g. "s3://bucket/prefix"
+function describeCloudTarget(target) {
+  if (!target) return null;
+  if (typeof target === 'string') return target;
+  if (target.type === 's3') return `s3://${target.bucket}${target.prefix ? '/' + target.prefix.replace(/^\/+|\/+$/g, '') : ''} (${new URL(target.endpoint).host})`;
+  if (target.type === 'webdav') {
+    const url = new URL(target.url);
+    url.username = '';
+    url.password = '';
+    return url.href;
+  }
+  return target.path || null;
+}
+
+// Target settings safe to send to the browser
+function redactCloudTarget(target) {
+  if (!target || typeof target === 'string') return target || null;
+  const { secretAccessKey, password, ...rest } = target;
+  return { ...rest, ...(secretAccessKey && { hasSecret: true }), ...(password && { hasPassword: true }) };
+}
+
+module.exports = {
+  BACKEND_TYPES,
+  writeFileAtomic,
+  signV4,
+  parseCloudTarget,
+  createCloudBackend,
+  createFolderBackend,
+  createS3Backend,
+  createWebDavBackend,
+  describeCloudTarget,
+  redactCloudTarget
+};
@@ -1,78 +1,455 @@
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { encrypt, decrypt, isEncrypted } = require('./encryption');
+const { createCloudBackend, writeFileAtomic } = require('./cloudBackends');
+const { migrateUsageData } = require('./schema');
+
+// Local bookkeeping, next to the machine files in the data directory
+const STATE_FILE = 'cloud-state.json';
+const HISTORY_DIR = 'history';
+const DEFAULT_HISTORY_LIMIT = 10;
+
+// Names sync clients give a second copy of usage-<machine>.json when two writes
+// collide: Dropbox "(conflicted copy 2025-01-02)" or "(Sam's conflicted copy ...)",
+// Google Drive "(1)", iCloud " 2" and Syncthing ".sync-conflict-20250102-101010-ABCDEFG"
+const CONFLICT_PATTERN = /^usage-(.+?)(?: \([^)]*conflicted copy[^)]*\)| \(\d+\)| \d+|\.sync-conflict-[\w-]+)\.json$/;
+const USAGE_PATTERN = /^usage-(.+)\.json$/;
+
+function sha256(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    return null;
+  }
+}
+
+function readFileIfExists(file) {
+  return fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+}
+
+// The machine a cloud file belongs to, and whether it is a conflicted copy
+function parseUsageFileName(file) {
+  const conflict = file.match(CONFLICT_PATTERN);
+  if (conflict) return { machineId: conflict[1], conflict: true };
+  const usage = file.match(USAGE_PATTERN);
+  return usage ? { machineId: usage[1], conflict: false } : null;
+}
+
+// A backend as is, or the one for a folder path or backend settings (see cloudBackends.js)
+function toBackend(cloud) {
+  return cloud && typeof cloud.list === 'function' ? cloud : createCloudBackend(cloud);
+}
+
+// Usage files in the cloud by machine: { [machineId]: { file, conflicts: [] } }
+async function listCloudFiles(backend) {
+  const machines = {};
+  for (const file of (await backend.list()).sort()) {
+    const parsed = parseUsageFileName(file);
+    if (!parsed) continue;
+    const entry = machines[parsed.machineId] = machines[parsed.machineId] || { file: null, conflicts: [] };
+    if (parsed.conflict) entry.conflicts.push(file);
+    else entry.file = file;
+  }
+  return machines;
+}
+
+// Each machine describes its own file in manifest-<machine>.json: the sequence
+// number of the push and the SHA-256 of the content. Machines only ever write
+// their own manifest, so manifests can't conflict with each other.
+function getManifestName(machineId) {
+  return `manifest-${machineId}.json`;
+}
+
+async function readManifest(backend, machineId) {
+  try {
+    return JSON.parse(await backend.read(getManifestName(machineId)));
+  } catch (err) {
+    return null;
+  }
+}
+
+function loadState(localDataDir) {
+  return { machines: {}, rejected: {}, undecryptable: {}, incompatible: {}, ...(readJson(path.join(localDataDir, STATE_FILE)) || {}) };
+}
+
+function saveState(localDataDir, state) {
+  writeFileAtomic(path.join(localDataDir, STATE_FILE), JSON.stringify(state, null, 2));
+}
+
+// Cloud copies are encrypted when a passphrase is set; the machine id is
+// authenticated with the content so files can't be swapped between machines
+function encodeForCloud(content, machineId, passphrase) {
+  return passphrase ? encrypt(content, passphrase, `usage-${machineId}`) : content;
+}
+
+// Plain content of a cloud file. Files from machines that don't encrypt are read as is.
+function decodeFromCloud(content, machineId, passphrase, file) {
+  if (!isEncrypted(content)) return content;
+  try {
+    return decrypt(content, passphrase, `usage-${machineId}`);
+  } catch (err) {
+    const error = new Error(`Cannot decrypt ${file}: ${err.message}`);
+    error.code = 'EDECRYPT';
+    throw error;
+  }
+}
+
+/**
+ * Machines whose cloud file couldn't be decrypted on the last pull.
+ * @param {string} localDataDir - Local data directory path
+ * @returns {object} { [machineId]: { file, error, at } }
+ */
+function getUndecryptable(localDataDir) {
+  return loadState(localDataDir).undecryptable;
+}
+
+/**
+ * Machines whose cloud file was written by a newer LoopTrack, as of the last pull.
+ * Their last readable copy is kept until this machine is updated.
+ * @param {string} localDataDir - Local data directory path
+ * @returns {object} { [machineId]: { file, schemaVersion, error, at } }
+ */
+function getIncompatible(localDataDir) {
+  return loadState(localDataDir).incompatible;
+}
+
+// Parse a usage file from the cloud, migrated to the current schema so copies
+// of different ages merge field for field
+function parseUsage(content, file) {
+  return migrateUsageData(JSON.parse(content), file);
+}
+
+// Without a merge function, the copy synced most recently wins
+function keepNewest(a, b) {
+  return (b.lastSync || '') > (a.lastSync || '') ? b : a;
+}
+
+// History files are named "<ISO time with : and . as ->-<reason>.json"
+function parseVersionName(file) {
+  const match = file.match(/^(\d{4}-\d\d-\d\dT)(\d\d)-(\d\d)-(\d\d)-(\d{3})Z-(\w+)\.json$/);
+  if (!match) return null;
+  const [, date, hours, minutes, seconds, millis, reason] = match;
+  return { savedAt: `${date}${hours}:${minutes}:${seconds}.${millis}Z`, reason };
+}
+
+function getVersionTime(file) {
+  const parsed = parseVersionName(file);
+  return parsed ? new Date(parsed.savedAt).getTime() : 0;
+}
+
+/**
+ * Keep a copy of a machine file before it is replaced, pruning the oldest
+ * copies beyond the limit.
+ * @param {string} localDataDir - Local data directory path
+ * @param {string} machineId - Machine the file belongs to
+ * @param {string} content - The content being replaced
+ * @param {string} reason - What replaced it: pull, conflict or restore
+ * @param {number} [limit] - Versions to keep per machine
+ */
+function saveVersion(localDataDir, machineId, content, reason, limit = DEFAULT_HISTORY_LIMIT) {
+  const dir = path.join(localDataDir, HISTORY_DIR, machineId);
+  fs.mkdirSync(dir, { recursive: true });
+  let versions = fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort();
+
+  // Version names sort by time; step past the newest when saves share a millisecond
+  let time = Date.now();
+  const newest = versions.length ? getVersionTime(versions[versions.length - 1]) : 0;
+  if (newest >= time) time = newest + 1;
+  const stamp = new Date(time).toISOString().replace(/[:.]/g, '-');
+  writeFileAtomic(path.join(dir, `${stamp}-${reason}.json`), content);
+
+  versions = fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort();
+  for (const file of versions.slice(0, Math.max(0, versions.length - limit))) {
+    fs.rmSync(path.join(dir, file), { force: true });
+  }
+}
+
+/**
+ * Saved versions of a machine file, newest first.
+ * @param {string} localDataDir - Local data directory path
+ * @param {string} machineId - Machine identifier
+ * @returns {Array<object>} { id, machineId, savedAt, reason, size, sessions, totalCost, lastSync }
+ */
+function listVersions(localDataDir, machineId) {
+  const dir = path.join(localDataDir, HISTORY_DIR, machineId);
+  if (!fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir)
+    .filter(f => f.endsWith('.json'))
+    .sort()
+    .reverse()
+    .map(file => {
+      const { savedAt, reason } = parseVersionName(file) || {};
+      const data = readJson(path.join(dir, file)) || {};
+      return {
+        id: file.replace(/\.json$/, ''),
+        machineId,
+        savedAt: savedAt || null,
+        reason: reason || null,
+        size: fs.statSync(path.join(dir, file)).size,
+        sessions: Object.keys(data.sessions || {}).length,
+        totalCost: Object.values(data.daily || {}).reduce((sum, d) => sum + (d.totalCost || 0), 0),
+        lastSync: data.lastSync || null
+      };
+    });
+}
 
 /**
- * Push local machine's usage file to cloud folder
+ * Roll a machine file back to a saved version. The content it replaces is saved
+ * as a version too, and won't be pulled from the cloud folder again.
  * @param {string} localDataDir - Local data directory path
- * @param {string} cloudDir - Cloud/sync folder path
+ * @param {string} machineId - Machine identifier
+ * @param {string} versionId - From listVersions()
+ * @param {object} [options] - { historyLimit }
+ * @returns {object} The restored version
+ * @throws {Error} If the version doesn't exist or isn't valid JSON
+ */
+function restoreVersion(localDataDir, machineId, versionId, options = {}) {
+  const version = listVersions(localDataDir, machineId).find(v => v.id === versionId);
+  if (!version) {
+    throw new Error(`Version ${versionId} of ${machineId} not found`);
+  }
+  const content = fs.readFileSync(path.join(localDataDir, HISTORY_DIR, machineId, `${versionId}.json`), 'utf8');
+  JSON.parse(content); // Will throw if invalid
+
+  const localFile = path.join(localDataDir, `usage-${machineId}.json`);
+  const previous = readFileIfExists(localFile);
+  if (previous !== null) {
+    saveVersion(localDataDir, machineId, previous, 'restore', options.historyLimit);
+    const state = loadState(localDataDir);
+    state.rejected[machineId] = [...(state.rejected[machineId] || []), sha256(previous)].slice(-DEFAULT_HISTORY_LIMIT);
+    saveState(localDataDir, state);
+  }
+  writeFileAtomic(localFile, content);
+  return version;
+}
+
+// Fold conflicted copies of this machine's own file back into the local file,
+// then remove them from the cloud. Returns how many were merged.
+async function resolveOwnConflicts(localDataDir, backend, machineId, conflicts, options) {
+  const merge = options.merge || keepNewest;
+  const localFile = path.join(localDataDir, `usage-${machineId}.json`);
+  const previous = readFileIfExists(localFile);
+  let data = previous !== null ? parseUsage(previous, `usage-${machineId}.json`) : null;
+  const merged = [];
+
+  for (const file of conflicts) {
+    try {
+      const content = await backend.read(file);
+      if (content === null) continue;
+      const copy = parseUsage(decodeFromCloud(content, machineId, options.passphrase, file), file);
+      data = data ? merge(data, copy) : copy;
+      merged.push(file);
+    } catch (err) {
+      console.error(`Skipping conflicted copy ${file}:`, err.message);
+      continue;
+    }
+    console.log(`Merged conflicted copy ${file}`);
+  }
+
+  if (merged.length === 0) return 0;
+  if (previous !== null) saveVersion(localDataDir, machineId, previous, 'conflict', options.historyLimit);
+  writeFileAtomic(localFile, JSON.stringify(data, null, 2));
+  for (const file of merged) {
+    await backend.remove(file);
+  }
+  return merged.length;
+}
+
+/**
+ * Push local machine's usage file to the cloud
+ * @param {string} localDataDir - Local data directory path
+ * @param {string|object} cloud - Cloud/sync folder path, backend settings or a backend
  * @param {string} machineId - Current machine identifier
+ * @param {object} [options] - { merge(a, b), historyLimit } for reconciling conflicted copies,
+ *   { passphrase } to encrypt the cloud copy
  */
-function syncToCloud(localDataDir, cloudDir, machineId) {
+async function syncToCloud(localDataDir, cloud, machineId, options = {}) {
+  const backend = toBackend(cloud);
   const localFile = path.join(localDataDir, `usage-${machineId}.json`);
-  const cloudFile = path.join(cloudDir, `usage-${machineId}.json`);
+  const cloudFile = `usage-${machineId}.json`;
 
   // Create cloud folder if it doesn't exist
-  if (!fs.existsSync(cloudDir)) {
-    fs.mkdirSync(cloudDir, { recursive: true });
+  await backend.ensure();
+
+  const own = (await listCloudFiles(backend))[machineId];
+  if (own && own.conflicts.length > 0) {
+    await resolveOwnConflicts(localDataDir, backend, machineId, own.conflicts, options);
+  }
+
+  // Copy local file to cloud (if it exists), unless the cloud already has it
+  const content = readFileIfExists(localFile);
+  if (content === null) return;
+  const contentHash = sha256(content);
+  const encrypted = Boolean(options.passphrase);
+  const manifest = await readManifest(backend, machineId);
+  const cloudContent = await backend.read(cloudFile);
+  if (manifest && manifest.contentSha256 === contentHash && Boolean(manifest.encrypted) === encrypted &&
+      cloudContent !== null && sha256(cloudContent) === manifest.sha256) return;
+
+  // File first, then the manifest that vouches for it. sha256 covers the file
+  // as stored (encrypted or not), contentSha256 the usage data inside it.
+  const stored = encodeForCloud(content, machineId, options.passphrase);
+  await backend.write(cloudFile, stored);
+  await backend.write(getManifestName(machineId), JSON.stringify({
+    machineId,
+    file: `usage-${machineId}.json`,
+    seq: ((manifest && manifest.seq) || 0) + 1,
+    sha256: sha256(stored),
+    contentSha256: contentHash,
+    encrypted,
+    size: Buffer.byteLength(stored),
+    updatedAt: new Date().toISOString()
+  }, null, 2));
+}
+
+// Content to pull for another machine: its file (if it matches the manifest)
+// with any conflicted copies merged in. Null if nothing can be trusted yet.
+async function readCloudMachine(backend, machineId, { file, conflicts }, { merge, passphrase }) {
+  const manifest = await readManifest(backend, machineId);
+  let content = null;
+  let data = null;
+
+  if (file) {
+    content = await backend.read(file);
+    if (content === null) return null;
+    if (manifest && manifest.sha256 !== sha256(content)) {
+      // The file or its manifest hasn't finished syncing; try again next time
+      console.error(`Skipping ${file}: content does not match manifest-${machineId}.json yet`);
+      return null;
+    }
+    content = decodeFromCloud(content, machineId, passphrase, file);
+    data = parseUsage(content, file); // Will throw if invalid or from a newer LoopTrack
   }
 
-  // Copy local file to cloud (if it exists)
-  if (fs.existsSync(localFile)) {
-    fs.copyFileSync(localFile, cloudFile);
+  for (const conflict of conflicts) {
+    try {
+      const stored = await backend.read(conflict);
+      if (stored === null) continue;
+      const copy = parseUsage(decodeFromCloud(stored, machineId, passphrase, conflict), conflict);
+      data = data ? merge(data, copy) : copy;
+      content = null;
+    } catch (err) {
+      console.error(`Skipping conflicted copy ${conflict}:`, err.message);
+    }
   }
+
+  if (!data) return null;
+  return { content: content !== null ? content : JSON.stringify(data, null, 2), manifest };
 }
 
 /**
  * Pull other machines' usage files from cloud to local
  * @param {string} localDataDir - Local data directory path
- * @param {string} cloudDir - Cloud/sync folder path
+ * @param {string|object} cloud - Cloud/sync folder path, backend settings or a backend
  * @param {string} machineId - Current machine identifier (skip this machine's file)
+ * @param {object} [options] - { merge(a, b), historyLimit } for reconciling conflicted copies,
+ *   { passphrase } to decrypt encrypted files
+ * @returns {Promise<string[]>} Machine IDs whose local copy changed
  */
-function syncFromCloud(localDataDir, cloudDir, machineId) {
+async function syncFromCloud(localDataDir, cloud, machineId, options = {}) {
+  const backend = toBackend(cloud);
+  const pulled = [];
+
   // If cloud folder doesn't exist, nothing to pull
-  if (!fs.existsSync(cloudDir)) return;
+  const machines = await listCloudFiles(backend);
+  if (Object.keys(machines).length === 0) return pulled;
 
   // Create local folder if it doesn't exist
   if (!fs.existsSync(localDataDir)) {
     fs.mkdirSync(localDataDir, { recursive: true });
   }
 
-  // Get all usage files from cloud
-  const files = fs.readdirSync(cloudDir)
-    .filter(f => f.startsWith('usage-') && f.endsWith('.json'));
+  const state = loadState(localDataDir);
+  let stateChanged = false;
 
-  for (const file of files) {
+  for (const [id, files] of Object.entries(machines)) {
     // Skip our own machine's file - we're the source of truth for that
-    if (file === `usage-${machineId}.json`) continue;
-
-    const cloudFile = path.join(cloudDir, file);
-    const localFile = path.join(localDataDir, file);
+    if (id === machineId) continue;
 
+    const file = files.file || files.conflicts[0];
     try {
-      // Validate it's valid JSON before copying
-      const content = fs.readFileSync(cloudFile, 'utf8');
-      JSON.parse(content); // Will throw if invalid
+      const incoming = await readCloudMachine(backend, id, files, { merge: options.merge || keepNewest, passphrase: options.passphrase });
+      if (!incoming) continue;
+      for (const problems of [state.undecryptable, state.incompatible]) {
+        if (!problems[id]) continue;
+        delete problems[id];
+        stateChanged = true;
+      }
+      const { content, manifest } = incoming;
 
-      // Copy cloud file to local (other machine's data)
-      fs.copyFileSync(cloudFile, localFile);
+      const localFile = path.join(localDataDir, `usage-${id}.json`);
+      const previous = readFileIfExists(localFile);
+
+      // Nothing new from that machine
+      if (previous === content) continue;
+      // An older push resurfacing, or content rolled back from the UI
+      const pulledSeq = state.machines[id] && state.machines[id].seq;
+      if (manifest && pulledSeq && manifest.seq < pulledSeq) continue;
+      if ((state.rejected[id] || []).includes(sha256(content))) continue;
+
+      // Copy cloud file to local (other machine's data), keeping what it replaces
+      if (previous !== null) saveVersion(localDataDir, id, previous, 'pull', options.historyLimit);
+      writeFileAtomic(localFile, content);
+      if (manifest) {
+        state.machines[id] = { seq: manifest.seq, sha256: manifest.sha256, pulledAt: new Date().toISOString() };
+        stateChanged = true;
+      }
+      pulled.push(id);
     } catch (err) {
-      // Skip corrupt files silently
+      if (err.code === 'EDECRYPT') {
+        // Remembered so the dashboard can show the machine instead of leaving it out
+        state.undecryptable[id] = { file, error: err.message, at: new Date().toISOString() };
+        stateChanged = true;
+        console.error(err.message);
+        continue;
+      }
+      if (err.code === 'ENEWERSCHEMA') {
+        // Flagged rather than misread; the copy pulled before stays in place
+        state.incompatible[id] = { file, schemaVersion: err.schemaVersion, error: err.message, at: new Date().toISOString() };
+        stateChanged = true;
+        console.error(err.message);
+        continue;
+      }
+      // Skip corrupt files
       console.error(`Failed to sync ${file}:`, err.message);
     }
   }
+
+  if (stateChanged) saveState(localDataDir, state);
+  return pulled;
 }
 
 /**
  * Full two-way sync: push local to cloud, then pull cloud to local
  * @param {string} localDataDir - Local data directory path
- * @param {string} cloudDir - Cloud/sync folder path
+ * @param {string|object} cloud - Cloud/sync folder path, backend settings or a backend
  * @param {string} machineId - Current machine identifier
+ * @param {object} [options] - { merge(a, b), historyLimit, passphrase }
+ * @returns {Promise<string[]>} Machine IDs whose data was pulled
  */
-function syncWithCloud(localDataDir, cloudDir, machineId) {
+async function syncWithCloud(localDataDir, cloud, machineId, options = {}) {
+  const backend = toBackend(cloud);
   // Push first (our data to cloud)
-  syncToCloud(localDataDir, cloudDir, machineId);
+  await syncToCloud(localDataDir, backend, machineId, options);
   // Then pull (other machines' data from cloud)
-  syncFromCloud(localDataDir, cloudDir, machineId);
+  return syncFromCloud(localDataDir, backend, machineId, options);
 }
 
-module.exports = { syncToCloud, syncFromCloud, syncWithCloud };
+module.exports = {
+  DEFAULT_HISTORY_LIMIT,
+  writeFileAtomic,
+  parseUsageFileName,
+  syncToCloud,
+  syncFromCloud,
+  syncWithCloud,
+  listVersions,
+  restoreVersion,
+  getUndecryptable,
+  getIncompatible
+};
@@ -1,10 +1,14 @@
-import { describe, it, expect, beforeEach, afterEach } from 'bun:test';
+import { describe, it, expect, beforeEach, afterEach, beforeAll, afterAll } from 'bun:test';
 import fs from 'fs';
 import path from 'path';
 import os from 'os';
+import http from 'http';
+import crypto from 'crypto';
 
 // Import functions we'll implement
-import { syncToCloud, syncFromCloud, syncWithCloud } from './cloudSync';
+import { syncToCloud, syncFromCloud, syncWithCloud, writeFileAtomic, parseUsageFileName, listVersions, restoreVersion, getUndecryptable, getIncompatible } from './cloudSync';
+import { BACKEND_TYPES, signV4 } from './cloudBackends';
+import { mergeUsageData } from './sync';
 
 // Test helpers
 function createTempDir() {
@@ -28,6 +32,188 @@ function listUsageFiles(dir) {
   return fs.readdirSync(dir).filter(f => f.startsWith('usage-') && f.endsWith('.json'));
 }
 
+// Stand-in servers for the remote backends. Both keep their files in the temp
+// directory, so every backend's tests can set up and inspect the cloud with
+// the same fs helpers as a local folder.
+const STORE_ROOT = os.tmpdir();
+const S3_CREDENTIALS = { accessKeyId: 'looptrack', secretAccessKey: 'looptrack-secret', region: 'us-east-1', service: 's3' };
+const S3_BUCKET = 'looptrack';
+const WEBDAV_USER = 'looptrack:dav-secret';
+
+function storePath(key) {
+  const file = path.resolve(STORE_ROOT, key);
+  if (file !== STORE_ROOT && !file.startsWith(STORE_ROOT + path.sep)) throw new Error('Outside the store');
+  return file;
+}
+
+function readBody(req) {
+  return new Promise(resolve => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+  });
+}
+
+function listen(handler) {
+  return new Promise(resolve => {
+    const server = http.createServer((req, res) => handler(req, res).catch(err => {
+      res.writeHead(500);
+      res.end(err.message);
+    }));
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+// S3-compatible object store like a local MinIO: path-style requests, signatures
+// checked, ListObjectsV2 paging two keys at a time to exercise continuation
+function startS3StandIn() {
+  const xmlEscape = value => value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/'/g, '&apos;');
+  const reply = (res, status, body = '') => {
+    res.writeHead(status, { 'content-type': 'application/xml' });
+    res.end(body);
+  };
+
+  return listen(async (req, res) => {
+    const body = await readBody(req);
+    const url = new URL(req.url, 'http://localhost');
+    const auth = req.headers.authorization || '';
+    const signedHeaders = ((auth.match(/SignedHeaders=([^,]+)/) || [])[1] || '').split(';');
+    const expected = signV4({
+      method: req.method,
+      path: url.pathname,
+      query: Object.fromEntries(url.searchParams),
+      headers: Object.fromEntries(signedHeaders.map(name => [name, req.headers[name] || ''])),
+      payloadHash: req.headers['x-amz-content-sha256']
+    }, S3_CREDENTIALS);
+    if (auth !== expected || crypto.createHash('sha256').update(body).digest('hex') !== req.headers['x-amz-content-sha256']) {
+      return reply(res, 403, '<Error><Code>SignatureDoesNotMatch</Code></Error>');
+    }
+
+    const [, bucket, ...keyParts] = url.pathname.split('/');
+    if (bucket !== S3_BUCKET) return reply(res, 404, '<Error><Code>NoSuchBucket</Code></Error>');
+    const key = keyParts.map(decodeURIComponent).join('/');
+
+    if (!key && req.method === 'GET') {
+      const prefix = url.searchParams.get('prefix') || '';
+      const dir = storePath(prefix || '.');
+      const keys = fs.existsSync(dir) && fs.statSync(dir).isDirectory()
+        ? fs.readdirSync(dir, { withFileTypes: true }).filter(e => e.isFile()).map(e => prefix + e.name).sort()
+        : [];
+      const after = url.searchParams.get('continuation-token');
+      const remaining = after ? keys.filter(k => k > Buffer.from(after, 'base64').toString()) : keys;
+      const page = remaining.slice(0, Math.min(2, Number(url.searchParams.get('max-keys')) || 1000));
+      const truncated = remaining.length > page.length;
+      return reply(res, 200, `<ListBucketResult><IsTruncated>${truncated}</IsTruncated>` +
+        page.map(k => `<Contents><Key>${xmlEscape(k)}</Key></Contents>`).join('') +
+        (truncated ? `<NextContinuationToken>${Buffer.from(page[page.length - 1]).toString('base64')}</NextContinuationToken>` : '') +
+        '</ListBucketResult>');
+    }
+
+    const file = storePath(key);
+    if (req.method === 'GET') {
+      if (!fs.existsSync(file)) return reply(res, 404, '<Error><Code>NoSuchKey</Code></Error>');
+      return reply(res, 200, fs.readFileSync(file));
+    }
+    if (req.method === 'PUT') {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, body);
+      return reply(res, 200);
+    }
+    if (req.method === 'DELETE') {
+      fs.rmSync(file, { force: true });
+      return reply(res, 204);
+    }
+    reply(res, 405);
+  });
+}
+
+// WebDAV server serving /dav/ with basic auth
+function startWebDavStandIn() {
+  const toFile = pathname => storePath(pathname.replace(/^\/dav\/?/, '').split('/').map(decodeURIComponent).join('/') || '.');
+  const toHref = file => '/dav/' + path.relative(STORE_ROOT, file).split(path.sep).map(encodeURIComponent).join('/');
+  const reply = (res, status, body = '') => {
+    res.writeHead(status, { 'content-type': 'application/xml; charset=utf-8' });
+    res.end(body);
+  };
+
+  return listen(async (req, res) => {
+    const body = await readBody(req);
+    if (req.headers.authorization !== 'Basic ' + Buffer.from(WEBDAV_USER).toString('base64')) return reply(res, 401);
+    const url = new URL(req.url, 'http://localhost');
+    if (!url.pathname.startsWith('/dav/')) return reply(res, 404);
+    const file = toFile(url.pathname);
+    const exists = fs.existsSync(file);
+
+    switch (req.method) {
+      case 'PROPFIND': {
+        if (!exists) return reply(res, 404);
+        const entries = [file];
+        if (fs.statSync(file).isDirectory() && req.headers.depth !== '0') {
+          entries.push(...fs.readdirSync(file).map(name => path.join(file, name)));
+        }
+        const responses = entries.map(entry => {
+          const dir = fs.statSync(entry).isDirectory();
+          return `<d:response><d:href>${toHref(entry)}${dir ? '/' : ''}</d:href><d:propstat><d:prop>` +
+            `<d:resourcetype>${dir ? '<d:collection/>' : ''}</d:resourcetype></d:prop></d:propstat></d:response>`;
+        });
+        return reply(res, 207, `<?xml version="1.0"?><d:multistatus xmlns:d="DAV:">${responses.join('')}</d:multistatus>`);
+      }
+      case 'GET':
+        if (!exists) return reply(res, 404);
+        return reply(res, 200, fs.readFileSync(file));
+      case 'PUT':
+        if (!fs.existsSync(path.dirname(file))) return reply(res, 409);
+        fs.writeFileSync(file, body);
+        return reply(res, 201);
+      case 'MOVE': {
+        if (!exists) return reply(res, 404);
+        const destination = toFile(new URL(req.headers.destination).pathname);
+        const replaced = fs.existsSync(destination);
+        if (replaced && req.headers.overwrite === 'F') return reply(res, 412);
+        fs.renameSync(file, destination);
+        return reply(res, replaced ? 204 : 201);
+      }
+      case 'DELETE':
+        if (!exists) return reply(res, 404);
+        fs.rmSync(file, { recursive: true, force: true });
+        return reply(res, 204);
+      case 'MKCOL':
+        if (exists) return reply(res, 405);
+        if (!fs.existsSync(path.dirname(file))) return reply(res, 409);
+        fs.mkdirSync(file);
+        return reply(res, 201);
+      default:
+        return reply(res, 405);
+    }
+  });
+}
+
+let s3Server, webDavServer;
+
+beforeAll(async () => {
+  s3Server = await startS3StandIn();
+  webDavServer = await startWebDavStandIn();
+});
+
+afterAll(() => {
+  s3Server.close();
+  webDavServer.close();
+});
+
+// What to hand cloudSync for a cloud folder on the given backend
+function cloudTarget(backendType, dir) {
+  const key = path.relative(STORE_ROOT, dir).split(path.sep).join('/');
+  if (backendType === 's3') {
+    const { accessKeyId, secretAccessKey, region } = S3_CREDENTIALS;
+    return { type: 's3', endpoint: `http://127.0.0.1:${s3Server.address().port}`, bucket: S3_BUCKET, prefix: key, region, accessKeyId, secretAccessKey };
+  }
+  if (backendType === 'webdav') {
+    const [username, password] = WEBDAV_USER.split(':');
+    return { type: 'webdav', url: `http://127.0.0.1:${webDavServer.address().port}/dav/${key.split('/').map(encodeURIComponent).join('/')}`, username, password };
+  }
+  return dir;
+}
+
 // Test fixtures
 const machineA = 'machine-a';
 const machineB = 'machine-b';
@@ -47,198 +233,447 @@ const sampleDataB = {
   lastSync: '2025-01-02T12:00:00Z'
 };
 
-describe('syncToCloud', () => {
-  let localDir, cloudDir;
+describe('writeFileAtomic', () => {
+  let dir;
 
   beforeEach(() => {
-    localDir = createTempDir();
-    cloudDir = createTempDir();
+    dir = createTempDir();
   });
 
   afterEach(() => {
-    fs.rmSync(localDir, { recursive: true, force: true });
-    fs.rmSync(cloudDir, { recursive: true, force: true });
-  });
-
-  it('copies local machine file to cloud folder', () => {
-    writeUsageFile(localDir, machineA, sampleDataA);
-
-    syncToCloud(localDir, cloudDir, machineA);
-
-    const cloudData = readUsageFile(cloudDir, machineA);
-    expect(cloudData).toEqual(sampleDataA);
-  });
-
-  it('creates cloud folder if it does not exist', () => {
-    const newCloudDir = path.join(cloudDir, 'nested', 'cloud');
-    fs.rmSync(cloudDir, { recursive: true });
-
-    writeUsageFile(localDir, machineA, sampleDataA);
-
-    syncToCloud(localDir, newCloudDir, machineA);
-
-    expect(fs.existsSync(newCloudDir)).toBe(true);
-    const cloudData = readUsageFile(newCloudDir, machineA);
-    expect(cloudData).toEqual(sampleDataA);
+    fs.rmSync(dir, { recursive: true, force: true });
   });
 
-  it('overwrites older cloud file with newer local file', () => {
-    const olderData = { sessions: { old: { sessionId: 'old' } }, lastSync: '2024-01-01T00:00:00Z' };
-    writeUsageFile(cloudDir, machineA, olderData);
-    writeUsageFile(localDir, machineA, sampleDataA);
+  it('replaces the file without leaving temp files behind', () => {
+    const file = path.join(dir, 'usage-a.json');
+    fs.writeFileSync(file, 'old');
 
-    syncToCloud(localDir, cloudDir, machineA);
-
-    const cloudData = readUsageFile(cloudDir, machineA);
-    expect(cloudData).toEqual(sampleDataA);
-  });
+    writeFileAtomic(file, 'new');
 
-  it('handles missing local file gracefully', () => {
-    // No local file exists
-    expect(() => syncToCloud(localDir, cloudDir, machineA)).not.toThrow();
-    expect(listUsageFiles(cloudDir)).toHaveLength(0);
+    expect(fs.readFileSync(file, 'utf8')).toBe('new');
+    expect(fs.readdirSync(dir)).toEqual(['usage-a.json']);
   });
 });
 
-describe('syncFromCloud', () => {
-  let localDir, cloudDir;
-
-  beforeEach(() => {
-    localDir = createTempDir();
-    cloudDir = createTempDir();
-  });
-
-  afterEach(() => {
-    fs.rmSync(localDir, { recursive: true, force: true });
-    fs.rmSync(cloudDir, { recursive: true, force: true });
-  });
-
-  it('copies other machines files from cloud to local', () => {
-    writeUsageFile(cloudDir, machineB, sampleDataB);
-
-    syncFromCloud(localDir, cloudDir, machineA);
-
-    const localData = readUsageFile(localDir, machineB);
-    expect(localData).toEqual(sampleDataB);
-  });
-
-  it('does not overwrite local machine file from cloud', () => {
-    // Local has our data
-    writeUsageFile(localDir, machineA, sampleDataA);
-    // Cloud has an older version of our data
-    const olderData = { sessions: { old: { sessionId: 'old' } }, lastSync: '2024-01-01T00:00:00Z' };
-    writeUsageFile(cloudDir, machineA, olderData);
-
-    syncFromCloud(localDir, cloudDir, machineA);
-
-    // Local should still have our original data, not the cloud version
-    const localData = readUsageFile(localDir, machineA);
-    expect(localData).toEqual(sampleDataA);
-  });
-
-  it('handles empty cloud folder', () => {
-    expect(() => syncFromCloud(localDir, cloudDir, machineA)).not.toThrow();
-    expect(listUsageFiles(localDir)).toHaveLength(0);
-  });
-
-  it('handles non-existent cloud folder', () => {
-    fs.rmSync(cloudDir, { recursive: true });
-    expect(() => syncFromCloud(localDir, cloudDir, machineA)).not.toThrow();
+describe('parseUsageFileName', () => {
+  it('recognizes conflicted copies made by common sync clients', () => {
+    expect(parseUsageFileName('usage-laptop.json')).toEqual({ machineId: 'laptop', conflict: false });
+    expect(parseUsageFileName('usage-laptop (conflicted copy 2025-01-02).json')).toEqual({ machineId: 'laptop', conflict: true });
+    expect(parseUsageFileName("usage-laptop (Sam's conflicted copy 2025-01-02).json")).toEqual({ machineId: 'laptop', conflict: true });
+    expect(parseUsageFileName('usage-laptop (1).json')).toEqual({ machineId: 'laptop', conflict: true });
+    expect(parseUsageFileName('usage-laptop 2.json')).toEqual({ machineId: 'laptop', conflict: true });
+    expect(parseUsageFileName('usage-laptop.sync-conflict-20250102-101010-ABCDEFG.json')).toEqual({ machineId: 'laptop', conflict: true });
+    expect(parseUsageFileName('manifest-laptop.json')).toBeNull();
   });
+});
 
-  it('handles corrupt JSON files in cloud gracefully', () => {
-    // Write valid file
-    writeUsageFile(cloudDir, machineB, sampleDataB);
-    // Write corrupt file
-    fs.writeFileSync(path.join(cloudDir, 'usage-corrupt.json'), 'not valid json {{{');
+for (const backendType of BACKEND_TYPES) {
+  describe(`${backendType} backend`, () => {
+    const cloud = dir => cloudTarget(backendType, dir);
 
-    expect(() => syncFromCloud(localDir, cloudDir, machineA)).not.toThrow();
-    // Valid file should still be copied
-    const localData = readUsageFile(localDir, machineB);
-    expect(localData).toEqual(sampleDataB);
-  });
+    describe('syncToCloud', async () => {
+      let localDir, cloudDir;
 
-  it('skips files that are not usage-*.json', () => {
-    writeUsageFile(cloudDir, machineB, sampleDataB);
-    fs.writeFileSync(path.join(cloudDir, 'config.json'), '{}');
-    fs.writeFileSync(path.join(cloudDir, 'readme.txt'), 'hello');
+      beforeEach(() => {
+        localDir = createTempDir();
+        cloudDir = createTempDir();
+      });
 
-    syncFromCloud(localDir, cloudDir, machineA);
+      afterEach(() => {
+        fs.rmSync(localDir, { recursive: true, force: true });
+        fs.rmSync(cloudDir, { recursive: true, force: true });
+      });
 
-    const files = fs.readdirSync(localDir);
-    expect(files).toHaveLength(1);
-    expect(files[0]).toBe(`usage-${machineB}.json`);
-  });
-});
+      it('copies local machine file to cloud folder', async () => {
+        writeUsageFile(localDir, machineA, sampleDataA);
 
-describe('syncWithCloud (full cycle)', () => {
-  let localDir, cloudDir;
+        await syncToCloud(localDir, cloud(cloudDir), machineA);
 
-  beforeEach(() => {
-    localDir = createTempDir();
-    cloudDir = createTempDir();
-  });
+        const cloudData = readUsageFile(cloudDir, machineA);
+        expect(cloudData).toEqual(sampleDataA);
+      });
 
-  afterEach(() => {
-    fs.rmSync(localDir, { recursive: true, force: true });
-    fs.rmSync(cloudDir, { recursive: true, force: true });
-  });
+      it('creates cloud folder if it does not exist', async () => {
+        const newCloudDir = path.join(cloudDir, 'nested', 'cloud');
+        fs.rmSync(cloudDir, { recursive: true });
 
-  it('pushes local to cloud then pulls cloud to local', () => {
-    // Local has machine A data
-    writeUsageFile(localDir, machineA, sampleDataA);
-    // Cloud has machine B data
-    writeUsageFile(cloudDir, machineB, sampleDataB);
+        writeUsageFile(localDir, machineA, sampleDataA);
 
-    syncWithCloud(localDir, cloudDir, machineA);
+        await syncToCloud(localDir, cloud(newCloudDir), machineA);
 
-    // Cloud should have both
-    expect(readUsageFile(cloudDir, machineA)).toEqual(sampleDataA);
-    expect(readUsageFile(cloudDir, machineB)).toEqual(sampleDataB);
+        expect(fs.existsSync(newCloudDir)).toBe(true);
+        const cloudData = readUsageFile(newCloudDir, machineA);
+        expect(cloudData).toEqual(sampleDataA);
+      });
+
+      it('overwrites older cloud file with newer local file', async () => {
+        const olderData = { sessions: { old: { sessionId: 'old' } }, lastSync: '2024-01-01T00:00:00Z' };
+        writeUsageFile(cloudDir, machineA, olderData);
+        writeUsageFile(localDir, machineA, sampleDataA);
 
-    // Local should have both
-    expect(readUsageFile(localDir, machineA)).toEqual(sampleDataA);
-    expect(readUsageFile(localDir, machineB)).toEqual(sampleDataB);
-  });
+        await syncToCloud(localDir, cloud(cloudDir), machineA);
 
-  it('results in local having all sessions from all machines', () => {
-    writeUsageFile(localDir, machineA, sampleDataA);
-    writeUsageFile(cloudDir, machineB, sampleDataB);
+        const cloudData = readUsageFile(cloudDir, machineA);
+        expect(cloudData).toEqual(sampleDataA);
+      });
 
-    syncWithCloud(localDir, cloudDir, machineA);
+      it('handles missing local file gracefully', async () => {
+        // No local file exists
+        await expect(syncToCloud(localDir, cloud(cloudDir), machineA)).resolves.toBeUndefined();
+        expect(listUsageFiles(cloudDir)).toHaveLength(0);
+      });
+    });
 
-    const localFiles = listUsageFiles(localDir);
-    expect(localFiles).toContain(`usage-${machineA}.json`);
-    expect(localFiles).toContain(`usage-${machineB}.json`);
-  });
+    describe('syncFromCloud', async () => {
+      let localDir, cloudDir;
+
+      beforeEach(() => {
+        localDir = createTempDir();
+        cloudDir = createTempDir();
+      });
+
+      afterEach(() => {
+        fs.rmSync(localDir, { recursive: true, force: true });
+        fs.rmSync(cloudDir, { recursive: true, force: true });
+      });
 
-  it('results in cloud having current machine file', () => {
-    writeUsageFile(localDir, machineA, sampleDataA);
+      it('copies other machines files from cloud to local', async () => {
+        writeUsageFile(cloudDir, machineB, sampleDataB);
+
+        await syncFromCloud(localDir, cloud(cloudDir), machineA);
+
+        const localData = readUsageFile(localDir, machineB);
+        expect(localData).toEqual(sampleDataB);
+      });
+
+      it('reports only machines whose data changed', async () => {
+        writeUsageFile(cloudDir, machineB, sampleDataB);
+
+        expect(await syncFromCloud(localDir, cloud(cloudDir), machineA)).toEqual([machineB]);
+        expect(await syncFromCloud(localDir, cloud(cloudDir), machineA)).toEqual([]);
+      });
 
-    syncWithCloud(localDir, cloudDir, machineA);
+      it('does not overwrite local machine file from cloud', async () => {
+        // Local has our data
+        writeUsageFile(localDir, machineA, sampleDataA);
+        // Cloud has an older version of our data
+        const olderData = { sessions: { old: { sessionId: 'old' } }, lastSync: '2024-01-01T00:00:00Z' };
+        writeUsageFile(cloudDir, machineA, olderData);
 
-    expect(readUsageFile(cloudDir, machineA)).toEqual(sampleDataA);
-  });
+        await syncFromCloud(localDir, cloud(cloudDir), machineA);
 
-  it('works when cloud folder is empty', () => {
-    writeUsageFile(localDir, machineA, sampleDataA);
+        // Local should still have our original data, not the cloud version
+        const localData = readUsageFile(localDir, machineA);
+        expect(localData).toEqual(sampleDataA);
+      });
 
-    expect(() => syncWithCloud(localDir, cloudDir, machineA)).not.toThrow();
-    expect(readUsageFile(cloudDir, machineA)).toEqual(sampleDataA);
-  });
+      it('handles empty cloud folder', async () => {
+        await expect(syncFromCloud(localDir, cloud(cloudDir), machineA)).resolves.toEqual([]);
+        expect(listUsageFiles(localDir)).toHaveLength(0);
+      });
 
-  it('works when local folder is empty', () => {
-    writeUsageFile(cloudDir, machineB, sampleDataB);
+      it('handles non-existent cloud folder', async () => {
+        fs.rmSync(cloudDir, { recursive: true });
+        await expect(syncFromCloud(localDir, cloud(cloudDir), machineA)).resolves.toEqual([]);
+      });
 
-    expect(() => syncWithCloud(localDir, cloudDir, machineA)).not.toThrow();
-    expect(readUsageFile(localDir, machineB)).toEqual(sampleDataB);
-  });
+      it('handles corrupt JSON files in cloud gracefully', async () => {
+        // Write valid file
+        writeUsageFile(cloudDir, machineB, sampleDataB);
+        // Write corrupt file
+        fs.writeFileSync(path.join(cloudDir, 'usage-corrupt.json'), 'not valid json {{{');
 
-  it('works when cloud folder does not exist', () => {
-    const newCloudDir = path.join(cloudDir, 'new-cloud');
-    writeUsageFile(localDir, machineA, sampleDataA);
+        await expect(syncFromCloud(localDir, cloud(cloudDir), machineA)).resolves.toEqual([machineB]);
+        // Valid file should still be copied
+        const localData = readUsageFile(localDir, machineB);
+        expect(localData).toEqual(sampleDataB);
+      });
 
-    expect(() => syncWithCloud(localDir, newCloudDir, machineA)).not.toThrow();
-    expect(readUsageFile(newCloudDir, machineA)).toEqual(sampleDataA);
+      it('flags files written by a newer LoopTrack and keeps the copy pulled before', async () => {
+        writeUsageFile(cloudDir, machineB, sampleDataB);
+        await syncFromCloud(localDir, cloud(cloudDir), machineA);
+        writeUsageFile(cloudDir, machineB, { ...sampleDataB, schemaVersion: 99, lastSync: '2025-02-01T00:00:00Z' });
+
+        expect(await syncFromCloud(localDir, cloud(cloudDir), machineA)).toEqual([]);
+        expect(getIncompatible(localDir)[machineB]).toMatchObject({ file: `usage-${machineB}.json`, schemaVersion: 99 });
+        expect(readUsageFile(localDir, machineB)).toEqual(sampleDataB);
+
+        writeUsageFile(cloudDir, machineB, { ...sampleDataB, lastSync: '2025-02-02T00:00:00Z' });
+        expect(await syncFromCloud(localDir, cloud(cloudDir), machineA)).toEqual([machineB]);
+        expect(getIncompatible(localDir)).toEqual({});
+      });
+
+      it('skips files that are not usage-*.json', async () => {
+        writeUsageFile(cloudDir, machineB, sampleDataB);
+        fs.writeFileSync(path.join(cloudDir, 'config.json'), '{}');
+        fs.writeFileSync(path.join(cloudDir, 'readme.txt'), 'hello');
+
+        await syncFromCloud(localDir, cloud(cloudDir), machineA);
+
+        const files = fs.readdirSync(localDir);
+        expect(files).toHaveLength(1);
+        expect(files[0]).toBe(`usage-${machineB}.json`);
+      });
+    });
+
+    describe('syncWithCloud (full cycle)', async () => {
+      let localDir, cloudDir;
+
+      beforeEach(() => {
+        localDir = createTempDir();
+        cloudDir = createTempDir();
+      });
+
+      afterEach(() => {
+        fs.rmSync(localDir, { recursive: true, force: true });
+        fs.rmSync(cloudDir, { recursive: true, force: true });
+      });
+
+      it('pushes local to cloud then pulls cloud to local', async () => {
+        // Local has machine A data
+        writeUsageFile(localDir, machineA, sampleDataA);
+        // Cloud has machine B data
+        writeUsageFile(cloudDir, machineB, sampleDataB);
+
+        await syncWithCloud(localDir, cloud(cloudDir), machineA);
+
+        // Cloud should have both
+        expect(readUsageFile(cloudDir, machineA)).toEqual(sampleDataA);
+        expect(readUsageFile(cloudDir, machineB)).toEqual(sampleDataB);
+
+        // Local should have both
+        expect(readUsageFile(localDir, machineA)).toEqual(sampleDataA);
+        expect(readUsageFile(localDir, machineB)).toEqual(sampleDataB);
+      });
+
+      it('results in local having all sessions from all machines', async () => {
+        writeUsageFile(localDir, machineA, sampleDataA);
+        writeUsageFile(cloudDir, machineB, sampleDataB);
+
+        await syncWithCloud(localDir, cloud(cloudDir), machineA);
+
+        const localFiles = listUsageFiles(localDir);
+        expect(localFiles).toContain(`usage-${machineA}.json`);
+        expect(localFiles).toContain(`usage-${machineB}.json`);
+      });
+
+      it('results in cloud having current machine file', async () => {
+        writeUsageFile(localDir, machineA, sampleDataA);
+
+        await syncWithCloud(localDir, cloud(cloudDir), machineA);
+
+        expect(readUsageFile(cloudDir, machineA)).toEqual(sampleDataA);
+      });
+
+      it('works when cloud folder is empty', async () => {
+        writeUsageFile(localDir, machineA, sampleDataA);
+
+        await expect(syncWithCloud(localDir, cloud(cloudDir), machineA)).resolves.toEqual([]);
+        expect(readUsageFile(cloudDir, machineA)).toEqual(sampleDataA);
+      });
+
+      it('works when local folder is empty', async () => {
+        writeUsageFile(cloudDir, machineB, sampleDataB);
+
+        await expect(syncWithCloud(localDir, cloud(cloudDir), machineA)).resolves.toEqual([machineB]);
+        expect(readUsageFile(localDir, machineB)).toEqual(sampleDataB);
+      });
+
+      it('works when cloud folder does not exist', async () => {
+        const newCloudDir = path.join(cloudDir, 'new-cloud');
+        writeUsageFile(localDir, machineA, sampleDataA);
+
+        await expect(syncWithCloud(localDir, cloud(newCloudDir), machineA)).resolves.toEqual([]);
+        expect(readUsageFile(newCloudDir, machineA)).toEqual(sampleDataA);
+      });
+    });
+
+    describe('manifests', async () => {
+      let localDir, cloudDir;
+
+      beforeEach(() => {
+        localDir = createTempDir();
+        cloudDir = createTempDir();
+      });
+
+      afterEach(() => {
+        fs.rmSync(localDir, { recursive: true, force: true });
+        fs.rmSync(cloudDir, { recursive: true, force: true });
+      });
+
+      function readManifest(machineId) {
+        return JSON.parse(fs.readFileSync(path.join(cloudDir, `manifest-${machineId}.json`), 'utf8'));
+      }
+
+      it('numbers each push that changes the file', async () => {
+        writeUsageFile(localDir, machineA, sampleDataA);
+        await syncToCloud(localDir, cloud(cloudDir), machineA);
+        await syncToCloud(localDir, cloud(cloudDir), machineA);
+        expect(readManifest(machineA)).toMatchObject({ machineId: machineA, seq: 1 });
+
+        writeUsageFile(localDir, machineA, { ...sampleDataA, lastSync: '2025-01-03T00:00:00Z' });
+        await syncToCloud(localDir, cloud(cloudDir), machineA);
+        expect(readManifest(machineA).seq).toBe(2);
+      });
+
+      it('waits for a file that does not match its manifest yet', async () => {
+        writeUsageFile(localDir, machineB, sampleDataB);
+        await syncToCloud(localDir, cloud(cloudDir), machineB);
+        fs.rmSync(path.join(localDir, `usage-${machineB}.json`));
+        // The sync client has delivered part of a newer file
+        fs.writeFileSync(path.join(cloudDir, `usage-${machineB}.json`), '{"sessions": {');
+
+        expect(await syncFromCloud(localDir, cloud(cloudDir), machineA)).toEqual([]);
+        expect(readUsageFile(localDir, machineB)).toBeNull();
+      });
+
+      it('ignores an older push that resurfaces', async () => {
+        const machineBDir = createTempDir();
+        writeUsageFile(machineBDir, machineB, sampleDataB);
+        await syncToCloud(machineBDir, cloud(cloudDir), machineB);
+        const oldFile = fs.readFileSync(path.join(cloudDir, `usage-${machineB}.json`));
+        const oldManifest = fs.readFileSync(path.join(cloudDir, `manifest-${machineB}.json`));
+
+        const newer = { ...sampleDataB, lastSync: '2025-01-05T00:00:00Z' };
+        writeUsageFile(machineBDir, machineB, newer);
+        await syncToCloud(machineBDir, cloud(cloudDir), machineB);
+        await syncFromCloud(localDir, cloud(cloudDir), machineA);
+
+        fs.writeFileSync(path.join(cloudDir, `usage-${machineB}.json`), oldFile);
+        fs.writeFileSync(path.join(cloudDir, `manifest-${machineB}.json`), oldManifest);
+
+        expect(await syncFromCloud(localDir, cloud(cloudDir), machineA)).toEqual([]);
+        expect(readUsageFile(localDir, machineB)).toEqual(newer);
+        fs.rmSync(machineBDir, { recursive: true, force: true });
+      });
+    });
+
+    describe('conflicted copies', async () => {
+      let localDir, cloudDir;
+
+      beforeEach(() => {
+        localDir = createTempDir();
+        cloudDir = createTempDir();
+      });
+
+      afterEach(() => {
+        fs.rmSync(localDir, { recursive: true, force: true });
+        fs.rmSync(cloudDir, { recursive: true, force: true });
+      });
+
+      const conflicted = {
+        sessions: { 'session-4': { sessionId: 'session-4', projectPath: '/proj/d', inputTokens: 10, outputTokens: 5, totalCost: 0.001 } },
+        lastSync: '2025-01-02T13:00:00Z'
+      };
+
+      it('merges another machine file with its conflicted copy', async () => {
+        writeUsageFile(cloudDir, machineB, sampleDataB);
+        fs.writeFileSync(path.join(cloudDir, `usage-${machineB} (conflicted copy 2025-01-02).json`), JSON.stringify(conflicted));
+
+        expect(await syncFromCloud(localDir, cloud(cloudDir), machineA, { merge: mergeUsageData })).toEqual([machineB]);
+
+        expect(Object.keys(readUsageFile(localDir, machineB).sessions).sort()).toEqual(['session-3', 'session-4']);
+        expect(listUsageFiles(localDir)).toEqual([`usage-${machineB}.json`]);
+      });
+
+      it('folds conflicted copies of this machine file into it and removes them', async () => {
+        writeUsageFile(localDir, machineA, sampleDataA);
+        fs.writeFileSync(path.join(cloudDir, `usage-${machineA} 2.json`), JSON.stringify(conflicted));
+
+        await syncToCloud(localDir, cloud(cloudDir), machineA, { merge: mergeUsageData });
+
+        expect(Object.keys(readUsageFile(localDir, machineA).sessions).sort()).toEqual(['session-1', 'session-2', 'session-4']);
+        expect(readUsageFile(cloudDir, machineA)).toEqual(readUsageFile(localDir, machineA));
+        expect(listUsageFiles(cloudDir)).toEqual([`usage-${machineA}.json`]);
+        expect(listVersions(localDir, machineA).map(v => v.reason)).toEqual(['conflict']);
+      });
+    });
+
+    describe('version history', async () => {
+      let localDir, cloudDir;
+
+      beforeEach(() => {
+        localDir = createTempDir();
+        cloudDir = createTempDir();
+      });
+
+      afterEach(() => {
+        fs.rmSync(localDir, { recursive: true, force: true });
+        fs.rmSync(cloudDir, { recursive: true, force: true });
+      });
+
+      it('keeps the replaced file on each pull, up to the limit', async () => {
+        for (let i = 1; i <= 4; i++) {
+          writeUsageFile(cloudDir, machineB, { ...sampleDataB, lastSync: `2025-01-0${i}T00:00:00Z` });
+          await syncFromCloud(localDir, cloud(cloudDir), machineA, { historyLimit: 2 });
+        }
+
+        const versions = listVersions(localDir, machineB);
+        expect(versions.map(v => v.lastSync)).toEqual(['2025-01-03T00:00:00Z', '2025-01-02T00:00:00Z']);
+        expect(versions[0]).toMatchObject({ machineId: machineB, reason: 'pull', sessions: 1 });
+      });
+
+      it('rolls back a bad pull and does not pull the same data again', async () => {
+        writeUsageFile(cloudDir, machineB, sampleDataB);
+        await syncFromCloud(localDir, cloud(cloudDir), machineA);
+        const bad = { sessions: {}, lastSync: '2025-01-03T00:00:00Z' };
+        writeUsageFile(cloudDir, machineB, bad);
+        await syncFromCloud(localDir, cloud(cloudDir), machineA);
+
+        restoreVersion(localDir, machineB, listVersions(localDir, machineB)[0].id);
+
+        expect(readUsageFile(localDir, machineB)).toEqual(sampleDataB);
+        expect(await syncFromCloud(localDir, cloud(cloudDir), machineA)).toEqual([]);
+        expect(readUsageFile(localDir, machineB)).toEqual(sampleDataB);
+        expect(() => restoreVersion(localDir, machineB, 'nope')).toThrow('not found');
+      });
+    });
+
+    describe('encryption', async () => {
+      let localDir, cloudDir, machineBDir;
+
+      beforeEach(() => {
+        localDir = createTempDir();
+        cloudDir = createTempDir();
+        machineBDir = createTempDir();
+      });
+
+      afterEach(() => {
+        for (const dir of [localDir, cloudDir, machineBDir]) fs.rmSync(dir, { recursive: true, force: true });
+      });
+
+      it('encrypts pushed files and decrypts them on pull', async () => {
+        writeUsageFile(machineBDir, machineB, sampleDataB);
+        await syncToCloud(machineBDir, cloud(cloudDir), machineB, { passphrase: 'shared secret' });
+
+        const stored = fs.readFileSync(path.join(cloudDir, `usage-${machineB}.json`), 'utf8');
+        expect(stored).not.toContain('/proj/c');
+
+        expect(await syncFromCloud(localDir, cloud(cloudDir), machineA, { passphrase: 'shared secret' })).toEqual([machineB]);
+        expect(readUsageFile(localDir, machineB)).toEqual(sampleDataB);
+      });
+
+      it('records machines it cannot decrypt until the right passphrase is set', async () => {
+        writeUsageFile(machineBDir, machineB, sampleDataB);
+        await syncToCloud(machineBDir, cloud(cloudDir), machineB, { passphrase: 'shared secret' });
+
+        expect(await syncFromCloud(localDir, cloud(cloudDir), machineA, { passphrase: 'wrong secret' })).toEqual([]);
+        expect(getUndecryptable(localDir)[machineB]).toMatchObject({ file: `usage-${machineB}.json` });
+        expect(getUndecryptable(localDir)[machineB].error).toContain(`Cannot decrypt usage-${machineB}.json`);
+        expect(readUsageFile(localDir, machineB)).toBeNull();
+
+        await syncFromCloud(localDir, cloud(cloudDir), machineA, { passphrase: 'shared secret' });
+        expect(getUndecryptable(localDir)).toEqual({});
+      });
+
+      it('re-pushes the file when encryption is turned on', async () => {
+        writeUsageFile(localDir, machineA, sampleDataA);
+        await syncToCloud(localDir, cloud(cloudDir), machineA);
+        await syncToCloud(localDir, cloud(cloudDir), machineA, { passphrase: 'shared secret' });
+
+        expect(fs.readFileSync(path.join(cloudDir, `usage-${machineA}.json`), 'utf8')).not.toContain('session-1');
+        expect(JSON.parse(fs.readFileSync(path.join(cloudDir, `manifest-${machineA}.json`), 'utf8'))).toMatchObject({ seq: 2, encrypted: true });
+      });
+    });
   });
-});
+}
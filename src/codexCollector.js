@@ -0,0 +1,111 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { calculateCost } = require('./pricing');
+const { toLocalTime, toLocalDate, findJsonlFiles, readJsonLines, createTotals, addUsage, addHourlyUsage, toRecord, toDailyReport } = require('./collectorUtils');
+
+// Codex CLI writes one rollout-*.jsonl per session to $CODEX_HOME/sessions/YYYY/MM/DD
+function getCodexSessionsDir() {
+  const codexHome = process.env.CODEX_HOME || path.join(os.homedir(), '.codex');
+  const dir = path.join(codexHome, 'sessions');
+  return fs.existsSync(dir) ? dir : null;
+}
+
+// Token usage from a token_count event, with cached input split out like a cache read
+function toTokens(usage) {
+  const cached = usage.cached_input_tokens || 0;
+  return {
+    inputTokens: Math.max((usage.input_tokens || 0) - cached, 0),
+    outputTokens: usage.output_tokens || 0,
+    cacheCreationTokens: 0,
+    cacheReadTokens: cached
+  };
+}
+
+// Token counts since the previous event. Codex reports a running session total
+// and may repeat an event, so diff the totals rather than summing every event.
+function getTokenDelta(info, previousTotal) {
+  const total = info.total_token_usage;
+  if (total && previousTotal) {
+    const delta = {
+      input_tokens: (total.input_tokens || 0) - (previousTotal.input_tokens || 0),
+      cached_input_tokens: (total.cached_input_tokens || 0) - (previousTotal.cached_input_tokens || 0),
+      output_tokens: (total.output_tokens || 0) - (previousTotal.output_tokens || 0)
+    };
+    // A smaller total means the counter was reset (e.g. the session was forked)
+    if (delta.input_tokens >= 0 && delta.output_tokens >= 0 && delta.cached_input_tokens >= 0) {
+      return toTokens(delta);
+    }
+  }
+  if (total && !previousTotal) return toTokens(total);
+  return info.last_token_usage ? toTokens(info.last_token_usage) : null;
+}
+
+/**
+ * Read Codex CLI session logs and build ccusage-shaped session and daily reports.
+ * Sessions are keyed by Codex session id; daily rows are keyed by working directory
+ * and carry `hours`, the same totals bucketed by local hour.
+ * @param {string} [sessionsDir] - Codex sessions directory to scan
+ * @param {object} [options]
+ * @param {string} [options.timeZone] - IANA time zone for dates and hours (default: the system's)
+ * @returns {Promise<{sessionReport: object, dailyReport: object}>}
+ */
+async function readCodexUsage(sessionsDir = getCodexSessionsDir(), { timeZone } = {}) {
+  const sessions = [];
+  const projects = {};
+  if (!sessionsDir) return { sessionReport: { sessions }, dailyReport: toDailyReport(projects) };
+
+  for (const file of await findJsonlFiles(sessionsDir)) {
+    const session = {
+      sessionId: path.basename(file, '.jsonl'),
+      projectPath: null,
+      model: 'unknown',
+      lastTimestamp: null,
+      previousTotal: null,
+      totals: createTotals()
+    };
+
+    await readJsonLines(file, entry => {
+      const payload = entry && entry.payload;
+      if (!payload) return;
+
+      if (entry.type === 'session_meta') {
+        if (payload.id) session.sessionId = payload.id;
+        if (payload.cwd) session.projectPath = payload.cwd;
+        return;
+      }
+      if (entry.type === 'turn_context') {
+        if (payload.model) session.model = payload.model;
+        if (payload.cwd && !session.projectPath) session.projectPath = payload.cwd;
+        return;
+      }
+      if (entry.type !== 'event_msg' || payload.type !== 'token_count' || !payload.info || !entry.timestamp) return;
+
+      const tokens = getTokenDelta(payload.info, session.previousTotal);
+      if (payload.info.total_token_usage) session.previousTotal = payload.info.total_token_usage;
+      if (!tokens || (tokens.inputTokens + tokens.outputTokens + tokens.cacheReadTokens) === 0) return;
+
+      const usage = { ...tokens, model: session.model, cost: calculateCost(session.model, tokens) };
+      addUsage(session.totals, usage);
+      session.lastTimestamp = entry.timestamp;
+
+      const projectPath = session.projectPath || 'Unknown Project';
+      const { date, hour } = toLocalTime(entry.timestamp, timeZone);
+      if (!projects[projectPath]) projects[projectPath] = {};
+      if (!projects[projectPath][date]) projects[projectPath][date] = createTotals();
+      addHourlyUsage(projects[projectPath][date], hour, usage);
+    });
+
+    if (!session.lastTimestamp) continue;
+    sessions.push({
+      sessionId: session.sessionId,
+      projectPath: session.projectPath || 'Unknown Project',
+      ...toRecord(session.totals),
+      lastActivity: toLocalDate(session.lastTimestamp, timeZone)
+    });
+  }
+
+  return { sessionReport: { sessions }, dailyReport: toDailyReport(projects) };
+}
+
+module.exports = { getCodexSessionsDir, getTokenDelta, readCodexUsage };
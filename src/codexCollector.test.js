@@ -0,0 +1,111 @@
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+import { readCodexUsage } from './codexCollector';
+import { toLocalDate } from './collectorUtils';
+import { calculateCost } from './pricing';
+
+// Test helpers
+function createTempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'looptrack-test-'));
+}
+
+function writeRollout(sessionsDir, name, entries) {
+  const file = path.join(sessionsDir, '2025', '09', '20', name);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, entries.map(e => JSON.stringify(e)).join('\n'));
+  return file;
+}
+
+function sessionMeta(id, cwd) {
+  return { timestamp: '2025-09-20T10:00:00Z', type: 'session_meta', payload: { id, cwd } };
+}
+
+function turnContext(model, cwd) {
+  return { timestamp: '2025-09-20T10:00:01Z', type: 'turn_context', payload: { model, cwd } };
+}
+
+function tokenCount(timestamp, total, last) {
+  return {
+    timestamp,
+    type: 'event_msg',
+    payload: { type: 'token_count', info: { total_token_usage: total, last_token_usage: last || total } }
+  };
+}
+
+const cwd = '/Users/taylor/Development/my-app';
+
+describe('readCodexUsage', () => {
+  let sessionsDir;
+
+  beforeEach(() => {
+    sessionsDir = createTempDir();
+  });
+
+  afterEach(() => {
+    fs.rmSync(sessionsDir, { recursive: true, force: true });
+  });
+
+  it('builds a session from running token totals', async () => {
+    writeRollout(sessionsDir, 'rollout-1.jsonl', [
+      sessionMeta('sess-1', cwd),
+      turnContext('gpt-5-codex', cwd),
+      tokenCount('2025-09-20T10:00:05Z', { input_tokens: 1000, cached_input_tokens: 400, output_tokens: 100 }),
+      // Codex repeats token_count events; the unchanged total must not be counted twice
+      tokenCount('2025-09-20T10:00:06Z', { input_tokens: 1000, cached_input_tokens: 400, output_tokens: 100 }),
+      tokenCount('2025-09-20T10:01:00Z', { input_tokens: 3000, cached_input_tokens: 2000, output_tokens: 300 })
+    ]);
+
+    const { sessionReport } = await readCodexUsage(sessionsDir);
+
+    expect(sessionReport.sessions).toHaveLength(1);
+    const session = sessionReport.sessions[0];
+    expect(session.sessionId).toBe('sess-1');
+    expect(session.projectPath).toBe(cwd);
+    expect(session.inputTokens).toBe(1000);
+    expect(session.cacheReadTokens).toBe(2000);
+    expect(session.outputTokens).toBe(300);
+    expect(session.modelsUsed).toEqual(['gpt-5-codex']);
+    expect(session.totalCost).toBeCloseTo(
+      calculateCost('gpt-5-codex', { inputTokens: 1000, outputTokens: 300, cacheReadTokens: 2000 })
+    );
+  });
+
+  it('groups daily rows by working directory', async () => {
+    writeRollout(sessionsDir, 'rollout-1.jsonl', [
+      sessionMeta('sess-1', cwd),
+      turnContext('gpt-5', cwd),
+      tokenCount('2025-09-20T10:00:05Z', { input_tokens: 100, output_tokens: 10 })
+    ]);
+    writeRollout(sessionsDir, 'rollout-2.jsonl', [
+      sessionMeta('sess-2', cwd),
+      turnContext('gpt-5', cwd),
+      tokenCount('2025-09-20T11:00:05Z', { input_tokens: 200, output_tokens: 20 })
+    ]);
+
+    const { dailyReport } = await readCodexUsage(sessionsDir);
+
+    expect(Object.keys(dailyReport.projects)).toEqual([cwd]);
+    const [day] = dailyReport.projects[cwd];
+    expect(day.date).toBe(toLocalDate('2025-09-20T10:00:05Z'));
+    expect(day.inputTokens).toBe(300);
+    expect(day.outputTokens).toBe(30);
+  });
+
+  it('skips sessions without token counts', async () => {
+    writeRollout(sessionsDir, 'rollout-1.jsonl', [sessionMeta('sess-1', cwd), turnContext('gpt-5', cwd)]);
+
+    const { sessionReport } = await readCodexUsage(sessionsDir);
+
+    expect(sessionReport.sessions).toEqual([]);
+  });
+
+  it('returns empty reports when Codex is not installed', async () => {
+    const { sessionReport, dailyReport } = await readCodexUsage(null);
+
+    expect(sessionReport.sessions).toEqual([]);
+    expect(dailyReport.projects).toEqual({});
+  });
+});
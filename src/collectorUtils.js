@@ -0,0 +1,141 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+const formatters = {};
+
+// Intl formatter for an IANA time zone, created once per zone
+function getFormatter(timeZone) {
+  if (!formatters[timeZone]) {
+    formatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+      timeZone, year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', hourCycle: 'h23'
+    });
+  }
+  return formatters[timeZone];
+}
+
+/**
+ * Local date and hour of a timestamp, in the given IANA time zone or else the
+ * system's (never UTC, unless that's where the user is).
+ * @param {string} timestamp - ISO timestamp
+ * @param {string} [timeZone] - e.g. "Europe/Berlin" (config.timezone)
+ * @returns {{date: string, hour: string}} YYYY-MM-DD and 00-23
+ */
+function toLocalTime(timestamp, timeZone) {
+  const pad = n => String(n).padStart(2, '0');
+  if (!timeZone) {
+    const d = new Date(timestamp);
+    return { date: `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`, hour: pad(d.getHours()) };
+  }
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(new Date(timestamp))) parts[type] = value;
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, hour: parts.hour };
+}
+
+// Format a timestamp as YYYY-MM-DD in the local timezone
+function toLocalDate(timestamp, timeZone) {
+  return toLocalTime(timestamp, timeZone).date;
+}
+
+// Recursively list .jsonl files under a directory. Directories that can't be
+// read are skipped, so one of them doesn't stop the rest being collected.
+async function findJsonlFiles(dir) {
+  const files = [];
+  let entries;
+  try {
+    entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  } catch (err) {
+    console.error(`Skipping ${dir}: ${err.message}`);
+    return files;
+  }
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await findJsonlFiles(fullPath));
+    } else if (entry.name.endsWith('.jsonl')) {
+      files.push(fullPath);
+    }
+  }
+  return files;
+}
+
+// Stream a JSONL file, skipping blank and unparseable lines
+async function readJsonLines(file, onEntry) {
+  const rl = readline.createInterface({ input: fs.createReadStream(file, 'utf8'), crlfDelay: Infinity });
+  for await (const line of rl) {
+    if (!line.trim()) continue;
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (err) {
+      continue;
+    }
+    onEntry(entry);
+  }
+}
+
+function createTotals() {
+  return { inputTokens: 0, outputTokens: 0, cacheCreationTokens: 0, cacheReadTokens: 0, totalCost: 0, models: {} };
+}
+
+// Add one usage entry ({ model, inputTokens, ..., cost }) to running totals
+function addUsage(totals, usage) {
+  totals.inputTokens += usage.inputTokens;
+  totals.outputTokens += usage.outputTokens;
+  totals.cacheCreationTokens += usage.cacheCreationTokens;
+  totals.cacheReadTokens += usage.cacheReadTokens;
+  totals.totalCost += usage.cost;
+
+  if (!totals.models[usage.model]) {
+    totals.models[usage.model] = { modelName: usage.model, inputTokens: 0, outputTokens: 0, cacheCreationTokens: 0, cacheReadTokens: 0, cost: 0 };
+  }
+  const model = totals.models[usage.model];
+  model.inputTokens += usage.inputTokens;
+  model.outputTokens += usage.outputTokens;
+  model.cacheCreationTokens += usage.cacheCreationTokens;
+  model.cacheReadTokens += usage.cacheReadTokens;
+  model.cost += usage.cost;
+}
+
+// Add a usage entry to a day's totals and to its bucket for the hour
+function addHourlyUsage(totals, hour, usage) {
+  addUsage(totals, usage);
+  totals.hours = totals.hours || {};
+  if (!totals.hours[hour]) totals.hours[hour] = createTotals();
+  addUsage(totals.hours[hour], usage);
+}
+
+// Shape accumulated totals like a ccusage record
+function toRecord(totals) {
+  const modelBreakdowns = Object.values(totals.models).sort((a, b) => b.cost - a.cost);
+  return {
+    inputTokens: totals.inputTokens,
+    outputTokens: totals.outputTokens,
+    cacheCreationTokens: totals.cacheCreationTokens,
+    cacheReadTokens: totals.cacheReadTokens,
+    totalTokens: totals.inputTokens + totals.outputTokens + totals.cacheCreationTokens + totals.cacheReadTokens,
+    totalCost: totals.totalCost,
+    modelsUsed: modelBreakdowns.map(m => m.modelName),
+    modelBreakdowns
+  };
+}
+
+// Turn { project: { date: totals } } into ccusage's daily --instances shape
+function toDailyReport(projects) {
+  const dailyReport = { projects: {} };
+  for (const [project, days] of Object.entries(projects)) {
+    dailyReport.projects[project] = Object.entries(days)
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([date, totals]) => {
+        const day = { date, ...toRecord(totals) };
+        // Hourly buckets (local time) for the heatmap; ccusage doesn't report them
+        if (totals.hours) {
+          day.hours = Object.fromEntries(Object.entries(totals.hours).map(([hour, t]) => [hour, toRecord(t)]));
+        }
+        return day;
+      });
+  }
+  return dailyReport;
+}
+
+module.exports = { toLocalTime, toLocalDate, findJsonlFiles, readJsonLines, createTotals, addUsage, addHourlyUsage, toRecord, toDailyReport };
@@ -0,0 +1,39 @@
+const fs = require('fs');
+const path = require('path');
+const { CONFIG_SCHEMA_VERSION, migrateConfig, validateConfig } = require('./schema');
+
+const CONFIG_FILE = path.join(__dirname, '..', 'config.json');
+
+// Load config, migrated to the current schema version. A config.json from a
+// newer LoopTrack is reported and left alone (saveConfig() won't overwrite it).
+function loadConfig() {
+  try {
+    if (fs.existsSync(CONFIG_FILE)) {
+      return migrateConfig(JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8')));
+    }
+  } catch (err) {
+    console.error('Error loading config:', err.message);
+  }
+  return { schemaVersion: CONFIG_SCHEMA_VERSION, projectGroups: {} };
+}
+
+// Refuse to overwrite a config.json written by a newer LoopTrack
+function checkNotNewer() {
+  try {
+    migrateConfig(JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8')));
+  } catch (err) {
+    // A missing or unreadable file is replaced, as before versioning
+    if (err.code === 'ENEWERSCHEMA') throw err;
+  }
+}
+
+// Save config after checking it against the schema
+function saveConfig(config) {
+  const saved = { ...config, schemaVersion: CONFIG_SCHEMA_VERSION };
+  validateConfig(saved);
+  checkNotNewer();
+  fs.writeFileSync(CONFIG_FILE, JSON.stringify(saved, null, 2));
+  return saved;
+}
+
+module.exports = { CONFIG_FILE, loadConfig, saveConfig };
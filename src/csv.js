@@ -0,0 +1,27 @@
+// CSV output shared by the CLI reports and invoice exports
+
+// Text a spreadsheet would run as a formula (OWASP's CSV injection list)
+const FORMULA_PATTERN = /^[=+\-@\t\r]/;
+
+function csvCell(value, escapeFormulas) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (escapeFormulas && typeof value === 'string' && FORMULA_PATTERN.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV with raw numbers, one line per row (no totals line).
+ * @param {Array<object>} columns - { key, label }
+ * @param {Array<object>} rows - Row objects
+ * @param {object} [options]
+ * @param {boolean} [options.escapeFormulas] - Prefix text starting with =, +, -, @, a tab or
+ *   a carriage return with a quote, for files opened in a spreadsheet (numbers are left as they are)
+ * @returns {string}
+ */
+function formatCsv(columns, rows, { escapeFormulas = false } = {}) {
+  return [columns.map(c => c.key), ...rows.map(row => columns.map(c => row[c.key]))]
+    .map(values => values.map(value => csvCell(value, escapeFormulas)).join(','))
+    .join('\n') + '\n';
+}
+
+module.exports = { formatCsv };
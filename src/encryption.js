@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+
+// Encrypted cloud files are JSON envelopes, so they can be told apart from
+// plain usage files left by machines that don't encrypt
+const FORMAT = 'looptrack-encrypted';
+const SCRYPT = { N: 32768, r: 8, p: 1 };
+const SCRYPT_MAXMEM = 64 * 1024 * 1024;
+
+// Keys derived this session, by salt and passphrase. Encryption reuses one salt
+// (and key) per passphrase; every file still gets its own random IV.
+const keyCache = new Map();
+const encryptionSalts = new Map();
+
+function deriveKey(passphrase, salt, { N, r, p } = SCRYPT) {
+  const cacheKey = `${salt.toString('base64')}:${N}:${r}:${p}:${passphrase}`;
+  if (!keyCache.has(cacheKey)) {
+    keyCache.set(cacheKey, crypto.scryptSync(passphrase, salt, 32, { N, r, p, maxmem: SCRYPT_MAXMEM }));
+  }
+  return keyCache.get(cacheKey);
+}
+
+/**
+ * Encrypt a usage file with a key derived from the passphrase (scrypt, AES-256-GCM).
+ * @param {string} plaintext - File content
+ * @param {string} passphrase - Shared passphrase
+ * @param {string} [label] - Authenticated with the content, e.g. "usage-<machine>", so
+ *   a file can't be passed off as another machine's
+ * @returns {string} JSON envelope
+ */
+function encrypt(plaintext, passphrase, label = '') {
+  if (!encryptionSalts.has(passphrase)) encryptionSalts.set(passphrase, crypto.randomBytes(16));
+  const salt = encryptionSalts.get(passphrase);
+  const iv = crypto.randomBytes(12);
+
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(passphrase, salt), iv);
+  cipher.setAAD(Buffer.from(label));
+  const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+  return JSON.stringify({
+    format: FORMAT,
+    version: 1,
+    kdf: { name: 'scrypt', ...SCRYPT, salt: salt.toString('base64') },
+    cipher: 'aes-256-gcm',
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  });
+}
+
+// Parsed envelope if the content is an encrypted file, null otherwise
+function parseEnvelope(content) {
+  try {
+    const envelope = JSON.parse(content);
+    return envelope && envelope.format === FORMAT ? envelope : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+function isEncrypted(content) {
+  return parseEnvelope(content) !== null;
+}
+
+/**
+ * Decrypt a file made by encrypt().
+ * @param {string} content - JSON envelope
+ * @param {string} passphrase - Shared passphrase
+ * @param {string} [label] - Same label it was encrypted with
+ * @returns {string} The original content
+ * @throws {Error} If the passphrase is wrong or the file was altered
+ */
+function decrypt(content, passphrase, label = '') {
+  const envelope = parseEnvelope(content);
+  if (!envelope) {
+    throw new Error('Not an encrypted file');
+  }
+  if (envelope.version !== 1 || envelope.cipher !== 'aes-256-gcm' || !envelope.kdf || envelope.kdf.name !== 'scrypt') {
+    throw new Error(`Unsupported encryption format (version ${envelope.version})`);
+  }
+  if (!passphrase) {
+    throw new Error('File is encrypted and no passphrase is set');
+  }
+
+  const { N, r, p, salt } = envelope.kdf;
+  try {
+    const key = deriveKey(passphrase, Buffer.from(salt, 'base64'), { N, r, p });
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(envelope.iv, 'base64'));
+    decipher.setAAD(Buffer.from(label));
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]).toString('utf8');
+  } catch (err) {
+    throw new Error('Wrong passphrase or corrupted file');
+  }
+}
+
+// Read a secret from the OS keychain: macOS Keychain, or the Secret Service on Linux
+function readKeychain({ service, account }) {
+  const args = process.platform === 'darwin'
+    ? ['security', ['find-generic-password', '-s', service, '-a', account, '-w']]
+    : ['secret-tool', ['lookup', 'service', service, 'account', account]];
+  try {
+    return execFileSync(args[0], args[1], { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).replace(/\n$/, '');
+  } catch (err) {
+    throw new Error(`Cannot read the encryption passphrase from the keychain (service "${service}", account "${account}")`);
+  }
+}
+
+/**
+ * The passphrase configured in identity.json's "encryption" setting, if any:
+ * { passphrase } or { keychain: { service, account } }.
+ * @param {object} [settings] - identity.encryption
+ * @returns {string|null} null when encryption is off
+ * @throws {Error} If the keychain entry can't be read
+ */
+function resolvePassphrase(settings) {
+  if (!settings || settings.enabled === false) return null;
+  if (settings.passphrase) return settings.passphrase;
+  if (settings.keychain && settings.keychain.service && settings.keychain.account) {
+    return readKeychain(settings.keychain);
+  }
+  return null;
+}
+
+module.exports = { encrypt, decrypt, isEncrypted, resolvePassphrase };
@@ -0,0 +1,51 @@
+import { describe, it, expect } from 'bun:test';
+
+import { encrypt, decrypt, isEncrypted, resolvePassphrase } from './encryption';
+
+const plaintext = JSON.stringify({ sessions: { a: { projectPath: '/Users/me/clients/acme' } } });
+
+describe('encrypt', () => {
+  it('round-trips with the right passphrase and hides the content', () => {
+    const encrypted = encrypt(plaintext, 'correct horse', 'usage-laptop');
+
+    expect(encrypted).not.toContain('acme');
+    expect(isEncrypted(encrypted)).toBe(true);
+    expect(isEncrypted(plaintext)).toBe(false);
+    expect(decrypt(encrypted, 'correct horse', 'usage-laptop')).toBe(plaintext);
+  });
+
+  it('uses a fresh IV for every file', () => {
+    expect(encrypt(plaintext, 'correct horse')).not.toBe(encrypt(plaintext, 'correct horse'));
+  });
+});
+
+describe('decrypt', () => {
+  const encrypted = encrypt(plaintext, 'correct horse', 'usage-laptop');
+
+  it('rejects a wrong passphrase, a missing one and another machine label', () => {
+    expect(() => decrypt(encrypted, 'battery staple', 'usage-laptop')).toThrow('Wrong passphrase or corrupted file');
+    expect(() => decrypt(encrypted, null, 'usage-laptop')).toThrow('no passphrase is set');
+    expect(() => decrypt(encrypted, 'correct horse', 'usage-desktop')).toThrow('Wrong passphrase or corrupted file');
+  });
+
+  it('detects tampering', () => {
+    const envelope = JSON.parse(encrypted);
+    const data = Buffer.from(envelope.data, 'base64');
+    data[0] ^= 1;
+    const tampered = JSON.stringify({ ...envelope, data: data.toString('base64') });
+
+    expect(() => decrypt(tampered, 'correct horse', 'usage-laptop')).toThrow('Wrong passphrase or corrupted file');
+  });
+});
+
+describe('resolvePassphrase', () => {
+  it('returns the configured passphrase, or null when encryption is off', () => {
+    expect(resolvePassphrase({ passphrase: 'correct horse' })).toBe('correct horse');
+    expect(resolvePassphrase({ passphrase: 'correct horse', enabled: false })).toBeNull();
+    expect(resolvePassphrase(null)).toBeNull();
+  });
+
+  it('fails clearly when the keychain entry cannot be read', () => {
+    expect(() => resolvePassphrase({ keychain: { service: 'looptrack-test-missing', account: 'nobody' } })).toThrow('Cannot read the encryption passphrase from the keychain');
+  });
+});
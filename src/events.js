@@ -0,0 +1,37 @@
+const { EventEmitter } = require('events');
+
+// Events streamed to dashboards over /api/events
+const EVENT_TYPES = ['sync-started', 'sync-finished', 'data-changed', 'cloud-pulled'];
+
+// Process-wide bus: sync and the server publish, connected dashboards subscribe
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+/**
+ * Publish an event to every subscriber.
+ * @param {string} type - One of EVENT_TYPES
+ * @param {object} [payload] - Extra fields sent with the event
+ */
+function publish(type, payload = {}) {
+  if (!EVENT_TYPES.includes(type)) {
+    throw new Error(`Unknown event type: ${type}`);
+  }
+  bus.emit('event', { type, at: new Date().toISOString(), ...payload });
+}
+
+/**
+ * Listen for published events.
+ * @param {function(object): void} listener - Called with { type, at, ...payload }
+ * @returns {function} Unsubscribes the listener
+ */
+function subscribe(listener) {
+  bus.on('event', listener);
+  return () => bus.off('event', listener);
+}
+
+// Encode an event as a Server-Sent Events message
+function formatEvent(event) {
+  return `event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`;
+}
+
+module.exports = { EVENT_TYPES, publish, subscribe, formatEvent };
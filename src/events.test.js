@@ -0,0 +1,30 @@
+import { describe, it, expect } from 'bun:test';
+
+import { publish, subscribe, formatEvent } from './events';
+
+describe('publish', () => {
+  it('delivers events to subscribers until they unsubscribe', () => {
+    const received = [];
+    const unsubscribe = subscribe(event => received.push(event));
+
+    publish('cloud-pulled', { machines: ['laptop'] });
+    unsubscribe();
+    publish('data-changed', { reason: 'sync' });
+
+    expect(received).toHaveLength(1);
+    expect(received[0]).toMatchObject({ type: 'cloud-pulled', machines: ['laptop'] });
+    expect(received[0].at).toBeDefined();
+  });
+
+  it('rejects unknown event types', () => {
+    expect(() => publish('sync-exploded')).toThrow('Unknown event type');
+  });
+});
+
+describe('formatEvent', () => {
+  it('encodes a Server-Sent Events message named after the event type', () => {
+    const event = { type: 'sync-finished', at: '2025-01-01T00:00:00.000Z', ok: true };
+
+    expect(formatEvent(event)).toBe(`event: sync-finished\ndata: ${JSON.stringify(event)}\n\n`);
+  });
+});
@@ -0,0 +1,222 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+// Directory browsing for the dashboard's folder picker. Only directories under
+// the home directory and the roots listed in config.folderPicker.roots can be
+// listed, so the API can't be used to look around the rest of the file system.
+
+// Folders listed at most per directory
+const MAX_ENTRIES = 1000;
+
+function isDirectory(dir) {
+  try {
+    return fs.statSync(dir).isDirectory();
+  } catch (err) {
+    return false;
+  }
+}
+
+function readText(file) {
+  try {
+    return fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    return null;
+  }
+}
+
+function expandHome(dir, home) {
+  return dir === '~' || dir.startsWith('~/') ? path.join(home, dir.slice(1)) : dir;
+}
+
+// Is `dir` the same as, or inside, `root`? Both must be real paths.
+function isInside(dir, root) {
+  const relative = path.relative(root, dir);
+  return relative === '' || (relative.split(path.sep)[0] !== '..' && !path.isAbsolute(relative));
+}
+
+function browseError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Directories the folder picker may show: the home directory, then the
+ * configured roots. Roots that don't exist are left out.
+ * @param {object} [config] - Parsed config.json
+ * @param {string} [home] - Home directory
+ * @returns {Array<object>} [{ name, path }], paths resolved through symlinks
+ */
+function getBrowseRoots(config = {}, home = os.homedir()) {
+  const configured = (config.folderPicker && config.folderPicker.roots) || [];
+  const roots = [];
+  for (const [i, dir] of [home, ...configured].entries()) {
+    let real;
+    try {
+      real = fs.realpathSync(path.resolve(home, expandHome(dir, home)));
+    } catch (err) {
+      continue;
+    }
+    if (!isDirectory(real) || roots.some(r => r.path === real)) continue;
+    roots.push({ name: i === 0 ? 'Home' : path.basename(real) || real, path: real });
+  }
+  return roots;
+}
+
+// Folders named in a sync client's settings file
+function readConfiguredFolders(file, pattern) {
+  const text = readText(file);
+  if (!text) return [];
+  return [...text.matchAll(pattern)].map(match => match.slice(1));
+}
+
+function decodeXml(value) {
+  return value.replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+}
+
+// Subfolders of macOS's ~/Library/CloudStorage whose names start with a prefix
+function cloudStorageFolders(home, prefix) {
+  const dir = path.join(home, 'Library', 'CloudStorage');
+  try {
+    return fs.readdirSync(dir).filter(name => name.startsWith(prefix)).map(name => path.join(dir, name));
+  } catch (err) {
+    return [];
+  }
+}
+
+/**
+ * Find folders kept in sync by Dropbox, Nextcloud, Syncthing, OneDrive and
+ * iCloud Drive, from the clients' default locations and settings files.
+ * @param {string} [home] - Home directory
+ * @param {object} [env] - Environment (OneDrive, APPDATA, LOCALAPPDATA on Windows)
+ * @returns {Array<object>} [{ service, name, path }] for folders that exist
+ */
+function findSyncFolders(home = os.homedir(), env = process.env) {
+  const candidates = [];
+  const add = (service, dir, name = service) => {
+    if (dir) candidates.push({ service, name, path: path.resolve(expandHome(dir, home)) });
+  };
+
+  // Dropbox writes its folders to ~/.dropbox/info.json: { personal: { path }, business: { path } }
+  let dropbox = null;
+  try {
+    dropbox = JSON.parse(readText(path.join(home, '.dropbox', 'info.json')));
+  } catch (err) {
+    // Not installed, or not set up yet
+  }
+  for (const [account, info] of Object.entries(dropbox || {})) {
+    add('Dropbox', info && info.path, account === 'personal' ? 'Dropbox' : `Dropbox (${account})`);
+  }
+  add('Dropbox', path.join(home, 'Dropbox'));
+  for (const dir of cloudStorageFolders(home, 'Dropbox')) add('Dropbox', dir);
+
+  // Nextcloud lists each synced folder as "0\Folders\1\localPath=/home/me/Nextcloud/"
+  const nextcloudConfigs = [
+    path.join(home, '.config', 'Nextcloud', 'nextcloud.cfg'),
+    path.join(home, 'Library', 'Preferences', 'Nextcloud', 'nextcloud.cfg'),
+    env.APPDATA && path.join(env.APPDATA, 'Nextcloud', 'nextcloud.cfg')
+  ];
+  for (const file of nextcloudConfigs.filter(Boolean)) {
+    for (const [dir] of readConfiguredFolders(file, /localPath=(.+)$/gm)) add('Nextcloud', dir.trim());
+  }
+  add('Nextcloud', path.join(home, 'Nextcloud'));
+
+  // Syncthing: <folder id="..." label="Notes" path="~/Notes" ...> in config.xml
+  const syncthingConfigs = [
+    path.join(home, '.local', 'state', 'syncthing', 'config.xml'),
+    path.join(home, '.config', 'syncthing', 'config.xml'),
+    path.join(home, 'Library', 'Application Support', 'Syncthing', 'config.xml'),
+    env.LOCALAPPDATA && path.join(env.LOCALAPPDATA, 'Syncthing', 'config.xml')
+  ];
+  for (const file of syncthingConfigs.filter(Boolean)) {
+    for (const [attributes] of readConfiguredFolders(file, /<folder\b([^>]*)>/g)) {
+      const dir = /\bpath="([^"]*)"/.exec(attributes);
+      const label = /\blabel="([^"]*)"/.exec(attributes);
+      if (dir) add('Syncthing', decodeXml(dir[1]), label && label[1] ? `Syncthing: ${decodeXml(label[1])}` : 'Syncthing');
+    }
+  }
+  add('Syncthing', path.join(home, 'Sync'));
+
+  // OneDrive sets these on Windows; the macOS client lives in CloudStorage
+  add('OneDrive', env.OneDriveCommercial, 'OneDrive (work)');
+  add('OneDrive', env.OneDriveConsumer || env.OneDrive);
+  add('OneDrive', path.join(home, 'OneDrive'));
+  for (const dir of cloudStorageFolders(home, 'OneDrive')) add('OneDrive', dir, path.basename(dir).replace(/^OneDrive-?/, 'OneDrive ').trim());
+
+  add('iCloud', path.join(home, 'Library', 'Mobile Documents', 'com~apple~CloudDocs'), 'iCloud Drive');
+  add('iCloud', path.join(home, 'iCloudDrive'), 'iCloud Drive');
+
+  const found = [];
+  for (const candidate of candidates) {
+    let real;
+    try {
+      real = fs.realpathSync(candidate.path);
+    } catch (err) {
+      continue;
+    }
+    if (isDirectory(real) && !found.some(f => f.path === real)) found.push({ ...candidate, path: real });
+  }
+  return found;
+}
+
+/**
+ * Is a directory inside one of the roots?
+ * @param {string} dir - Directory
+ * @param {Array<object>} roots - From getBrowseRoots()
+ */
+function isBrowsable(dir, roots) {
+  try {
+    const real = fs.realpathSync(dir);
+    return roots.some(r => isInside(real, r.path));
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * List the subfolders of a directory inside one of the roots.
+ * @param {string} [dir] - Directory to list (defaults to the first root)
+ * @param {Array<object>} roots - From getBrowseRoots()
+ * @param {object} [options]
+ * @param {boolean} [options.hidden] - Include folders whose names start with "."
+ * @returns {object} { path, parent, root, entries: [{ name, path }], truncated }; parent is
+ *   null at a root
+ * @throws {Error} code EOUTSIDEROOTS, ENOENT or ENOTDIR
+ */
+function browseDirectory(dir, roots, { hidden = false } = {}) {
+  if (roots.length === 0) throw browseError('No folders are available to browse', 'EOUTSIDEROOTS');
+  const requested = dir ? path.resolve(roots[0].path, expandHome(dir, roots[0].path)) : roots[0].path;
+
+  let real;
+  try {
+    real = fs.realpathSync(requested);
+  } catch (err) {
+    throw browseError(`${requested} does not exist`, 'ENOENT');
+  }
+  // The outermost root holding it, so "up" goes as far as browsing is allowed
+  const root = roots.filter(r => isInside(real, r.path)).sort((a, b) => a.path.length - b.path.length)[0];
+  if (!root) throw browseError(`${requested} is outside the folders that can be browsed`, 'EOUTSIDEROOTS');
+  if (!isDirectory(real)) throw browseError(`${requested} is not a folder`, 'ENOTDIR');
+
+  const entries = [];
+  for (const entry of fs.readdirSync(real, { withFileTypes: true })) {
+    if (!hidden && entry.name.startsWith('.')) continue;
+    const full = path.join(real, entry.name);
+    // Links are followed only when they stay inside the roots
+    if (entry.isDirectory() || (entry.isSymbolicLink() && isDirectory(full) && isBrowsable(full, roots))) {
+      entries.push({ name: entry.name, path: full });
+    }
+  }
+  entries.sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
+
+  return {
+    path: real,
+    parent: real === root.path ? null : path.dirname(real),
+    root: root.path,
+    entries: entries.slice(0, MAX_ENTRIES),
+    truncated: entries.length > MAX_ENTRIES
+  };
+}
+
+module.exports = { getBrowseRoots, findSyncFolders, browseDirectory, isBrowsable };
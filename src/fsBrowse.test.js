@@ -0,0 +1,97 @@
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+import { getBrowseRoots, findSyncFolders, browseDirectory } from './fsBrowse';
+
+function createTempDir() {
+  return fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'looptrack-test-')));
+}
+
+function mkdir(...parts) {
+  const dir = path.join(...parts);
+  fs.mkdirSync(dir, { recursive: true });
+  return dir;
+}
+
+describe('browseDirectory', () => {
+  let home, outside;
+
+  beforeEach(() => {
+    home = createTempDir();
+    outside = createTempDir();
+  });
+
+  afterEach(() => {
+    fs.rmSync(home, { recursive: true, force: true });
+    fs.rmSync(outside, { recursive: true, force: true });
+  });
+
+  it('lists subfolders, hiding dot folders unless asked', () => {
+    mkdir(home, 'work');
+    mkdir(home, 'Documents');
+    mkdir(home, '.config');
+    fs.writeFileSync(path.join(home, 'notes.txt'), '');
+    const roots = getBrowseRoots({}, home);
+
+    const listing = browseDirectory(null, roots);
+    expect(listing).toMatchObject({ path: home, parent: null, root: home, truncated: false });
+    expect(listing.entries.map(e => e.name)).toEqual(['Documents', 'work']);
+    expect(browseDirectory(null, roots, { hidden: true }).entries.map(e => e.name)).toEqual(['.config', 'Documents', 'work']);
+    expect(browseDirectory('~/work', roots)).toMatchObject({ path: path.join(home, 'work'), parent: home });
+  });
+
+  it('refuses folders outside the home directory and configured roots', () => {
+    mkdir(outside, 'shared');
+    fs.symlinkSync(outside, path.join(home, 'escape'));
+    const roots = getBrowseRoots({}, home);
+
+    expect(() => browseDirectory(outside, roots)).toThrow('outside the folders that can be browsed');
+    expect(() => browseDirectory(path.join(home, '..'), roots)).toThrow('outside the folders that can be browsed');
+    expect(() => browseDirectory(path.join(home, 'escape'), roots)).toThrow('outside the folders that can be browsed');
+    expect(browseDirectory(null, roots).entries).toEqual([]);
+    expect(() => browseDirectory(path.join(home, 'missing'), roots)).toThrow('does not exist');
+
+    const withRoot = getBrowseRoots({ folderPicker: { roots: [outside, '/does/not/exist'] } }, home);
+    expect(withRoot.map(r => r.path)).toEqual([home, outside]);
+    expect(browseDirectory(path.join(outside, 'shared'), withRoot)).toMatchObject({ parent: outside, root: outside });
+  });
+});
+
+describe('findSyncFolders', () => {
+  let home;
+
+  beforeEach(() => {
+    home = createTempDir();
+  });
+
+  afterEach(() => {
+    fs.rmSync(home, { recursive: true, force: true });
+  });
+
+  it('finds default locations and folders named in sync client settings', () => {
+    mkdir(home, 'Dropbox');
+    const business = mkdir(home, 'Dropbox (Acme)');
+    mkdir(home, '.dropbox');
+    fs.writeFileSync(path.join(home, '.dropbox', 'info.json'), JSON.stringify({ business: { path: business } }));
+    const notes = mkdir(home, 'notes');
+    mkdir(home, '.config', 'syncthing');
+    fs.writeFileSync(path.join(home, '.config', 'syncthing', 'config.xml'),
+      '<configuration><folder id="abc" label="Notes &amp; Docs" path="~/notes" type="sendreceive"></folder></configuration>');
+    mkdir(home, 'Library', 'Mobile Documents', 'com~apple~CloudDocs');
+    const oneDrive = mkdir(home, 'OneDrive - Acme');
+
+    expect(findSyncFolders(home, { OneDriveCommercial: oneDrive })).toEqual([
+      { service: 'Dropbox', name: 'Dropbox (business)', path: business },
+      { service: 'Dropbox', name: 'Dropbox', path: path.join(home, 'Dropbox') },
+      { service: 'Syncthing', name: 'Syncthing: Notes & Docs', path: notes },
+      { service: 'OneDrive', name: 'OneDrive (work)', path: oneDrive },
+      { service: 'iCloud', name: 'iCloud Drive', path: path.join(home, 'Library', 'Mobile Documents', 'com~apple~CloudDocs') }
+    ]);
+
+    const empty = createTempDir();
+    expect(findSyncFolders(empty, {})).toEqual([]);
+    fs.rmSync(empty, { recursive: true, force: true });
+  });
+});
@@ -0,0 +1,83 @@
+const fs = require('fs');
+const path = require('path');
+
+// Remote URL per project path; a project's remote rarely changes within a process
+const cache = new Map();
+
+// Walk up from a directory to the nearest one containing .git
+function findGitRoot(dir) {
+  let current = path.resolve(dir);
+  while (true) {
+    if (fs.existsSync(path.join(current, '.git'))) return current;
+    const parent = path.dirname(current);
+    if (parent === current) return null;
+    current = parent;
+  }
+}
+
+// Directory holding the repository's config. Worktrees and submodules have a
+// .git file pointing at their git dir; worktrees share the main repo's config.
+function getGitConfigDir(gitRoot) {
+  const dotGit = path.join(gitRoot, '.git');
+  if (fs.statSync(dotGit).isDirectory()) return dotGit;
+
+  const match = fs.readFileSync(dotGit, 'utf-8').match(/^gitdir:\s*(.+)$/m);
+  if (!match) return null;
+  const gitDir = path.resolve(gitRoot, match[1].trim());
+  const commonDirFile = path.join(gitDir, 'commondir');
+  if (fs.existsSync(commonDirFile)) {
+    return path.resolve(gitDir, fs.readFileSync(commonDirFile, 'utf-8').trim());
+  }
+  return gitDir;
+}
+
+// Read remote URLs from a git config file: { name: url }
+function parseRemotes(configText) {
+  const remotes = {};
+  let remote = null;
+  for (const line of configText.split(/\r?\n/)) {
+    const section = line.match(/^\s*\[\s*remote\s+"([^"]+)"\s*\]/);
+    if (section) {
+      remote = section[1];
+      continue;
+    }
+    if (/^\s*\[/.test(line)) {
+      remote = null;
+      continue;
+    }
+    const url = remote && line.match(/^\s*url\s*=\s*(.+?)\s*$/);
+    if (url && !remotes[remote]) remotes[remote] = url[1];
+  }
+  return remotes;
+}
+
+/**
+ * Get the git remote URL of the repository containing a project, preferring "origin".
+ * Only existing directories are looked up, so a path that can't be resolved on this
+ * machine never picks up the remote of an unrelated parent repository.
+ * @param {string} projectPath - Absolute project path
+ * @returns {string|null} Remote URL, or null if none is found
+ */
+function getGitRemote(projectPath) {
+  if (!projectPath || !path.isAbsolute(projectPath)) return null;
+  if (cache.has(projectPath)) return cache.get(projectPath);
+
+  let remote = null;
+  try {
+    if (fs.statSync(projectPath).isDirectory()) {
+      const gitRoot = findGitRoot(projectPath);
+      const configDir = gitRoot && getGitConfigDir(gitRoot);
+      if (configDir) {
+        const remotes = parseRemotes(fs.readFileSync(path.join(configDir, 'config'), 'utf-8'));
+        remote = remotes.origin || Object.values(remotes)[0] || null;
+      }
+    }
+  } catch (err) {
+    // Missing directory or unreadable repository: no remote
+  }
+
+  cache.set(projectPath, remote);
+  return remote;
+}
+
+module.exports = { findGitRoot, parseRemotes, getGitRemote };
@@ -0,0 +1,227 @@
+// Project-to-group matching, shared by the server and the dashboard
+// (served to the browser as /lib/groups.js, exposed as window.LoopTrackGroups).
+//
+// config.projectGroups maps a group name to a list of rules, or to
+// { priority, rules } to rank the whole group. A rule is a string:
+//
+//   "my-app"                    project name, or anywhere in the path (the original behaviour)
+//   "name:my-app"               exact project name
+//   "path:/Users/me/work"       path prefix
+//   "glob:**/clients/*"         glob on the path (on the name if it has no "/"); * ? ** supported
+//   "re:client-\d+$"            regular expression on the path
+//   "remote:github.com/acme/*"  glob on the git remote, normalized to host/owner/repo
+//   "!..."                      exclusion: any of the above, prefixed with "!"
+//
+// or an object { type, pattern, exclude, priority, flags } with type one of
+// default/name/path/glob/regex/remote. When several groups match, the rule
+// with the highest priority wins; ties go to the group listed first.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.LoopTrackGroups = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const RULE_TYPES = ['default', 'name', 'path', 'glob', 'regex', 'remote'];
+  const PREFIXES = { 'name:': 'name', 'path:': 'path', 'glob:': 'glob', 're:': 'regex', 'remote:': 'remote' };
+
+  // Extract project name from path
+  function getProjectName(projectPath) {
+    if (!projectPath) return 'Unknown';
+    return projectPath.split('/').pop() || projectPath;
+  }
+
+  // Daily rows store the real project path. Rows synced before paths were resolved (or
+  // whose directory couldn't be found) only have Claude Code's dash-encoded folder name,
+  // which decodes lossily.
+  function getDailyProjectPath(key, projectData) {
+    const projectPath = (projectData && projectData.projectPath) || key;
+    if (!projectPath.startsWith('-')) return projectPath;
+    return projectPath.replace(/-/g, '/');
+  }
+
+  // Normalize a git remote URL to host/owner/repo so SSH and HTTPS clones compare equal
+  function normalizeRemote(url) {
+    if (!url) return null;
+    return url.trim()
+      .replace(/^[a-z+]+:\/\//i, '')
+      .replace(/^[^@/]+@/, '')
+      .replace(/^([^/:]+):(?!\d+\/)/, '$1/')
+      .replace(/^([^/:]+):\d+\//, '$1/')
+      .replace(/\.git\/?$/, '')
+      .replace(/\/+$/, '')
+      .toLowerCase();
+  }
+
+  function escapeRegExp(text) {
+    return text.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  }
+
+  // * matches within a path segment, ** across segments, ? one character
+  function globToRegExp(glob) {
+    let source = '';
+    for (let i = 0; i < glob.length; i++) {
+      const char = glob[i];
+      if (char === '*' && glob[i + 1] === '*') {
+        source += '.*';
+        i++;
+        if (glob[i + 1] === '/') i++;
+      } else if (char === '*') {
+        source += '[^/]*';
+      } else if (char === '?') {
+        source += '[^/]';
+      } else {
+        source += escapeRegExp(char);
+      }
+    }
+    return new RegExp('^' + source + '$');
+  }
+
+  /**
+   * Parse a rule (string or object) into { type, pattern, exclude, priority, test }.
+   * Throws on an unknown type or an invalid regex.
+   */
+  function parseRule(rule, groupPriority) {
+    let parsed;
+    if (typeof rule === 'string') {
+      let text = rule;
+      const exclude = text.startsWith('!');
+      if (exclude) text = text.slice(1);
+      const prefix = Object.keys(PREFIXES).find(p => text.startsWith(p));
+      parsed = {
+        type: prefix ? PREFIXES[prefix] : 'default',
+        pattern: prefix ? text.slice(prefix.length) : text,
+        exclude,
+        priority: undefined
+      };
+    } else if (rule && typeof rule === 'object') {
+      parsed = {
+        type: rule.type || 'default',
+        pattern: rule.pattern,
+        flags: rule.flags,
+        exclude: !!rule.exclude,
+        priority: rule.priority
+      };
+    } else {
+      throw new Error('Rule must be a string or an object');
+    }
+
+    if (!RULE_TYPES.includes(parsed.type)) {
+      throw new Error(`Unknown rule type "${parsed.type}"`);
+    }
+    if (typeof parsed.pattern !== 'string' || !parsed.pattern) {
+      throw new Error('Rule pattern must be a non-empty string');
+    }
+    if (typeof parsed.priority !== 'number') {
+      parsed.priority = typeof groupPriority === 'number' ? groupPriority : 0;
+    }
+    parsed.test = compileTest(parsed);
+    return parsed;
+  }
+
+  // Build a matcher for a parsed rule: project => boolean
+  function compileTest({ type, pattern, flags }) {
+    switch (type) {
+      case 'default': {
+        const patternName = pattern.split('/').pop();
+        return p => p.name === patternName || (!!p.path && p.path.includes(pattern));
+      }
+      case 'name':
+        return p => p.name === pattern;
+      case 'path':
+        return p => !!p.path && (p.path === pattern || p.path.startsWith(pattern.replace(/\/?$/, '/')));
+      case 'glob': {
+        const regex = globToRegExp(pattern);
+        const onName = !pattern.includes('/');
+        return p => regex.test(onName ? p.name : (p.path || ''));
+      }
+      case 'regex': {
+        const regex = new RegExp(pattern, flags || '');
+        return p => !!p.path && regex.test(p.path);
+      }
+      case 'remote': {
+        const regex = globToRegExp(normalizeRemote(pattern));
+        return p => !!p.remote && regex.test(p.remote);
+      }
+    }
+  }
+
+  // Rules for a group entry, which is either a list or { priority, rules }
+  function getGroupRules(entry) {
+    if (Array.isArray(entry)) return entry;
+    return (entry && entry.rules) || [];
+  }
+
+  /**
+   * Parse config.projectGroups once, for callers that look up many projects.
+   * Invalid rules are skipped.
+   * @param {object} groups - config.projectGroups
+   * @returns {Array<object>} Compiled groups, to pass to getProjectGroup()
+   */
+  function compileGroups(groups) {
+    return Object.entries(groups || {}).map(([name, entry]) => {
+      const groupPriority = entry && !Array.isArray(entry) ? entry.priority : undefined;
+      const rules = [];
+      for (const rule of getGroupRules(entry)) {
+        try {
+          rules.push(parseRule(rule, groupPriority));
+        } catch (err) {
+          // An invalid rule matches nothing rather than breaking every lookup
+        }
+      }
+      return { name, rules };
+    });
+  }
+
+  // Raw config.projectGroups are compiled on each lookup, reusing the last result
+  // while the config is unchanged (the dashboard edits groups in place, so cache
+  // by content rather than identity)
+  let compiledCache = { key: null, compiled: [] };
+  function getCompiledGroups(groups) {
+    if (Array.isArray(groups)) return groups;
+    const key = JSON.stringify(groups || {});
+    if (compiledCache.key !== key) compiledCache = { key, compiled: compileGroups(groups) };
+    return compiledCache.compiled;
+  }
+
+  function toProject(projectPath, gitRemote) {
+    return { path: projectPath || '', name: getProjectName(projectPath), remote: normalizeRemote(gitRemote) };
+  }
+
+  /**
+   * Get the group a project belongs to, or null.
+   * @param {string} projectPath - Full project path
+   * @param {object|Array<object>} groups - config.projectGroups, or compileGroups() of it
+   * @param {string} [gitRemote] - The project's git remote URL, if known
+   */
+  function getProjectGroup(projectPath, groups, gitRemote) {
+    const project = toProject(projectPath, gitRemote);
+    let best = null;
+    for (const group of getCompiledGroups(groups)) {
+      if (group.rules.some(r => r.exclude && r.test(project))) continue;
+      for (const rule of group.rules) {
+        if (rule.exclude || !rule.test(project)) continue;
+        if (!best || rule.priority > best.priority) best = { name: group.name, priority: rule.priority };
+      }
+    }
+    return best ? best.name : null;
+  }
+
+  // Does a single rule match a project? (ignores exclusion semantics, for previews)
+  function ruleMatches(rule, projectPath, gitRemote) {
+    return parseRule(rule).test(toProject(projectPath, gitRemote));
+  }
+
+  return {
+    RULE_TYPES,
+    getProjectName,
+    getDailyProjectPath,
+    normalizeRemote,
+    globToRegExp,
+    parseRule,
+    getGroupRules,
+    compileGroups,
+    getProjectGroup,
+    ruleMatches
+  };
+});
@@ -0,0 +1,83 @@
+const { parseUsageQuery, getUsageRows, filterUsageRows } = require('./query');
+
+// Weekday x hour usage, from the hourly buckets on each daily project row.
+// Hours are local to the machine that collected them (or config.timezone).
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+function emptyCell() {
+  return { totalCost: 0, totalTokens: 0 };
+}
+
+function addTo(cell, cost, tokens) {
+  cell.totalCost += cost;
+  cell.totalTokens += tokens;
+}
+
+// Monday = 0 for a YYYY-MM-DD date
+function getWeekday(date) {
+  return (new Date(`${date}T00:00:00Z`).getUTCDay() + 6) % 7;
+}
+
+/**
+ * Validate query-string parameters for a heatmap: the usage query filters
+ * (from, to, group, machine, tool, project) without groupBy.
+ * @param {object} query - Raw query parameters
+ * @returns {object}
+ */
+function parseHeatmapQuery(query = {}) {
+  const { groupBy, ...params } = parseUsageQuery({ ...query, groupBy: undefined });
+  return params;
+}
+
+/**
+ * Sum usage into a 7 x 24 grid of weekday (Monday first) by local hour.
+ * @param {object} machineData - Per-machine data files (from loadMachineData)
+ * @param {object} config - Parsed config.json (for project groups and timezone)
+ * @param {object} params - From parseHeatmapQuery()
+ * @returns {object} { query, timezone, weekdays, cells[weekday][hour], byHour, byWeekday, totals,
+ *   unbucketed }; each figure is { totalCost, totalTokens }. unbucketed is usage synced
+ *   without hourly data (older history, ccusage, plugins), with the number of rows.
+ */
+function buildHeatmap(machineData, config, params) {
+  const groups = (config && config.projectGroups) || {};
+  const rows = filterUsageRows(getUsageRows(machineData, groups), params);
+
+  const cells = WEEKDAYS.map(() => Array.from({ length: 24 }, emptyCell));
+  const byHour = Array.from({ length: 24 }, emptyCell);
+  const byWeekday = WEEKDAYS.map(emptyCell);
+  const totals = emptyCell();
+  const unbucketed = { ...emptyCell(), rows: 0 };
+
+  for (const row of rows) {
+    if (!row.hours) {
+      addTo(unbucketed, row.totalCost, row.totalTokens);
+      unbucketed.rows++;
+      continue;
+    }
+    const weekday = getWeekday(row.date);
+    for (const [hour, bucket] of Object.entries(row.hours)) {
+      const h = Number(hour);
+      if (!Number.isInteger(h) || h < 0 || h > 23) continue;
+      const cost = bucket.totalCost || 0;
+      const tokens = bucket.totalTokens || 0;
+      addTo(cells[weekday][h], cost, tokens);
+      addTo(byHour[h], cost, tokens);
+      addTo(byWeekday[weekday], cost, tokens);
+      addTo(totals, cost, tokens);
+    }
+  }
+
+  return {
+    query: params,
+    timezone: (config && config.timezone) || Intl.DateTimeFormat().resolvedOptions().timeZone,
+    weekdays: WEEKDAYS,
+    cells,
+    byHour,
+    byWeekday,
+    totals,
+    unbucketed
+  };
+}
+
+module.exports = { WEEKDAYS, parseHeatmapQuery, buildHeatmap };
@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'bun:test';
+
+import { parseHeatmapQuery, buildHeatmap } from './heatmap';
+
+// Test fixtures
+function hour(totalCost) {
+  return { totalCost, totalTokens: totalCost * 100 };
+}
+
+function projectRow(hours, extra = {}) {
+  const totalCost = Object.values(hours || {}).reduce((sum, h) => sum + h.totalCost, 0) || extra.totalCost || 0;
+  return { totalCost, totalTokens: totalCost * 100, ...(hours && { hours }), ...extra };
+}
+
+const machineData = {
+  laptop: {
+    daily: {
+      // A Monday
+      '2025-01-06': {
+        projects: {
+          '/work/client': projectRow({ '09': hour(2), '23': hour(5) }),
+          '/home/blog': projectRow({ '09': hour(1) })
+        }
+      },
+      // Synced before hourly buckets
+      '2025-01-07': { projects: { '/work/client': projectRow(null, { totalCost: 4 }) } }
+    }
+  },
+  desktop: {
+    daily: {
+      // A Sunday
+      '2025-01-12': { projects: { '/work/client': projectRow({ '02': hour(8) }) } }
+    }
+  }
+};
+
+const config = { projectGroups: { Work: ['path:/work'] }, timezone: 'Europe/Berlin' };
+
+describe('buildHeatmap', () => {
+  it('sums hourly buckets by weekday and hour', () => {
+    const heatmap = buildHeatmap(machineData, config, parseHeatmapQuery({}));
+
+    expect(heatmap.weekdays[0]).toBe('Mon');
+    expect(heatmap.timezone).toBe('Europe/Berlin');
+    expect(heatmap.cells[0][9]).toEqual({ totalCost: 3, totalTokens: 300 });
+    expect(heatmap.cells[0][23].totalCost).toBe(5);
+    expect(heatmap.cells[6][2].totalCost).toBe(8);
+    expect(heatmap.byHour[9].totalCost).toBe(3);
+    expect(heatmap.byWeekday.map(d => d.totalCost)).toEqual([8, 0, 0, 0, 0, 0, 8]);
+    expect(heatmap.totals.totalCost).toBe(16);
+    expect(heatmap.unbucketed).toEqual({ totalCost: 4, totalTokens: 400, rows: 1 });
+  });
+
+  it('filters by group, machine and date', () => {
+    const work = buildHeatmap(machineData, config, parseHeatmapQuery({ group: 'Work', machine: 'laptop' }));
+    expect(work.cells[0][9].totalCost).toBe(2);
+    expect(work.totals.totalCost).toBe(7);
+
+    const ranged = buildHeatmap(machineData, config, parseHeatmapQuery({ from: '2025-01-10' }));
+    expect(ranged.totals.totalCost).toBe(8);
+    expect(() => parseHeatmapQuery({ from: 'last week' })).toThrow('from must be a date in YYYY-MM-DD format');
+  });
+});
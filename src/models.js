@@ -0,0 +1,218 @@
+const { parseUsageQuery, getUsageRows, getSessionRows, filterUsageRows, splitByModel } = require('./query');
+const { getModelPrice, calculateCost, getRates } = require('./pricing');
+const { getPeriodKeys } = require('./budgets');
+
+// Model mix analytics and "what if" model substitution, both from the token
+// counts already stored per model in daily rows and sessions.
+
+const INTERVALS = ['day', 'week', 'month'];
+// Sessions listed as the best candidates for a cheaper model
+const TOP_SESSIONS = 10;
+
+function emptyTotals() {
+  return { inputTokens: 0, outputTokens: 0, cacheCreationTokens: 0, cacheReadTokens: 0, totalTokens: 0, totalCost: 0 };
+}
+
+function addTotals(totals, row) {
+  totals.inputTokens += row.inputTokens;
+  totals.outputTokens += row.outputTokens;
+  totals.cacheCreationTokens += row.cacheCreationTokens;
+  totals.cacheReadTokens += row.cacheReadTokens;
+  totals.totalTokens += row.totalTokens;
+  totals.totalCost += row.totalCost;
+}
+
+// USD per million output tokens, the usual way model prices are compared
+function costPerMillionOutput(totals) {
+  return totals.outputTokens > 0 ? totals.totalCost / totals.outputTokens * 1e6 : null;
+}
+
+function getIntervalKey(date, interval) {
+  if (interval === 'week') return getPeriodKeys(date).weekly;
+  if (interval === 'month') return date.slice(0, 7);
+  return date;
+}
+
+// Usage rows split into one row per model, filtered like /api/usage
+function getModelRows(machineData, config, params) {
+  const groups = (config && config.projectGroups) || {};
+  let rows = filterUsageRows(getUsageRows(machineData, groups), params).flatMap(splitByModel);
+  if (params.model) {
+    const model = params.model.toLowerCase();
+    rows = rows.filter(r => r.model.toLowerCase().includes(model));
+  }
+  return rows;
+}
+
+/**
+ * Validate query-string parameters for the models report: the usage query
+ * filters plus interval (day, week or month) instead of groupBy.
+ * @param {object} query - Raw query parameters
+ * @returns {object}
+ */
+function parseModelsQuery(query = {}) {
+  const { groupBy, ...params } = parseUsageQuery({ ...query, groupBy: undefined });
+  const interval = typeof query.interval === 'string' && query.interval.trim() ? query.interval.trim() : 'day';
+  if (!INTERVALS.includes(interval)) {
+    throw new Error(`interval must be one of: ${INTERVALS.join(', ')}`);
+  }
+  params.interval = interval;
+  return params;
+}
+
+/**
+ * Cost and tokens per model: overall, per interval and per project group.
+ * @param {object} machineData - Per-machine data files (from loadMachineData)
+ * @param {object} config - Parsed config.json (for project groups)
+ * @param {object} params - From parseModelsQuery()
+ * @returns {object} { query, models, timeline, groups, totals }. Each model has its totals,
+ *   share of spend and costPerMillionOutput; timeline and groups rows have per-model
+ *   { totalCost, totalTokens } in `models`.
+ */
+function buildModelReport(machineData, config, params) {
+  const rows = getModelRows(machineData, config, params);
+
+  const models = {};
+  const timeline = {};
+  const groups = {};
+  const totals = emptyTotals();
+  for (const row of rows) {
+    if (!models[row.model]) models[row.model] = { model: row.model, ...emptyTotals(), days: new Set() };
+    addTotals(models[row.model], row);
+    models[row.model].days.add(row.date);
+    addTotals(totals, row);
+
+    for (const [buckets, key] of [[timeline, getIntervalKey(row.date, params.interval)], [groups, row.group]]) {
+      if (!buckets[key]) buckets[key] = { key, totalCost: 0, totalTokens: 0, models: {} };
+      const bucket = buckets[key];
+      if (!bucket.models[row.model]) bucket.models[row.model] = { totalCost: 0, totalTokens: 0 };
+      bucket.totalCost += row.totalCost;
+      bucket.totalTokens += row.totalTokens;
+      bucket.models[row.model].totalCost += row.totalCost;
+      bucket.models[row.model].totalTokens += row.totalTokens;
+    }
+  }
+
+  return {
+    query: params,
+    models: Object.values(models)
+      .map(({ days, ...model }) => ({
+        ...model,
+        days: days.size,
+        share: totals.totalCost > 0 ? model.totalCost / totals.totalCost : 0,
+        costPerMillionOutput: costPerMillionOutput(model)
+      }))
+      .sort((a, b) => b.totalCost - a.totalCost),
+    timeline: Object.values(timeline).sort((a, b) => a.key.localeCompare(b.key)),
+    groups: Object.values(groups).sort((a, b) => b.totalCost - a.totalCost),
+    totals: { ...totals, costPerMillionOutput: costPerMillionOutput(totals) }
+  };
+}
+
+/**
+ * Validate query-string parameters for a what-if: the usage query filters plus
+ * toModel (the model to price the traffic at), fromModel (only move traffic of
+ * models whose name contains it; default every model) and share (percent of that
+ * traffic to move, default 100).
+ * @param {object} query - Raw query parameters
+ * @param {Array<object>} [rates] - config.pricing.rates, to check toModel has a price
+ * @returns {object}
+ */
+function parseWhatIfQuery(query = {}, rates = []) {
+  const { groupBy, ...params } = parseUsageQuery({ ...query, groupBy: undefined });
+  for (const field of ['fromModel', 'toModel']) {
+    const value = query[field];
+    if (typeof value === 'string' && value.trim()) params[field] = value.trim();
+  }
+  if (!params.toModel) {
+    throw new Error('toModel is required');
+  }
+  if (!getModelPrice(params.toModel, undefined, rates)) {
+    throw new Error(`No price for ${params.toModel}: use a known model name or add a rate for it under Pricing`);
+  }
+
+  const share = query.share === undefined || query.share === '' ? 100 : Number(query.share);
+  if (!Number.isFinite(share) || share < 0 || share > 100) {
+    throw new Error('share must be a percentage between 0 and 100');
+  }
+  params.share = share;
+  return params;
+}
+
+// Reprice one model's tokens with part of them moved to another model. Returns
+// the new cost and the tokens moved; other models are left as they are.
+function substitute(usage, date, params, rates) {
+  const model = usage.model.toLowerCase();
+  const moves = model !== params.toModel.toLowerCase() &&
+    (!params.fromModel || model.includes(params.fromModel.toLowerCase()));
+  if (!moves || params.share === 0) return { cost: usage.totalCost, movedTokens: 0 };
+
+  const fraction = params.share / 100;
+  const moved = {
+    inputTokens: usage.inputTokens * fraction,
+    outputTokens: usage.outputTokens * fraction,
+    cacheCreationTokens: usage.cacheCreationTokens * fraction,
+    cacheReadTokens: usage.cacheReadTokens * fraction
+  };
+  return {
+    cost: usage.totalCost * (1 - fraction) + calculateCost(params.toModel, moved, date, rates),
+    movedTokens: usage.totalTokens * fraction
+  };
+}
+
+function addComparison(buckets, key, fields, actual, whatIf, movedTokens) {
+  if (!buckets[key]) buckets[key] = { ...fields, actualCost: 0, whatIfCost: 0, savings: 0, movedTokens: 0 };
+  buckets[key].actualCost += actual;
+  buckets[key].whatIfCost += whatIf;
+  buckets[key].savings += actual - whatIf;
+  buckets[key].movedTokens += movedTokens;
+}
+
+/**
+ * Reprice a period as if part of its traffic had used another model. Token
+ * counts stay as recorded; only the price changes.
+ * @param {object} machineData - Per-machine data files, with sessions (from loadMachineData)
+ * @param {object} config - Parsed config.json (for project groups and pricing rates)
+ * @param {object} params - From parseWhatIfQuery()
+ * @returns {object} { query, actualCost, whatIfCost, savings, savingsPercent, movedTokens,
+ *   byModel, byGroup, sessions }. byModel and byGroup come from daily rows; sessions are
+ *   the ones that would save the most.
+ */
+function buildWhatIf(machineData, config, params) {
+  const rates = getRates(config);
+  const byModel = {};
+  const byGroup = {};
+  const totals = { actualCost: 0, whatIfCost: 0, movedTokens: 0 };
+
+  for (const row of getModelRows(machineData, config, params)) {
+    const { cost, movedTokens } = substitute(row, row.date, params, rates);
+    addComparison(byModel, row.model, { model: row.model }, row.totalCost, cost, movedTokens);
+    addComparison(byGroup, row.group, { group: row.group }, row.totalCost, cost, movedTokens);
+    totals.actualCost += row.totalCost;
+    totals.whatIfCost += cost;
+    totals.movedTokens += movedTokens;
+  }
+
+  // Sessions are dated by their last activity
+  const sessions = {};
+  const groups = (config && config.projectGroups) || {};
+  for (const row of filterUsageRows(getSessionRows(machineData, groups), params).flatMap(splitByModel)) {
+    if (params.model && !row.model.toLowerCase().includes(params.model.toLowerCase())) continue;
+    const { cost, movedTokens } = substitute(row, row.date, params, rates);
+    const fields = { id: row.id, machineId: row.machineId, tool: row.tool, projectPath: row.projectPath, lastActivity: row.date };
+    addComparison(sessions, row.id, fields, row.totalCost, cost, movedTokens);
+  }
+
+  const bySavings = (a, b) => b.savings - a.savings;
+  return {
+    query: params,
+    ...totals,
+    savings: totals.actualCost - totals.whatIfCost,
+    savingsPercent: totals.actualCost > 0 ? (totals.actualCost - totals.whatIfCost) / totals.actualCost * 100 : 0,
+    byModel: Object.values(byModel).sort(bySavings),
+    byGroup: Object.values(byGroup).sort(bySavings),
+    sessions: Object.values(sessions).filter(s => s.movedTokens > 0).sort(bySavings).slice(0, TOP_SESSIONS)
+  };
+}
+
+module.exports = { INTERVALS, parseModelsQuery, buildModelReport, parseWhatIfQuery, buildWhatIf };
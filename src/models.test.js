@@ -0,0 +1,100 @@
+import { describe, it, expect } from 'bun:test';
+
+import { parseModelsQuery, buildModelReport, parseWhatIfQuery, buildWhatIf } from './models';
+import { calculateCost } from './pricing';
+
+// Test fixtures
+function breakdown(modelName, inputTokens, outputTokens, cost) {
+  return { modelName, inputTokens, outputTokens, cacheCreationTokens: 0, cacheReadTokens: 0, cost };
+}
+
+function projectRow(breakdowns) {
+  return {
+    inputTokens: breakdowns.reduce((sum, b) => sum + b.inputTokens, 0),
+    outputTokens: breakdowns.reduce((sum, b) => sum + b.outputTokens, 0),
+    totalTokens: breakdowns.reduce((sum, b) => sum + b.inputTokens + b.outputTokens, 0),
+    totalCost: breakdowns.reduce((sum, b) => sum + b.cost, 0),
+    modelBreakdowns: breakdowns
+  };
+}
+
+const opus = 'claude-opus-4-1-20250805';
+const sonnet = 'claude-sonnet-4-20250514';
+const haiku = 'claude-haiku-4-5-20251001';
+
+const machineData = {
+  laptop: {
+    daily: {
+      '2025-01-06': {
+        projects: {
+          '/work/client': projectRow([breakdown(opus, 1e6, 1e5, 22.5), breakdown(sonnet, 1e6, 1e5, 4.5)]),
+          '/home/blog': projectRow([breakdown(sonnet, 2e6, 2e5, 9)])
+        }
+      }
+    },
+    sessions: {
+      big: { projectPath: '/work/client', lastActivity: '2025-01-06', ...projectRow([breakdown(opus, 1e6, 1e5, 22.5)]) },
+      small: { projectPath: '/home/blog', lastActivity: '2025-01-06', ...projectRow([breakdown(sonnet, 2e6, 2e5, 9)]) }
+    }
+  },
+  desktop: {
+    daily: {
+      '2025-01-14': { projects: { '/work/client': projectRow([breakdown(sonnet, 1e6, 1e5, 4.5)]) } }
+    }
+  }
+};
+
+const config = { projectGroups: { Work: ['path:/work'] } };
+
+describe('buildModelReport', () => {
+  it('reports spend share, cost per output token, timeline and groups per model', () => {
+    const report = buildModelReport(machineData, config, parseModelsQuery({ interval: 'week' }));
+
+    expect(report.models.map(m => [m.model, m.totalCost, m.days])).toEqual([[opus, 22.5, 1], [sonnet, 18, 2]]);
+    const opusRow = report.models.find(m => m.model === opus);
+    expect(opusRow.share).toBeCloseTo(22.5 / 40.5);
+    expect(opusRow.costPerMillionOutput).toBeCloseTo(225);
+    expect(report.totals.totalCost).toBeCloseTo(40.5);
+
+    expect(report.timeline.map(t => t.key)).toEqual(['2025-01-06', '2025-01-13']);
+    expect(report.timeline[0].models[sonnet].totalCost).toBe(13.5);
+    expect(report.groups.map(g => [g.key, g.totalCost])).toEqual([['Work', 31.5], ['Ungrouped', 9]]);
+
+    expect(() => parseModelsQuery({ interval: 'hour' })).toThrow('interval must be one of');
+  });
+});
+
+describe('buildWhatIf', () => {
+  it('reprices the moved share of a model at the target model price', () => {
+    const params = parseWhatIfQuery({ fromModel: 'opus', toModel: sonnet, share: '50' });
+    const result = buildWhatIf(machineData, config, params);
+
+    const moved = calculateCost(sonnet, { inputTokens: 5e5, outputTokens: 5e4 });
+    expect(result.actualCost).toBeCloseTo(40.5);
+    expect(result.whatIfCost).toBeCloseTo(18 + 11.25 + moved);
+    expect(result.savings).toBeCloseTo(11.25 - moved);
+    expect(result.movedTokens).toBe(550000);
+    expect(result.byModel[0]).toMatchObject({ model: opus, movedTokens: 550000 });
+    expect(result.byGroup.map(g => g.group)).toEqual(['Work', 'Ungrouped']);
+    // Only sessions with traffic to move are candidates
+    expect(result.sessions.map(s => s.id)).toEqual(['big']);
+  });
+
+  it('moves every model by default, honours filters and configured rates', () => {
+    const rates = [{ model: 'cheap-model', input: 0, output: 0, cacheWrite: 0, cacheRead: 0 }];
+    const params = parseWhatIfQuery({ toModel: 'cheap-model', machine: 'laptop' }, rates);
+    const result = buildWhatIf(machineData, { ...config, pricing: { rates } }, params);
+
+    expect(result.actualCost).toBeCloseTo(36);
+    expect(result.whatIfCost).toBe(0);
+    expect(result.savingsPercent).toBe(100);
+    expect(result.sessions.map(s => s.id)).toEqual(['big', 'small']);
+
+    const toHaiku = buildWhatIf(machineData, config, parseWhatIfQuery({ toModel: haiku, group: 'Ungrouped' }));
+    expect(toHaiku.whatIfCost).toBeCloseTo(calculateCost(haiku, { inputTokens: 2e6, outputTokens: 2e5 }));
+
+    expect(() => parseWhatIfQuery({})).toThrow('toModel is required');
+    expect(() => parseWhatIfQuery({ toModel: 'mystery-model' })).toThrow('No price for mystery-model');
+    expect(() => parseWhatIfQuery({ toModel: sonnet, share: '150' })).toThrow('share must be a percentage');
+  });
+});
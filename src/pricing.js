@@ -0,0 +1,155 @@
+// Built-in model price table, in USD per million tokens.
+// Patterns are checked in order, so more specific model families must come
+// before the broader ones that would also match them.
+const MODEL_PRICES = [
+  { pattern: /opus-4-[5-9]/, input: 5, output: 25, cacheWrite: 6.25, cacheRead: 0.5 },
+  { pattern: /opus/, input: 15, output: 75, cacheWrite: 18.75, cacheRead: 1.5 },
+  { pattern: /sonnet/, input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.3 },
+  { pattern: /haiku-4/, input: 1, output: 5, cacheWrite: 1.25, cacheRead: 0.1 },
+  { pattern: /3-5-haiku/, input: 0.8, output: 4, cacheWrite: 1, cacheRead: 0.08 },
+  { pattern: /haiku/, input: 0.25, output: 1.25, cacheWrite: 0.3, cacheRead: 0.03 },
+  // OpenAI models used by Codex CLI (cached input is billed as a cache read)
+  { pattern: /gpt-5.*-nano/, input: 0.05, output: 0.4, cacheWrite: 0, cacheRead: 0.005 },
+  { pattern: /gpt-5.*-mini/, input: 0.25, output: 2, cacheWrite: 0, cacheRead: 0.025 },
+  { pattern: /gpt-5/, input: 1.25, output: 10, cacheWrite: 0, cacheRead: 0.125 },
+  { pattern: /gpt-4\.1-mini/, input: 0.4, output: 1.6, cacheWrite: 0, cacheRead: 0.1 },
+  { pattern: /gpt-4\.1/, input: 2, output: 8, cacheWrite: 0, cacheRead: 0.5 },
+  { pattern: /codex-mini/, input: 1.5, output: 6, cacheWrite: 0, cacheRead: 0.375 },
+  { pattern: /o4-mini/, input: 1.1, output: 4.4, cacheWrite: 0, cacheRead: 0.275 },
+  { pattern: /^o3/, input: 2, output: 8, cacheWrite: 0, cacheRead: 0.5 }
+];
+
+const PRICE_FIELDS = ['input', 'output', 'cacheWrite', 'cacheRead'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Built-in list price for a model name, or null if the model is unknown
+function getListPrice(modelName) {
+  if (!modelName) return null;
+  const name = modelName.toLowerCase();
+  return MODEL_PRICES.find(p => p.pattern.test(name)) || null;
+}
+
+// Configured rates apply to models whose name contains `model` ("*" for every model)
+function rateMatches(rate, name) {
+  return rate.model === '*' || name.includes(rate.model.toLowerCase());
+}
+
+/**
+ * Find the price for a model on a date: the configured rate in effect that day,
+ * else the built-in list price. When several rates apply, the most specific
+ * model wins, then the most recent effectiveFrom.
+ * @param {string} modelName - Model name as recorded in usage
+ * @param {string} [date] - YYYY-MM-DD; without it, dated rates are ignored
+ * @param {Array<object>} [rates] - config.pricing.rates
+ * @returns {object|null} { input, output, cacheWrite, cacheRead } per million tokens
+ */
+function getModelPrice(modelName, date, rates = []) {
+  if (!modelName) return null;
+  const name = modelName.toLowerCase();
+  const inEffect = rates
+    .filter(r => rateMatches(r, name))
+    .filter(r => !r.effectiveFrom || (date && date >= r.effectiveFrom))
+    .filter(r => !r.effectiveTo || (date && date <= r.effectiveTo))
+    .sort((a, b) => {
+      const specificity = (b.model === '*' ? 0 : b.model.length) - (a.model === '*' ? 0 : a.model.length);
+      return specificity || (b.effectiveFrom || '').localeCompare(a.effectiveFrom || '');
+    });
+  return inEffect[0] || getListPrice(modelName);
+}
+
+function costFromPrice(price, tokens) {
+  return (
+    (tokens.inputTokens || 0) * price.input +
+    (tokens.outputTokens || 0) * price.output +
+    (tokens.cacheCreationTokens || 0) * price.cacheWrite +
+    (tokens.cacheReadTokens || 0) * price.cacheRead
+  ) / 1e6;
+}
+
+// Cost in USD for a set of token counts (unknown models cost 0)
+function calculateCost(modelName, tokens, date, rates) {
+  const price = getModelPrice(modelName, date, rates);
+  return price ? costFromPrice(price, tokens) : 0;
+}
+
+/**
+ * Reprice a session or daily row from its stored tokens: each modelBreakdowns
+ * entry gets `cost` (configured rates) and `apiCost` (list prices), and the
+ * record's totalCost/apiCost become their sums. Models without any known price
+ * keep the cost they were synced with. Records with no breakdowns are priced
+ * from their totals if they used a single model, otherwise left alone.
+ * @param {object} record - Session or daily project row
+ * @param {string} date - YYYY-MM-DD the usage happened on
+ * @param {Array<object>} [rates] - config.pricing.rates
+ * @returns {object} The repriced record (a copy)
+ */
+function priceRecord(record, date, rates = []) {
+  let breakdowns = record.modelBreakdowns;
+  if (!breakdowns || breakdowns.length === 0) {
+    const models = record.modelsUsed || [];
+    if (models.length !== 1) return record;
+    breakdowns = [{
+      modelName: models[0],
+      inputTokens: record.inputTokens || 0,
+      outputTokens: record.outputTokens || 0,
+      cacheCreationTokens: record.cacheCreationTokens || 0,
+      cacheReadTokens: record.cacheReadTokens || 0,
+      cost: record.totalCost || 0
+    }];
+  }
+
+  const priced = breakdowns.map(b => {
+    const price = getModelPrice(b.modelName, date, rates);
+    const listPrice = getListPrice(b.modelName);
+    const cost = price ? costFromPrice(price, b) : (b.cost || 0);
+    return { ...b, cost, apiCost: listPrice ? costFromPrice(listPrice, b) : cost };
+  });
+
+  const result = {
+    ...record,
+    totalCost: priced.reduce((sum, b) => sum + b.cost, 0),
+    apiCost: priced.reduce((sum, b) => sum + b.apiCost, 0)
+  };
+  if (record.modelBreakdowns && record.modelBreakdowns.length > 0) result.modelBreakdowns = priced;
+  return result;
+}
+
+// Validate config.pricing.rates from an API request
+function parseRates(rates) {
+  if (!Array.isArray(rates)) {
+    throw new Error('rates must be an array');
+  }
+  return rates.map((rate, i) => {
+    const label = `Rate ${i + 1}`;
+    if (!rate || typeof rate.model !== 'string' || !rate.model.trim()) {
+      throw new Error(`${label}: model is required`);
+    }
+    const parsed = { model: rate.model.trim() };
+    for (const field of PRICE_FIELDS) {
+      const value = Number(rate[field]);
+      if (rate[field] === undefined || rate[field] === null || rate[field] === '' || !Number.isFinite(value) || value < 0) {
+        throw new Error(`${label}: ${field} must be a non-negative number`);
+      }
+      parsed[field] = value;
+    }
+    for (const field of ['effectiveFrom', 'effectiveTo']) {
+      if (rate[field] === undefined || rate[field] === null || rate[field] === '') continue;
+      if (!DATE_PATTERN.test(rate[field])) {
+        throw new Error(`${label}: ${field} must be a date in YYYY-MM-DD format`);
+      }
+      parsed[field] = rate[field];
+    }
+    if (parsed.effectiveFrom && parsed.effectiveTo && parsed.effectiveFrom > parsed.effectiveTo) {
+      throw new Error(`${label}: effectiveFrom must not be after effectiveTo`);
+    }
+    return parsed;
+  });
+}
+
+// Configured rates from config.json (invalid config is reported by the API, not here)
+function getRates(config) {
+  const rates = config && config.pricing && config.pricing.rates;
+  return Array.isArray(rates) ? rates.filter(r => r && typeof r.model === 'string') : [];
+}
+
+module.exports = { MODEL_PRICES, PRICE_FIELDS, getListPrice, getModelPrice, calculateCost, priceRecord, parseRates, getRates };
@@ -0,0 +1,107 @@
+import { describe, it, expect } from 'bun:test';
+
+import { getModelPrice, calculateCost, priceRecord, parseRates } from './pricing';
+import { repriceData } from './sync';
+
+// Test fixtures
+const sonnet = 'claude-sonnet-4-20250514';
+const opus = 'claude-opus-4-1-20250805';
+
+const rates = [
+  { model: 'sonnet', input: 2, output: 10, cacheWrite: 2.5, cacheRead: 0.2, effectiveFrom: '2025-03-01' },
+  { model: 'sonnet', input: 1, output: 5, cacheWrite: 1.25, cacheRead: 0.1, effectiveFrom: '2025-06-01' },
+  { model: '*', input: 0, output: 0, cacheWrite: 0, cacheRead: 0, effectiveTo: '2025-01-31' }
+];
+
+function breakdown(modelName, inputTokens, outputTokens, cost) {
+  return { modelName, inputTokens, outputTokens, cacheCreationTokens: 0, cacheReadTokens: 0, cost };
+}
+
+describe('getModelPrice', () => {
+  it('falls back to list prices without configured rates', () => {
+    expect(getModelPrice(sonnet)).toMatchObject({ input: 3, output: 15 });
+    expect(getModelPrice(sonnet, '2025-07-01', [])).toMatchObject({ input: 3, output: 15 });
+  });
+
+  it('uses the most recent rate in effect on the date', () => {
+    expect(getModelPrice(sonnet, '2025-02-15', rates).input).toBe(3);
+    expect(getModelPrice(sonnet, '2025-04-01', rates).input).toBe(2);
+    expect(getModelPrice(sonnet, '2025-07-01', rates).input).toBe(1);
+  });
+
+  it('prefers a specific model over a catch-all rate', () => {
+    expect(getModelPrice(opus, '2025-01-15', rates).input).toBe(0);
+    expect(getModelPrice(sonnet, '2025-01-15', [...rates, { model: 'sonnet-4', input: 9, output: 9, cacheWrite: 9, cacheRead: 9 }]).input).toBe(9);
+  });
+
+  it('ignores dated rates when no date is given', () => {
+    expect(calculateCost(sonnet, { inputTokens: 1e6 }, undefined, rates)).toBe(3);
+  });
+});
+
+describe('priceRecord', () => {
+  it('reprices breakdowns and keeps list prices as the API-equivalent cost', () => {
+    const record = { totalCost: 99, modelBreakdowns: [breakdown(sonnet, 1e6, 0, 50), breakdown(opus, 0, 1e6, 49)] };
+
+    const priced = priceRecord(record, '2025-07-01', rates);
+
+    expect(priced.modelBreakdowns.map(b => b.cost)).toEqual([1, 75]);
+    expect(priced.totalCost).toBe(76);
+    expect(priced.apiCost).toBe(78);
+  });
+
+  it('keeps the synced cost of models without a known price', () => {
+    const priced = priceRecord({ totalCost: 4, modelBreakdowns: [breakdown('mystery-model', 1e6, 0, 4)] }, '2025-07-01', []);
+
+    expect(priced.totalCost).toBe(4);
+    expect(priced.apiCost).toBe(4);
+  });
+
+  it('prices single-model records without breakdowns from their totals', () => {
+    const priced = priceRecord({ inputTokens: 1e6, totalCost: 3, modelsUsed: [sonnet] }, '2025-07-01', rates);
+
+    expect(priced.totalCost).toBe(1);
+    expect(priced.modelBreakdowns).toBeUndefined();
+    expect(priceRecord({ totalCost: 5, modelsUsed: [sonnet, opus] }, '2025-07-01', rates).totalCost).toBe(5);
+  });
+});
+
+describe('repriceData', () => {
+  it('reprices sessions and daily rows and recomputes day totals', () => {
+    const data = {
+      sessions: { a: { lastActivity: '2025-07-02', totalCost: 3, modelBreakdowns: [breakdown(sonnet, 1e6, 0, 3)] } },
+      daily: {
+        '2025-07-02': {
+          totalCost: 3,
+          projects: {
+            '/srv/app': {
+              inputTokens: 1e6,
+              totalCost: 3,
+              modelBreakdowns: [breakdown(sonnet, 1e6, 0, 3)],
+              hours: { '09': { inputTokens: 1e6, totalCost: 3, modelBreakdowns: [breakdown(sonnet, 1e6, 0, 3)] } }
+            }
+          }
+        }
+      }
+    };
+
+    expect(repriceData(data, rates)).toEqual({ sessions: 1, dailyRows: 1 });
+    expect(data.sessions.a.totalCost).toBe(1);
+    expect(data.daily['2025-07-02']).toMatchObject({ totalCost: 1, apiCost: 3 });
+    expect(data.daily['2025-07-02'].projects['/srv/app'].hours['09']).toMatchObject({ totalCost: 1, apiCost: 3 });
+  });
+});
+
+describe('parseRates', () => {
+  it('converts numeric strings and drops empty dates', () => {
+    expect(parseRates([{ model: ' opus ', input: '12', output: '60', cacheWrite: '15', cacheRead: '1.2', effectiveFrom: '' }]))
+      .toEqual([{ model: 'opus', input: 12, output: 60, cacheWrite: 15, cacheRead: 1.2 }]);
+  });
+
+  it('rejects missing prices and bad dates', () => {
+    expect(() => parseRates({})).toThrow('rates must be an array');
+    expect(() => parseRates([{ model: 'opus', input: 1, output: 1, cacheWrite: 1 }])).toThrow('Rate 1: cacheRead must be a non-negative number');
+    expect(() => parseRates([{ model: '', input: 1 }])).toThrow('model is required');
+    expect(() => parseRates([{ model: 'opus', input: 1, output: 1, cacheWrite: 1, cacheRead: 1, effectiveFrom: '2025-02-01', effectiveTo: '2025-01-01' }])).toThrow('effectiveFrom must not be after effectiveTo');
+  });
+});
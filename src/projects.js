@@ -0,0 +1,154 @@
+const fs = require('fs');
+const path = require('path');
+const { getProjectName } = require('./groups');
+const { findGitRoot, getGitRemote } = require('./gitRemote');
+
+// Claude Code names each transcript folder after the working directory, with every
+// character other than a letter or digit replaced by "-". That loses information
+// ("/Users/me/my-app" and "/Users/me/my/app" encode the same), so the folder name
+// is only a lookup key: the real path comes from the transcripts or the filesystem.
+function encodeProjectPath(projectPath) {
+  return projectPath.replace(/[^a-zA-Z0-9]/g, '-');
+}
+
+// Claude Code transcript folders (and subagent paths under them) start with "-"
+function isEncodedPath(projectPath) {
+  return typeof projectPath === 'string' && projectPath.startsWith('-');
+}
+
+// Row key for a project: its real path for Claude Code (matching history
+// keyed the same way), namespaced by tool for everything else
+function getProjectId(projectPath, tool) {
+  return !tool || tool === 'claude-code' ? projectPath : `${tool}:${projectPath}`;
+}
+
+// Find a directory whose encoded path equals `encoded`, descending only into
+// directories whose encoding is a prefix of it. Longer names are tried first,
+// so "my-app" wins over "my/app" when both exist.
+function findEncodedPath(encoded, dir = path.parse(process.cwd()).root) {
+  if (encodeProjectPath(dir) === encoded) return dir;
+
+  let entries;
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch (err) {
+    return null;
+  }
+
+  const candidates = entries
+    .filter(e => e.isDirectory() || e.isSymbolicLink())
+    .map(e => path.join(dir, e.name))
+    .filter(candidate => {
+      const prefix = encodeProjectPath(candidate);
+      return encoded === prefix || encoded.startsWith(prefix + '-');
+    })
+    .sort((a, b) => b.length - a.length);
+
+  for (const candidate of candidates) {
+    try {
+      if (!fs.statSync(candidate).isDirectory()) continue;
+    } catch (err) {
+      continue;
+    }
+    const found = findEncodedPath(encoded, candidate);
+    if (found) return found;
+  }
+  return null;
+}
+
+/**
+ * Resolve the real directory behind a Claude Code transcript folder name.
+ * @param {string} folder - Transcript folder name, e.g. "-Users-me-my-app"
+ * @param {Iterable<string>} [cwds] - Working directories recorded in that folder's transcripts
+ * @returns {string|null} The directory, or null if it can't be determined
+ */
+function resolveProjectPath(folder, cwds = []) {
+  const encoded = encodeProjectPath(folder);
+
+  // Sessions can cd elsewhere; the folder is named after the directory they started in
+  for (const cwd of cwds) {
+    if (cwd && encodeProjectPath(cwd) === encoded) return cwd;
+  }
+  return findEncodedPath(encoded);
+}
+
+// Identity fields stored on session and daily records
+function describeProject(projectPath, tool) {
+  const identity = {
+    projectId: getProjectId(projectPath, tool),
+    projectPath,
+    projectName: getProjectName(projectPath)
+  };
+
+  let gitRoot = null;
+  try {
+    if (path.isAbsolute(projectPath) && fs.statSync(projectPath).isDirectory()) {
+      gitRoot = findGitRoot(projectPath);
+    }
+  } catch (err) {
+    // Project directory isn't on this machine
+  }
+  if (gitRoot) identity.gitRoot = gitRoot;
+
+  const gitRemote = getGitRemote(projectPath);
+  if (gitRemote) identity.gitRemote = gitRemote;
+  return identity;
+}
+
+// Transcript folder behind a Claude Code session record. Like ccusage, top-level
+// transcripts report the folder as their sessionId; subagents as "<folder>/<uuid>".
+function getTranscriptFolder(session) {
+  if (isEncodedPath(session.projectPath)) return session.projectPath.split('/')[0];
+  if (isEncodedPath(session.sessionId)) return session.sessionId;
+  return null;
+}
+
+// Working directories seen per transcript folder, from collected Claude Code sessions
+function getCwdHints(sessions) {
+  const hints = {};
+  for (const session of sessions || []) {
+    const folder = getTranscriptFolder(session);
+    if (!session.cwd || !folder) continue;
+    if (!hints[folder]) hints[folder] = new Set();
+    hints[folder].add(session.cwd);
+  }
+  return hints;
+}
+
+/**
+ * Create a memoized lookup from a collected project path to its identity:
+ * { projectId, projectPath, projectName, gitRoot?, gitRemote? }.
+ * Claude Code folder names (including "<folder>/<uuid>" subagent paths) are
+ * resolved to the real directory; other tools already report real paths.
+ * Returns null for a Claude Code folder that can't be resolved.
+ * @param {object} [cwdHints] - From getCwdHints()
+ * @returns {function(string, string): object|null}
+ */
+function createProjectResolver(cwdHints = {}) {
+  const cache = new Map();
+  return function identify(rawPath, tool = 'claude-code') {
+    const cacheKey = `${tool}\0${rawPath}`;
+    if (cache.has(cacheKey)) return cache.get(cacheKey);
+
+    let projectPath = rawPath;
+    if ((!tool || tool === 'claude-code') && isEncodedPath(rawPath)) {
+      const folder = rawPath.split('/')[0];
+      projectPath = resolveProjectPath(folder, cwdHints[folder]);
+    }
+
+    const identity = projectPath ? describeProject(projectPath, tool) : null;
+    cache.set(cacheKey, identity);
+    return identity;
+  };
+}
+
+module.exports = {
+  encodeProjectPath,
+  isEncodedPath,
+  getProjectId,
+  findEncodedPath,
+  resolveProjectPath,
+  getTranscriptFolder,
+  getCwdHints,
+  createProjectResolver
+};
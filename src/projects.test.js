@@ -0,0 +1,114 @@
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+import { encodeProjectPath, resolveProjectPath, getCwdHints, createProjectResolver } from './projects';
+import { mergeDailyData, migrateProjectIdentities } from './sync';
+
+// Test helpers
+function createTempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'looptrack-test-'));
+}
+
+function row(totalCost) {
+  return { inputTokens: totalCost * 100, outputTokens: totalCost * 10, totalTokens: totalCost * 110, totalCost, modelsUsed: ['claude-sonnet-4-20250514'] };
+}
+
+describe('encodeProjectPath', () => {
+  it('replaces everything but letters and digits like Claude Code', () => {
+    expect(encodeProjectPath('/Users/me/my-app')).toBe('-Users-me-my-app');
+    expect(encodeProjectPath('/Users/me/.config/my_app')).toBe('-Users-me--config-my-app');
+  });
+});
+
+describe('resolveProjectPath', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.realpathSync(createTempDir());
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('prefers a recorded working directory that encodes to the folder name', () => {
+    const folder = '-Users-me-my-app';
+
+    expect(resolveProjectPath(folder, ['/Users/me/my-app/src', '/Users/me/my-app'])).toBe('/Users/me/my-app');
+  });
+
+  it('finds the directory on disk when nothing was recorded', () => {
+    fs.mkdirSync(path.join(tempDir, 'client-portal', 'web'), { recursive: true });
+    const projectPath = path.join(tempDir, 'client-portal', 'web');
+
+    expect(resolveProjectPath(encodeProjectPath(projectPath))).toBe(projectPath);
+  });
+
+  it('prefers a dashed name over nested directories when both exist', () => {
+    fs.mkdirSync(path.join(tempDir, 'my-app'));
+    fs.mkdirSync(path.join(tempDir, 'my', 'app'), { recursive: true });
+
+    expect(resolveProjectPath(encodeProjectPath(path.join(tempDir, 'my-app')))).toBe(path.join(tempDir, 'my-app'));
+  });
+
+  it('returns null when the directory is gone', () => {
+    expect(resolveProjectPath(encodeProjectPath(path.join(tempDir, 'deleted-project')))).toBeNull();
+  });
+});
+
+describe('createProjectResolver', () => {
+  it('resolves folders and subagent paths to the same identity', () => {
+    const hints = getCwdHints([{ projectPath: '-Users-me-my-app', cwd: '/Users/me/my-app' }]);
+    const identify = createProjectResolver(hints);
+
+    expect(identify('-Users-me-my-app')).toEqual({ projectId: '/Users/me/my-app', projectPath: '/Users/me/my-app', projectName: 'my-app' });
+    expect(identify('-Users-me-my-app/272cd730-d6f2-490d-9a3a-02733e824f45').projectPath).toBe('/Users/me/my-app');
+    expect(identify('/home/me/my-app', 'codex')).toMatchObject({ projectId: 'codex:/home/me/my-app', projectName: 'my-app' });
+  });
+});
+
+describe('project identity during sync', () => {
+  const identify = createProjectResolver(getCwdHints([{ projectPath: '-Users-me-my-app', cwd: '/Users/me/my-app' }]));
+
+  it('keys new daily rows by the resolved path', () => {
+    const daily = mergeDailyData({}, { projects: { '-Users-me-my-app': [{ date: '2025-01-10', ...row(2) }] } }, 'claude-code', identify);
+
+    expect(Object.keys(daily['2025-01-10'].projects)).toEqual(['/Users/me/my-app']);
+    expect(daily['2025-01-10'].projects['/Users/me/my-app']).toMatchObject({ projectName: 'my-app', tool: 'claude-code', totalCost: 2 });
+  });
+
+  it('re-keys existing history and merges it with rows already keyed by path', () => {
+    const data = {
+      sessions: {
+        abc: { sessionId: 'abc', projectPath: '-Users-me-my-app', projectName: '-Users-me-my-app', totalCost: 3 },
+        '-Users-me-my-app': { sessionId: '-Users-me-my-app', projectPath: '/Users/me/my/app', projectName: 'app', totalCost: 2 },
+        'codex-1': { sessionId: '1', tool: 'codex', projectPath: '/srv/api', totalCost: 1 }
+      },
+      daily: {
+        '2025-01-10': {
+          totalCost: 9,
+          projects: {
+            '-Users-me-my-app': { ...row(5), projectPath: '-Users-me-my-app' },
+            '/Users/me/my-app': { ...row(3), projectPath: '/Users/me/my-app' },
+            '-Users-me-gone': { ...row(1), projectPath: '-Users-me-gone' }
+          }
+        }
+      }
+    };
+
+    expect(migrateProjectIdentities(data, identify)).toBe(3);
+
+    expect(data.sessions.abc).toMatchObject({ projectPath: '/Users/me/my-app', projectName: 'my-app', projectId: '/Users/me/my-app' });
+    expect(data.sessions['-Users-me-my-app'].projectName).toBe('my-app');
+    expect(data.sessions['codex-1'].projectPath).toBe('/srv/api');
+    const projects = data.daily['2025-01-10'].projects;
+    expect(Object.keys(projects).sort()).toEqual(['-Users-me-gone', '/Users/me/my-app']);
+    expect(projects['/Users/me/my-app'].totalCost).toBe(5);
+    expect(data.daily['2025-01-10'].totalCost).toBe(6);
+
+    // Running it again changes nothing
+    expect(migrateProjectIdentities(data, identify)).toBe(0);
+  });
+});
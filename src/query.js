@@ -0,0 +1,242 @@
+const { getProjectName, compileGroups, getProjectGroup, getDailyProjectPath } = require('./groups');
+const { getPeriodKeys } = require('./budgets');
+
+const GROUP_BY = ['day', 'week', 'month', 'project', 'group', 'model', 'machine', 'tool'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const UNGROUPED = 'Ungrouped';
+
+/**
+ * Validate query-string parameters for a usage query.
+ * @param {object} query - Raw query parameters
+ * @returns {object} { from, to, group, machine, model, project, tool, groupBy }
+ */
+function parseUsageQuery(query = {}) {
+  const params = {};
+  for (const field of ['from', 'to', 'group', 'machine', 'model', 'project', 'tool', 'groupBy']) {
+    const value = query[field];
+    if (typeof value === 'string' && value.trim()) params[field] = value.trim();
+  }
+
+  for (const field of ['from', 'to']) {
+    if (params[field] && !DATE_PATTERN.test(params[field])) {
+      throw new Error(`${field} must be a date in YYYY-MM-DD format`);
+    }
+  }
+  if (params.from && params.to && params.from > params.to) {
+    throw new Error('from must not be after to');
+  }
+
+  params.groupBy = params.groupBy || 'day';
+  if (!GROUP_BY.includes(params.groupBy)) {
+    throw new Error(`groupBy must be one of: ${GROUP_BY.join(', ')}`);
+  }
+  return params;
+}
+
+// Flatten per-machine daily data into one row per date, machine and project
+function getUsageRows(machineData, groups) {
+  const rows = [];
+  const compiled = compileGroups(groups);
+  for (const [machineId, data] of Object.entries(machineData || {})) {
+    if (!data) continue;
+    for (const [date, day] of Object.entries(data.daily || {})) {
+      for (const [key, project] of Object.entries(day.projects || {})) {
+        const projectPath = getDailyProjectPath(key, project);
+        rows.push({
+          date,
+          machineId,
+          tool: project.tool || 'claude-code',
+          projectPath,
+          projectName: getProjectName(projectPath),
+          gitRemote: project.gitRemote || null,
+          group: getProjectGroup(projectPath, compiled, project.gitRemote) || UNGROUPED,
+          model: null,
+          inputTokens: project.inputTokens || 0,
+          outputTokens: project.outputTokens || 0,
+          cacheCreationTokens: project.cacheCreationTokens || 0,
+          cacheReadTokens: project.cacheReadTokens || 0,
+          totalTokens: project.totalTokens || 0,
+          totalCost: project.totalCost || 0,
+          modelBreakdowns: project.modelBreakdowns || [],
+          modelsUsed: project.modelsUsed || [],
+          hours: project.hours || null
+        });
+      }
+    }
+  }
+  return rows;
+}
+
+// One row per session, shaped like getUsageRows() rows and dated by last activity
+function getSessionRows(machineData, groups) {
+  const rows = [];
+  const compiled = compileGroups(groups);
+  for (const [machineId, data] of Object.entries(machineData || {})) {
+    if (!data) continue;
+    for (const [id, session] of Object.entries(data.sessions || {})) {
+      const date = (session.lastActivity || '').slice(0, 10);
+      if (!date) continue;
+      const projectPath = session.projectPath || '';
+      rows.push({
+        id,
+        date,
+        machineId,
+        tool: session.tool || 'claude-code',
+        projectPath,
+        projectName: getProjectName(projectPath),
+        gitRemote: session.gitRemote || null,
+        group: getProjectGroup(projectPath, compiled, session.gitRemote) || UNGROUPED,
+        model: null,
+        inputTokens: session.inputTokens || 0,
+        outputTokens: session.outputTokens || 0,
+        cacheCreationTokens: session.cacheCreationTokens || 0,
+        cacheReadTokens: session.cacheReadTokens || 0,
+        totalTokens: session.totalTokens || 0,
+        totalCost: session.totalCost || 0,
+        modelBreakdowns: session.modelBreakdowns || [],
+        modelsUsed: session.modelsUsed || []
+      });
+    }
+  }
+  return rows;
+}
+
+/**
+ * Distinct projects seen in usage data, with their current group.
+ * @param {object} machineData - Per-machine data files (from loadMachineData)
+ * @param {object} groups - config.projectGroups
+ * @returns {Array<object>} { path, name, gitRemote, group, tools } sorted by path
+ */
+function getKnownProjects(machineData, groups) {
+  const projects = {};
+  for (const row of getUsageRows(machineData, groups)) {
+    const project = projects[row.projectPath];
+    if (!project) {
+      projects[row.projectPath] = {
+        path: row.projectPath,
+        name: row.projectName,
+        gitRemote: row.gitRemote,
+        group: row.group === UNGROUPED ? null : row.group,
+        tools: [row.tool]
+      };
+    } else {
+      if (!project.gitRemote) project.gitRemote = row.gitRemote;
+      if (!project.tools.includes(row.tool)) project.tools.push(row.tool);
+    }
+  }
+  return Object.values(projects).sort((a, b) => a.path.localeCompare(b.path));
+}
+
+// Split a row into one row per model using its modelBreakdowns
+function splitByModel(row) {
+  if (row.modelBreakdowns.length === 0) {
+    return [{ ...row, model: row.modelsUsed[0] || 'unknown' }];
+  }
+  return row.modelBreakdowns.map(m => {
+    const inputTokens = m.inputTokens || 0;
+    const outputTokens = m.outputTokens || 0;
+    const cacheCreationTokens = m.cacheCreationTokens || 0;
+    const cacheReadTokens = m.cacheReadTokens || 0;
+    return {
+      ...row,
+      model: m.modelName || 'unknown',
+      inputTokens,
+      outputTokens,
+      cacheCreationTokens,
+      cacheReadTokens,
+      totalTokens: inputTokens + outputTokens + cacheCreationTokens + cacheReadTokens,
+      totalCost: m.cost || 0
+    };
+  });
+}
+
+// Project filter matches the project name exactly or any part of its path
+function matchesProjectPath(projectPath, project) {
+  return getProjectName(projectPath) === project || projectPath.includes(project);
+}
+
+function matchesProject(row, project) {
+  return matchesProjectPath(row.projectPath, project);
+}
+
+function getGroupKey(row, groupBy) {
+  switch (groupBy) {
+    case 'day': return row.date;
+    case 'week': return getPeriodKeys(row.date).weekly;
+    case 'month': return row.date.slice(0, 7);
+    case 'project': return row.projectPath;
+    case 'group': return row.group;
+    case 'model': return row.model;
+    case 'machine': return row.machineId;
+    case 'tool': return row.tool;
+  }
+}
+
+function emptyAggregate(key) {
+  return { key, inputTokens: 0, outputTokens: 0, cacheCreationTokens: 0, cacheReadTokens: 0, totalTokens: 0, totalCost: 0 };
+}
+
+function addRow(aggregate, row) {
+  aggregate.inputTokens += row.inputTokens;
+  aggregate.outputTokens += row.outputTokens;
+  aggregate.cacheCreationTokens += row.cacheCreationTokens;
+  aggregate.cacheReadTokens += row.cacheReadTokens;
+  aggregate.totalTokens += row.totalTokens;
+  aggregate.totalCost += row.totalCost;
+}
+
+/**
+ * Keep the usage rows matching a query's date range, machine, tool, group and project.
+ * @param {Array<object>} rows - From getUsageRows()
+ * @param {object} params - From parseUsageQuery()
+ * @returns {Array<object>}
+ */
+function filterUsageRows(rows, params) {
+  if (params.from) rows = rows.filter(r => r.date >= params.from);
+  if (params.to) rows = rows.filter(r => r.date <= params.to);
+  if (params.machine) rows = rows.filter(r => r.machineId === params.machine);
+  if (params.tool) rows = rows.filter(r => r.tool === params.tool);
+  if (params.group) rows = rows.filter(r => r.group === params.group);
+  if (params.project) rows = rows.filter(r => matchesProject(r, params.project));
+  return rows;
+}
+
+/**
+ * Filter and aggregate usage across machines.
+ * @param {object} machineData - Per-machine data files (from loadMachineData)
+ * @param {object} config - Parsed config.json (for project groups)
+ * @param {object} params - From parseUsageQuery()
+ * @returns {{query: object, rows: Array<object>, totals: object}}
+ */
+function queryUsage(machineData, config, params) {
+  const groups = (config && config.projectGroups) || {};
+  let rows = filterUsageRows(getUsageRows(machineData, groups), params);
+
+  // Per-model numbers come from each row's modelBreakdowns
+  if (params.model || params.groupBy === 'model') {
+    rows = rows.flatMap(splitByModel);
+    if (params.model) {
+      const model = params.model.toLowerCase();
+      rows = rows.filter(r => r.model.toLowerCase().includes(model));
+    }
+  }
+
+  const aggregates = {};
+  const totals = emptyAggregate('total');
+  for (const row of rows) {
+    const key = getGroupKey(row, params.groupBy);
+    if (!aggregates[key]) aggregates[key] = emptyAggregate(key);
+    addRow(aggregates[key], row);
+    addRow(totals, row);
+  }
+
+  // Time buckets read best in order; everything else by spend
+  const byTime = ['day', 'week', 'month'].includes(params.groupBy);
+  const result = Object.values(aggregates).sort((a, b) =>
+    byTime ? a.key.localeCompare(b.key) : b.totalCost - a.totalCost
+  );
+
+  return { query: params, rows: result, totals };
+}
+
+module.exports = { GROUP_BY, parseUsageQuery, getUsageRows, getSessionRows, filterUsageRows, getKnownProjects, splitByModel, matchesProjectPath, queryUsage };
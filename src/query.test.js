@@ -0,0 +1,105 @@
+import { describe, it, expect } from 'bun:test';
+
+import { parseUsageQuery, queryUsage } from './query';
+
+// Test fixtures
+function projectRow(totalCost, models) {
+  return {
+    inputTokens: totalCost * 100,
+    outputTokens: totalCost * 10,
+    totalTokens: totalCost * 110,
+    totalCost,
+    modelBreakdowns: models.map(([modelName, cost]) => ({ modelName, inputTokens: cost * 100, outputTokens: cost * 10, cost }))
+  };
+}
+
+const machineData = {
+  laptop: {
+    daily: {
+      '2025-01-06': {
+        projects: {
+          '-Users-taylor-Development-client': projectRow(10, [['claude-opus-4-1-20250805', 8], ['claude-sonnet-4-20250514', 2]]),
+          '-Users-taylor-Development-dotfiles': projectRow(1, [['claude-sonnet-4-20250514', 1]])
+        }
+      },
+      '2025-01-13': {
+        projects: {
+          '-Users-taylor-Development-client': projectRow(5, [['claude-sonnet-4-20250514', 5]])
+        }
+      }
+    }
+  },
+  desktop: {
+    daily: {
+      '2025-01-06': {
+        projects: {
+          'codex:/home/taylor/client': { ...projectRow(4, [['gpt-5-codex', 4]]), tool: 'codex', projectPath: '/home/taylor/client' }
+        }
+      }
+    }
+  },
+  broken: null
+};
+
+const config = { projectGroups: { Work: ['client'] } };
+
+function query(params) {
+  return queryUsage(machineData, config, parseUsageQuery(params));
+}
+
+describe('parseUsageQuery', () => {
+  it('defaults to grouping by day', () => {
+    expect(parseUsageQuery({})).toEqual({ groupBy: 'day' });
+  });
+
+  it('rejects malformed dates and unknown groupings', () => {
+    expect(() => parseUsageQuery({ from: '01/06/2025' })).toThrow('from must be a date');
+    expect(() => parseUsageQuery({ from: '2025-02-01', to: '2025-01-01' })).toThrow('from must not be after to');
+    expect(() => parseUsageQuery({ groupBy: 'hour' })).toThrow('groupBy must be one of');
+  });
+});
+
+describe('queryUsage', () => {
+  it('aggregates across machines by day', () => {
+    const { rows, totals } = query({});
+
+    expect(rows.map(r => [r.key, r.totalCost])).toEqual([['2025-01-06', 15], ['2025-01-13', 5]]);
+    expect(totals.totalCost).toBe(20);
+  });
+
+  it('matches groups by project name across machines', () => {
+    const { rows } = query({ groupBy: 'group' });
+
+    expect(rows.map(r => [r.key, r.totalCost])).toEqual([['Work', 19], ['Ungrouped', 1]]);
+  });
+
+  it('filters by date range, group and machine', () => {
+    expect(query({ from: '2025-01-07' }).totals.totalCost).toBe(5);
+    expect(query({ group: 'Work', machine: 'laptop' }).totals.totalCost).toBe(15);
+    expect(query({ tool: 'codex' }).totals.totalCost).toBe(4);
+  });
+
+  it('breaks rows down by model', () => {
+    const { rows } = query({ group: 'Work', groupBy: 'model' });
+
+    expect(rows.map(r => [r.key, r.totalCost])).toEqual([
+      ['claude-opus-4-1-20250805', 8],
+      ['claude-sonnet-4-20250514', 7],
+      ['gpt-5-codex', 4]
+    ]);
+  });
+
+  it('filters by model name fragment', () => {
+    const { rows } = query({ model: 'sonnet', groupBy: 'project' });
+
+    expect(rows.map(r => [r.key, r.totalCost])).toEqual([
+      ['/Users/taylor/Development/client', 7],
+      ['/Users/taylor/Development/dotfiles', 1]
+    ]);
+  });
+
+  it('buckets weeks starting Monday and months', () => {
+    expect(query({ groupBy: 'week' }).rows.map(r => r.key)).toEqual(['2025-01-06', '2025-01-13']);
+    expect(query({ groupBy: 'month' }).rows.map(r => [r.key, r.totalCost])).toEqual([['2025-01', 20]]);
+  });
+});
@@ -0,0 +1,137 @@
+const fs = require('fs');
+
+const DEFAULT_SETTINGS = { intervalMinutes: 15, watch: true, debounceSeconds: 30 };
+
+// Scheduler settings from config.sync, with defaults
+function getSyncSettings(config) {
+  const settings = { ...DEFAULT_SETTINGS, ...((config && config.sync) || {}) };
+  return {
+    intervalMinutes: Math.max(0, Number(settings.intervalMinutes) || 0),
+    watch: settings.watch !== false,
+    debounceSeconds: Math.max(1, Number(settings.debounceSeconds) || DEFAULT_SETTINGS.debounceSeconds)
+  };
+}
+
+/**
+ * Run syncs on an interval and when watched directories change, one at a time.
+ * A run requested while another is in progress starts after it finishes.
+ * @param {object} options
+ * @param {function({trigger: string, sources?: string[]}): Promise} options.run - Performs one sync
+ * @param {number} [options.intervalMinutes] - Minutes between scheduled syncs (0 disables them)
+ * @param {number} [options.debounceSeconds] - Quiet period after the last change before syncing
+ * @returns {object} { start(watch), stop, runNow(trigger, sources), getStatus }, where watch lists
+ *   { dir, source }: directories to watch and the source to sync when they change
+ */
+function createSyncScheduler({ run, intervalMinutes = 0, debounceSeconds = DEFAULT_SETTINGS.debounceSeconds }) {
+  const status = {
+    running: false,
+    trigger: null,
+    startedAt: null,
+    lastRun: null,
+    lastSuccess: null,
+    lastError: null,
+    nextRun: null,
+    intervalMinutes,
+    watching: []
+  };
+  let current = null;
+  let timer = null;
+  let debounceTimer = null;
+  const changedSources = new Set();
+  const watchers = [];
+
+  async function execute(trigger, sources) {
+    const startedAt = new Date().toISOString();
+    Object.assign(status, { running: true, trigger, startedAt });
+    try {
+      const result = await run({ trigger, sources });
+      status.lastSuccess = new Date().toISOString();
+      status.lastError = null;
+      return result;
+    } catch (err) {
+      status.lastError = { message: err.message, trigger, at: new Date().toISOString() };
+      throw err;
+    } finally {
+      status.running = false;
+      status.lastRun = { trigger, sources: sources || null, startedAt, finishedAt: new Date().toISOString() };
+    }
+  }
+
+  // Run a sync now, after any sync already in progress
+  async function runNow(trigger = 'manual', sources) {
+    while (current) {
+      await current.catch(() => {});
+    }
+    current = execute(trigger, sources);
+    try {
+      return await current;
+    } finally {
+      current = null;
+    }
+  }
+
+  function scheduleNext() {
+    if (!intervalMinutes) return;
+    const delay = intervalMinutes * 60 * 1000;
+    status.nextRun = new Date(Date.now() + delay).toISOString();
+    timer = setTimeout(() => {
+      runNow('schedule')
+        .catch(err => console.error('Scheduled sync failed:', err.message))
+        .finally(scheduleNext);
+    }, delay);
+    timer.unref();
+  }
+
+  // Sync the sources whose files changed once they've been quiet for a while
+  function onChange(source) {
+    changedSources.add(source);
+    clearTimeout(debounceTimer);
+    debounceTimer = setTimeout(() => {
+      const sources = [...changedSources];
+      changedSources.clear();
+      runNow('watch', sources).catch(err => console.error('Sync after file change failed:', err.message));
+    }, debounceSeconds * 1000);
+    debounceTimer.unref();
+  }
+
+  function startWatching(watch) {
+    for (const { dir, source } of watch) {
+      try {
+        const watcher = fs.watch(dir, { recursive: true }, (event, filename) => {
+          if (filename && !filename.toString().endsWith('.jsonl')) return;
+          onChange(source);
+        });
+        watcher.on('error', err => {
+          console.error(`Stopped watching ${dir}:`, err.message);
+          watcher.close();
+          status.watching = status.watching.filter(w => w.dir !== dir);
+        });
+        watchers.push(watcher);
+        status.watching.push({ dir, source });
+      } catch (err) {
+        console.error(`Cannot watch ${dir}:`, err.message);
+      }
+    }
+  }
+
+  function start(watch = []) {
+    scheduleNext();
+    startWatching(watch);
+  }
+
+  function stop() {
+    clearTimeout(timer);
+    clearTimeout(debounceTimer);
+    for (const watcher of watchers.splice(0)) watcher.close();
+    status.nextRun = null;
+    status.watching = [];
+  }
+
+  function getStatus() {
+    return { ...status, watching: [...status.watching] };
+  }
+
+  return { start, stop, runNow, getStatus };
+}
+
+module.exports = { DEFAULT_SETTINGS, getSyncSettings, createSyncScheduler };
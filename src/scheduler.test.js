@@ -0,0 +1,94 @@
+import { describe, it, expect, afterEach } from 'bun:test';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+import { getSyncSettings, createSyncScheduler } from './scheduler';
+
+// Test helpers
+function createTempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'looptrack-test-'));
+}
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe('getSyncSettings', () => {
+  it('defaults to a 15 minute interval with watching on', () => {
+    expect(getSyncSettings({})).toEqual({ intervalMinutes: 15, watch: true, debounceSeconds: 30 });
+  });
+
+  it('lets config turn scheduling and watching off', () => {
+    expect(getSyncSettings({ sync: { intervalMinutes: 0, watch: false } })).toMatchObject({ intervalMinutes: 0, watch: false });
+  });
+});
+
+describe('createSyncScheduler', () => {
+  let scheduler;
+  let tempDir;
+
+  afterEach(() => {
+    if (scheduler) scheduler.stop();
+    if (tempDir) fs.rmSync(tempDir, { recursive: true, force: true });
+    scheduler = tempDir = null;
+  });
+
+  it('runs one sync at a time', async () => {
+    let active = 0;
+    let maxActive = 0;
+    scheduler = createSyncScheduler({
+      run: async () => {
+        maxActive = Math.max(maxActive, ++active);
+        await wait(10);
+        active--;
+      }
+    });
+
+    await Promise.all([scheduler.runNow(), scheduler.runNow('schedule'), scheduler.runNow('watch')]);
+
+    expect(maxActive).toBe(1);
+    expect(scheduler.getStatus().running).toBe(false);
+  });
+
+  it('records the last error until a sync succeeds', async () => {
+    let fail = true;
+    scheduler = createSyncScheduler({
+      run: async () => {
+        if (fail) throw new Error('cloud folder missing');
+      }
+    });
+
+    await expect(scheduler.runNow('schedule')).rejects.toThrow('cloud folder missing');
+    expect(scheduler.getStatus().lastError).toMatchObject({ message: 'cloud folder missing', trigger: 'schedule' });
+    expect(scheduler.getStatus().lastSuccess).toBeNull();
+
+    fail = false;
+    await scheduler.runNow();
+    expect(scheduler.getStatus().lastError).toBeNull();
+    expect(scheduler.getStatus().lastSuccess).not.toBeNull();
+  });
+
+  it('reports when the next scheduled sync is due', () => {
+    scheduler = createSyncScheduler({ run: async () => {}, intervalMinutes: 5 });
+    scheduler.start();
+
+    const nextRun = new Date(scheduler.getStatus().nextRun).getTime();
+    expect(nextRun - Date.now()).toBeGreaterThan(4 * 60 * 1000);
+  });
+
+  it('syncs the changed source once transcript writes settle', async () => {
+    tempDir = createTempDir();
+    const runs = [];
+    scheduler = createSyncScheduler({ run: async ({ trigger, sources }) => runs.push({ trigger, sources }), debounceSeconds: 1 });
+    scheduler.start([{ dir: tempDir, source: 'claude-code' }]);
+
+    fs.writeFileSync(path.join(tempDir, 'notes.txt'), 'ignored');
+    fs.writeFileSync(path.join(tempDir, 'a.jsonl'), '{}\n');
+    fs.appendFileSync(path.join(tempDir, 'a.jsonl'), '{}\n');
+    await wait(1500);
+
+    expect(runs).toEqual([{ trigger: 'watch', sources: ['claude-code'] }]);
+    expect(scheduler.getStatus().watching).toEqual([{ dir: tempDir, source: 'claude-code' }]);
+  });
+});
@@ -0,0 +1,439 @@
+const { RULE_TYPES, parseRule } = require('./groups');
+const { PRICE_FIELDS } = require('./pricing');
+const { SEVERITIES, STATUSES } = require('./anomalies');
+
+// config.json and usage-<machine>.json carry a schemaVersion. Files from before
+// versioning count as version 0. Loading runs the migrations from the file's
+// version up to the current one; a file from a newer LoopTrack is refused with
+// code ENEWERSCHEMA instead of being read (and saved back) with fields it doesn't know.
+const CONFIG_SCHEMA_VERSION = 1;
+const USAGE_SCHEMA_VERSION = 1;
+
+const number = { type: 'number' };
+const nonNegative = { type: 'number', minimum: 0 };
+const positive = { type: 'number', exclusiveMinimum: 0 };
+const date = { type: 'string', pattern: /^\d{4}-\d{2}-\d{2}$/, description: 'a date in YYYY-MM-DD format' };
+
+const RULE = {
+  anyOf: [
+    { type: 'string', minLength: 1 },
+    {
+      type: 'object',
+      required: ['pattern'],
+      properties: {
+        type: { enum: RULE_TYPES },
+        pattern: { type: 'string', minLength: 1 },
+        exclude: { type: 'boolean' },
+        priority: number,
+        flags: { type: 'string' }
+      }
+    }
+  ]
+};
+
+const LIMITS = {
+  type: 'object',
+  properties: { daily: positive, weekly: positive, monthly: positive },
+  additionalProperties: false
+};
+
+const CONFIG_SCHEMA = {
+  type: 'object',
+  properties: {
+    schemaVersion: { type: 'integer', minimum: 0 },
+    projectGroups: {
+      type: 'object',
+      additionalProperties: {
+        anyOf: [
+          { type: 'array', items: RULE },
+          { type: 'object', required: ['rules'], properties: { priority: number, rules: { type: 'array', items: RULE } } }
+        ]
+      }
+    },
+    budgets: {
+      type: 'object',
+      properties: {
+        thresholds: { type: 'array', items: positive },
+        global: LIMITS,
+        groups: { type: 'object', additionalProperties: LIMITS }
+      }
+    },
+    pricing: {
+      type: 'object',
+      properties: {
+        rates: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['model', ...PRICE_FIELDS],
+            properties: {
+              model: { type: 'string', minLength: 1 },
+              ...Object.fromEntries(PRICE_FIELDS.map(field => [field, nonNegative])),
+              effectiveFrom: date,
+              effectiveTo: date
+            }
+          }
+        }
+      }
+    },
+    sync: {
+      type: 'object',
+      properties: {
+        intervalMinutes: nonNegative,
+        watch: { type: 'boolean' },
+        debounceSeconds: { type: 'number', minimum: 1 }
+      }
+    },
+    cloudSync: {
+      type: 'object',
+      properties: { historyVersions: { type: 'integer', minimum: 1 } }
+    },
+    sources: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        properties: {
+          enabled: { type: 'boolean' },
+          module: { type: 'string', minLength: 1 },
+          options: { type: 'object' }
+        }
+      }
+    },
+    pluginsDir: { type: 'string', minLength: 1 },
+    timezone: { type: 'string', minLength: 1 },
+    folderPicker: {
+      type: 'object',
+      properties: { roots: { type: 'array', items: { type: 'string', minLength: 1 } } }
+    },
+    anomalies: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        baselineDays: { type: 'integer', minimum: 1 },
+        recentDays: { type: 'integer', minimum: 1 },
+        projectMultiplier: { type: 'number', exclusiveMinimum: 1 },
+        sessionPercentile: positive,
+        quietHours: {
+          type: 'object',
+          properties: { from: { type: 'integer', minimum: 0 }, to: { type: 'integer', minimum: 0 } },
+          additionalProperties: false
+        },
+        minCost: nonNegative
+      }
+    },
+    billing: {
+      type: 'object',
+      properties: {
+        issuer: { type: 'string' },
+        groups: {
+          type: 'object',
+          additionalProperties: {
+            type: 'object',
+            properties: { client: { type: 'string' }, markup: nonNegative, rate: positive }
+          }
+        }
+      }
+    }
+  }
+};
+
+// Token and cost fields shared by sessions, days and per-project days
+const USAGE_TOTALS = {
+  totalCost: nonNegative,
+  apiCost: nonNegative,
+  inputTokens: nonNegative,
+  outputTokens: nonNegative,
+  cacheCreationTokens: nonNegative,
+  cacheReadTokens: nonNegative,
+  totalTokens: nonNegative,
+  modelsUsed: { type: 'array', items: { type: 'string' } },
+  modelBreakdowns: { type: 'array', items: { type: 'object' } }
+};
+
+const USAGE_SCHEMA = {
+  type: 'object',
+  required: ['schemaVersion', 'sessions'],
+  properties: {
+    schemaVersion: { type: 'integer', minimum: 0 },
+    machineId: { type: 'string' },
+    lastSync: { type: 'string' },
+    sessions: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        properties: { ...USAGE_TOTALS, projectPath: { type: ['string', 'null'] } }
+      }
+    },
+    daily: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        required: ['projects'],
+        properties: {
+          ...USAGE_TOTALS,
+          projects: {
+            type: 'object',
+            additionalProperties: {
+              type: 'object',
+              properties: {
+                ...USAGE_TOTALS,
+                projectPath: { type: ['string', 'null'] },
+                // Local hour ("00"-"23") to totals
+                hours: { type: 'object', additionalProperties: { type: 'object', properties: USAGE_TOTALS } }
+              }
+            }
+          }
+        }
+      }
+    },
+    syncs: { type: 'array', items: { type: 'object' } },
+    budgetEvents: { type: 'array', items: { type: 'object' } },
+    anomalies: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'type', 'severity', 'status'],
+        properties: {
+          id: { type: 'string', minLength: 1 },
+          type: { type: 'string' },
+          severity: { enum: SEVERITIES },
+          status: { enum: STATUSES },
+          value: number
+        }
+      }
+    }
+  }
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function describeType(type) {
+  const types = [].concat(type).flat();
+  const names = types.map(t => (t === 'array' || t === 'object' || t === 'integer' ? `an ${t}` : t === 'null' ? 'null' : `a ${t}`));
+  return names.join(' or ');
+}
+
+function joinPath(base, key) {
+  if (typeof key === 'number') return `${base}[${key}]`;
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? (base ? `${base}.${key}` : key) : `${base}[${JSON.stringify(key)}]`;
+}
+
+/**
+ * Check a value against a schema. Supports the subset of JSON Schema used
+ * above: type, enum, pattern, minLength, minimum, exclusiveMinimum,
+ * properties, required, additionalProperties, items and anyOf.
+ * @param {*} value - Value to check
+ * @param {object} schema - Schema
+ * @param {string} [at] - Path of the value, used in messages
+ * @returns {string[]} Problems, each starting with the path of the offending value
+ */
+function validate(value, schema, at = '') {
+  const label = at || 'value';
+
+  if (schema.anyOf) {
+    if (schema.anyOf.some(option => validate(value, option, at).length === 0)) return [];
+    // Report against the option of the same type, if any, as it is most likely what was meant
+    const sameType = schema.anyOf.filter(option => !option.type || [].concat(option.type).some(t => matchesType(value, t)));
+    if (sameType.length === 1) return validate(value, sameType[0], at);
+    return [`${label} must be ${describeType(schema.anyOf.map(option => option.type))}`];
+  }
+
+  if (schema.type && ![].concat(schema.type).some(t => matchesType(value, t))) {
+    return [`${label} must be ${describeType(schema.type)}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${label} must be one of ${schema.enum.join(', ')}`];
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength && value.length < schema.minLength) return [`${label} must not be empty`];
+    if (schema.pattern && !schema.pattern.test(value)) return [`${label} must be ${schema.description || `like ${schema.pattern}`}`];
+  }
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) return [`${label} must be a finite number`];
+    if (schema.minimum !== undefined && value < schema.minimum) return [`${label} must be at least ${schema.minimum}`];
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) return [`${label} must be greater than ${schema.exclusiveMinimum}`];
+  }
+
+  const errors = [];
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => errors.push(...validate(item, schema.items, joinPath(at, i))));
+  }
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${joinPath(at, key)} is required`);
+    }
+    for (const [key, item] of Object.entries(value)) {
+      const propertySchema = schema.properties && schema.properties[key];
+      if (propertySchema) {
+        if (item !== undefined) errors.push(...validate(item, propertySchema, joinPath(at, key)));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${joinPath(at, key)} is not allowed`);
+      } else if (schema.additionalProperties) {
+        errors.push(...validate(item, schema.additionalProperties, joinPath(at, key)));
+      }
+    }
+  }
+  return errors;
+}
+
+// Error for a file written by a newer LoopTrack
+function newerSchemaError(name, version, supported) {
+  const error = new Error(`${name} was written by a newer version of LoopTrack (schema version ${version}; this version reads up to ${supported}). Update LoopTrack to read it.`);
+  error.code = 'ENEWERSCHEMA';
+  error.schemaVersion = version;
+  return error;
+}
+
+// Run migrations[n] for each version n from the data's version up to `current`
+function runMigrations(data, migrations, current, name) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error(`${name} must contain a JSON object`);
+  }
+  const version = data.schemaVersion === undefined ? 0 : data.schemaVersion;
+  if (!Number.isInteger(version) || version < 0) {
+    throw new Error(`${name} has an invalid schemaVersion: ${JSON.stringify(data.schemaVersion)}`);
+  }
+  if (version > current) throw newerSchemaError(name, version, current);
+
+  let migrated = data;
+  for (let next = version + 1; next <= current; next++) {
+    migrated = { ...migrations[next](migrated), schemaVersion: next };
+  }
+  return migrated;
+}
+
+const CONFIG_MIGRATIONS = {
+  // 1: schemaVersion added; nothing else changed
+  1: config => ({ ...config, projectGroups: config.projectGroups || {} })
+};
+
+// Usage field names from before ccusage-style camelCase records
+const LEGACY_SESSION_FIELDS = { cost: 'totalCost', input_tokens: 'inputTokens', output_tokens: 'outputTokens', project: 'projectPath' };
+
+const USAGE_MIGRATIONS = {
+  // 1: sessions and daily.projects are always present, legacy session field names are renamed
+  1: data => {
+    const sessions = {};
+    for (const [id, session] of Object.entries(data.sessions || {})) {
+      const renamed = { ...session };
+      for (const [legacy, field] of Object.entries(LEGACY_SESSION_FIELDS)) {
+        if (!(legacy in renamed)) continue;
+        if (renamed[field] === undefined) renamed[field] = renamed[legacy];
+        delete renamed[legacy];
+      }
+      sessions[id] = renamed;
+    }
+    const daily = {};
+    for (const [day, value] of Object.entries(data.daily || {})) {
+      daily[day] = value && !value.projects ? { ...value, projects: {} } : value;
+    }
+    return { ...data, sessions, daily, syncs: data.syncs || [] };
+  }
+};
+
+/**
+ * Bring parsed config.json up to the current schema version.
+ * @param {object} config - Parsed config
+ * @param {string} [name] - Where it came from, for messages
+ * @returns {object} Migrated config (the same object if it was current)
+ * @throws {Error} code ENEWERSCHEMA if a newer LoopTrack wrote it
+ */
+function migrateConfig(config, name = 'config.json') {
+  return runMigrations(config, CONFIG_MIGRATIONS, CONFIG_SCHEMA_VERSION, name);
+}
+
+/**
+ * Bring parsed usage data up to the current schema version.
+ * @param {object} data - Parsed usage-<machine>.json
+ * @param {string} [name] - File name for messages
+ * @returns {object} Migrated data (the same object if it was current)
+ * @throws {Error} code ENEWERSCHEMA if a newer LoopTrack wrote it
+ */
+function migrateUsageData(data, name = 'Usage data') {
+  return runMigrations(data, USAGE_MIGRATIONS, USAGE_SCHEMA_VERSION, name);
+}
+
+// Throw one error listing the first few problems
+function assertValid(errors, prefix) {
+  if (errors.length === 0) return;
+  const shown = errors.slice(0, 5).join('; ');
+  const error = new Error(`${prefix}: ${shown}${errors.length > 5 ? ` (and ${errors.length - 5} more)` : ''}`);
+  error.errors = errors;
+  throw error;
+}
+
+/**
+ * Check a whole config against the current schema, including that group
+ * rules compile, the time zone exists, rate date ranges are in order and
+ * anomaly settings are in range.
+ * @param {object} config - Config, already migrated
+ * @throws {Error} "Invalid config: <path> <problem>; ..." with the full list in err.errors
+ */
+function validateConfig(config) {
+  const errors = validate(config, CONFIG_SCHEMA);
+  if (errors.length === 0) {
+    for (const [name, entry] of Object.entries(config.projectGroups || {})) {
+      const rules = Array.isArray(entry) ? entry : entry.rules;
+      rules.forEach((rule, i) => {
+        try {
+          parseRule(rule);
+        } catch (err) {
+          errors.push(`${joinPath(joinPath('projectGroups', name), i)}: ${err.message}`);
+        }
+      });
+    }
+    if (config.timezone) {
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: config.timezone });
+      } catch (err) {
+        errors.push(`timezone must be an IANA time zone such as Europe/Berlin, not ${config.timezone}`);
+      }
+    }
+    const anomalies = config.anomalies || {};
+    if (anomalies.sessionPercentile >= 100) {
+      errors.push('anomalies.sessionPercentile must be below 100');
+    }
+    for (const field of ['from', 'to']) {
+      const hour = anomalies.quietHours && anomalies.quietHours[field];
+      if (hour > 23) errors.push(`anomalies.quietHours.${field} must be an hour from 0 to 23`);
+    }
+    ((config.pricing && config.pricing.rates) || []).forEach((rate, i) => {
+      if (rate.effectiveFrom && rate.effectiveTo && rate.effectiveFrom > rate.effectiveTo) {
+        errors.push(`pricing.rates[${i}].effectiveFrom must not be after effectiveTo`);
+      }
+    });
+  }
+  assertValid(errors, 'Invalid config');
+}
+
+/**
+ * Check usage data against the current schema.
+ * @param {object} data - Usage data, already migrated
+ * @param {string} [name] - File name for messages
+ * @throws {Error} If the data doesn't match
+ */
+function validateUsageData(data, name = 'Usage data') {
+  assertValid(validate(data, USAGE_SCHEMA), `${name} is not valid usage data`);
+}
+
+module.exports = {
+  CONFIG_SCHEMA_VERSION,
+  USAGE_SCHEMA_VERSION,
+  CONFIG_SCHEMA,
+  USAGE_SCHEMA,
+  validate,
+  migrateConfig,
+  migrateUsageData,
+  validateConfig,
+  validateUsageData
+};
@@ -0,0 +1,93 @@
+import { describe, it, expect } from 'bun:test';
+
+import { CONFIG_SCHEMA_VERSION, USAGE_SCHEMA_VERSION, validate, migrateConfig, migrateUsageData, validateConfig, validateUsageData } from './schema';
+
+describe('validate', () => {
+  it('reports each problem with the path to the value', () => {
+    const schema = {
+      type: 'object',
+      required: ['name'],
+      properties: {
+        name: { type: 'string', minLength: 1 },
+        sizes: { type: 'array', items: { type: 'integer', minimum: 1 } },
+        limits: { type: 'object', properties: { daily: { type: 'number' } }, additionalProperties: false }
+      }
+    };
+
+    expect(validate({ name: 'a', sizes: [1, 2] }, schema)).toEqual([]);
+    expect(validate({ sizes: [1, 0, 1.5], limits: { daily: '5', hourly: 1 } }, schema)).toEqual([
+      'name is required',
+      'sizes[1] must be at least 1',
+      'sizes[2] must be an integer',
+      'limits.daily must be a number',
+      'limits.hourly is not allowed'
+    ]);
+    expect(validate([], schema)).toEqual(['value must be an object']);
+  });
+});
+
+describe('validateConfig', () => {
+  it('accepts a full config', () => {
+    expect(() => validateConfig({
+      schemaVersion: CONFIG_SCHEMA_VERSION,
+      projectGroups: { Work: ['path:/work', { type: 'regex', pattern: 'client-\\d+' }], Home: { priority: 1, rules: ['blog'] } },
+      budgets: { thresholds: [50, 100], global: { monthly: 100 }, groups: { Work: { daily: 5 } } },
+      pricing: { rates: [{ model: 'claude-opus-4', input: 15, output: 75, cacheWrite: 18.75, cacheRead: 1.5, effectiveFrom: '2025-01-01' }] },
+      sync: { intervalMinutes: 15, watch: true },
+      sources: { codex: { enabled: false } },
+      timezone: 'Europe/Berlin',
+      anomalies: { projectMultiplier: 4, sessionPercentile: 95, quietHours: { from: 22, to: 6 } },
+      billing: { issuer: 'Me', groups: { Work: { client: 'Acme', markup: 10 } } },
+      somethingElse: true
+    })).not.toThrow();
+  });
+
+  it('explains what is wrong and where', () => {
+    expect(() => validateConfig({ projectGroups: { Work: 'path:/work' } })).toThrow('Invalid config: projectGroups.Work must be an array or an object');
+    expect(() => validateConfig({ projectGroups: { Work: [{ type: 'fuzzy', pattern: 'x' }] } })).toThrow('projectGroups.Work[0].type must be one of default');
+    expect(() => validateConfig({ projectGroups: { Work: ['re:('] } })).toThrow('projectGroups.Work[0]: Invalid regular expression');
+    expect(() => validateConfig({ budgets: { global: { monthly: -1 } }, sync: { watch: 'yes' } })).toThrow('budgets.global.monthly must be greater than 0; sync.watch must be a boolean');
+    expect(() => validateConfig({ pricing: { rates: [{ model: 'm', input: 1, output: 1, cacheWrite: 1, cacheRead: 1, effectiveFrom: '2025-02-01', effectiveTo: '2025-01-01' }] } }))
+      .toThrow('pricing.rates[0].effectiveFrom must not be after effectiveTo');
+    expect(() => validateConfig({ timezone: 'Mars/Olympus' })).toThrow('timezone must be an IANA time zone such as Europe/Berlin, not Mars/Olympus');
+    expect(() => validateConfig({ anomalies: { sessionPercentile: 100, quietHours: { from: 24 } } }))
+      .toThrow('anomalies.sessionPercentile must be below 100; anomalies.quietHours.from must be an hour from 0 to 23');
+  });
+});
+
+describe('migrations', () => {
+  it('brings unversioned config up to date', () => {
+    expect(migrateConfig({ budgets: {} })).toEqual({ budgets: {}, projectGroups: {}, schemaVersion: CONFIG_SCHEMA_VERSION });
+    const current = { schemaVersion: CONFIG_SCHEMA_VERSION, projectGroups: {} };
+    expect(migrateConfig(current)).toBe(current);
+  });
+
+  it('renames legacy usage fields and fills in missing sections', () => {
+    const migrated = migrateUsageData({
+      sessions: { s1: { cost: 1.5, totalCost: 2, input_tokens: 10, output_tokens: 5, project: '/proj/a' } },
+      daily: { '2025-01-01': { totalCost: 2 } }
+    });
+
+    expect(migrated).toEqual({
+      schemaVersion: USAGE_SCHEMA_VERSION,
+      sessions: { s1: { totalCost: 2, inputTokens: 10, outputTokens: 5, projectPath: '/proj/a' } },
+      daily: { '2025-01-01': { totalCost: 2, projects: {} } },
+      syncs: []
+    });
+    expect(() => validateUsageData(migrated)).not.toThrow();
+  });
+
+  it('refuses data from a newer LoopTrack instead of guessing', () => {
+    let error;
+    try {
+      migrateUsageData({ schemaVersion: USAGE_SCHEMA_VERSION + 1, sessions: {} }, 'usage-desk.json');
+    } catch (err) {
+      error = err;
+    }
+    expect(error).toMatchObject({ code: 'ENEWERSCHEMA', schemaVersion: USAGE_SCHEMA_VERSION + 1 });
+    expect(error.message).toContain('usage-desk.json was written by a newer version of LoopTrack');
+
+    expect(() => migrateConfig({ schemaVersion: 'two' })).toThrow('config.json has an invalid schemaVersion');
+    expect(() => migrateUsageData([])).toThrow('must contain a JSON object');
+  });
+});
@@ -0,0 +1,226 @@
+const { execSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { getClaudeProjectDirs, readClaudeUsage } = require('./claudeCollector');
+const { getCodexSessionsDir, readCodexUsage } = require('./codexCollector');
+
+const PLUGINS_DIR = path.join(os.homedir(), '.looptrack', 'plugins');
+const ROOT_DIR = path.join(__dirname, '..');
+// npx may have to download ccusage first, but a sync shouldn't hang on it
+const CCUSAGE_TIMEOUT_MS = 2 * 60 * 1000;
+
+/*
+ * A source adapter collects usage from one tool:
+ *
+ *   {
+ *     id: 'my-tool',                 // unique, used in config.sources and sync history
+ *     tool: 'my-tool',               // optional tool tag for records (defaults to id)
+ *     detect(): boolean,             // is the tool present on this machine?
+ *     collectSessions(): [session],  // ccusage-style session records
+ *     collectDaily(): { [projectPath]: [day] }  // ccusage daily --instances "projects"; a day may
+ *                                    // carry hours: { '00'-'23': totals } in local time
+ *     watchPaths(): [dir],           // optional: directories whose changes should trigger a sync
+ *   }
+ *
+ * Any method may return a promise. Plugins export an adapter or a factory
+ * `(options) => adapter`, where options come from config.sources[id].options.
+ * A factory's options are looked up by its exported `id`, else its file name.
+ */
+
+function runCcusage() {
+  try {
+    // Get session data from ccusage
+    const output = execSync('npx ccusage@latest session --json 2>/dev/null', {
+      encoding: 'utf8',
+      maxBuffer: 10 * 1024 * 1024,
+      timeout: CCUSAGE_TIMEOUT_MS
+    });
+    return JSON.parse(output);
+  } catch (err) {
+    console.error('Error running ccusage:', err.message);
+    console.log('Make sure you have Claude Code installed and have some usage data.');
+    return null;
+  }
+}
+
+function runCcusageDaily() {
+  try {
+    // Get daily breakdown with per-project instances from ccusage
+    const output = execSync('npx ccusage@latest daily --instances --json 2>/dev/null', {
+      encoding: 'utf8',
+      maxBuffer: 10 * 1024 * 1024,
+      timeout: CCUSAGE_TIMEOUT_MS
+    });
+    return JSON.parse(output);
+  } catch (err) {
+    console.error('Error running ccusage daily:', err.message);
+    return null;
+  }
+}
+
+// Collect Claude Code usage from local transcripts. With LOOPTRACK_CCUSAGE=1,
+// ccusage is used when there are no transcripts or they can't be read.
+async function collectClaudeUsage(timeZone) {
+  const projectsDirs = getClaudeProjectDirs();
+  if (projectsDirs.length > 0) {
+    try {
+      return await readClaudeUsage(projectsDirs, { timeZone });
+    } catch (err) {
+      console.error('Error reading Claude Code transcripts:', err.message);
+    }
+  } else {
+    console.log('No Claude Code transcripts found.');
+  }
+
+  if (process.env.LOOPTRACK_CCUSAGE !== '1') {
+    return { sessionReport: null, dailyReport: null };
+  }
+
+  console.log('Using ccusage...');
+  return { sessionReport: runCcusage(), dailyReport: runCcusageDaily() };
+}
+
+// Build an adapter from a collector that reads sessions and daily rows in one pass
+function fromCollector(id, detect, collect, watchPaths) {
+  let pending = null;
+  const load = () => (pending = pending || collect());
+  return {
+    id,
+    detect,
+    watchPaths,
+    async collectSessions() {
+      const { sessionReport } = await load();
+      return (sessionReport && sessionReport.sessions) || [];
+    },
+    async collectDaily() {
+      const { dailyReport } = await load();
+      return (dailyReport && dailyReport.projects) || {};
+    }
+  };
+}
+
+// Built-in adapter factories, keyed by id. They're called with the source's
+// options and the whole config (for config.timezone).
+const BUILTIN_SOURCES = {
+  'claude-code': (options, config = {}) => fromCollector(
+    'claude-code',
+    () => getClaudeProjectDirs().length > 0 || process.env.LOOPTRACK_CCUSAGE === '1',
+    () => collectClaudeUsage(config.timezone),
+    () => getClaudeProjectDirs()
+  ),
+  codex: (options, config = {}) => fromCollector(
+    'codex',
+    () => !!getCodexSessionsDir(),
+    () => readCodexUsage(undefined, { timeZone: config.timezone }),
+    () => [getCodexSessionsDir()].filter(Boolean)
+  )
+};
+
+// Turn a plugin module's export into an adapter
+function instantiate(exported, options) {
+  const adapter = typeof exported === 'function' ? exported(options || {}) : exported;
+  if (!adapter || !adapter.id) {
+    throw new Error('Source adapter must have an id');
+  }
+  for (const method of ['detect', 'collectSessions', 'collectDaily']) {
+    if (typeof adapter[method] !== 'function') {
+      throw new Error(`Source adapter "${adapter.id}" is missing ${method}()`);
+    }
+  }
+  return adapter;
+}
+
+/**
+ * Resolve the source adapters for a sync: built-ins, modules named in
+ * config.sources, and *.js files in the plugins directory.
+ * Adapters that fail to load are returned as { id, loadError } so a broken
+ * plugin shows up in sync history instead of aborting the sync.
+ * @param {object} config - Parsed config.json
+ * @returns {Array<object>} Adapters (with loadError set for ones that failed)
+ */
+function loadSources(config = {}) {
+  const settings = config.sources || {};
+  const adapters = [];
+  const isEnabled = id => !settings[id] || settings[id].enabled !== false;
+
+  const add = (id, load) => {
+    if (adapters.some(a => a.id === id)) {
+      adapters.push({ id, loadError: `Duplicate source id "${id}"` });
+      return;
+    }
+    try {
+      const adapter = load();
+      if (isEnabled(adapter.id)) adapters.push(adapter);
+    } catch (err) {
+      adapters.push({ id, loadError: err.message });
+    }
+  };
+
+  for (const [id, factory] of Object.entries(BUILTIN_SOURCES)) {
+    if (isEnabled(id)) add(id, () => factory((settings[id] || {}).options, config));
+  }
+
+  // Modules listed in config: { "sources": { "my-tool": { "module": "./plugins/my-tool.js" } } }
+  for (const [id, source] of Object.entries(settings)) {
+    if (!source.module || BUILTIN_SOURCES[id] || !isEnabled(id)) continue;
+    add(id, () => instantiate(require(path.resolve(ROOT_DIR, source.module)), source.options));
+  }
+
+  // Drop-in plugins: ~/.looptrack/plugins/*.js (or config.pluginsDir)
+  const pluginsDir = config.pluginsDir ? path.resolve(ROOT_DIR, config.pluginsDir) : PLUGINS_DIR;
+  if (fs.existsSync(pluginsDir)) {
+    for (const file of fs.readdirSync(pluginsDir).filter(f => f.endsWith('.js')).sort()) {
+      const pluginPath = path.join(pluginsDir, file);
+      if (Object.values(settings).some(s => s.module && path.resolve(ROOT_DIR, s.module) === pluginPath)) continue;
+      const fallbackId = path.basename(file, '.js');
+      add(fallbackId, () => {
+        const exported = require(pluginPath);
+        const options = (settings[exported.id || fallbackId] || {}).options;
+        return instantiate(exported, options);
+      });
+    }
+  }
+
+  return adapters;
+}
+
+/**
+ * Run each adapter in isolation. A failing adapter reports its error and the
+ * others still contribute their data.
+ * @param {Array<object>} adapters - From loadSources()
+ * @returns {Promise<Array<{id: string, tool: string, status: string, sessions: Array, daily: object, error?: string}>>}
+ */
+async function collectFromSources(adapters) {
+  const results = [];
+
+  for (const adapter of adapters) {
+    const result = { id: adapter.id, tool: adapter.tool || adapter.id, status: 'ok', sessions: [], daily: {} };
+    results.push(result);
+
+    if (adapter.loadError) {
+      result.status = 'error';
+      result.error = adapter.loadError;
+      continue;
+    }
+
+    try {
+      if (!(await adapter.detect())) {
+        result.status = 'skipped';
+        continue;
+      }
+      result.sessions = (await adapter.collectSessions()) || [];
+      result.daily = (await adapter.collectDaily()) || {};
+    } catch (err) {
+      console.error(`Source ${adapter.id} failed:`, err.message);
+      result.status = 'error';
+      result.error = err.message;
+      result.sessions = [];
+      result.daily = {};
+    }
+  }
+
+  return results;
+}
+
+module.exports = { BUILTIN_SOURCES, PLUGINS_DIR, loadSources, collectFromSources };
@@ -0,0 +1,132 @@
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+import { loadSources, collectFromSources } from './sources';
+
+// Test helpers
+function createTempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'looptrack-test-'));
+}
+
+function writePlugin(dir, name, source) {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, source);
+  return file;
+}
+
+// Keep tests independent of whatever Claude Code / Codex data this machine has
+const noBuiltins = { 'claude-code': { enabled: false }, codex: { enabled: false } };
+
+const workingPlugin = `
+module.exports = (options) => ({
+  id: 'internal-tool',
+  detect: () => true,
+  collectSessions: async () => [{ sessionId: 's1', projectPath: '/proj/a', totalCost: options.cost || 1 }],
+  collectDaily: async () => ({ '/proj/a': [{ date: '2025-01-01', totalCost: 1 }] })
+});
+`;
+
+describe('loadSources', () => {
+  let pluginsDir;
+
+  beforeEach(() => {
+    pluginsDir = createTempDir();
+  });
+
+  afterEach(() => {
+    fs.rmSync(pluginsDir, { recursive: true, force: true });
+  });
+
+  it('includes the built-in sources by default', () => {
+    const ids = loadSources({ pluginsDir }).map(a => a.id);
+    expect(ids).toEqual(['claude-code', 'codex']);
+  });
+
+  it('only detects Claude Code where it has transcripts or ccusage is enabled', () => {
+    const env = { CLAUDE_CONFIG_DIR: process.env.CLAUDE_CONFIG_DIR, LOOPTRACK_CCUSAGE: process.env.LOOPTRACK_CCUSAGE };
+    process.env.CLAUDE_CONFIG_DIR = pluginsDir;
+    delete process.env.LOOPTRACK_CCUSAGE;
+    try {
+      const claude = loadSources({ pluginsDir }).find(a => a.id === 'claude-code');
+      expect(claude.detect()).toBe(false);
+
+      process.env.LOOPTRACK_CCUSAGE = '1';
+      expect(claude.detect()).toBe(true);
+      delete process.env.LOOPTRACK_CCUSAGE;
+
+      fs.mkdirSync(path.join(pluginsDir, 'projects'));
+      expect(claude.detect()).toBe(true);
+    } finally {
+      for (const [key, value] of Object.entries(env)) {
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+      }
+    }
+  });
+
+  it('leaves out disabled sources', () => {
+    const ids = loadSources({ pluginsDir, sources: { codex: { enabled: false } } }).map(a => a.id);
+    expect(ids).toEqual(['claude-code']);
+  });
+
+  it('discovers plugins and passes them their options', async () => {
+    // Factory plugins are configured under their file name
+    writePlugin(pluginsDir, 'internal-tool.js', workingPlugin);
+
+    const adapters = loadSources({ pluginsDir, sources: { ...noBuiltins, 'internal-tool': { options: { cost: 5 } } } });
+    expect(adapters.map(a => a.id)).toEqual(['internal-tool']);
+
+    const [result] = await collectFromSources(adapters);
+    expect(result.sessions[0].totalCost).toBe(5);
+  });
+
+  it('loads modules named in config', () => {
+    const modulePath = writePlugin(pluginsDir, 'from-config.js', workingPlugin);
+
+    const adapters = loadSources({
+      pluginsDir: path.join(pluginsDir, 'missing'),
+      sources: { ...noBuiltins, 'internal-tool': { module: modulePath } }
+    });
+
+    expect(adapters.map(a => a.id)).toEqual(['internal-tool']);
+  });
+
+  it('reports plugins that fail to load instead of throwing', () => {
+    writePlugin(pluginsDir, 'broken.js', 'throw new Error("boom");');
+    writePlugin(pluginsDir, 'incomplete.js', 'module.exports = { id: "incomplete", detect: () => true };');
+
+    const adapters = loadSources({ pluginsDir, sources: noBuiltins });
+
+    expect(adapters.find(a => a.id === 'broken').loadError).toBe('boom');
+    expect(adapters.find(a => a.id === 'incomplete').loadError).toContain('collectSessions');
+  });
+});
+
+describe('collectFromSources', () => {
+  it('isolates a failing adapter from the others', async () => {
+    const results = await collectFromSources([
+      { id: 'bad', detect: () => true, collectSessions: async () => { throw new Error('disk on fire'); }, collectDaily: () => ({}) },
+      { id: 'good', detect: () => true, collectSessions: () => [{ sessionId: 's1' }], collectDaily: () => ({}) }
+    ]);
+
+    expect(results[0]).toMatchObject({ id: 'bad', status: 'error', error: 'disk on fire', sessions: [] });
+    expect(results[1]).toMatchObject({ id: 'good', status: 'ok', tool: 'good' });
+    expect(results[1].sessions).toHaveLength(1);
+  });
+
+  it('skips adapters whose tool is not installed', async () => {
+    const results = await collectFromSources([
+      { id: 'absent', detect: async () => false, collectSessions: () => { throw new Error('should not run'); }, collectDaily: () => ({}) }
+    ]);
+
+    expect(results[0].status).toBe('skipped');
+  });
+
+  it('passes load errors through as failed results', async () => {
+    const results = await collectFromSources([{ id: 'broken', loadError: 'boom' }]);
+
+    expect(results[0]).toMatchObject({ id: 'broken', status: 'error', error: 'boom' });
+  });
+});
@@ -0,0 +1,465 @@
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic } = require('./cloudBackends');
+const { getDailyProjectPath } = require('./groups');
+const { USAGE_SCHEMA_VERSION, migrateUsageData, validateUsageData } = require('./schema');
+
+// Each machine's usage data lives in data/store/<machine>/ as a snapshot plus an
+// append-only log of what changed since:
+//   snapshot.json  { format, version, machineId, logSeq, savedAt, data }
+//   log.jsonl      one record per line: { seq, op, ... }
+// Saving appends only the sessions and days that changed; the log is folded into
+// a new snapshot once it grows past a limit. usage-<machine>.json stays the format
+// machines exchange through the cloud: it is exported before a push and imported
+// again whenever it changes on disk (a pull, a restore, or data from before the store).
+// Both are migrated to the current usage schema (see schema.js) as they are read.
+const STORE_DIR = 'store';
+const SNAPSHOT_FILE = 'snapshot.json';
+const LOG_FILE = 'log.jsonl';
+const EXCHANGE_FILE = 'exchange.json';
+const FORMAT = 'looptrack-store';
+const DEFAULT_COMPACT_AFTER = 1000;
+
+// Top-level arrays that only ever grow get "push" records instead of being rewritten
+const APPEND_FIELDS = ['syncs', 'budgetEvents'];
+
+function emptyData() {
+  return { schemaVersion: USAGE_SCHEMA_VERSION, sessions: {}, syncs: [] };
+}
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    return null;
+  }
+}
+
+function statOf(file) {
+  try {
+    const { ino, size, mtimeMs } = fs.statSync(file);
+    return { ino, size, mtimeMs };
+  } catch (err) {
+    return null;
+  }
+}
+
+function sameStat(a, b) {
+  if (!a || !b) return a === b;
+  return a.ino === b.ino && a.size === b.size && a.mtimeMs === b.mtimeMs;
+}
+
+// Apply one log record to machine data in place
+function applyRecord(data, record) {
+  switch (record.op) {
+    case 'session':
+      data.sessions = data.sessions || {};
+      data.sessions[record.id] = record.value;
+      break;
+    case 'deleteSession':
+      if (data.sessions) delete data.sessions[record.id];
+      break;
+    case 'day':
+      data.daily = data.daily || {};
+      data.daily[record.date] = record.value;
+      break;
+    case 'deleteDay':
+      if (data.daily) delete data.daily[record.date];
+      break;
+    case 'push':
+      data[record.key] = [...(data[record.key] || []), record.value];
+      break;
+    case 'set':
+      data[record.key] = record.value;
+      break;
+    case 'unset':
+      delete data[record.key];
+      break;
+    default:
+      throw new Error(`Unknown store record "${record.op}"`);
+  }
+}
+
+// Records that turn the stored data into the new data. `serialized` holds the
+// JSON of every stored session, day and field, so unchanged ones are skipped
+// without a deep compare.
+function diffRecords(serialized, data) {
+  const records = [];
+  const diffMap = (stored, incoming, op, idField) => {
+    for (const [id, value] of Object.entries(incoming || {})) {
+      const json = JSON.stringify(value);
+      if (stored.get(id) !== json) records.push({ op, [idField]: id, value });
+    }
+    for (const id of stored.keys()) {
+      if (!incoming || !(id in incoming)) records.push({ op: op === 'session' ? 'deleteSession' : 'deleteDay', [idField]: id });
+    }
+  };
+  diffMap(serialized.sessions, data.sessions, 'session', 'id');
+  diffMap(serialized.daily, data.daily, 'day', 'date');
+
+  for (const [key, value] of Object.entries(data)) {
+    if (key === 'sessions' || key === 'daily') continue;
+    const stored = serialized.fields.get(key);
+    if (APPEND_FIELDS.includes(key) && Array.isArray(value) && stored !== undefined) {
+      const previous = JSON.parse(stored);
+      if (Array.isArray(previous) && value.length >= previous.length &&
+          JSON.stringify(value.slice(0, previous.length)) === stored) {
+        for (const item of value.slice(previous.length)) records.push({ op: 'push', key, value: item });
+        continue;
+      }
+    }
+    if (stored !== JSON.stringify(value)) records.push({ op: 'set', key, value });
+  }
+  for (const key of serialized.fields.keys()) {
+    if (!(key in data)) records.push({ op: 'unset', key });
+  }
+  return records;
+}
+
+function serialize(data) {
+  const serialized = { sessions: new Map(), daily: new Map(), fields: new Map() };
+  for (const [id, session] of Object.entries(data.sessions || {})) serialized.sessions.set(id, JSON.stringify(session));
+  for (const [date, day] of Object.entries(data.daily || {})) serialized.daily.set(date, JSON.stringify(day));
+  for (const [key, value] of Object.entries(data)) {
+    if (key !== 'sessions' && key !== 'daily') serialized.fields.set(key, JSON.stringify(value));
+  }
+  return serialized;
+}
+
+// Keep `serialized` in step with a record applied to the data
+function updateSerialized(serialized, data, record) {
+  if (!serialized) return;
+  if (record.op === 'session') serialized.sessions.set(record.id, JSON.stringify(record.value));
+  else if (record.op === 'deleteSession') serialized.sessions.delete(record.id);
+  else if (record.op === 'day') serialized.daily.set(record.date, JSON.stringify(record.value));
+  else if (record.op === 'deleteDay') serialized.daily.delete(record.date);
+  else if (record.op === 'unset') serialized.fields.delete(record.key);
+  else serialized.fields.set(record.key, JSON.stringify(data[record.key]));
+}
+
+// First index in a sorted array whose value is >= target
+function lowerBound(sorted, target) {
+  let lo = 0;
+  let hi = sorted.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (sorted[mid] < target) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+/**
+ * Open the usage store in a data directory. Loaded machines are cached and only
+ * re-read when their files change, so repeated loads cost a few stat() calls.
+ * @param {string} dataDir - Directory holding usage-<machine>.json files
+ * @param {object} [options]
+ * @param {number} [options.compactAfter] - Log records before a new snapshot is written
+ * @returns {object} Store
+ */
+function createStore(dataDir, { compactAfter = DEFAULT_COMPACT_AFTER } = {}) {
+  const storeDir = path.join(dataDir, STORE_DIR);
+  const cache = new Map();
+
+  const machineDir = machineId => path.join(storeDir, machineId);
+  const snapshotFile = machineId => path.join(machineDir(machineId), SNAPSHOT_FILE);
+  const logFile = machineId => path.join(machineDir(machineId), LOG_FILE);
+  const exchangeFile = machineId => path.join(machineDir(machineId), EXCHANGE_FILE);
+  const jsonFile = machineId => path.join(dataDir, `usage-${machineId}.json`);
+
+  // Read the snapshot and replay the log. A torn last line (a crash mid-append)
+  // ends the replay; the next save cuts it off.
+  function readMachine(machineId) {
+    const snapshot = readJson(snapshotFile(machineId));
+    if (snapshot && snapshot.format !== FORMAT) {
+      throw new Error(`${SNAPSHOT_FILE} of ${machineId} is not a LoopTrack store snapshot`);
+    }
+    const entry = {
+      data: snapshot ? migrateUsageData(snapshot.data, `${SNAPSHOT_FILE} of ${machineId}`) : emptyData(),
+      snapshotSeq: snapshot ? snapshot.logSeq : 0,
+      seq: snapshot ? snapshot.logSeq : 0,
+      snapshotStat: statOf(snapshotFile(machineId)),
+      logSize: 0,
+      logRecords: 0,
+      serialized: null,
+      version: 0,
+      index: null
+    };
+    readLog(machineId, entry, 0);
+    return entry;
+  }
+
+  // Apply log lines from a byte offset; entry.logSize ends after the last complete line
+  function readLog(machineId, entry, offset) {
+    let buffer;
+    try {
+      const fd = fs.openSync(logFile(machineId), 'r');
+      try {
+        const size = fs.fstatSync(fd).size;
+        buffer = Buffer.alloc(Math.max(0, size - offset));
+        fs.readSync(fd, buffer, 0, buffer.length, offset);
+      } finally {
+        fs.closeSync(fd);
+      }
+    } catch (err) {
+      if (err.code === 'ENOENT') return;
+      throw err;
+    }
+
+    let position = 0;
+    while (position < buffer.length) {
+      const end = buffer.indexOf(0x0a, position);
+      if (end === -1) break;
+      let record;
+      try {
+        record = JSON.parse(buffer.toString('utf8', position, end));
+      } catch (err) {
+        break;
+      }
+      position = end + 1;
+      if (record.seq <= entry.snapshotSeq) continue;
+      applyRecord(entry.data, record);
+      updateSerialized(entry.serialized, entry.data, record);
+      entry.seq = record.seq;
+      entry.logRecords++;
+      entry.version++;
+    }
+    entry.logSize = offset + position;
+  }
+
+  // Cached entry, brought up to date with the files (another process may have written)
+  function getEntry(machineId) {
+    let entry = cache.get(machineId);
+    if (!entry || !sameStat(entry.snapshotStat, statOf(snapshotFile(machineId)))) {
+      entry = readMachine(machineId);
+      cache.set(machineId, entry);
+      return entry;
+    }
+    const logStat = statOf(logFile(machineId));
+    const logSize = logStat ? logStat.size : 0;
+    if (logSize < entry.logSize) {
+      entry = readMachine(machineId);
+      cache.set(machineId, entry);
+    } else if (logSize > entry.logSize) {
+      readLog(machineId, entry, entry.logSize);
+    }
+    return entry;
+  }
+
+  function writeSnapshot(machineId, data, logSeq) {
+    fs.mkdirSync(machineDir(machineId), { recursive: true });
+    writeFileAtomic(snapshotFile(machineId), JSON.stringify({
+      format: FORMAT,
+      version: 1,
+      machineId,
+      logSeq,
+      savedAt: new Date().toISOString(),
+      data
+    }));
+    // Records up to logSeq are in the snapshot; if we stop before this, they're skipped on replay
+    writeFileAtomic(logFile(machineId), '');
+  }
+
+  /**
+   * Fold the log into a new snapshot.
+   * @param {string} machineId - Machine identifier
+   */
+  function compact(machineId) {
+    const entry = getEntry(machineId);
+    writeSnapshot(machineId, entry.data, entry.seq);
+    cache.delete(machineId);
+  }
+
+  // The usage JSON changed since we last imported or exported it
+  function hasNewJson(machineId) {
+    const stat = statOf(jsonFile(machineId));
+    if (!stat) return false;
+    const exchanged = readJson(exchangeFile(machineId));
+    return !exchanged || !sameStat(exchanged.stat, stat);
+  }
+
+  // Remember the usage file as it was when the store last matched it, by the log
+  // sequence number of the data it holds
+  function recordExchange(machineId, seq) {
+    fs.mkdirSync(machineDir(machineId), { recursive: true });
+    writeFileAtomic(exchangeFile(machineId), JSON.stringify({ stat: statOf(jsonFile(machineId)), seq }));
+  }
+
+  /**
+   * Replace a machine's stored data with its usage-<machine>.json.
+   * @param {string} machineId - Machine identifier
+   * @returns {boolean} false if there is no file to import
+   * @throws {Error} If the file isn't valid usage data, or (code ENEWERSCHEMA) a newer LoopTrack wrote it
+   */
+  function importJson(machineId) {
+    const file = jsonFile(machineId);
+    if (!fs.existsSync(file)) return false;
+    const data = migrateUsageData(JSON.parse(fs.readFileSync(file, 'utf8')), path.basename(file));
+    validateUsageData(data, path.basename(file));
+    // Keep numbering after the records already logged, so other processes see a change
+    const previous = fs.existsSync(machineDir(machineId)) ? getEntry(machineId).seq : 0;
+    writeSnapshot(machineId, data, previous);
+    cache.delete(machineId);
+    recordExchange(machineId, getEntry(machineId).seq);
+    return true;
+  }
+
+  /**
+   * Write a machine's stored data to usage-<machine>.json, the format machines
+   * exchange through the cloud. Skipped when the file is already up to date.
+   * @param {string} machineId - Machine identifier
+   * @returns {string|null} The file, or null if the machine has no stored data
+   */
+  function exportJson(machineId) {
+    const data = load(machineId);
+    if (!data) return null;
+    const entry = cache.get(machineId);
+    const file = jsonFile(machineId);
+    const exchanged = readJson(exchangeFile(machineId));
+    if (!exchanged || !sameStat(exchanged.stat, statOf(file)) || exchanged.seq !== entry.seq) {
+      writeFileAtomic(file, JSON.stringify(data, null, 2));
+      recordExchange(machineId, entry.seq);
+    }
+    return file;
+  }
+
+  /**
+   * Machines with stored data or a usage file waiting to be imported.
+   * @returns {string[]} Machine ids, sorted
+   */
+  function list() {
+    const ids = new Set();
+    if (fs.existsSync(storeDir)) {
+      for (const entry of fs.readdirSync(storeDir, { withFileTypes: true })) {
+        if (entry.isDirectory()) ids.add(entry.name);
+      }
+    }
+    if (fs.existsSync(dataDir)) {
+      for (const file of fs.readdirSync(dataDir)) {
+        const match = file.match(/^usage-(.+)\.json$/);
+        if (match) ids.add(match[1]);
+      }
+    }
+    return [...ids].sort();
+  }
+
+  /**
+   * A machine's usage data. The object is shared with the cache: treat it as
+   * read-only, or use loadCopy() to change and save it.
+   * @param {string} machineId - Machine identifier
+   * @returns {object|null} null if the machine has no data
+   */
+  function load(machineId) {
+    if (hasNewJson(machineId)) {
+      const migrating = !fs.existsSync(machineDir(machineId));
+      importJson(machineId);
+      if (migrating) console.error(`Imported usage-${machineId}.json into the store`);
+    }
+    if (!fs.existsSync(machineDir(machineId))) return null;
+    return getEntry(machineId).data;
+  }
+
+  function loadCopy(machineId) {
+    const data = load(machineId);
+    return data ? structuredClone(data) : null;
+  }
+
+  /**
+   * Store a machine's usage data, appending only what changed.
+   * @param {string} machineId - Machine identifier
+   * @param {object} data - Full usage data
+   * @returns {number} Records appended
+   */
+  function save(machineId, data) {
+    if (data.schemaVersion !== USAGE_SCHEMA_VERSION) data = { ...data, schemaVersion: USAGE_SCHEMA_VERSION };
+    load(machineId); // Picks up a usage file changed since the last load
+    fs.mkdirSync(machineDir(machineId), { recursive: true });
+    const entry = getEntry(machineId);
+    if (!entry.serialized) entry.serialized = serialize(entry.data);
+
+    const records = diffRecords(entry.serialized, data);
+    if (records.length === 0) return 0;
+
+    // Cut off a torn line left by a crash before appending after it
+    const logStat = statOf(logFile(machineId));
+    if (logStat && logStat.size > entry.logSize) fs.truncateSync(logFile(machineId), entry.logSize);
+
+    const lines = records.map(record => {
+      record.seq = ++entry.seq;
+      applyRecord(entry.data, structuredClone(record));
+      updateSerialized(entry.serialized, entry.data, record);
+      return JSON.stringify(record) + '\n';
+    });
+    fs.appendFileSync(logFile(machineId), lines.join(''));
+    entry.logSize += Buffer.byteLength(lines.join(''));
+    entry.logRecords += records.length;
+    entry.version++;
+
+    if (entry.logRecords >= compactAfter) compact(machineId);
+    return records.length;
+  }
+
+  // Dates (sorted) and project paths by daily key, rebuilt when the data changes
+  function getIndex(entry) {
+    if (entry.index && entry.index.version === entry.version) return entry.index;
+    const daily = entry.data.daily || {};
+    const projects = new Map();
+    for (const [date, day] of Object.entries(daily)) {
+      for (const [key, project] of Object.entries(day.projects || {})) {
+        const projectPath = getDailyProjectPath(key, project);
+        if (!projects.has(projectPath)) projects.set(projectPath, new Set());
+        projects.get(projectPath).add(date);
+      }
+    }
+    entry.index = { version: entry.version, dates: Object.keys(daily).sort(), projects };
+    return entry.index;
+  }
+
+  /**
+   * Daily rows by date range, machine and project, using per-machine indexes.
+   * @param {object} [filters]
+   * @param {string} [filters.from] - First date (YYYY-MM-DD)
+   * @param {string} [filters.to] - Last date
+   * @param {string} [filters.machine] - Machine id
+   * @param {function} [filters.project] - Takes a project path, true to keep it
+   * @returns {object} { [machineId]: { daily } }, the shape of loadMachineData()
+   */
+  function select({ from, to, machine, project } = {}) {
+    const result = {};
+    // Only stored machines, so a machine filter can't name a path outside the store
+    for (const machineId of machine ? list().filter(m => m === machine) : list()) {
+      const data = load(machineId);
+      if (!data) continue;
+      const index = getIndex(cache.get(machineId));
+
+      let dates = index.dates.slice(from ? lowerBound(index.dates, from) : 0, to ? lowerBound(index.dates, to + '\uffff') : undefined);
+      let paths = null;
+      if (project) {
+        paths = new Set([...index.projects.keys()].filter(project));
+        const matching = new Set();
+        for (const projectPath of paths) for (const date of index.projects.get(projectPath)) matching.add(date);
+        dates = dates.filter(date => matching.has(date));
+      }
+
+      const daily = {};
+      for (const date of dates) {
+        const day = data.daily[date];
+        if (!paths) {
+          daily[date] = day;
+          continue;
+        }
+        const projects = {};
+        for (const [key, value] of Object.entries(day.projects || {})) {
+          if (paths.has(getDailyProjectPath(key, value))) projects[key] = value;
+        }
+        daily[date] = { ...day, projects };
+      }
+      result[machineId] = { daily };
+    }
+    return result;
+  }
+
+  return { list, load, loadCopy, save, select, compact, importJson, exportJson };
+}
+
+module.exports = { createStore };
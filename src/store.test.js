@@ -0,0 +1,147 @@
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+import { createStore } from './store';
+
+function createTempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'looptrack-test-'));
+}
+
+function readLog(dir, machineId) {
+  const file = path.join(dir, 'store', machineId, 'log.jsonl');
+  if (!fs.existsSync(file)) return [];
+  return fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+function day(project, cost) {
+  return { totalCost: cost, projects: { [project]: { projectPath: project, totalCost: cost } } };
+}
+
+const sample = {
+  schemaVersion: 1,
+  sessions: {
+    s1: { sessionId: 's1', projectPath: '/proj/a', totalCost: 1 },
+    s2: { sessionId: 's2', projectPath: '/proj/b', totalCost: 2 }
+  },
+  daily: {
+    '2025-01-01': day('/proj/a', 1),
+    '2025-01-02': day('/proj/b', 2),
+    '2025-01-03': day('/proj/a', 3)
+  },
+  syncs: [{ timestamp: '2025-01-01T00:00:00Z' }],
+  lastSync: '2025-01-01T00:00:00Z'
+};
+
+describe('createStore', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = createTempDir();
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('imports existing usage files the first time they are loaded', () => {
+    fs.writeFileSync(path.join(dir, 'usage-laptop.json'), JSON.stringify(sample));
+    const store = createStore(dir);
+
+    expect(store.list()).toEqual(['laptop']);
+    expect(store.load('laptop')).toEqual(sample);
+    expect(fs.existsSync(path.join(dir, 'store', 'laptop', 'snapshot.json'))).toBe(true);
+    expect(store.load('desktop')).toBeNull();
+  });
+
+  it('appends only what changed and replays it in a new process', () => {
+    const store = createStore(dir);
+    store.save('laptop', sample);
+    const before = readLog(dir, 'laptop').length;
+
+    const next = store.loadCopy('laptop');
+    next.sessions.s2.totalCost = 5;
+    next.syncs.push({ timestamp: '2025-01-02T00:00:00Z' });
+    expect(store.save('laptop', next)).toBe(2);
+
+    expect(readLog(dir, 'laptop').slice(before).map(r => r.op)).toEqual(['session', 'push']);
+    expect(store.save('laptop', next)).toBe(0);
+    expect(createStore(dir).load('laptop')).toEqual(next);
+  });
+
+  it('folds the log into a snapshot once it is long enough', () => {
+    const store = createStore(dir, { compactAfter: 3 });
+    store.save('laptop', sample);
+
+    expect(readLog(dir, 'laptop')).toEqual([]);
+    expect(createStore(dir).load('laptop')).toEqual(sample);
+  });
+
+  it('ignores a torn last line and cuts it off on the next save', () => {
+    const store = createStore(dir);
+    store.save('laptop', sample);
+    fs.appendFileSync(path.join(dir, 'store', 'laptop', 'log.jsonl'), '{"seq": 99, "op": "ses');
+
+    const reopened = createStore(dir);
+    expect(reopened.load('laptop')).toEqual(sample);
+    reopened.save('laptop', { ...sample, lastSync: '2025-01-05T00:00:00Z' });
+
+    expect(createStore(dir).load('laptop').lastSync).toBe('2025-01-05T00:00:00Z');
+  });
+
+  it('picks up records appended by another process', () => {
+    const server = createStore(dir);
+    const cli = createStore(dir);
+    server.save('laptop', sample);
+    expect(cli.load('laptop')).toEqual(sample);
+
+    server.save('laptop', { ...sample, lastSync: '2025-01-06T00:00:00Z' });
+
+    expect(cli.load('laptop').lastSync).toBe('2025-01-06T00:00:00Z');
+  });
+
+  it('exports the JSON exchange file and imports it again when it changes', () => {
+    const store = createStore(dir);
+    store.save('laptop', sample);
+    const file = store.exportJson('laptop');
+    expect(JSON.parse(fs.readFileSync(file, 'utf8'))).toEqual(sample);
+
+    const { mtimeMs } = fs.statSync(file);
+    store.exportJson('laptop');
+    expect(fs.statSync(file).mtimeMs).toBe(mtimeMs);
+
+    // A pull (or a restore) replaces the file
+    const pulled = { ...sample, lastSync: '2025-02-01T00:00:00Z' };
+    fs.writeFileSync(file, JSON.stringify(pulled));
+    expect(store.load('laptop')).toEqual(pulled);
+  });
+
+  it('migrates files from older versions and refuses ones from newer versions', () => {
+    fs.writeFileSync(path.join(dir, 'usage-old.json'), JSON.stringify({ sessions: { s1: { cost: 2, project: '/proj/a' } } }));
+    fs.writeFileSync(path.join(dir, 'usage-new.json'), JSON.stringify({ ...sample, schemaVersion: 99 }));
+    const store = createStore(dir);
+
+    expect(store.load('old')).toEqual({ schemaVersion: 1, sessions: { s1: { totalCost: 2, projectPath: '/proj/a' } }, daily: {}, syncs: [] });
+    expect(() => store.load('new')).toThrow('written by a newer version of LoopTrack (schema version 99');
+    expect(fs.existsSync(path.join(dir, 'store', 'new'))).toBe(false);
+  });
+
+  it('selects daily rows by date range, machine and project', () => {
+    const store = createStore(dir);
+    store.save('laptop', sample);
+    store.save('desktop', { sessions: {}, daily: { '2025-01-02': day('/proj/a', 7) } });
+
+    const range = store.select({ from: '2025-01-02', to: '2025-01-03' });
+    expect(Object.keys(range.laptop.daily)).toEqual(['2025-01-02', '2025-01-03']);
+    expect(Object.keys(range.desktop.daily)).toEqual(['2025-01-02']);
+
+    const projectA = store.select({ machine: 'laptop', project: p => p === '/proj/a' });
+    expect(Object.keys(projectA)).toEqual(['laptop']);
+    expect(Object.keys(projectA.laptop.daily)).toEqual(['2025-01-01', '2025-01-03']);
+
+    // Only stored machines can be selected
+    expect(store.select({ machine: 'tablet' })).toEqual({});
+    expect(store.select({ machine: '../store/laptop' })).toEqual({});
+  });
+});
@@ -1,14 +1,29 @@
 #!/usr/bin/env node
-const { execSync } = require('child_process');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
 const readline = require('readline');
-const { syncWithCloud } = require('./cloudSync');
+const { syncWithCloud, listVersions, restoreVersion, getUndecryptable, getIncompatible } = require('./cloudSync');
+const { describeCloudTarget } = require('./cloudBackends');
+const { createStore } = require('./store');
+const { resolvePassphrase } = require('./encryption');
+const { loadConfig } = require('./config');
+const { loadSources, collectFromSources } = require('./sources');
+const { getProjectName } = require('./groups');
+const { matchesProjectPath } = require('./query');
+const { isEncodedPath, getProjectId, getTranscriptFolder, getCwdHints, createProjectResolver } = require('./projects');
+const { evaluateBudgets, findNewBreaches } = require('./budgets');
+const { detectAnomalies, findNewAnomalies, mergeAnomalies } = require('./anomalies');
+const { priceRecord, getRates } = require('./pricing');
+const { publish } = require('./events');
 
 const DATA_DIR = path.join(__dirname, '..', 'data');
 const IDENTITY_FILE = path.join(os.homedir(), '.looptrack', 'identity.json');
 const OLD_DATA_FILE = path.join(DATA_DIR, 'usage.json');
+const LOCK_FILE = path.join(DATA_DIR, 'sync.lock');
+const store = createStore(DATA_DIR);
+// A lock older than this is assumed to be left over from a crashed sync
+const LOCK_STALE_MS = 10 * 60 * 1000;
 
 // Get or create machine identity
 function getMachineId() {
@@ -31,7 +46,8 @@ function saveMachineId(machineId) {
   fs.writeFileSync(IDENTITY_FILE, JSON.stringify({ machineId }, null, 2));
 }
 
-// Get cloud sync directory from identity file
+// Get cloud sync target from identity file: a folder path, or S3/WebDAV
+// settings (see cloudBackends.js)
 function getCloudDir() {
   try {
     if (fs.existsSync(IDENTITY_FILE)) {
@@ -44,7 +60,8 @@ function getCloudDir() {
   return null;
 }
 
-// Save cloud sync directory to identity file
+// Save cloud sync target to identity file (null turns cloud sync off).
+// Remote backends carry credentials, so only the owner can read the file.
 function saveCloudDir(cloudDir) {
   const dir = path.dirname(IDENTITY_FILE);
   if (!fs.existsSync(dir)) {
@@ -59,7 +76,80 @@ function saveCloudDir(cloudDir) {
   }
 
   identity.cloudDir = cloudDir;
-  fs.writeFileSync(IDENTITY_FILE, JSON.stringify(identity, null, 2));
+  if (cloudDir && typeof cloudDir === 'object') {
+    fs.writeFileSync(IDENTITY_FILE, JSON.stringify(identity, null, 2), { mode: 0o600 });
+    fs.chmodSync(IDENTITY_FILE, 0o600);
+  } else {
+    fs.writeFileSync(IDENTITY_FILE, JSON.stringify(identity, null, 2));
+  }
+}
+
+// Get cloud encryption settings from identity file: { passphrase } or { keychain: { service, account } }
+function getEncryptionSettings() {
+  try {
+    if (fs.existsSync(IDENTITY_FILE)) {
+      const identity = JSON.parse(fs.readFileSync(IDENTITY_FILE, 'utf8'));
+      return identity.encryption || null;
+    }
+  } catch (err) {
+    console.error('Warning: Could not load encryption settings:', err.message);
+  }
+  return null;
+}
+
+// Save cloud encryption settings to identity file (null turns encryption off).
+// The file may now hold a passphrase, so only the owner can read it.
+function saveEncryptionSettings(encryption) {
+  const dir = path.dirname(IDENTITY_FILE);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  let identity = {};
+  if (fs.existsSync(IDENTITY_FILE)) {
+    try {
+      identity = JSON.parse(fs.readFileSync(IDENTITY_FILE, 'utf8'));
+    } catch (err) {}
+  }
+
+  if (encryption) identity.encryption = encryption;
+  else delete identity.encryption;
+  fs.writeFileSync(IDENTITY_FILE, JSON.stringify(identity, null, 2), { mode: 0o600 });
+  fs.chmodSync(IDENTITY_FILE, 0o600);
+}
+
+// Get dashboard login settings from identity file: { token, password } (password is a scrypt hash)
+function getAuthSettings() {
+  try {
+    if (fs.existsSync(IDENTITY_FILE)) {
+      const identity = JSON.parse(fs.readFileSync(IDENTITY_FILE, 'utf8'));
+      return identity.auth || null;
+    }
+  } catch (err) {
+    console.error('Warning: Could not load auth settings:', err.message);
+  }
+  return null;
+}
+
+// Save dashboard login settings to identity file (null turns login off).
+// A token works like a password, so only the owner can read the file.
+function saveAuthSettings(auth) {
+  const dir = path.dirname(IDENTITY_FILE);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  let identity = {};
+  if (fs.existsSync(IDENTITY_FILE)) {
+    try {
+      identity = JSON.parse(fs.readFileSync(IDENTITY_FILE, 'utf8'));
+    } catch (err) {}
+  }
+
+  if (auth) identity.auth = auth;
+  else delete identity.auth;
+  fs.writeFileSync(IDENTITY_FILE, JSON.stringify(identity, null, 2), { mode: 0o600 });
+  fs.chmodSync(IDENTITY_FILE, 0o600);
 }
 
 function getDefaultMachineId() {
@@ -83,20 +173,19 @@ function getDataFile(machineId) {
   return path.join(DATA_DIR, `usage-${machineId}.json`);
 }
 
-// Decode project path from sessionId (e.g., "-Users-taylor-Dev-myapp" -> "/Users/taylor/Dev/myapp")
+// Best-effort decode of a Claude Code folder name (e.g., "-Users-taylor-Dev-myapp" -> "/Users/taylor/Dev/myapp").
+// Lossy for names containing dashes; only used when the real path can't be resolved (see projects.js).
 function decodeProjectPath(sessionId) {
   if (!sessionId || !sessionId.startsWith('-')) return null;
   return sessionId.replace(/^-/, '/').replace(/-/g, '/');
 }
 
-// Extract project name from path
-function getProjectName(projectPath) {
-  if (!projectPath) return 'Unknown';
-  return projectPath.split('/').pop() || projectPath;
-}
-
 // Generate a unique session key - handles subagents that share the same sessionId
 function getSessionKey(session) {
+  // Claude Code keys predate the tool field; other tools are namespaced so ids can't collide
+  if (session.tool && session.tool !== 'claude-code') {
+    return `${session.tool}-${session.sessionId}`;
+  }
   // Subagents all have sessionId "subagents" but different projectPaths with UUIDs
   // e.g., "-Users-taylor-Development-looptrack/272cd730-d6f2-490d-9a3a-02733e824f45"
   if (session.sessionId === 'subagents' && session.projectPath) {
@@ -105,6 +194,18 @@ function getSessionKey(session) {
   return session.sessionId || session.id || `${session.projectPath}-${session.startTime}`;
 }
 
+// Identity fields for a daily project row. A Claude Code folder that can't be
+// resolved keeps its folder name as the key, so a later sync can still re-key it.
+function getDailyIdentity(identify, rawPath, tool) {
+  const identity = identify(rawPath, tool);
+  if (identity) return identity;
+  return {
+    projectId: getProjectId(rawPath, tool),
+    projectPath: rawPath,
+    projectName: getProjectName(decodeProjectPath(rawPath.split('/')[0]) || rawPath)
+  };
+}
+
 // Merge session data, preserving maximum values to prevent data loss
 function mergeSession(existing, incoming, projectPath, projectName) {
   const base = {
@@ -132,116 +233,331 @@ function mergeSession(existing, incoming, projectPath, projectName) {
     // Preserve existing model breakdowns if incoming has fewer (data loss protection)
     modelBreakdowns: (incoming.modelBreakdowns?.length >= (existing.modelBreakdowns?.length || 0))
       ? incoming.modelBreakdowns
-      : existing.modelBreakdowns
+      : existing.modelBreakdowns,
+    // Repository details are only found while the project directory exists
+    gitRoot: incoming.gitRoot || existing.gitRoot,
+    gitRemote: incoming.gitRemote || existing.gitRemote
   };
 }
 
+// A copy of this machine's stored data, safe to change and pass to saveData()
 function loadExistingData(machineId) {
-  const dataFile = machineId ? getDataFile(machineId) : null;
   try {
-    if (dataFile && fs.existsSync(dataFile)) {
-      return JSON.parse(fs.readFileSync(dataFile, 'utf8'));
-    }
+    const data = machineId ? store.loadCopy(machineId) : null;
+    if (data) return data;
   } catch (err) {
     console.error('Warning: Could not load existing data:', err.message);
   }
   return { sessions: {}, syncs: [] };
 }
 
+// Load every machine's data, keyed by machine id (null if it can't be read).
+// The objects are cached by the store: read them, don't change them.
+function loadMachineData() {
+  const machineData = {};
+
+  try {
+    for (const machineId of store.list()) {
+      try {
+        machineData[machineId] = store.load(machineId);
+      } catch (err) {
+        console.error(`Warning: Could not load data for ${machineId}:`, err.message);
+        machineData[machineId] = null;
+      }
+    }
+  } catch (err) {
+    console.error('Warning: Could not read data directory:', err.message);
+  }
+
+  return machineData;
+}
+
+const TOTAL_FIELDS = ['inputTokens', 'outputTokens', 'cacheCreationTokens', 'cacheReadTokens', 'totalTokens', 'totalCost'];
+const BREAKDOWN_FIELDS = ['inputTokens', 'outputTokens', 'cacheCreationTokens', 'cacheReadTokens', 'cost'];
+
+// Token and cost totals of a record, with apiCost
+function pickTotals(record) {
+  const totals = {};
+  for (const field of TOTAL_FIELDS) totals[field] = record[field] || 0;
+  totals.apiCost = getApiCost(record);
+  return totals;
+}
+
+// Sum per-model breakdowns by model name
+function sumModelBreakdowns(a = [], b = []) {
+  const byModel = {};
+  for (const model of [...a, ...b]) {
+    const name = model.modelName || 'unknown';
+    if (!byModel[name]) {
+      byModel[name] = { modelName: name, ...Object.fromEntries(BREAKDOWN_FIELDS.map(f => [f, 0])), apiCost: 0 };
+    }
+    for (const field of BREAKDOWN_FIELDS) byModel[name][field] += model[field] || 0;
+    byModel[name].apiCost += model.apiCost !== undefined ? model.apiCost : (model.cost || 0);
+  }
+  return Object.values(byModel).sort((x, y) => y.cost - x.cost);
+}
+
+/**
+ * Add two usage records (project rows, days or hourly buckets) from different
+ * machines: tokens, costs, models, model breakdowns and hourly buckets are
+ * summed. Descriptive fields (projectPath, tool, gitRemote...) come from `a`,
+ * filled in from `b`.
+ * @param {object} [a] - Running sum (not modified)
+ * @param {object} b - Record to add
+ * @returns {object} A new record
+ */
+function sumUsageRecords(a, b) {
+  if (!a) return sumUsageRecords({}, b);
+  const sum = { ...b, ...a };
+  for (const field of TOTAL_FIELDS) sum[field] = (a[field] || 0) + (b[field] || 0);
+  sum.apiCost = (a.totalCost === undefined ? 0 : getApiCost(a)) + getApiCost(b);
+  sum.modelsUsed = [...new Set([...(a.modelsUsed || []), ...(b.modelsUsed || [])])];
+  if (a.modelBreakdowns || b.modelBreakdowns) sum.modelBreakdowns = sumModelBreakdowns(a.modelBreakdowns, b.modelBreakdowns);
+  if (a.hours || b.hours) {
+    sum.hours = { ...a.hours };
+    for (const [hour, bucket] of Object.entries(b.hours || {})) sum.hours[hour] = sumUsageRecords(sum.hours[hour], bucket);
+  }
+  return sum;
+}
+
+/**
+ * Add one machine's day to the all-machines day. Projects with the same key on
+ * several machines are summed, and each keeps per-machine totals in `machines`
+ * (as does the day) so the dashboard can filter and stack by machine.
+ * @param {object} total - All-machines day so far ({ date, projects, machines })
+ * @param {object} day - The machine's day
+ * @param {string} machineId - Machine id
+ * @returns {object} The updated all-machines day
+ */
+function addMachineDay(total, day, machineId) {
+  const projects = { ...total.projects };
+  const dayProjects = Object.values(day.projects || {});
+  for (const [key, project] of Object.entries(day.projects || {})) {
+    const existing = projects[key];
+    projects[key] = {
+      ...sumUsageRecords(existing, project),
+      machines: { ...(existing && existing.machines), [machineId]: pickTotals(project) }
+    };
+  }
+  // A day's models are those of its projects (older days may only have day-level breakdowns)
+  const modelBreakdowns = dayProjects.length > 0
+    ? dayProjects.reduce((models, project) => sumModelBreakdowns(models, project.modelBreakdowns), [])
+    : day.modelBreakdowns;
+  return {
+    ...sumUsageRecords(total, { ...day, modelBreakdowns }),
+    projects,
+    machines: { ...total.machines, [machineId]: pickTotals(day) }
+  };
+}
+
 // Load all machine data files (for server aggregation)
 function loadAllData() {
   const allSessions = {};
   const allDaily = {};
   const machines = [];
+  const budgetEvents = {};
+  const anomalies = [];
 
-  try {
-    if (!fs.existsSync(DATA_DIR)) return { sessions: {}, daily: {}, machines: [] };
+  for (const [machineId, data] of Object.entries(loadMachineData())) {
+    machines.push(machineId);
+    if (!data) continue;
 
-    const files = fs.readdirSync(DATA_DIR).filter(f => f.startsWith('usage-') && f.endsWith('.json'));
+    for (const [id, session] of Object.entries(data.sessions || {})) {
+      allSessions[id] = { ...session, machineId };
+    }
+    // Budget events are shared: whichever machine saw a breach first recorded it
+    for (const event of data.budgetEvents || []) {
+      budgetEvents[event.id] = budgetEvents[event.id] || { ...event, machineId };
+    }
+    anomalies.push(data.anomalies || []);
+    // Aggregate daily data across machines: every project, model and hour is summed
+    for (const [date, day] of Object.entries(data.daily || {})) {
+      allDaily[date] = addMachineDay(allDaily[date] || { date, projects: {}, machines: {} }, day, machineId);
+    }
+  }
 
-    for (const file of files) {
-      const machineId = file.replace('usage-', '').replace('.json', '');
-      machines.push(machineId);
+  const sortedEvents = Object.values(budgetEvents).sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+  return { sessions: allSessions, daily: allDaily, machines, budgetEvents: sortedEvents, anomalies: mergeAnomalies(...anomalies) };
+}
 
-      try {
-        const data = JSON.parse(fs.readFileSync(path.join(DATA_DIR, file), 'utf8'));
-        for (const [id, session] of Object.entries(data.sessions || {})) {
-          allSessions[id] = { ...session, machineId };
-        }
-        // Aggregate daily data across machines (sum values for same dates)
-        for (const [date, day] of Object.entries(data.daily || {})) {
-          if (!allDaily[date]) {
-            allDaily[date] = { ...day, machineId };
-          } else {
-            // Sum values from multiple machines for the same date
-            allDaily[date] = {
-              ...allDaily[date],
-              inputTokens: (allDaily[date].inputTokens || 0) + (day.inputTokens || 0),
-              outputTokens: (allDaily[date].outputTokens || 0) + (day.outputTokens || 0),
-              cacheCreationTokens: (allDaily[date].cacheCreationTokens || 0) + (day.cacheCreationTokens || 0),
-              cacheReadTokens: (allDaily[date].cacheReadTokens || 0) + (day.cacheReadTokens || 0),
-              totalTokens: (allDaily[date].totalTokens || 0) + (day.totalTokens || 0),
-              totalCost: (allDaily[date].totalCost || 0) + (day.totalCost || 0),
-              modelsUsed: [...new Set([...(allDaily[date].modelsUsed || []), ...(day.modelsUsed || [])])],
-            };
-          }
-        }
-      } catch (err) {
-        console.error(`Warning: Could not load ${file}:`, err.message);
-      }
+// Store this machine's data; only sessions and days that changed are written
+function saveData(data, machineId) {
+  store.save(machineId, data);
+}
+
+/**
+ * Daily usage filtered through the store's date, machine and project indexes,
+ * in the shape of loadMachineData() (daily data only).
+ * @param {object} [params] - { from, to, machine, project } as from parseUsageQuery()
+ * @returns {object} { [machineId]: { daily } }
+ */
+function queryMachineData({ from, to, machine, project } = {}) {
+  return store.select({ from, to, machine, project: project && (projectPath => matchesProjectPath(projectPath, project)) });
+}
+
+/**
+ * Write a machine's stored data out as usage-<machine>.json, the format
+ * exchanged through the cloud.
+ * @param {string} machineId - Machine identifier
+ * @returns {string|null} The file, or null if the machine has no data
+ */
+function exportMachineData(machineId) {
+  return store.exportJson(machineId);
+}
+
+// Append budget-breach events to this machine's data file
+function recordBudgetEvents(machineId, events) {
+  const data = loadExistingData(machineId);
+  data.budgetEvents = [...(data.budgetEvents || []), ...events];
+  saveData(data, machineId);
+}
+
+/**
+ * Evaluate budgets across all machines without recording anything. Thresholds
+ * crossed since the last sync are included in events; that sync records them.
+ * @param {object} [allData] - From loadAllData()
+ * @param {object} [config] - Parsed config.json
+ * @returns {object} { statuses, events }
+ */
+function getBudgetStatus(allData = loadAllData(), config = loadConfig()) {
+  const statuses = evaluateBudgets(allData.daily, config);
+  const pending = findNewBreaches(statuses, config, allData.budgetEvents);
+  return { statuses, events: [...(allData.budgetEvents || []), ...pending] };
+}
+
+// Evaluate budgets across all machines and record thresholds crossed for the
+// first time. Only called by a sync, which holds the sync lock.
+function checkBudgets(machineId, allData = loadAllData(), config = loadConfig()) {
+  const statuses = evaluateBudgets(allData.daily, config);
+  const newEvents = findNewBreaches(statuses, config, allData.budgetEvents);
+
+  if (newEvents.length > 0 && machineId) {
+    recordBudgetEvents(machineId, newEvents);
+    for (const event of newEvents) {
+      const scope = event.group ? `Group "${event.group}"` : 'Total';
+      console.log(`Budget alert: ${scope} reached ${event.threshold}% of its ${event.period} budget ($${event.spent.toFixed(2)} of $${event.limit.toFixed(2)})`);
     }
-  } catch (err) {
-    console.error('Warning: Could not read data directory:', err.message);
   }
 
-  return { sessions: allSessions, daily: allDaily, machines };
+  return { statuses, events: [...(allData.budgetEvents || []), ...newEvents] };
 }
 
-function saveData(data, machineId) {
-  if (!fs.existsSync(DATA_DIR)) {
-    fs.mkdirSync(DATA_DIR, { recursive: true });
+// Look for spend anomalies across all machines and record new findings in this
+// machine's data file. The caller holds the sync lock.
+function recordAnomalies(machineId, machineData, config, now) {
+  const recorded = mergeAnomalies(...Object.values(machineData).map(data => (data && data.anomalies) || []));
+  const found = findNewAnomalies(detectAnomalies(machineData, config, now), recorded, machineId);
+
+  if (found.length > 0 && machineId) {
+    const data = loadExistingData(machineId);
+    data.anomalies = [...(data.anomalies || []), ...found];
+    saveData(data, machineId);
+    for (const anomaly of found) {
+      console.log(`Anomaly (${anomaly.severity}): ${anomaly.explanation}`);
+    }
   }
-  const dataFile = getDataFile(machineId);
-  fs.writeFileSync(dataFile, JSON.stringify(data, null, 2));
+
+  return { anomalies: mergeAnomalies(recorded, found), found };
 }
 
-function runCcusage() {
+/**
+ * Look for spend anomalies outside a sync, recording new findings in this
+ * machine's data file.
+ * @param {string} machineId - This machine
+ * @param {object} [machineData] - From loadMachineData(); loaded once the lock is held if not given
+ * @param {object} [config] - Parsed config.json
+ * @param {Date} [now] - Evaluation time
+ * @returns {object} { anomalies, found }
+ * @throws {Error} If a sync holds the sync lock
+ */
+function checkAnomalies(machineId, machineData, config = loadConfig(), now = new Date()) {
+  const releaseLock = acquireSyncLock();
   try {
-    // Get session data from ccusage
-    const output = execSync('npx ccusage@latest session --json 2>/dev/null', {
-      encoding: 'utf8',
-      maxBuffer: 10 * 1024 * 1024
-    });
-    return JSON.parse(output);
-  } catch (err) {
-    console.error('Error running ccusage:', err.message);
-    console.log('Make sure you have Claude Code installed and have some usage data.');
-    return null;
+    return recordAnomalies(machineId, machineData || loadMachineData(), config, now);
+  } finally {
+    releaseLock();
   }
 }
 
-function runCcusageDaily() {
+/**
+ * Acknowledge or dismiss a recorded anomaly. The updated copy is stored in this
+ * machine's data file, and wins over the original wherever it was recorded.
+ * @param {string} machineId - This machine
+ * @param {string} id - Anomaly id
+ * @param {string} status - 'open', 'acknowledged' or 'dismissed'
+ * @returns {object|null} The updated anomaly, or null if there is none with that id
+ * @throws {Error} If a sync holds the sync lock
+ */
+function updateAnomalyStatus(machineId, id, status) {
+  const releaseLock = acquireSyncLock();
   try {
-    // Get daily breakdown with per-project instances from ccusage
-    const output = execSync('npx ccusage@latest daily --instances --json 2>/dev/null', {
-      encoding: 'utf8',
-      maxBuffer: 10 * 1024 * 1024
-    });
-    return JSON.parse(output);
-  } catch (err) {
-    console.error('Error running ccusage daily:', err.message);
-    return null;
+    const anomaly = loadAllData().anomalies.find(a => a.id === id);
+    if (!anomaly) return null;
+
+    const updated = { ...anomaly, status, updatedAt: new Date().toISOString(), updatedBy: machineId };
+    const data = loadExistingData(machineId);
+    data.anomalies = [...(data.anomalies || []).filter(a => a.id !== id), updated];
+    saveData(data, machineId);
+    return updated;
+  } finally {
+    releaseLock();
   }
 }
 
-// Merge daily data with per-project breakdown, preserving maximum values
-function mergeDailyData(existingDaily, incomingData) {
+// Merge one project's row for a day, keeping maximum values
+function mergeProjectDay(existing, incoming) {
+  if (!existing) return incoming;
+  const merged = {
+    ...existing,
+    ...incoming,
+    inputTokens: Math.max(existing.inputTokens || 0, incoming.inputTokens || 0),
+    outputTokens: Math.max(existing.outputTokens || 0, incoming.outputTokens || 0),
+    cacheCreationTokens: Math.max(existing.cacheCreationTokens || 0, incoming.cacheCreationTokens || 0),
+    cacheReadTokens: Math.max(existing.cacheReadTokens || 0, incoming.cacheReadTokens || 0),
+    totalTokens: Math.max(existing.totalTokens || 0, incoming.totalTokens || 0),
+    totalCost: Math.max(existing.totalCost || 0, incoming.totalCost || 0),
+  };
+  // Hourly buckets are kept as a set from the more complete record, so a
+  // change of time zone can't leave the same usage in two hours
+  const hours = incoming.hours && (!existing.hours || (incoming.totalTokens || 0) >= (existing.totalTokens || 0))
+    ? incoming.hours
+    : existing.hours;
+  if (hours) merged.hours = hours;
+  return merged;
+}
+
+// API-equivalent cost; records priced before it was tracked were priced at list prices
+function getApiCost(record) {
+  return record.apiCost !== undefined ? record.apiCost : (record.totalCost || 0);
+}
+
+// Recalculate each day's totals from its projects
+function recalculateDailyTotals(daily) {
+  for (const date of Object.keys(daily)) {
+    const projects = Object.values(daily[date].projects || {});
+    if (projects.length > 0) {
+      daily[date].inputTokens = projects.reduce((sum, p) => sum + (p.inputTokens || 0), 0);
+      daily[date].outputTokens = projects.reduce((sum, p) => sum + (p.outputTokens || 0), 0);
+      daily[date].cacheCreationTokens = projects.reduce((sum, p) => sum + (p.cacheCreationTokens || 0), 0);
+      daily[date].cacheReadTokens = projects.reduce((sum, p) => sum + (p.cacheReadTokens || 0), 0);
+      daily[date].totalTokens = projects.reduce((sum, p) => sum + (p.totalTokens || 0), 0);
+      daily[date].totalCost = projects.reduce((sum, p) => sum + (p.totalCost || 0), 0);
+      daily[date].apiCost = projects.reduce((sum, p) => sum + getApiCost(p), 0);
+      daily[date].modelsUsed = [...new Set(projects.flatMap(p => p.modelsUsed || []))];
+    }
+  }
+}
+
+// Merge daily data with per-project breakdown, preserving maximum values.
+// Rows are keyed by projectId (see projects.js).
+function mergeDailyData(existingDaily, incomingData, tool = 'claude-code', identify = createProjectResolver()) {
   const daily = { ...(existingDaily || {}) };
 
   // Handle new format: { projects: { projectPath: [days...] }, totals: {...} }
   if (incomingData && incomingData.projects) {
     // Process each project's daily data
-    for (const [projectPath, days] of Object.entries(incomingData.projects)) {
+    for (const [rawPath, days] of Object.entries(incomingData.projects)) {
+      const identity = getDailyIdentity(identify, rawPath, tool);
       for (const day of days) {
         const date = day.date;
         if (!daily[date]) {
@@ -253,42 +569,278 @@ function mergeDailyData(existingDaily, incomingData) {
         }
 
         // Add/update project data for this date
-        const existing = daily[date].projects[projectPath];
-        if (!existing) {
-          daily[date].projects[projectPath] = { ...day, projectPath, projectName: getProjectName(projectPath.replace(/-/g, '/').replace(/^\//, '/')) };
-        } else {
-          // Keep max values
-          daily[date].projects[projectPath] = {
-            ...day,
-            projectPath,
-            projectName: existing.projectName,
-            inputTokens: Math.max(existing.inputTokens || 0, day.inputTokens || 0),
-            outputTokens: Math.max(existing.outputTokens || 0, day.outputTokens || 0),
-            cacheCreationTokens: Math.max(existing.cacheCreationTokens || 0, day.cacheCreationTokens || 0),
-            cacheReadTokens: Math.max(existing.cacheReadTokens || 0, day.cacheReadTokens || 0),
-            totalTokens: Math.max(existing.totalTokens || 0, day.totalTokens || 0),
-            totalCost: Math.max(existing.totalCost || 0, day.totalCost || 0),
-          };
-        }
+        const projects = daily[date].projects;
+        projects[identity.projectId] = mergeProjectDay(projects[identity.projectId], { ...day, ...identity, tool });
       }
     }
 
-    // Recalculate daily totals from projects
-    for (const date of Object.keys(daily)) {
-      const projects = Object.values(daily[date].projects || {});
-      if (projects.length > 0) {
-        daily[date].inputTokens = projects.reduce((sum, p) => sum + (p.inputTokens || 0), 0);
-        daily[date].outputTokens = projects.reduce((sum, p) => sum + (p.outputTokens || 0), 0);
-        daily[date].cacheCreationTokens = projects.reduce((sum, p) => sum + (p.cacheCreationTokens || 0), 0);
-        daily[date].cacheReadTokens = projects.reduce((sum, p) => sum + (p.cacheReadTokens || 0), 0);
-        daily[date].totalTokens = projects.reduce((sum, p) => sum + (p.totalTokens || 0), 0);
-        daily[date].totalCost = projects.reduce((sum, p) => sum + (p.totalCost || 0), 0);
-        daily[date].modelsUsed = [...new Set(projects.flatMap(p => p.modelsUsed || []))];
+    recalculateDailyTotals(daily);
+  }
+
+  return daily;
+}
+
+/**
+ * Re-key Claude Code history stored under transcript folder names by the real
+ * project path, and fill in projectId/projectName/gitRoot. Records that still
+ * can't be resolved are left as they are. Safe to run on every sync.
+ * @param {object} data - A machine's usage data (modified in place)
+ * @param {function} identify - From createProjectResolver()
+ * @returns {number} Number of records updated
+ */
+function migrateProjectIdentities(data, identify) {
+  let migrated = 0;
+
+  for (const session of Object.values(data.sessions || {})) {
+    if ((session.tool && session.tool !== 'claude-code') || session.projectId) continue;
+    const rawPath = isEncodedPath(session.projectPath) ? session.projectPath : getTranscriptFolder(session);
+    const identity = rawPath && identify(rawPath, 'claude-code');
+    if (!identity) continue;
+    Object.assign(session, identity);
+    migrated++;
+  }
+
+  const daily = data.daily || {};
+  for (const day of Object.values(daily)) {
+    for (const [key, project] of Object.entries(day.projects || {})) {
+      if (!isEncodedPath(key)) continue;
+      const identity = identify(key, 'claude-code');
+      if (!identity) continue;
+      delete day.projects[key];
+      day.projects[identity.projectId] = mergeProjectDay(day.projects[identity.projectId], { ...project, ...identity, tool: 'claude-code' });
+      migrated++;
+    }
+  }
+  if (migrated > 0) recalculateDailyTotals(daily);
+
+  return migrated;
+}
+
+/**
+ * Recompute totalCost and apiCost of every session and daily row from stored
+ * token counts, using the configured rates in effect on each record's date
+ * (a session's last activity day). Modifies data in place.
+ * @param {object} data - A machine's usage data
+ * @param {Array<object>} rates - config.pricing.rates
+ * @returns {{sessions: number, dailyRows: number}} Records repriced
+ */
+function repriceData(data, rates) {
+  let sessionCount = 0;
+  let rowCount = 0;
+
+  for (const [id, session] of Object.entries(data.sessions || {})) {
+    const date = (session.lastActivity || '').slice(0, 10);
+    data.sessions[id] = priceRecord(session, date, rates);
+    sessionCount++;
+  }
+
+  const daily = data.daily || {};
+  for (const [date, day] of Object.entries(daily)) {
+    for (const [key, project] of Object.entries(day.projects || {})) {
+      const priced = priceRecord(project, date, rates);
+      if (project.hours) {
+        priced.hours = Object.fromEntries(Object.entries(project.hours).map(([hour, bucket]) => [hour, priceRecord(bucket, date, rates)]));
       }
+      day.projects[key] = priced;
+      rowCount++;
     }
   }
+  recalculateDailyTotals(daily);
 
-  return daily;
+  return { sessions: sessionCount, dailyRows: rowCount };
+}
+
+/**
+ * Reprice this machine's usage file with the current pricing config and save it.
+ * Other machines' files are left to their own syncs (cloud sync would overwrite them).
+ * @param {object} [config] - Parsed config.json
+ * @returns {object} { machineId, sessions, dailyRows, previousCost, totalCost, apiCost }
+ */
+async function recalculateCosts(config = loadConfig()) {
+  const machineId = getMachineId();
+  if (!machineId) {
+    throw new Error('Machine ID not set. Run a sync first.');
+  }
+
+  const releaseLock = acquireSyncLock();
+  const data = loadExistingData(machineId);
+  const sumDaily = field => Object.values(data.daily || {}).reduce((sum, d) => sum + (field === 'apiCost' ? getApiCost(d) : (d.totalCost || 0)), 0);
+  const previousCost = sumDaily('totalCost');
+  let counts;
+  try {
+    counts = repriceData(data, getRates(config));
+    saveData(data, machineId);
+
+    const cloudDir = getCloudDir();
+    if (cloudDir) await syncCloudDir(cloudDir, machineId);
+  } finally {
+    releaseLock();
+  }
+
+  return { machineId, ...counts, previousCost, totalCost: sumDaily('totalCost'), apiCost: sumDaily('apiCost') };
+}
+
+/**
+ * Combine two copies of the same machine's usage file, such as a cloud sync
+ * client's conflicted copy, keeping the larger figures like every other merge.
+ * @param {object} base - Usage file data
+ * @param {object} other - Another copy of it
+ * @returns {object} Merged data
+ */
+function mergeUsageData(base, other) {
+  const sessions = { ...(base.sessions || {}) };
+  for (const [id, session] of Object.entries(other.sessions || {})) {
+    const existing = sessions[id];
+    sessions[id] = existing
+      ? { ...mergeSession(existing, session, session.projectPath, session.projectName), syncedAt: [existing.syncedAt, session.syncedAt].filter(Boolean).sort().pop() }
+      : session;
+  }
+
+  const daily = JSON.parse(JSON.stringify(base.daily || {}));
+  for (const [date, day] of Object.entries(other.daily || {})) {
+    if (!daily[date]) {
+      daily[date] = day;
+      continue;
+    }
+    daily[date].projects = daily[date].projects || {};
+    for (const [key, project] of Object.entries(day.projects || {})) {
+      daily[date].projects[key] = mergeProjectDay(daily[date].projects[key], project);
+    }
+  }
+  recalculateDailyTotals(daily);
+
+  const syncs = {};
+  for (const entry of [...(base.syncs || []), ...(other.syncs || [])]) syncs[entry.timestamp] = entry;
+  const budgetEvents = {};
+  for (const event of [...(base.budgetEvents || []), ...(other.budgetEvents || [])]) {
+    budgetEvents[event.id] = budgetEvents[event.id] || event;
+  }
+
+  return {
+    ...other,
+    ...base,
+    sessions,
+    daily,
+    syncs: Object.values(syncs).sort((a, b) => (a.timestamp || '').localeCompare(b.timestamp || '')),
+    budgetEvents: Object.values(budgetEvents).sort((a, b) => (a.timestamp || '').localeCompare(b.timestamp || '')),
+    anomalies: mergeAnomalies(base.anomalies || [], other.anomalies || []),
+    lastSync: [base.lastSync, other.lastSync].filter(Boolean).sort().pop()
+  };
+}
+
+// Conflict reconciliation, history and encryption settings for cloud sync
+function getCloudOptions(config = loadConfig()) {
+  const historyLimit = Number(config.cloudSync && config.cloudSync.historyVersions);
+  return {
+    merge: mergeUsageData,
+    historyLimit: historyLimit > 0 ? historyLimit : undefined,
+    passphrase: resolvePassphrase(getEncryptionSettings())
+  };
+}
+
+// Push this machine's file to the cloud and pull the others, letting connected
+// dashboards know when another machine's data arrived. Merging conflicted copies
+// rewrites this machine's data, so the caller holds the sync lock.
+async function syncCloudDir(cloudDir, machineId) {
+  exportMachineData(machineId);
+  const pulled = await syncWithCloud(DATA_DIR, cloudDir, machineId, getCloudOptions());
+  if (pulled.length) publish('cloud-pulled', { machines: pulled });
+  return pulled;
+}
+
+// Machines whose cloud file this machine couldn't decrypt, keyed by machine id
+function getUndecryptableMachines() {
+  return getUndecryptable(DATA_DIR);
+}
+
+// Machines whose cloud file was written by a newer LoopTrack, keyed by machine id
+function getIncompatibleMachines() {
+  return getIncompatible(DATA_DIR);
+}
+
+// Saved versions of every machine file, keyed by machine id (see cloudSync.js)
+function listMachineVersions() {
+  const versions = {};
+  for (const machineId of store.list()) {
+    versions[machineId] = listVersions(DATA_DIR, machineId);
+  }
+  return versions;
+}
+
+/**
+ * Roll a machine's local usage file back to a saved version. Rolling back this
+ * machine's own file also pushes it to the cloud folder, replacing the bad copy
+ * there; other machines' files stay rolled back until they push something new.
+ * @param {string} machineId - Machine whose file to restore
+ * @param {string} versionId - From listMachineVersions()
+ * @returns {Promise<object>} The restored version
+ */
+async function restoreMachineVersion(machineId, versionId) {
+  const releaseLock = acquireSyncLock();
+  let version;
+  try {
+    // The version being replaced is the stored data, so write it out first
+    exportMachineData(machineId);
+    version = restoreVersion(DATA_DIR, machineId, versionId, getCloudOptions());
+
+    const cloudDir = getCloudDir();
+    if (cloudDir && machineId === getMachineId()) await syncCloudDir(cloudDir, machineId);
+  } finally {
+    releaseLock();
+  }
+  return version;
+}
+
+// Is the lock file left over from a sync that is no longer running?
+function isStaleLock() {
+  try {
+    const { pid, startedAt } = JSON.parse(fs.readFileSync(LOCK_FILE, 'utf8'));
+    if (Date.now() - new Date(startedAt).getTime() > LOCK_STALE_MS) return true;
+    process.kill(pid, 0); // signal 0 only checks that the process exists
+    return false;
+  } catch (err) {
+    // EPERM: the process exists but belongs to someone else
+    return err.code !== 'EPERM';
+  }
+}
+
+/**
+ * Take the lock that keeps syncs (from the server, the CLI or another terminal)
+ * from writing this machine's usage file at the same time.
+ * @returns {function} Releases the lock
+ * @throws {Error} If another sync holds the lock (with code ESYNCLOCKED)
+ */
+function acquireSyncLock() {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  try {
+    fs.writeFileSync(LOCK_FILE, JSON.stringify({ pid: process.pid, startedAt: new Date().toISOString() }), { flag: 'wx' });
+  } catch (err) {
+    if (err.code !== 'EEXIST') throw err;
+    if (!isStaleLock()) {
+      const error = new Error('Another sync is already running');
+      error.code = 'ESYNCLOCKED';
+      throw error;
+    }
+    fs.rmSync(LOCK_FILE, { force: true });
+    return acquireSyncLock();
+  }
+  return () => fs.rmSync(LOCK_FILE, { force: true });
+}
+
+/**
+ * Run a task that writes this machine's usage data or cloud file while holding
+ * the sync lock.
+ * @param {function} task - May return a promise
+ * @returns {Promise<*>} What the task returns
+ * @throws {Error} If a sync holds the lock (with code ESYNCLOCKED)
+ */
+async function withSyncLock(task) {
+  const releaseLock = acquireSyncLock();
+  try {
+    return await task();
+  } finally {
+    releaseLock();
+  }
 }
 
 // Migrate old usage.json to new format
@@ -302,7 +854,15 @@ function migrateOldData(machineId) {
   }
 }
 
-async function sync(providedMachineId) {
+/**
+ * Collect usage from every source and merge it into this machine's usage file.
+ * @param {string} [providedMachineId] - Defaults to the saved machine ID (prompts on first run)
+ * @param {object} [options]
+ * @param {string[]} [options.sources] - Only collect from these source ids; other
+ *   sources' existing data is kept as is
+ * @returns {Promise<object>} The machine's usage data
+ */
+async function sync(providedMachineId, options = {}) {
   // Get or create machine identity
   let machineId = providedMachineId || getMachineId();
 
@@ -317,43 +877,88 @@ async function sync(providedMachineId) {
     migrateOldData(machineId);
   }
 
-  console.log(`Syncing usage data for ${machineId}...`);
+  const releaseLock = acquireSyncLock();
+  try {
+    return await syncMachine(machineId, options);
+  } finally {
+    releaseLock();
+  }
+}
+
+async function syncMachine(machineId, { sources: sourceIds } = {}) {
+  console.log(`Syncing usage data for ${machineId}${sourceIds ? ` (${sourceIds.join(', ')})` : ''}...`);
 
   const existing = loadExistingData(machineId);
-  const ccusageData = runCcusage();
-  const ccusageDailyData = runCcusageDaily();
+  const config = loadConfig();
+  let adapters = loadSources(config);
+  if (sourceIds) adapters = adapters.filter(a => sourceIds.includes(a.id));
+  const results = await collectFromSources(adapters);
 
-  if ((!ccusageData || !ccusageData.sessions) && (!ccusageDailyData || !ccusageDailyData.daily)) {
+  const hasData = results.some(r => r.sessions.length > 0 || Object.keys(r.daily).length > 0);
+  if (!hasData) {
     console.log('No data to sync.');
     return { ...existing, machineId };
   }
 
+  // Resolve real project paths, preferring the working directories recorded in transcripts
+  const identify = createProjectResolver(getCwdHints(results.flatMap(r => r.sessions)));
+  const migrated = migrateProjectIdentities(existing, identify);
+  if (migrated > 0) {
+    console.log(`Resolved project paths for ${migrated} existing records`);
+  }
+
   // Merge sessions by unique key
   const sessions = { ...existing.sessions };
+  let daily = existing.daily;
   let newCount = 0;
   let updatedCount = 0;
+  const sourceCounts = {};
+
+  for (const { id: sourceId, tool, status, error, sessions: incomingSessions, daily: incomingDaily } of results) {
+    const counts = { status, sessions: incomingSessions.length, newSessions: 0, updatedSessions: 0, dailyRows: 0 };
+    if (error) counts.error = error;
+    sourceCounts[sourceId] = counts;
+
+    for (const incoming of incomingSessions) {
+      const session = { ...incoming, tool };
+      const id = getSessionKey(session);
+      if (!sessions[id]) {
+        newCount++;
+        counts.newSessions++;
+      } else {
+        updatedCount++;
+        counts.updatedSessions++;
+      }
+      const knownPath = session.projectPath && session.projectPath !== 'Unknown Project' ? session.projectPath : null;
+      const folder = getTranscriptFolder(session);
+      const identity = (knownPath || folder) && identify(knownPath || folder, tool);
+      let projectPath, projectName;
+      if (identity) {
+        // projectId, gitRoot and gitRemote (for remote: group rules) ride along on the session
+        ({ projectPath, projectName } = identity);
+        Object.assign(session, identity);
+      } else {
+        // Unresolved: store it as before (decoding the sessionId if needed) so a later sync can retry
+        projectPath = knownPath || decodeProjectPath(session.sessionId);
+        projectName = getProjectName(projectPath);
+      }
 
-  for (const session of ccusageData.sessions) {
-    const id = getSessionKey(session);
-    if (!sessions[id]) {
-      newCount++;
-    } else {
-      updatedCount++;
+      // Merge with existing data, preserving maximum values
+      sessions[id] = mergeSession(existing.sessions[id], session, projectPath, projectName);
     }
-    // Decode project path from sessionId if missing
-    const projectPath = (session.projectPath && session.projectPath !== 'Unknown Project')
-      ? session.projectPath
-      : decodeProjectPath(session.sessionId);
 
-    // Merge with existing data, preserving maximum values
-    sessions[id] = mergeSession(existing.sessions[id], session, projectPath, getProjectName(projectPath));
+    // Merge daily data for accurate per-day tracking
+    daily = mergeDailyData(daily, { projects: incomingDaily }, tool, identify);
+    counts.dailyRows = Object.values(incomingDaily).reduce((sum, days) => sum + days.length, 0);
   }
 
-  // Merge daily data for accurate per-day tracking
-  const daily = mergeDailyData(existing.daily, ccusageDailyData);
+  // Costs always come from stored tokens and the current pricing config
+  repriceData({ sessions, daily }, getRates(config));
+
   const dailyCount = Object.keys(daily).length;
 
   const data = {
+    ...existing,
     sessions,
     daily,
     syncs: [
@@ -362,19 +967,22 @@ async function sync(providedMachineId) {
         timestamp: new Date().toISOString(),
         newSessions: newCount,
         updatedSessions: updatedCount,
-        totalSessions: Object.keys(sessions).length
+        totalSessions: Object.keys(sessions).length,
+        sources: sourceCounts
       }
     ],
     lastSync: new Date().toISOString()
   };
 
   saveData(data, machineId);
+  checkBudgets(machineId, loadAllData(), config);
+  recordAnomalies(machineId, loadMachineData(), config, new Date());
 
   // Sync with cloud if configured
   const cloudDir = getCloudDir();
   if (cloudDir) {
-    console.log(`Syncing with cloud folder: ${cloudDir}`);
-    syncWithCloud(DATA_DIR, cloudDir, machineId);
+    console.log(`Syncing with cloud: ${describeCloudTarget(cloudDir)}`);
+    await syncCloudDir(cloudDir, machineId);
   }
 
   console.log(`Synced: ${newCount} new, ${updatedCount} updated, ${Object.keys(sessions).length} total sessions, ${dailyCount} days`);
@@ -386,4 +994,4 @@ if (require.main === module) {
   sync().catch(console.error);
 }
 
-module.exports = { sync, loadExistingData, loadAllData, getMachineId, getProjectName, getCloudDir, saveCloudDir, DATA_DIR };
+module.exports = { sync, loadExistingData, loadMachineData, loadAllData, sumUsageRecords, addMachineDay, getBudgetStatus, checkBudgets, checkAnomalies, updateAnomalyStatus, recalculateCosts, mergeDailyData, migrateProjectIdentities, repriceData, mergeUsageData, syncCloudDir, withSyncLock, queryMachineData, exportMachineData, listMachineVersions, restoreMachineVersion, getUndecryptableMachines, getIncompatibleMachines, getMachineId, getProjectName, getCloudDir, saveCloudDir, getEncryptionSettings, saveEncryptionSettings, getAuthSettings, saveAuthSettings, DATA_DIR };
@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'bun:test';
+
+import { addMachineDay, sumUsageRecords } from './sync';
+
+// Test fixtures
+function projectRow(totalCost, models, extra = {}) {
+  return {
+    inputTokens: totalCost * 100,
+    outputTokens: totalCost * 10,
+    totalTokens: totalCost * 110,
+    totalCost,
+    modelsUsed: models.map(([name]) => name),
+    modelBreakdowns: models.map(([modelName, cost]) => ({ modelName, inputTokens: cost * 100, outputTokens: cost * 10, cost })),
+    ...extra
+  };
+}
+
+function machineDay(projects) {
+  const rows = Object.values(projects);
+  return {
+    totalCost: rows.reduce((sum, p) => sum + p.totalCost, 0),
+    inputTokens: rows.reduce((sum, p) => sum + p.inputTokens, 0),
+    totalTokens: rows.reduce((sum, p) => sum + p.totalTokens, 0),
+    modelsUsed: [...new Set(rows.flatMap(p => p.modelsUsed))],
+    projects
+  };
+}
+
+describe('addMachineDay', () => {
+  it('sums the same day across machines without dropping projects or models', () => {
+    const laptop = machineDay({
+      '/work/client': projectRow(10, [['opus', 8], ['sonnet', 2]], { projectPath: '/work/client', hours: { '09': { totalCost: 10, totalTokens: 1100 } } }),
+      '/home/blog': projectRow(1, [['sonnet', 1]], { projectPath: '/home/blog' })
+    });
+    const desktop = machineDay({
+      '/work/client': projectRow(4, [['sonnet', 4]], { projectPath: '/work/client', gitRemote: 'github.com/acme/client', hours: { '09': { totalCost: 1, totalTokens: 110 }, '22': { totalCost: 3, totalTokens: 330 } } }),
+      'codex:/work/api': projectRow(2, [['gpt-5-codex', 2]], { projectPath: '/work/api', tool: 'codex' })
+    });
+
+    let day = { date: '2025-01-06', projects: {}, machines: {} };
+    day = addMachineDay(day, laptop, 'laptop');
+    day = addMachineDay(day, desktop, 'desktop');
+
+    expect(day.totalCost).toBe(17);
+    expect(Object.keys(day.projects).sort()).toEqual(['/home/blog', '/work/client', 'codex:/work/api']);
+
+    const client = day.projects['/work/client'];
+    expect(client).toMatchObject({ totalCost: 14, inputTokens: 1400, gitRemote: 'github.com/acme/client' });
+    expect(client.modelBreakdowns.map(m => [m.modelName, m.cost])).toEqual([['opus', 8], ['sonnet', 6]]);
+    expect(client.hours['09'].totalCost).toBe(11);
+    expect(client.hours['22'].totalCost).toBe(3);
+    expect(client.machines.laptop.totalCost).toBe(10);
+    expect(client.machines.desktop.totalCost).toBe(4);
+
+    expect(day.machines.laptop.totalCost).toBe(11);
+    expect(day.machines.desktop.totalCost).toBe(6);
+    expect(day.modelsUsed.sort()).toEqual(['gpt-5-codex', 'opus', 'sonnet']);
+    expect(day.modelBreakdowns.map(m => [m.modelName, m.cost])).toEqual([['opus', 8], ['sonnet', 7], ['gpt-5-codex', 2]]);
+  });
+
+  it('keeps day-level totals of older days without projects', () => {
+    let day = { date: '2024-06-01', projects: {}, machines: {} };
+    day = addMachineDay(day, { totalCost: 3, inputTokens: 300, apiCost: 4, modelBreakdowns: [{ modelName: 'opus', cost: 3 }] }, 'old-mac');
+    day = addMachineDay(day, machineDay({ '/a': projectRow(1, [['opus', 1]]) }), 'laptop');
+
+    expect(day).toMatchObject({ totalCost: 4, inputTokens: 400, apiCost: 5 });
+    expect(day.modelBreakdowns).toEqual([{ modelName: 'opus', inputTokens: 100, outputTokens: 10, cacheCreationTokens: 0, cacheReadTokens: 0, cost: 4, apiCost: 4 }]);
+    expect(Object.keys(day.machines)).toEqual(['old-mac', 'laptop']);
+  });
+});
+
+describe('sumUsageRecords', () => {
+  it('adds API-equivalent cost, falling back to cost for records priced before it existed', () => {
+    expect(sumUsageRecords({ totalCost: 1, apiCost: 2 }, { totalCost: 3 })).toMatchObject({ totalCost: 4, apiCost: 5 });
+    expect(sumUsageRecords(undefined, { totalCost: 3 })).toMatchObject({ totalCost: 3, apiCost: 3, inputTokens: 0 });
+  });
+});
@@ -0,0 +1,283 @@
+const fs = require('fs');
+const path = require('path');
+const { getModelPrice, calculateCost } = require('./pricing');
+const { toLocalDate, findJsonlFiles, readJsonLines } = require('./collectorUtils');
+const { getClaudeProjectDirs } = require('./claudeCollector');
+const { getCodexSessionsDir, getTokenDelta } = require('./codexCollector');
+
+// Per-turn timelines rebuilt from the transcripts on this machine. Sessions only
+// store totals; this reads the transcript again to show where the money went.
+
+// Turns called out as the most expensive
+const TOP_TURNS = 5;
+// Characters of the prompt kept with each turn
+const PROMPT_LENGTH = 200;
+// Claude Code tools that start a subagent (Task in older versions)
+const SUBAGENT_TOOLS = new Set(['Task', 'Agent']);
+
+function timelineError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// A single path segment taken from a session key (never "..", never a separator)
+function isSafeSegment(segment) {
+  return typeof segment === 'string' && segment !== '' && segment !== '.' && segment !== '..' && !/[/\\]/.test(segment);
+}
+
+async function listJsonl(dir) {
+  try {
+    const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    return entries
+      .filter(e => e.isFile() && e.name.endsWith('.jsonl'))
+      .map(e => path.join(dir, e.name))
+      .sort();
+  } catch (err) {
+    return [];
+  }
+}
+
+/**
+ * Transcript files behind a Claude Code session record. Top-level sessions are
+ * keyed by transcript folder (like ccusage), so they cover every conversation
+ * in it; subagent sessions ("subagents-<folder>/<uuid>") cover one
+ * conversation's subagents.
+ * @param {string} id - Session key
+ * @param {object} session - Session record
+ * @param {string[]} [projectsDirs] - Claude projects directories
+ * @returns {Promise<Array<object>>} [{ file, source }]; source is the conversation or agent name
+ */
+async function findClaudeTranscripts(id, session, projectsDirs = getClaudeProjectDirs()) {
+  let segments;
+  if (session.sessionId === 'subagents' && id.startsWith('subagents-')) {
+    segments = [...id.slice('subagents-'.length).split('/'), 'subagents'];
+  } else {
+    segments = [session.sessionId || id];
+  }
+  if (!segments.every(isSafeSegment)) return [];
+
+  const files = [];
+  for (const projectsDir of projectsDirs) {
+    for (const file of await listJsonl(path.join(projectsDir, ...segments))) {
+      files.push({ file, source: path.basename(file, '.jsonl') });
+    }
+  }
+  return files;
+}
+
+// Codex names rollouts rollout-<time>-<session id>.jsonl
+async function findCodexTranscripts(session, sessionsDir = getCodexSessionsDir()) {
+  if (!sessionsDir || !session.sessionId) return [];
+  const files = await findJsonlFiles(sessionsDir);
+  return files
+    .filter(file => path.basename(file, '.jsonl').endsWith(session.sessionId))
+    .map(file => ({ file, source: null }));
+}
+
+// Text the user typed, ignoring tool results and Claude Code's own meta messages
+function getPromptText(entry) {
+  if (entry.type !== 'user' || entry.isMeta || !entry.message) return null;
+  const content = entry.message.content;
+  let text = null;
+  if (typeof content === 'string') {
+    text = content;
+  } else if (Array.isArray(content) && !content.some(block => block && block.type === 'tool_result')) {
+    text = content.filter(block => block && block.type === 'text').map(block => block.text).join('\n');
+  }
+  text = text && text.trim();
+  return text ? text.slice(0, PROMPT_LENGTH) : null;
+}
+
+function createTurn(timestamp, model, tokens, cost) {
+  return {
+    timestamp,
+    model,
+    inputTokens: tokens.inputTokens || 0,
+    outputTokens: tokens.outputTokens || 0,
+    cacheCreationTokens: tokens.cacheCreationTokens || 0,
+    cacheReadTokens: tokens.cacheReadTokens || 0,
+    cost,
+    tools: [],
+    subagents: []
+  };
+}
+
+// Configured rates first; models without any known price keep the cost the
+// transcript recorded, as priceRecord() does for synced sessions. Rates take
+// effect by date in config.timezone, like the collectors' daily rows.
+function priceTurn(model, tokens, timestamp, { rates, timeZone }, recordedCost) {
+  const date = toLocalDate(timestamp, timeZone);
+  if (getModelPrice(model, date, rates)) return calculateCost(model, tokens, date, rates);
+  return typeof recordedCost === 'number' ? recordedCost : 0;
+}
+
+// One turn per assistant request. Claude Code writes a line per content block,
+// all sharing message.id and requestId; usage is taken from the first, as the
+// collector does, and tool calls are gathered from all of them.
+async function readClaudeTurns(files, pricing) {
+  const turns = [];
+  const byRequest = new Map();
+  const seenToolCalls = new Set();
+
+  for (const { file, source } of files) {
+    let prompt = null;
+    await readJsonLines(file, entry => {
+      if (!entry || typeof entry !== 'object') return;
+      const promptText = getPromptText(entry);
+      if (promptText) prompt = promptText;
+
+      const message = entry.message;
+      if (entry.type !== 'assistant' || !message || message.model === '<synthetic>') return;
+
+      const key = message.id && entry.requestId ? `${message.id}:${entry.requestId}` : null;
+      let turn = key && byRequest.get(key);
+      if (!turn) {
+        if (!message.usage || !entry.timestamp) return;
+        const tokens = {
+          inputTokens: message.usage.input_tokens,
+          outputTokens: message.usage.output_tokens,
+          cacheCreationTokens: message.usage.cache_creation_input_tokens,
+          cacheReadTokens: message.usage.cache_read_input_tokens
+        };
+        const model = message.model || 'unknown';
+        turn = createTurn(entry.timestamp, model, tokens, priceTurn(model, tokens, entry.timestamp, pricing, entry.costUSD));
+        turn.source = source;
+        turn.prompt = prompt;
+        prompt = null;
+        turns.push(turn);
+        if (key) byRequest.set(key, turn);
+      }
+
+      for (const block of Array.isArray(message.content) ? message.content : []) {
+        if (!block || block.type !== 'tool_use' || !block.name) continue;
+        // Resumed conversations repeat earlier lines
+        if (block.id) {
+          if (seenToolCalls.has(block.id)) continue;
+          seenToolCalls.add(block.id);
+        }
+        turn.tools.push(block.name);
+        if (SUBAGENT_TOOLS.has(block.name)) {
+          const input = block.input || {};
+          turn.subagents.push({ description: input.description || null, type: input.subagent_type || null });
+        }
+      }
+    });
+  }
+  return turns;
+}
+
+// Codex logs running token totals; each increase is a turn. Tool calls and the
+// prompt are logged before the token_count event that closes their turn.
+async function readCodexTurns(files, pricing) {
+  const turns = [];
+
+  for (const { file } of files) {
+    let model = 'unknown';
+    let previousTotal = null;
+    let prompt = null;
+    let tools = [];
+
+    await readJsonLines(file, entry => {
+      const payload = entry && entry.payload;
+      if (!payload) return;
+      if (entry.type === 'turn_context' && payload.model) model = payload.model;
+      if (entry.type === 'event_msg' && payload.type === 'user_message' && typeof payload.message === 'string' && payload.message.trim()) {
+        prompt = payload.message.trim().slice(0, PROMPT_LENGTH);
+      }
+      if (entry.type === 'response_item' && ['function_call', 'custom_tool_call'].includes(payload.type) && payload.name) {
+        tools.push(payload.name);
+      }
+      if (entry.type === 'response_item' && payload.type === 'local_shell_call') tools.push('shell');
+      if (entry.type !== 'event_msg' || payload.type !== 'token_count' || !payload.info || !entry.timestamp) return;
+
+      const tokens = getTokenDelta(payload.info, previousTotal);
+      if (payload.info.total_token_usage) previousTotal = payload.info.total_token_usage;
+      if (!tokens || (tokens.inputTokens + tokens.outputTokens + tokens.cacheReadTokens) === 0) return;
+
+      const turn = createTurn(entry.timestamp, model, tokens, priceTurn(model, tokens, entry.timestamp, pricing));
+      turn.source = null;
+      turn.prompt = prompt;
+      turn.tools = tools;
+      prompt = null;
+      tools = [];
+      turns.push(turn);
+    });
+  }
+  return turns;
+}
+
+/**
+ * Rebuild a session's turn-by-turn timeline from its transcripts on this machine.
+ * @param {string} id - Session key (as in usage data)
+ * @param {object} session - Session record
+ * @param {object} [options]
+ * @param {Array<object>} [options.rates] - config.pricing.rates
+ * @param {string} [options.timeZone] - config.timezone, for the date rates take effect on
+ * @param {string[]} [options.projectsDirs] - Claude projects directories
+ * @param {string} [options.codexSessionsDir] - Codex sessions directory
+ * @returns {Promise<object|null>} { turns, topTurns, models, tools, subagents, totals, files }, or
+ *   null if no transcript is left. Each turn has { index, timestamp, source, model, token counts,
+ *   cost, cumulativeCost, tools, subagents, prompt }; topTurns are turn indexes, costliest first.
+ * @throws {Error} code ENOTIMELINE for tools whose transcripts LoopTrack can't read
+ */
+async function readSessionTimeline(id, session, options = {}) {
+  const tool = session.tool || 'claude-code';
+  const pricing = { rates: options.rates || [], timeZone: options.timeZone };
+  let turns;
+  let files;
+  if (tool === 'claude-code') {
+    files = await findClaudeTranscripts(id, session, options.projectsDirs);
+    turns = await readClaudeTurns(files, pricing);
+  } else if (tool === 'codex') {
+    files = await findCodexTranscripts(session, options.codexSessionsDir);
+    turns = await readCodexTurns(files, pricing);
+  } else {
+    throw timelineError(`Timelines are only available for Claude Code and Codex sessions, not ${tool}`, 'ENOTIMELINE');
+  }
+  if (files.length === 0) return null;
+
+  turns.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+  let cumulativeCost = 0;
+  const models = {};
+  const tools = {};
+  const subagents = [];
+  const totals = { turns: turns.length, inputTokens: 0, outputTokens: 0, cacheCreationTokens: 0, cacheReadTokens: 0, cost: 0 };
+
+  turns.forEach((turn, index) => {
+    turn.index = index;
+    cumulativeCost += turn.cost;
+    turn.cumulativeCost = cumulativeCost;
+    for (const field of ['inputTokens', 'outputTokens', 'cacheCreationTokens', 'cacheReadTokens', 'cost']) {
+      totals[field] += turn[field];
+    }
+    if (!models[turn.model]) models[turn.model] = { model: turn.model, turns: 0, cost: 0 };
+    models[turn.model].turns++;
+    models[turn.model].cost += turn.cost;
+    for (const name of turn.tools) {
+      if (!tools[name]) tools[name] = { name, calls: 0 };
+      tools[name].calls++;
+    }
+    for (const spawn of turn.subagents) {
+      subagents.push({ turn: index, timestamp: turn.timestamp, ...spawn });
+    }
+  });
+
+  const topTurns = turns
+    .filter(turn => turn.cost > 0)
+    .sort((a, b) => b.cost - a.cost)
+    .slice(0, options.topCount || TOP_TURNS)
+    .map(turn => turn.index);
+
+  return {
+    files: files.map(f => f.file),
+    turns,
+    topTurns,
+    models: Object.values(models).sort((a, b) => b.cost - a.cost),
+    tools: Object.values(tools).sort((a, b) => b.calls - a.calls || a.name.localeCompare(b.name)),
+    subagents,
+    totals
+  };
+}
+
+module.exports = { findClaudeTranscripts, readSessionTimeline };
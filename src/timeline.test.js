@@ -0,0 +1,125 @@
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+import { readSessionTimeline } from './timeline';
+import { calculateCost } from './pricing';
+
+// Test helpers
+function createTempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'looptrack-test-'));
+}
+
+function writeJsonl(file, entries) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, entries.map(e => JSON.stringify(e)).join('\n'));
+}
+
+function assistant({ id, requestId, timestamp, model = 'claude-sonnet-4-20250514', input = 0, output = 0, cacheRead = 0, content = [] }) {
+  return {
+    type: 'assistant',
+    timestamp,
+    requestId,
+    message: { id, model, content, usage: { input_tokens: input, output_tokens: output, cache_read_input_tokens: cacheRead } }
+  };
+}
+
+function user(timestamp, content) {
+  return { type: 'user', timestamp, message: { role: 'user', content } };
+}
+
+const folder = '-Users-taylor-Development-myapp';
+
+describe('readSessionTimeline', () => {
+  let projectsDir;
+
+  beforeEach(() => {
+    projectsDir = createTempDir();
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectsDir, { recursive: true, force: true });
+  });
+
+  it('builds one turn per request with tools, subagent spawns and a running cost', async () => {
+    writeJsonl(path.join(projectsDir, folder, 'conv-1.jsonl'), [
+      user('2025-01-10T10:00:00Z', 'Refactor the parser'),
+      // Claude Code writes one line per content block of the same request
+      assistant({ id: 'm1', requestId: 'r1', timestamp: '2025-01-10T10:00:05Z', input: 1000, output: 200,
+        content: [{ type: 'tool_use', id: 't1', name: 'Read', input: {} }] }),
+      assistant({ id: 'm1', requestId: 'r1', timestamp: '2025-01-10T10:00:06Z', input: 1000, output: 200,
+        content: [{ type: 'tool_use', id: 't2', name: 'Task', input: { description: 'Find callers', subagent_type: 'Explore' } }] }),
+      user('2025-01-10T10:00:07Z', [{ type: 'tool_result', tool_use_id: 't1', content: 'file contents' }]),
+      assistant({ id: 'm2', requestId: 'r2', timestamp: '2025-01-10T10:01:00Z', input: 50000, output: 4000, cacheRead: 20000,
+        content: [{ type: 'tool_use', id: 't3', name: 'Edit', input: {} }] }),
+      assistant({ id: 'm3', requestId: 'r3', timestamp: '2025-01-10T10:02:00Z', model: '<synthetic>', input: 1 })
+    ]);
+    // A resumed conversation repeats the first request
+    writeJsonl(path.join(projectsDir, folder, 'conv-2.jsonl'), [
+      assistant({ id: 'm1', requestId: 'r1', timestamp: '2025-01-10T10:00:05Z', input: 1000, output: 200,
+        content: [{ type: 'tool_use', id: 't1', name: 'Read', input: {} }] }),
+      user('2025-01-11T09:00:00Z', 'Now add tests'),
+      assistant({ id: 'm4', requestId: 'r4', timestamp: '2025-01-11T09:00:10Z', input: 500, output: 100 })
+    ]);
+
+    const timeline = await readSessionTimeline(folder, { sessionId: folder, projectPath: '/Users/taylor/Development/myapp' }, { projectsDirs: [projectsDir] });
+
+    expect(timeline.turns.map(t => [t.source, t.tools, t.prompt])).toEqual([
+      ['conv-1', ['Read', 'Task'], 'Refactor the parser'],
+      ['conv-1', ['Edit'], null],
+      ['conv-2', [], 'Now add tests']
+    ]);
+    const second = timeline.turns[1];
+    expect(second).toMatchObject({ index: 1, inputTokens: 50000, outputTokens: 4000, cacheReadTokens: 20000 });
+    expect(second.cost).toBeCloseTo(calculateCost('claude-sonnet-4-20250514', { inputTokens: 50000, outputTokens: 4000, cacheReadTokens: 20000 }));
+    expect(timeline.turns[2].cumulativeCost).toBeCloseTo(timeline.totals.cost);
+    expect(timeline.topTurns).toEqual([1, 0, 2]);
+    expect(timeline.subagents).toEqual([{ turn: 0, timestamp: '2025-01-10T10:00:05Z', description: 'Find callers', type: 'Explore' }]);
+    expect(timeline.tools).toEqual([{ name: 'Edit', calls: 1 }, { name: 'Read', calls: 1 }, { name: 'Task', calls: 1 }]);
+    expect(timeline.models).toHaveLength(1);
+    expect(timeline.totals.turns).toBe(3);
+  });
+
+  it('reads subagent sessions and prices turns with configured rates', async () => {
+    const uuid = '272cd730-d6f2-490d-9a3a-02733e824f45';
+    writeJsonl(path.join(projectsDir, folder, uuid, 'subagents', 'agent-a.jsonl'), [
+      assistant({ id: 'm1', requestId: 'r1', timestamp: '2025-01-10T10:00:00Z', input: 1e6 })
+    ]);
+    const rates = [{ model: 'claude-sonnet-4', input: 1, output: 1, cacheWrite: 1, cacheRead: 1 }];
+
+    const timeline = await readSessionTimeline(`subagents-${folder}/${uuid}`, { sessionId: 'subagents', projectPath: '/Users/taylor/Development/myapp' }, { projectsDirs: [projectsDir], rates });
+
+    expect(timeline.turns).toHaveLength(1);
+    expect(timeline.turns[0]).toMatchObject({ source: 'agent-a', cost: 1 });
+
+    // Rates take effect on the date in the configured time zone (10:00 UTC is already the 11th at UTC+14)
+    const raised = [...rates, { model: 'claude-sonnet-4', effectiveFrom: '2025-01-11', input: 2, output: 2, cacheWrite: 2, cacheRead: 2 }];
+    const options = { projectsDirs: [projectsDir], rates: raised };
+    const session = { sessionId: 'subagents', projectPath: '/Users/taylor/Development/myapp' };
+    expect((await readSessionTimeline(`subagents-${folder}/${uuid}`, session, { ...options, timeZone: 'Etc/UTC' })).totals.cost).toBe(1);
+    expect((await readSessionTimeline(`subagents-${folder}/${uuid}`, session, { ...options, timeZone: 'Pacific/Kiritimati' })).totals.cost).toBe(2);
+    expect(await readSessionTimeline('subagents-../..', { sessionId: 'subagents' }, { projectsDirs: [projectsDir] })).toBeNull();
+    expect(await readSessionTimeline('gone', { sessionId: 'gone' }, { projectsDirs: [projectsDir] })).toBeNull();
+  });
+
+  it('builds Codex turns from running totals and refuses other tools', async () => {
+    writeJsonl(path.join(projectsDir, '2025', '09', '20', 'rollout-2025-09-20T10-00-00-sess-1.jsonl'), [
+      { timestamp: '2025-09-20T10:00:00Z', type: 'session_meta', payload: { id: 'sess-1', cwd: '/work' } },
+      { timestamp: '2025-09-20T10:00:01Z', type: 'turn_context', payload: { model: 'gpt-5-codex' } },
+      { timestamp: '2025-09-20T10:00:02Z', type: 'event_msg', payload: { type: 'user_message', message: 'Fix the build' } },
+      { timestamp: '2025-09-20T10:00:03Z', type: 'response_item', payload: { type: 'function_call', name: 'shell' } },
+      { timestamp: '2025-09-20T10:00:05Z', type: 'event_msg', payload: { type: 'token_count', info: { total_token_usage: { input_tokens: 1000, output_tokens: 100 } } } },
+      { timestamp: '2025-09-20T10:00:06Z', type: 'event_msg', payload: { type: 'token_count', info: { total_token_usage: { input_tokens: 1000, output_tokens: 100 } } } },
+      { timestamp: '2025-09-20T10:01:00Z', type: 'event_msg', payload: { type: 'token_count', info: { total_token_usage: { input_tokens: 3000, cached_input_tokens: 1500, output_tokens: 300 } } } }
+    ]);
+
+    const timeline = await readSessionTimeline('codex-sess-1', { tool: 'codex', sessionId: 'sess-1' }, { codexSessionsDir: projectsDir });
+
+    expect(timeline.turns.map(t => [t.inputTokens, t.cacheReadTokens, t.outputTokens, t.tools, t.prompt])).toEqual([
+      [1000, 0, 100, ['shell'], 'Fix the build'],
+      [500, 1500, 200, [], null]
+    ]);
+    await expect(readSessionTimeline('aider-1', { tool: 'aider', sessionId: '1' })).rejects.toThrow('only available for Claude Code and Codex');
+  });
+});